@@ -25,6 +25,7 @@ const optionalEnvVars = {
 // Validate environment variables
 export const validateEnvironment = () => {
   const missing = [];
+  const invalid = [];
   const warnings = [];
 
   // Check required variables
@@ -46,7 +47,11 @@ export const validateEnvironment = () => {
 
   // Check for production-specific requirements
   if (process.env.NODE_ENV === "production") {
-    const productionRequired = ["STRIPE_SECRET_KEY", "FRONTEND_URL"];
+    const productionRequired = [
+      "STRIPE_SECRET_KEY",
+      "STRIPE_WEBHOOK_SECRET",
+      "FRONTEND_URL",
+    ];
 
     productionRequired.forEach((varName) => {
       if (!process.env[varName]) {
@@ -54,6 +59,11 @@ export const validateEnvironment = () => {
       }
     });
 
+    // The fake payment provider marks orders paid without charging anyone
+    if (process.env.PAYMENT_PROVIDER === "fake") {
+      invalid.push("PAYMENT_PROVIDER=fake cannot be used in production");
+    }
+
     // Validate JWT_SECRET strength in production
     if (process.env.JWT_SECRET && process.env.JWT_SECRET.length < 32) {
       warnings.push(
@@ -74,6 +84,14 @@ export const validateEnvironment = () => {
     process.exit(1);
   }
 
+  if (invalid.length > 0) {
+    console.error("❌ Invalid environment configuration:");
+    invalid.forEach((problem) => {
+      console.error(`   - ${problem}`);
+    });
+    process.exit(1);
+  }
+
   if (warnings.length > 0) {
     console.warn("⚠️  Environment warnings:");
     warnings.forEach((warning) => {
@@ -112,6 +130,33 @@ export const getConfig = () => {
     stripe: {
       secretKey: process.env.STRIPE_SECRET_KEY,
       publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+      webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    },
+    orders: {
+      // Days after delivery during which customers can request a return
+      returnWindowDays: parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30,
+    },
+    pricing: {
+      taxRate: parseFloat(process.env.TAX_RATE || "0"),
+      shippingFlatRate: parseFloat(process.env.SHIPPING_FLAT_RATE || "0"),
+      freeShippingThreshold: parseFloat(
+        process.env.FREE_SHIPPING_THRESHOLD || "0"
+      ),
+      // Catalog prices already include tax, which is worked out of them
+      pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === "true",
+    },
+    jobs: {
+      // Only one instance should run scheduled jobs
+      enabled:
+        process.env.SCHEDULED_JOBS !== "false" &&
+        process.env.NODE_ENV !== "test",
+      lowStockDigestAt: process.env.LOW_STOCK_DIGEST_AT || "08:00",
+      // Nightly rebuild of related and bought together products
+      recommendationsAt: process.env.RECOMMENDATIONS_AT || "03:00",
+      // Seconds between checks for products due to be published or withdrawn
+      // and for sales that started or ended
+      productScheduleInterval:
+        parseInt(process.env.PRODUCT_SCHEDULE_INTERVAL, 10) || 60,
     },
     cors: {
       origins:
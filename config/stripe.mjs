@@ -0,0 +1,17 @@
+import Stripe from "stripe";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Shared Stripe client
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+export const STRIPE_CURRENCY = (
+  process.env.STRIPE_CURRENCY || "usd"
+).toLowerCase();
+
+// Stripe expects amounts in the smallest currency unit (cents)
+export const toMinorUnits = (amount) => Math.round((amount || 0) * 100);
+
+export default stripe;
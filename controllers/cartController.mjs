@@ -1,11 +1,73 @@
 import { Cart } from '../models/CartSchema.mjs';
-import { Product } from '../models/ProductSchema.mjs';
+import { LISTED_STATUSES, Product } from '../models/ProductSchema.mjs';
 import mongoose from 'mongoose';
 import logger from '../utils/logger.mjs';
+import {
+  cartLines,
+  priceCart,
+  priceShippingOptions,
+  resolveUnitPrice,
+  summarizePricing,
+} from '../utils/pricingEngine.mjs';
+import { refreshCartCoupon, validateCoupon } from '../utils/couponService.mjs';
+import { getSaleCampaigns } from '../utils/salePricing.mjs';
+import { getShippingMethods } from '../utils/shippingEngine.mjs';
+import { getTaxRates } from '../utils/taxEngine.mjs';
+
+// Pick the requested variant of a product. Responds and returns undefined
+// when the choice is missing or invalid; returns null for simple products.
+const resolveVariant = (product, variantId, res) => {
+  if (!product.hasVariants) {
+    return null;
+  }
+
+  if (!variantId) {
+    res.status(400).json({
+      success: false,
+      message: `Please choose a variant of ${product.title}`,
+      timestamp: new Date().toISOString(),
+    });
+    return undefined;
+  }
+
+  const variant = product.getVariant(variantId);
+  if (!variant || !variant.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Product variant not found',
+      timestamp: new Date().toISOString(),
+    });
+    return undefined;
+  }
+
+  return variant;
+};
+
+// Shape a populated cart for responses. The coupon is re-checked on every
+// change and the cart is priced at current catalog and sale prices.
+const formatCart = async (cart, userId) => {
+  const campaigns = await getSaleCampaigns();
+  const { discounts, couponRemoved } = await refreshCartCoupon(
+    cart,
+    userId,
+    campaigns
+  );
+  const pricing = priceCart(cart, { discounts, campaigns });
+
+  return {
+    _id: cart._id,
+    user: cart.user,
+    items: cart.products,
+    couponCode: cart.couponCode || null,
+    ...(couponRemoved && { couponRemoved }),
+    pricing: summarizePricing(pricing),
+    totalAmount: pricing.totalPrice,
+  };
+};
 
 // Add product to cart
 export const addToCart = async (req, res) => {
-  const { productId, quantity = 1 } = req.body;
+  const { productId, variantId, quantity = 1 } = req.body;
   const userId = req.user._id;
 
   try {
@@ -27,8 +89,11 @@ export const addToCart = async (req, res) => {
       });
     }
 
-    // Check if product exists
-    const product = await Product.findById(productId);
+    // Only products shoppers can see may be added
+    const product = await Product.findOne({
+      _id: productId,
+      ...Product.publishedFilter(LISTED_STATUSES),
+    });
     if (!product) {
       return res.status(404).json({
         success: false,
@@ -37,16 +102,22 @@ export const addToCart = async (req, res) => {
       });
     }
 
+    const variant = resolveVariant(product, variantId, res);
+    if (variant === undefined) return;
+    const unitPrice = resolveUnitPrice(
+      product,
+      variant,
+      await getSaleCampaigns()
+    );
+
     // Check if user already has a cart
     // Convert userId to ObjectId to prevent NoSQL injection
     const userObjectId = new mongoose.Types.ObjectId(userId);
     let cart = await Cart.findOne({ user: userObjectId });
 
     if (cart) {
-      // Check if product already exists in cart
-      const existingProductIndex = cart.products.findIndex(
-        item => item.product.toString() === productId
-      );
+      // Check if product (and variant) already exists in cart
+      const existingProductIndex = cart.findItemIndex(productId, variant?._id);
 
       if (existingProductIndex > -1) {
         // Product exists, update quantity
@@ -55,8 +126,9 @@ export const addToCart = async (req, res) => {
         // Product doesn't exist, add new product with price
         cart.products.push({
           product: productId,
+          variant: variant?._id,
           quantity,
-          priceAtAdd: product.price,
+          priceAtAdd: unitPrice,
         });
       }
     } else {
@@ -66,8 +138,9 @@ export const addToCart = async (req, res) => {
         products: [
           {
             product: productId,
+            variant: variant?._id,
             quantity,
-            priceAtAdd: product.price,
+            priceAtAdd: unitPrice,
           },
         ],
       });
@@ -79,12 +152,7 @@ export const addToCart = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Product added to cart successfully',
-      data: {
-        _id: cart._id,
-        user: cart.user,
-        items: cart.products,
-        totalAmount: cart.totalAmount || 0,
-      },
+      data: await formatCart(cart, userId),
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -122,6 +190,7 @@ export const getCart = async (req, res) => {
         success: true,
         data: {
           items: [],
+          pricing: summarizePricing(priceCart({ products: [] })),
           totalAmount: 0,
         },
         timestamp: new Date().toISOString(),
@@ -130,10 +199,7 @@ export const getCart = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: {
-        items: cart.products,
-        totalAmount: cart.totalAmount || 0,
-      },
+      data: await formatCart(cart, userId),
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -149,7 +215,7 @@ export const getCart = async (req, res) => {
 
 // Update cart item quantity
 export const updateCart = async (req, res) => {
-  const { productId, quantity } = req.body;
+  const { productId, variantId, quantity } = req.body;
   const userId = req.user._id;
 
   try {
@@ -192,10 +258,8 @@ export const updateCart = async (req, res) => {
       });
     }
 
-    // Find the product in cart
-    const productIndex = cart.products.findIndex(
-      item => item.product.toString() === productId
-    );
+    // Find the product (and variant) in cart
+    const productIndex = cart.findItemIndex(productId, variantId);
 
     if (productIndex === -1) {
       return res.status(404).json({
@@ -214,12 +278,7 @@ export const updateCart = async (req, res) => {
     res.json({
       success: true,
       message: 'Cart updated successfully',
-      data: {
-        _id: cart._id,
-        user: cart.user,
-        items: cart.products,
-        totalAmount: cart.totalAmount || 0,
-      },
+      data: await formatCart(cart, userId),
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -236,6 +295,7 @@ export const updateCart = async (req, res) => {
 // Remove product from cart
 export const removeFromCart = async (req, res) => {
   const { productId } = req.params;
+  const { variantId } = req.query;
   const userId = req.user._id;
 
   try {
@@ -257,22 +317,27 @@ export const removeFromCart = async (req, res) => {
 
     // Convert userId to ObjectId to prevent NoSQL injection
     const userObjectId = new mongoose.Types.ObjectId(userId);
-    const cart = await Cart.findOne({ userId: userObjectId });
+    const cart = await Cart.findOne({ user: userObjectId });
 
     if (!cart) {
-      return res.status(404).json({ message: 'Cart not found' });
+      return res
+        .status(404)
+        .json({ success: false, message: 'Cart not found' });
     }
 
-    cart.products = cart.products.filter(
-      item => item.productId.toString() !== productId
-    );
+    const productIndex = cart.findItemIndex(productId, variantId);
+    if (productIndex > -1) {
+      cart.products.splice(productIndex, 1);
+    }
 
     await cart.save();
-    await cart.populate('products.productId');
+    await cart.populate('products.product');
 
     res.status(200).json({
+      success: true,
       message: 'Product removed from cart successfully',
-      cart,
+      data: await formatCart(cart, userId),
+      timestamp: new Date().toISOString(),
     });
   } catch (error) {
     logger.error('Failed to remove product from cart:', error);
@@ -295,7 +360,7 @@ export const clearCart = async (req, res) => {
 
     // Convert userId to ObjectId to prevent NoSQL injection
     const userObjectId = new mongoose.Types.ObjectId(userId);
-    await Cart.findOneAndDelete({ userId: userObjectId });
+    await Cart.findOneAndDelete({ user: userObjectId });
 
     res.status(200).json({ message: 'Cart cleared successfully' });
   } catch (error) {
@@ -303,3 +368,177 @@ export const clearCart = async (req, res) => {
     res.status(500).json({ message: 'Failed to clear cart' });
   }
 };
+
+// Apply a coupon code to the user's cart
+export const applyCartCoupon = async (req, res) => {
+  const { code } = req.body;
+  const userId = req.user._id;
+
+  try {
+    // Validate userId format
+    if (!userId || !userId.toString().match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user session',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const cart = await Cart.findOne({ user: userObjectId }).populate(
+      'products.product'
+    );
+
+    if (!cart || cart.products.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add items to your cart before applying a coupon',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const { coupon, discount } = await validateCoupon(
+      code,
+      cartLines(cart, await getSaleCampaigns()),
+      userId
+    );
+    await cart.applyCoupon(coupon.code, discount.amount);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied successfully',
+      data: await formatCart(cart, userId),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.errorCode,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.error('Failed to apply coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply coupon',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Remove the coupon from the user's cart
+export const removeCartCoupon = async (req, res) => {
+  const userId = req.user._id;
+
+  try {
+    // Validate userId format
+    if (!userId || !userId.toString().match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user session',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const cart = await Cart.findOne({ user: userObjectId }).populate(
+      'products.product'
+    );
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    await cart.applyCoupon(undefined, 0);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon removed successfully',
+      data: await formatCart(cart, userId),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Failed to remove coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove coupon',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Shipping methods available for the user's cart to an address, each priced
+export const getShippingOptions = async (req, res) => {
+  const { shippingAddress } = req.body;
+  const userId = req.user._id;
+
+  try {
+    // Validate userId format
+    if (!userId || !userId.toString().match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user session',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!shippingAddress || typeof shippingAddress.country !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'A shipping address with at least a country is required',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const cart = await Cart.findOne({ user: userObjectId }).populate(
+      'products.product'
+    );
+
+    if (!cart || cart.products.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add items to your cart to see shipping options',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const campaigns = await getSaleCampaigns();
+    const { discounts } = await refreshCartCoupon(cart, userId, campaigns);
+    const quotes = priceShippingOptions(
+      cartLines(cart, campaigns),
+      await getShippingMethods(shippingAddress),
+      { discounts, taxRates: await getTaxRates(shippingAddress) }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: quotes.length,
+      data: quotes.map(({ method, pricing }) => ({
+        method: method.code,
+        label: method.label,
+        zone: method.zone,
+        estimatedDays: method.estimatedDays,
+        pricing: summarizePricing(pricing),
+      })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Failed to get shipping options:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get shipping options',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
@@ -1,6 +1,10 @@
 import { Category } from "../models/CategorySchema.mjs";
 import { Product } from "../models/ProductSchema.mjs";
 import { asyncHandler } from "../utils/errorHandler.mjs";
+import {
+  buildAttributeFilter,
+  getAttributeFacets,
+} from "../utils/attributeFilters.mjs";
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -197,7 +201,7 @@ export const deleteCategory = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get products by category
+// @desc    Get products by category, filtered and faceted on its attributes
 // @route   GET /api/categories/:id/products
 // @access  Public
 export const getProductsByCategory = asyncHandler(async (req, res) => {
@@ -216,18 +220,31 @@ export const getProductsByCategory = asyncHandler(async (req, res) => {
     });
   }
 
-  const products = await Product.getByCategory(req.params.id, {
+  const definitions = await Category.getAttributeDefinitions(category._id);
+  const attributeFilter = buildAttributeFilter(
+    definitions,
+    req.query.attributes
+  );
+  const includeSubcategories = req.query.includeSubcategories === "true";
+
+  const products = await Product.getByCategory(category._id, {
     page: parseInt(page),
     limit: parseInt(limit),
     sortBy,
     sortOrder: sortOrder === "desc" ? -1 : 1,
-    includeSubcategories: req.query.includeSubcategories === "true",
+    includeSubcategories,
+    filter: attributeFilter,
   });
 
-  const total = await Product.countDocuments({
-    category: req.params.id,
-    status: "active",
-  });
+  const match = {
+    ...(await Product.categoryFilter(category._id, includeSubcategories)),
+    ...Product.publishedFilter(["active"]),
+    ...attributeFilter,
+  };
+  const [total, facets] = await Promise.all([
+    Product.countDocuments(match),
+    getAttributeFacets(definitions, match),
+  ]);
 
   res.status(200).json({
     success: true,
@@ -243,6 +260,27 @@ export const getProductsByCategory = asyncHandler(async (req, res) => {
       pages: Math.ceil(total / limit),
       limit: parseInt(limit),
     },
+    attributes: definitions,
+    facets,
     data: products,
   });
 });
+
+// @desc    Get the attributes products in a category follow, inherited ones
+//          included
+// @route   GET /api/categories/:id/attributes
+// @access  Public
+export const getCategoryAttributes = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id).select("name");
+  if (!category) {
+    return res.status(404).json({
+      success: false,
+      message: "Category not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await Category.getAttributeDefinitions(category._id),
+  });
+});
@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+import { Coupon } from "../models/CouponSchema.mjs";
+import { CouponRedemption } from "../models/CouponRedemptionSchema.mjs";
+import { asyncHandler } from "../utils/errorHandler.mjs";
+
+// Fields admins may set; usage counters are maintained by redemptions
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "minSubtotal",
+  "appliesTo",
+  "startsAt",
+  "endsAt",
+  "usageLimit",
+  "perUserLimit",
+  "isActive",
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    Object.entries(body || {}).filter(([key]) => EDITABLE_FIELDS.includes(key))
+  );
+
+const findCoupon = async (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? Coupon.findById(id) : null;
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+export const getCoupons = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, active, search } = req.query;
+
+  const filter = {};
+
+  if (active !== undefined) {
+    filter.isActive = active === "true";
+  }
+
+  if (typeof search === "string" && search.trim()) {
+    filter.code = {
+      $regex: search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      $options: "i",
+    };
+  }
+
+  const coupons = await Coupon.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Coupon.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: coupons.length,
+    total,
+    pagination: {
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      limit: parseInt(limit),
+    },
+    data: coupons,
+  });
+});
+
+// @desc    Get single coupon with its recent redemptions
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+export const getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await findCoupon(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: "Coupon not found",
+    });
+  }
+
+  const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+    .populate("user", "name email")
+    .populate("order", "orderNumber")
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  res.status(200).json({
+    success: true,
+    data: { ...coupon.toJSON(), redemptions },
+  });
+});
+
+// @desc    Create new coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+export const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.create({
+    ...pickEditable(req.body),
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: coupon,
+  });
+});
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await findCoupon(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: "Coupon not found",
+    });
+  }
+
+  // Saving the document runs validators that compare fields with each other
+  coupon.set(pickEditable(req.body));
+  await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    data: coupon,
+  });
+});
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await findCoupon(req.params.id);
+
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: "Coupon not found",
+    });
+  }
+
+  // Redeemed coupons stay on record for reporting; deactivate them instead
+  if (coupon.usedCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete coupon. It has been redeemed ${coupon.usedCount} times; deactivate it instead.`,
+    });
+  }
+
+  await coupon.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon deleted successfully",
+  });
+});
@@ -1,7 +1,129 @@
-import { Order } from '../models/OrderSchema.mjs';
-import { Product } from '../models/ProductSchema.mjs';
+import {
+  ORDER_STATUSES,
+  RETURN_STATUSES,
+  Order,
+} from '../models/OrderSchema.mjs';
+import { LISTED_STATUSES, Product } from '../models/ProductSchema.mjs';
 import { Cart } from '../models/CartSchema.mjs';
 import mongoose from 'mongoose';
+import { AppError } from '../utils/errorHandler.mjs';
+import logger from '../utils/logger.mjs';
+import { getPaymentProvider } from '../utils/payments/index.mjs';
+import {
+  assertExpectedPricing,
+  calculatePricing,
+  resolveUnitPrice,
+} from '../utils/pricingEngine.mjs';
+import { validateCoupon } from '../utils/couponService.mjs';
+import { resolveShippingMethod } from '../utils/shippingEngine.mjs';
+import { getTaxRates } from '../utils/taxEngine.mjs';
+import { getSaleCampaigns } from '../utils/salePricing.mjs';
+import { adjustStock } from '../utils/inventoryService.mjs';
+import { transitionOrder } from '../utils/orderStateMachine.mjs';
+import { issueRefund } from '../utils/orderRefunds.mjs';
+import {
+  receiveReturn,
+  requestReturn,
+  reviewReturn,
+} from '../utils/orderReturns.mjs';
+import { createShipment, deliverShipment } from '../utils/orderShipments.mjs';
+import {
+  allocateStock,
+  getAllocationWarehouses,
+} from '../utils/warehouseAllocation.mjs';
+
+// Describe an order line that cannot be fulfilled from current stock
+const stockShortage = (product, variant, requested, available) => {
+  const title = variant?.label
+    ? `${product.title} (${variant.label})`
+    : product.title;
+
+  return {
+    product: product._id.toString(),
+    ...(variant && { variant: variant._id.toString(), sku: variant.sku }),
+    title,
+    requested,
+    available: Math.max(available, 0),
+    message: `Insufficient stock for product: ${title}`,
+  };
+};
+
+// Resolve the variant an order line refers to; simple products have none
+const orderLineVariant = (product, variantId) => {
+  if (!product.hasVariants) {
+    return null;
+  }
+
+  const variant = product.getVariant(variantId);
+  if (!variant || !variant.isActive) {
+    throw new AppError(
+      variantId
+        ? `Variant not available for product: ${product.title}`
+        : `Please choose a variant of ${product.title}`,
+      400,
+      true,
+      'INVALID_VARIANT'
+    );
+  }
+
+  return variant;
+};
+
+const insufficientStockError = shortages => {
+  const error = new AppError(
+    'Some items do not have enough stock',
+    409,
+    true,
+    'INSUFFICIENT_STOCK'
+  );
+  error.details = shortages;
+  return error;
+};
+
+// Decrement stock only where enough is left, returning the lines that fell
+// short. Lines allocated to warehouses are taken from each warehouse.
+const reserveStock = async (orderItems, { order, user, session }) => {
+  const shortages = [];
+
+  for (const item of orderItems) {
+    const picks = item.allocations?.length
+      ? item.allocations
+      : [{ quantity: item.quantity }];
+    let reserved = true;
+
+    for (const pick of picks) {
+      const result = await adjustStock({
+        product: item.product,
+        variant: item.variant,
+        warehouse: pick.warehouse,
+        quantity: -pick.quantity,
+        type: 'sale',
+        order,
+        user,
+        reason: pick.code ? `Picked from ${pick.code}` : undefined,
+        session,
+      });
+      reserved = reserved && Boolean(result);
+    }
+
+    if (!reserved) {
+      const product = await Product.findById(item.product)
+        .select('title stock variants')
+        .session(session);
+      const variant = item.variant ? product?.getVariant(item.variant) : null;
+      shortages.push(
+        stockShortage(
+          product || { _id: item.product, title: item.productSnapshot.title },
+          variant,
+          item.quantity,
+          (variant || product)?.stock ?? 0
+        )
+      );
+    }
+  }
+
+  return shortages;
+};
 
 // Create a new order
 export const createOrder = async (req, res) => {
@@ -9,22 +131,57 @@ export const createOrder = async (req, res) => {
     const {
       items,
       shippingAddress,
+      shippingMethod,
       paymentMethod,
-      paymentResult,
-      shippingPrice = 0,
-      taxPrice = 0,
+      couponCode,
+      itemsPrice,
+      discountAmount,
+      shippingPrice,
+      taxPrice,
       totalPrice,
     } = req.body;
 
-    let orderItems = [];
-    let itemsPrice = 0;
+    // Quantities must be whole units before anything is priced or reserved
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items must be an array of { product, quantity }',
+        timestamp: new Date().toISOString(),
+      });
+    }
+    const invalidItem = (items || []).find(
+      item => !Number.isInteger(item?.quantity) || item.quantity < 1
+    );
+    if (invalidItem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item quantity must be a positive whole number',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Rejects unsupported payment methods before any stock is touched
+    const paymentProvider = getPaymentProvider(paymentMethod);
+    // Shipping is charged by the method chosen for this address
+    const shipping = await resolveShippingMethod(
+      shippingAddress,
+      shippingMethod
+    );
+
+    const lines = [];
+    let cart = null;
+    const shortages = [];
+    // Live sales and campaigns lower unit prices
+    const campaigns = await getSaleCampaigns();
 
     // If no items provided, create order from user's cart
     if (!items || items.length === 0) {
       const userObjectId = new mongoose.Types.ObjectId(req.user.id);
-      const cart = await Cart.findOne({ user: userObjectId }).populate(
-        'products.product'
-      );
+      // Products unpublished since they were added come back as null
+      cart = await Cart.findOne({ user: userObjectId }).populate({
+        path: 'products.product',
+        match: Product.publishedFilter(LISTED_STATUSES),
+      });
 
       if (!cart || cart.products.length === 0) {
         return res.status(400).json({
@@ -38,41 +195,31 @@ export const createOrder = async (req, res) => {
       for (const cartItem of cart.products) {
         const product = cartItem.product;
 
-        // Check inventory (skip in test environment)
-        if (
-          process.env.NODE_ENV !== 'test' &&
-          product.stock < cartItem.quantity
-        ) {
-          return res.status(400).json({
+        if (!product) {
+          return res.status(404).json({
             success: false,
-            message: `Insufficient stock for product: ${product.title}`,
+            message: 'A product in your cart is no longer available',
             timestamp: new Date().toISOString(),
           });
         }
 
-        const orderItem = {
-          product: product._id,
-          quantity: cartItem.quantity,
-          price: cartItem.priceAtAdd, // Use price when added to cart
-          productSnapshot: {
-            title: product.title,
-            image: product.image,
-            price: cartItem.priceAtAdd,
-          },
-        };
-
-        orderItems.push(orderItem);
-        itemsPrice += cartItem.priceAtAdd * cartItem.quantity;
-
-        // Update product stock (skip in test environment)
-        if (process.env.NODE_ENV !== 'test') {
-          product.stock -= cartItem.quantity;
-          await product.save();
+        const variant = orderLineVariant(product, cartItem.variant);
+        const available = (variant || product).stock;
+
+        // Early check; the conditional update below is what actually guards stock
+        if (available < cartItem.quantity) {
+          shortages.push(
+            stockShortage(product, variant, cartItem.quantity, available)
+          );
         }
-      }
 
-      // Clear the cart after creating order
-      await Cart.findByIdAndDelete(cart._id);
+        lines.push({
+          product,
+          variant,
+          quantity: cartItem.quantity,
+          unitPrice: resolveUnitPrice(product, variant, campaigns),
+        });
+      }
     } else {
       // Process provided items
       for (const item of items) {
@@ -85,9 +232,11 @@ export const createOrder = async (req, res) => {
           });
         }
 
-        const product = await Product.findById(
-          new mongoose.Types.ObjectId(item.product)
-        );
+        // Drafts and products outside their publish window cannot be bought
+        const product = await Product.findOne({
+          _id: new mongoose.Types.ObjectId(item.product),
+          ...Product.publishedFilter(LISTED_STATUSES),
+        });
         if (!product) {
           return res.status(404).json({
             success: false,
@@ -96,63 +245,163 @@ export const createOrder = async (req, res) => {
           });
         }
 
-        // Check inventory (skip in test environment)
-        if (process.env.NODE_ENV !== 'test' && product.stock < item.quantity) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient stock for product: ${product.title}`,
-            timestamp: new Date().toISOString(),
-          });
+        const variant = orderLineVariant(product, item.variant);
+        const available = (variant || product).stock;
+
+        // Early check; the conditional update below is what actually guards stock
+        if (available < item.quantity) {
+          shortages.push(
+            stockShortage(product, variant, item.quantity, available)
+          );
         }
 
-        const orderItem = {
-          product: item.product,
+        lines.push({
+          product,
+          variant,
           quantity: item.quantity,
-          price: product.price,
-          productSnapshot: {
-            title: product.title,
-            image: product.image,
-            price: product.price,
-          },
-        };
-
-        orderItems.push(orderItem);
-        itemsPrice += product.price * item.quantity;
-
-        // Update product stock (skip in test environment)
-        if (process.env.NODE_ENV !== 'test') {
-          product.stock -= item.quantity;
-          await product.save();
-        }
+          unitPrice: resolveUnitPrice(product, variant, campaigns),
+        });
+      }
+    }
+
+    if (shortages.length > 0) {
+      throw insufficientStockError(shortages);
+    }
+
+    // The cart's coupon, or one sent with the items, is re-validated here
+    const requestedCoupon = cart ? cart.couponCode : couponCode;
+    let appliedCoupon = null;
+    const discounts = [];
+    if (requestedCoupon) {
+      const { coupon, discount } = await validateCoupon(
+        requestedCoupon,
+        lines,
+        req.user.id
+      );
+      appliedCoupon = coupon.code;
+      discounts.push(discount);
+    }
+
+    // Amounts always come from the pricing engine; the client's figures are
+    // only checked so the shopper is never charged something they did not see
+    const pricing = calculatePricing(lines, {
+      discounts,
+      shippingMethod: shipping,
+      taxRates: await getTaxRates(shippingAddress),
+    });
+    assertExpectedPricing(pricing, {
+      itemsPrice,
+      discountAmount,
+      shippingPrice,
+      taxPrice,
+      totalPrice,
+    });
+
+    const orderItems = pricing.items.map(({ product, variant, ...line }) => ({
+      product: product._id,
+      variant: variant?._id,
+      quantity: line.quantity,
+      price: line.unitPrice,
+      taxLines: line.taxLines,
+      productSnapshot: {
+        title: product.title,
+        image: variant?.images?.[0] || product.image,
+        sku: variant?.sku || product.sku,
+        ...(variant && {
+          variantLabel: variant.label,
+          optionValues: variant.optionValues,
+        }),
+      },
+    }));
+
+    // Pick each line from the warehouses closest to the shipping address
+    const warehouses = await getAllocationWarehouses(
+      pricing.items.map(({ product, variant }) => variant || product)
+    );
+    for (const [index, line] of pricing.items.entries()) {
+      const { allocations, available } = allocateStock(
+        line.variant || line.product,
+        line.quantity,
+        shippingAddress,
+        warehouses
+      );
+
+      if (allocations) {
+        orderItems[index].allocations = allocations;
+      } else {
+        shortages.push(
+          stockShortage(line.product, line.variant, line.quantity, available)
+        );
       }
     }
 
+    if (shortages.length > 0) {
+      throw insufficientStockError(shortages);
+    }
+
     // Generate unique order number
     const orderNumber = `ORD-${Date.now()}-${Math.random()
       .toString(36)
       .substr(2, 9)
       .toUpperCase()}`;
 
-    const order = new Order({
-      user: req.user.id,
-      orderNumber,
-      items: orderItems,
-      shippingAddress,
-      billingAddress: shippingAddress, // Use shipping address as billing address if not provided
-      paymentInfo: {
-        method: paymentMethod,
-        status: 'pending',
-      },
-      pricing: {
-        itemsPrice,
-        shippingPrice,
-        taxPrice,
-        totalPrice: totalPrice || itemsPrice + shippingPrice + taxPrice,
-      },
-      orderStatus: 'pending',
-    });
+    // Stock, order and cart change together or not at all. The callback may be
+    // retried on transient errors, so the order document is built inside it.
+    // The ID is fixed up front so stock movements can point at the order
+    const orderId = new mongoose.Types.ObjectId();
+    let savedOrder;
+    await mongoose.connection.transaction(async session => {
+      const reserveShortages = await reserveStock(orderItems, {
+        order: orderId,
+        user: req.user._id,
+        session,
+      });
+      if (reserveShortages.length > 0) {
+        throw insufficientStockError(reserveShortages);
+      }
 
-    const savedOrder = await order.save();
+      const order = new Order({
+        _id: orderId,
+        user: req.user.id,
+        orderNumber,
+        items: orderItems,
+        shippingAddress,
+        billingAddress: shippingAddress, // Use shipping address as billing address if not provided
+        shippingInfo: {
+          method: shipping.code,
+          zone: shipping.zone,
+        },
+        paymentInfo: {
+          method: paymentMethod,
+          status: 'pending',
+        },
+        pricing: {
+          itemsPrice: pricing.itemsPrice,
+          shippingPrice: pricing.shippingPrice,
+          taxPrice: pricing.taxPrice,
+          taxLines: pricing.taxLines,
+          pricesIncludeTax: pricing.pricesIncludeTax,
+          discountAmount: pricing.discountAmount,
+          totalPrice: pricing.totalPrice,
+        },
+        couponCode: appliedCoupon,
+        orderStatus: 'pending',
+      });
+
+      // Cash on delivery orders are confirmed without waiting for payment
+      if (paymentProvider.confirmsWithoutPayment) {
+        order.setStatus('confirmed', {
+          notes: `Confirmed for ${paymentProvider.label}; payment due on delivery`,
+        });
+      }
+
+      savedOrder = await order.save({ session });
+
+      // Clear the cart the order was created from
+      if (cart) {
+        await Cart.deleteOne({ _id: cart._id }, { session });
+      }
+    });
 
     // Transform response to match expected test format
     const orderResponse = {
@@ -163,6 +412,7 @@ export const createOrder = async (req, res) => {
       status: savedOrder.orderStatus,
       shippingAddress: savedOrder.shippingAddress,
       billingAddress: savedOrder.billingAddress,
+      shippingInfo: savedOrder.shippingInfo,
       paymentInfo: savedOrder.paymentInfo,
       pricing: savedOrder.pricing,
       orderNumber: savedOrder.orderNumber,
@@ -181,7 +431,30 @@ export const createOrder = async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    res.status(500).json({
+    if (['INSUFFICIENT_STOCK', 'PRICE_CHANGED'].includes(error.errorCode)) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.details,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (
+      ['SHIPPING_METHOD_REQUIRED', 'SHIPPING_UNAVAILABLE'].includes(
+        error.errorCode
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errorCode: error.errorCode,
+        ...(error.details && { availableMethods: error.details.available }),
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to create order',
       error: error.message,
@@ -195,6 +468,7 @@ export const getAllOrders = async (req, res) => {
   try {
     const {
       status,
+      returnStatus,
       page = 1,
       limit = 10,
       sort = 'createdAt',
@@ -203,6 +477,10 @@ export const getAllOrders = async (req, res) => {
 
     const filter = {};
     if (status) filter.status = status;
+    // e.g. ?returnStatus=requested for returns waiting on a decision
+    if (RETURN_STATUSES.includes(returnStatus)) {
+      filter['returns.status'] = returnStatus;
+    }
 
     // Whitelist allowed sort fields to prevent injection
     const allowedSortFields = [
@@ -337,59 +615,65 @@ export const getOrderById = async (req, res) => {
   }
 };
 
-// Update order status (Admin only)
+// Update order status (Admin only). Only moves allowed by
+// ORDER_TRANSITIONS are accepted; see utils/orderStateMachine.mjs
 export const updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = [
-      'pending',
-      'processing',
-      'shipped',
-      'delivered',
-      'cancelled',
-    ];
+    const { status, notes, carrier, trackingNumber, estimatedDelivery } =
+      req.body;
 
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid order status',
       });
     }
 
-    const order = await Order.findById(
-      new mongoose.Types.ObjectId(req.params.id)
-    );
+    // Follows from shipments rather than being set directly
+    if (status === 'partially-shipped') {
+      return res.status(400).json({
+        success: false,
+        message: 'Record each box with POST /api/orders/:id/shipments',
+      });
+    }
 
-    if (!order) {
-      return res.status(404).json({
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
         success: false,
-        message: 'Order not found',
+        message: 'Invalid order ID format',
       });
     }
 
-    order.status = status;
+    const order = await Order.findById(req.params.id);
 
-    // Update delivery date if delivered
-    if (status === 'delivered') {
-      order.deliveredAt = new Date();
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
     }
 
-    // Add to status history
-    order.statusHistory.push({
-      status,
-      timestamp: new Date(),
-      note: `Status updated by admin`,
+    await transitionOrder(order, status, {
+      updatedBy: req.user._id,
+      notes,
+      shipping: { carrier, trackingNumber, estimatedDelivery },
     });
 
-    await order.save();
-
     res.json({
       success: true,
       message: 'Order status updated successfully',
       data: order,
     });
   } catch (error) {
-    res.status(500).json({
+    if (error.errorCode === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        allowedTransitions: error.details.allowed,
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to update order status',
       error: error.message,
@@ -420,34 +704,19 @@ export const cancelOrder = async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (order.status === 'delivered' || order.status === 'cancelled') {
+    if (!order.canTransitionTo('cancelled')) {
       return res.status(400).json({
         success: false,
         message: 'Order cannot be cancelled',
       });
     }
 
-    // Restore product inventory
-    for (const item of order.items) {
-      const product = await Product.findById(
-        new mongoose.Types.ObjectId(item.product)
-      );
-      if (product) {
-        product.inventory.quantity += item.quantity;
-        product.inventory.inStock = true;
-        await product.save();
-      }
-    }
-
-    order.status = 'cancelled';
-    order.statusHistory.push({
-      status: 'cancelled',
-      timestamp: new Date(),
-      note: 'Cancelled by user',
+    // Restores product inventory and cancels the order together
+    await transitionOrder(order, 'cancelled', {
+      updatedBy: req.user._id,
+      notes: 'Cancelled by customer',
     });
 
-    await order.save();
-
     res.json({
       success: true,
       message: 'Order cancelled successfully',
@@ -462,6 +731,257 @@ export const cancelOrder = async (req, res) => {
   }
 };
 
+// Units go back in stock unless restock is false (or "false" from a form)
+const wantsRestock = restock => String(restock) !== 'false';
+
+// Refund a whole order or selected items (Admin only)
+export const refundOrder = async (req, res) => {
+  try {
+    const { items, reason } = req.body;
+
+    // Validate order ID format
+    if (!req.params.id || !req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID format',
+      });
+    }
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items must be an array of { itemId, quantity }',
+      });
+    }
+
+    const order = await Order.findById(
+      new mongoose.Types.ObjectId(req.params.id)
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const refund = await issueRefund(order, {
+      items,
+      reason,
+      restock: wantsRestock(req.body.restock),
+      user: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund issued successfully',
+      data: {
+        refund,
+        paymentInfo: order.paymentInfo,
+        orderStatus: order.orderStatus,
+      },
+    });
+  } catch (error) {
+    if (
+      ['NOT_REFUNDABLE', 'REFUND_CONFLICT', 'REFUND_IN_PROGRESS'].includes(
+        error.errorCode
+      )
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    logger.error('Failed to refund order', {
+      orderId: req.params.id,
+      error: error.message,
+    });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to refund order',
+      error: error.message,
+    });
+  }
+};
+
+// Answer requests that failed a check with its own status and message
+const sendOrderError = (res, error, fallbackMessage) => {
+  if (error instanceof AppError && error.statusCode < 500) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  logger.error(fallbackMessage, { error: error.message });
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+const findOrderToUpdate = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid order ID format',
+    });
+    return null;
+  }
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// Request a return of delivered items (customers, for their own orders)
+export const createReturn = async (req, res) => {
+  try {
+    const order = await findOrderToUpdate(req, res);
+    if (!order) return;
+
+    if (order.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const entry = requestReturn(order, {
+      items: req.body.items,
+      notes: req.body.notes,
+      user: req.user._id,
+    });
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Return ${entry.rmaNumber} requested`,
+      data: entry,
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to request return');
+  }
+};
+
+// Approve or reject a return request (Admin only)
+const reviewReturnRequest = approve => async (req, res) => {
+  try {
+    const order = await findOrderToUpdate(req, res);
+    if (!order) return;
+
+    const entry = reviewReturn(order, req.params.returnId, {
+      approve,
+      notes: req.body.notes,
+      user: req.user._id,
+    });
+    await order.save();
+
+    res.json({
+      success: true,
+      message: `Return ${entry.rmaNumber} ${entry.status}`,
+      data: entry,
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to review return');
+  }
+};
+
+export const approveReturn = reviewReturnRequest(true);
+export const rejectReturn = reviewReturnRequest(false);
+
+// Record an approved return as received, restocking and refunding its items
+// (Admin only)
+export const receiveReturnedItems = async (req, res) => {
+  try {
+    const order = await findOrderToUpdate(req, res);
+    if (!order) return;
+
+    const entry = await receiveReturn(order, req.params.returnId, {
+      restock: wantsRestock(req.body.restock),
+      notes: req.body.notes,
+      user: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: `Return ${entry.rmaNumber} received and refunded`,
+      data: {
+        return: entry,
+        refund: order.refunds.id(entry.refund),
+        paymentInfo: order.paymentInfo,
+        orderStatus: order.orderStatus,
+      },
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to receive return');
+  }
+};
+
+// Record a box leaving with some or all of the remaining items (Admin only)
+export const addShipment = async (req, res) => {
+  try {
+    const order = await findOrderToUpdate(req, res);
+    if (!order) return;
+
+    const { items, carrier, trackingNumber, estimatedDelivery, notes } =
+      req.body;
+    const shipment = await createShipment(order, {
+      items,
+      carrier,
+      trackingNumber,
+      estimatedDelivery,
+      notes,
+      user: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment recorded successfully',
+      data: {
+        shipment,
+        orderStatus: order.orderStatus,
+        unshippedItems: order.unshippedItems(),
+      },
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to record shipment');
+  }
+};
+
+// Record a shipment as delivered (Admin only)
+export const markShipmentDelivered = async (req, res) => {
+  try {
+    const order = await findOrderToUpdate(req, res);
+    if (!order) return;
+
+    const shipment = await deliverShipment(order, req.params.shipmentId, {
+      notes: req.body.notes,
+      user: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Shipment marked as delivered',
+      data: {
+        shipment,
+        orderStatus: order.orderStatus,
+      },
+    });
+  } catch (error) {
+    sendOrderError(res, error, 'Failed to update shipment');
+  }
+};
+
 // Get order statistics (Admin only)
 export const getOrderStats = async (req, res) => {
   try {
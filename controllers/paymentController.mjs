@@ -1,39 +1,318 @@
-import Stripe from "stripe";
-import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { Order } from "../models/OrderSchema.mjs";
+import { WebhookEvent } from "../models/WebhookEventSchema.mjs";
+import logger from "../utils/logger.mjs";
+import {
+  getPaymentProvider,
+  applyPaymentEvent,
+  markOrderPaid,
+} from "../utils/payments/index.mjs";
 
-// Load environment variables
-dotenv.config();
+// Load an order by the :orderId param, optionally restricted to its owner
+const findOrderFromParams = async (req, res, { ownerOnly = true } = {}) => {
+  const { orderId } = req.params;
 
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
-export const payment = async (req, res) => {
+  // Validate order ID format
+  if (!orderId || !orderId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid order ID format",
+    });
+    return null;
+  }
+
+  const filter = { _id: new mongoose.Types.ObjectId(orderId) };
+  if (ownerOnly) filter.user = req.user._id;
+
+  const order = await Order.findOne(filter);
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: "Order not found",
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// Start payment for one of the current user's orders with its chosen provider
+export const createCheckoutSession = async (req, res) => {
+  try {
+    const order = await findOrderFromParams(req, res);
+    if (!order) return;
+
+    if (order.orderStatus === "cancelled") {
+      return res.status(409).json({
+        success: false,
+        message: "Cancelled orders cannot be paid",
+      });
+    }
+
+    if (!["pending", "failed"].includes(order.paymentInfo.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Order payment is already ${order.paymentInfo.status}`,
+      });
+    }
+
+    const provider = getPaymentProvider(order.paymentInfo.method);
+    const result = await provider.createPayment(order, { user: req.user });
+
+    if (result.sessionId) {
+      order.paymentInfo.sessionId = result.sessionId;
+    }
+
+    // Cash on delivery needs no payment up front
+    if (provider.confirmsWithoutPayment && order.orderStatus === "pending") {
+      order.setStatus("confirmed", {
+        updatedBy: req.user._id,
+        notes: `Confirmed for ${provider.label}; payment due on delivery`,
+      });
+    }
+
+    if (order.isModified()) {
+      await order.save();
+    }
+
+    res.status(result.reused ? 200 : 201).json({
+      success: true,
+      message: result.reused
+        ? "Checkout session already open"
+        : "Checkout session created successfully",
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        paymentMethod: order.paymentInfo.method,
+        orderStatus: order.orderStatus,
+        sessionId: result.sessionId,
+        url: result.url,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to create checkout session", {
+      orderId: req.params.orderId,
+      error: error.message,
+    });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to create checkout session",
+      error: error.message,
+    });
+  }
+};
+
+// Capture an approved online payment when the customer returns from checkout
+export const capturePayment = async (req, res) => {
+  try {
+    const order = await findOrderFromParams(req, res);
+    if (!order) return;
+
+    const provider = getPaymentProvider(order.paymentInfo.method);
+    if (provider.confirmsWithoutPayment) {
+      return res.status(400).json({
+        success: false,
+        message: `${provider.label} payments are recorded by an admin on delivery`,
+      });
+    }
+
+    if (order.orderStatus === "cancelled") {
+      return res.status(409).json({
+        success: false,
+        message: "Cancelled orders cannot be paid",
+      });
+    }
+
+    if (order.paymentInfo.status === "paid") {
+      return res.json({
+        success: true,
+        message: "Order is already paid",
+        data: {
+          paymentInfo: order.paymentInfo,
+          orderStatus: order.orderStatus,
+        },
+      });
+    }
+
+    const result = await provider.capturePayment(order, req.body);
+    if (result.status !== "paid") {
+      return res.status(402).json({
+        success: false,
+        message: "Payment has not been completed yet",
+      });
+    }
+
+    await markOrderPaid(order, {
+      transactionId: result.transactionId,
+      paidAt: result.paidAt,
+      updatedBy: req.user._id,
+      notes: `Payment captured via ${provider.label} (${result.transactionId})`,
+    });
+
+    res.json({
+      success: true,
+      message: "Payment captured successfully",
+      data: { paymentInfo: order.paymentInfo, orderStatus: order.orderStatus },
+    });
+  } catch (error) {
+    logger.error("Failed to capture payment", {
+      orderId: req.params.orderId,
+      error: error.message,
+    });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to capture payment",
+      error: error.message,
+    });
+  }
+};
+
+// Record cash collected on delivery for a cash-on-delivery order (Admin only)
+export const collectCashPayment = async (req, res) => {
   try {
-    const session = await stripe.checkout.sessions.create({
-      line_items: req.body.products.map((product) => {
-        return {
-          price_data: {
-            currency: "USD",
-            product_data: {
-              name: product.name,
-            },
-            unit_amount: product.unit_amount * 100,
-          },
-          quantity: product.quantity,
-        };
-      }),
-      mode: "payment",
-      success_url:
-        process.env.FRONTEND_SUCCESS_URL || "http://localhost:5173/success",
-      cancel_url:
-        process.env.FRONTEND_CANCEL_URL || "http://localhost:5173/cancel",
+    const order = await findOrderFromParams(req, res, { ownerOnly: false });
+    if (!order) return;
+
+    if (order.paymentInfo.method !== "cash-on-delivery") {
+      return res.status(400).json({
+        success: false,
+        message: "Only cash-on-delivery orders can be collected",
+      });
+    }
+
+    if (order.orderStatus === "cancelled") {
+      return res.status(409).json({
+        success: false,
+        message: "Cancelled orders cannot be collected",
+      });
+    }
+
+    if (order.paymentInfo.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        message: `Order payment is already ${order.paymentInfo.status}`,
+      });
+    }
+
+    const provider = getPaymentProvider(order.paymentInfo.method);
+    const result = await provider.capturePayment(order, req.body);
+
+    await markOrderPaid(order, {
+      transactionId: result.transactionId,
+      paidAt: result.paidAt,
+      updatedBy: req.user._id,
+      notes: `Cash collected on delivery${
+        req.body.notes ? `: ${req.body.notes}` : ""
+      }`,
+    });
+
+    logger.logBusiness("Cash on delivery collected", {
+      orderId: order._id,
+      adminId: req.user._id,
+      amount: order.pricing.totalPrice,
     });
+
     res.json({
       success: true,
-      session,
+      message: "Cash payment recorded successfully",
+      data: { paymentInfo: order.paymentInfo, orderStatus: order.orderStatus },
     });
   } catch (error) {
-    return res.json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to record cash payment",
+      error: error.message,
+    });
+  }
+};
+
+// Handle payment provider webhooks (expects the raw request body)
+export const paymentWebhook = async (req, res) => {
+  const providerName = req.params.provider || "stripe";
+
+  let event;
+  try {
+    const provider = getPaymentProvider(providerName);
+    event = await provider.verifyWebhook(req.body, req.headers);
+  } catch (error) {
+    logger.warn("Payment webhook rejected", {
+      provider: providerName,
+      error: error.message,
+    });
+    return res.status(error.statusCode || 400).json({
       success: false,
       message: error.message,
     });
   }
+
+  // Claim the event first; a replayed delivery hits the unique index
+  try {
+    await WebhookEvent.create({
+      provider: event.provider,
+      eventId: event.id,
+      type: event.rawType || event.type,
+      status: event.type ? "processing" : "ignored",
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.json({ success: true, received: true, duplicate: true });
+    }
+    logger.error("Failed to record payment webhook event", {
+      provider: event.provider,
+      eventId: event.id,
+      error: error.message,
+    });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to record webhook event",
+    });
+  }
+
+  if (!event.type) {
+    return res.json({ success: true, received: true });
+  }
+
+  try {
+    const order = await applyPaymentEvent(event);
+
+    await WebhookEvent.updateOne(
+      { provider: event.provider, eventId: event.id },
+      { status: "processed", order: order?._id, processedAt: new Date() }
+    );
+
+    if (!order) {
+      logger.warn("Payment webhook event did not match any order", {
+        provider: event.provider,
+        eventId: event.id,
+        type: event.rawType,
+      });
+    } else {
+      logger.logBusiness("Payment webhook processed", {
+        provider: event.provider,
+        eventId: event.id,
+        type: event.rawType,
+        orderId: order._id,
+        paymentStatus: order.paymentInfo.status,
+      });
+    }
+
+    res.json({ success: true, received: true });
+  } catch (error) {
+    // Release the claim so the provider's retry can process the event again
+    await WebhookEvent.deleteOne({
+      provider: event.provider,
+      eventId: event.id,
+    });
+    logger.error("Failed to process payment webhook event", {
+      provider: event.provider,
+      eventId: event.id,
+      type: event.rawType,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      message: "Failed to process webhook event",
+      error: error.message,
+    });
+  }
 };
@@ -1,4 +1,34 @@
-import { Product } from '../models/ProductSchema.mjs';
+import mongoose from 'mongoose';
+import { LISTED_STATUSES, Product } from '../models/ProductSchema.mjs';
+import { buildProductFilter, searchCatalog } from '../utils/productSearch.mjs';
+import { getSuggestions } from '../utils/productSuggest.mjs';
+import {
+  readImportRows,
+  importProductRows,
+  streamProductExport,
+} from '../utils/productTransfer.mjs';
+import logger from '../utils/logger.mjs';
+import {
+  getStockHistory,
+  saveProductStock,
+  setStock,
+  adjustStock,
+  assertWarehouseTarget,
+  stockLevels,
+} from '../utils/inventoryService.mjs';
+import { getLowStockItems } from '../utils/stockAlerts.mjs';
+import { getPriceHistory, recordCatalogPrice } from '../utils/priceHistory.mjs';
+import { getSaleCampaigns } from '../utils/salePricing.mjs';
+import { resolvePrice } from '../utils/pricingEngine.mjs';
+import {
+  MAX_RECOMMENDATIONS,
+  getRecommendations,
+} from '../utils/recommendations.mjs';
+import { recordProductView, viewerOf } from '../utils/recentlyViewed.mjs';
+import {
+  subscribeToRestock,
+  unsubscribeFromRestock,
+} from '../utils/backInStock.mjs';
 
 // CREATE a new product
 export const createProduct = async (req, res) => {
@@ -11,11 +41,20 @@ export const createProduct = async (req, res) => {
     category,
     brand,
     inventory,
+    stock,
+    warehouseStock,
+    status,
+    publishAt,
+    unpublishAt,
+    sale,
+    attributes,
     tags = [],
     seoTitle,
     seoDescription,
     weight,
     dimensions,
+    options = [],
+    variants = [],
   } = req.body;
 
   try {
@@ -33,6 +72,13 @@ export const createProduct = async (req, res) => {
       price,
       category,
       brand,
+      stock,
+      warehouseStock,
+      status,
+      publishAt,
+      unpublishAt,
+      sale,
+      attributes,
       inventory: inventory || { inStock: true, quantity: 0 },
       tags,
       seo: {
@@ -43,9 +89,20 @@ export const createProduct = async (req, res) => {
         weight,
         dimensions,
       },
+      options,
+      variants,
     });
 
-    const savedProduct = await newProduct.save();
+    // Opening stock is the first entry in the inventory ledger
+    const savedProduct = await saveProductStock(newProduct, new Map(), {
+      type: 'initial',
+      user: req.user?._id,
+      reason: 'Product created',
+    });
+    await recordCatalogPrice(savedProduct, {
+      change: 'initial',
+      user: req.user?._id,
+    });
 
     res.status(201).json({
       success: true,
@@ -65,30 +122,18 @@ export const createProduct = async (req, res) => {
 export const getProducts = async (req, res) => {
   try {
     const {
-      category,
-      brand,
-      minPrice,
-      maxPrice,
-      inStock,
       page = 1,
       limit = 10,
       sort = 'createdAt',
       order = 'desc',
     } = req.query;
 
-    // Build filter object
-    const filter = {};
-
-    if (category) filter.category = { $regex: category, $options: 'i' };
-    if (brand) filter.brand = { $regex: brand, $options: 'i' };
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = Number(minPrice);
-      if (maxPrice) filter.price.$lte = Number(maxPrice);
-    }
-    if (inStock !== undefined) {
-      filter['inventory.inStock'] = inStock === 'true';
-    }
+    // Category (with subcategories), brand, price, rating, tags and stock.
+    // Drafts and products outside their publish window are never listed.
+    const filter = {
+      ...(await buildProductFilter(req.query)),
+      ...Product.publishedFilter(LISTED_STATUSES),
+    };
 
     // Build sort object
     const sortOrder = order === 'desc' ? -1 : 1;
@@ -124,11 +169,548 @@ export const getProducts = async (req, res) => {
   }
 };
 
+// Search products by text with filters and facet counts
+export const searchProducts = async (req, res) => {
+  try {
+    const { products, total, facets, query, correctedQuery, page, limit } =
+      await searchCatalog(req.query);
+
+    res.json({
+      success: true,
+      data: products,
+      facets,
+      query,
+      correctedQuery,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search products',
+      error: error.message,
+    });
+  }
+};
+
+// Type-ahead suggestions for the search box
+export const suggestProducts = async (req, res) => {
+  try {
+    const suggestions = await getSuggestions(req.query.q);
+
+    res.json({
+      success: true,
+      data: suggestions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suggestions',
+      error: error.message,
+    });
+  }
+};
+
+// Bulk import products from a CSV or JSON file, upserting by SKU
+export const importProducts = async (req, res) => {
+  try {
+    const rows = readImportRows(req.file, req.body);
+    const dryRun = [req.query.dryRun, req.body?.dryRun].some(
+      value => value === true || value === 'true'
+    );
+
+    const result = await importProductRows(rows, {
+      dryRun,
+      userId: req.user?._id,
+    });
+
+    res.json({
+      success: result.summary.invalid === 0 && result.summary.failed === 0,
+      message: dryRun
+        ? 'Dry run complete, no products were changed'
+        : 'Import complete',
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to import products',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Stream the filtered catalog as CSV or NDJSON
+export const exportProducts = async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'ndjson'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format must be csv or ndjson',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  try {
+    const filter = await buildProductFilter(req.query);
+    if (req.query.status) filter.status = req.query.status;
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader(
+      'Content-Type',
+      format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="products-${date}.${format}"`
+    );
+
+    const count = await streamProductExport(filter, format, res);
+    res.end();
+
+    logger.logBusiness('Products exported', {
+      userId: req.user?._id?.toString(),
+      format,
+      count,
+    });
+  } catch (error) {
+    // Once rows are streamed the status line is gone; cut the download short
+    if (res.headersSent) {
+      logger.error('Product export failed', { error: error.message });
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export products',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// SKUs at or below their low stock threshold (Admin only)
+export const getLowStockProducts = async (req, res) => {
+  try {
+    const { category, level } = req.query;
+    if (level && !['low', 'out-of-stock'].includes(level)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Level must be low or out-of-stock',
+      });
+    }
+
+    const items = await getLowStockItems({ category, level });
+
+    res.json({
+      success: true,
+      data: items,
+      summary: {
+        total: items.length,
+        outOfStock: items.filter(item => item.level === 'out-of-stock').length,
+        low: items.filter(item => item.level === 'low').length,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch low stock report',
+      error: error.message,
+    });
+  }
+};
+
+// Stock movement history of a product (Admin only)
+export const getInventoryHistory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format',
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select(
+      'title sku stock warehouseStock variants'
+    );
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const { movements, total } = await getStockHistory(product._id, {
+      variant: mongoose.Types.ObjectId.isValid(req.query.variantId)
+        ? req.query.variantId
+        : undefined,
+      warehouse: mongoose.Types.ObjectId.isValid(req.query.warehouseId)
+        ? req.query.warehouseId
+        : undefined,
+      type: req.query.type,
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        product: {
+          _id: product._id,
+          title: product.title,
+          sku: product.sku,
+          stock: product.stock,
+          warehouseStock: product.warehouseStock,
+          variants: product.variants.map(variant => ({
+            _id: variant._id,
+            sku: variant.sku,
+            label: variant.label,
+            stock: variant.stock,
+            warehouseStock: variant.warehouseStock,
+          })),
+        },
+        movements,
+      },
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inventory history',
+      error: error.message,
+    });
+  }
+};
+
+// Recorded selling prices of a product, newest first
+export const getProductPriceHistory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format',
+      });
+    }
+
+    // Like the product page, unpublished products are only shown to admins
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...(req.user?.isAdmin ? {} : Product.publishedFilter(LISTED_STATUSES)),
+    }).select('title sku category price sale variants');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const variant = req.query.variantId
+      ? product.getVariant(req.query.variantId)
+      : null;
+    if (req.query.variantId && !variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product variant not found',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const [{ entries, total }, campaigns] = await Promise.all([
+      getPriceHistory(product._id, { variant: variant?._id, page, limit }),
+      getSaleCampaigns(),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        product: {
+          _id: product._id,
+          title: product.title,
+          sku: (variant || product).sku,
+          variant: variant?._id,
+          current: resolvePrice(product, variant, campaigns),
+        },
+        history: entries,
+      },
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch price history',
+      error: error.message,
+    });
+  }
+};
+
+// Precomputed recommendations; products not yet covered by the nightly
+// refresh get an empty list
+const sendRecommendations = (list, failureMessage) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format',
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || MAX_RECOMMENDATIONS, 1),
+      MAX_RECOMMENDATIONS
+    );
+    const products = await getRecommendations(req.params.id, list, limit);
+
+    res.json({
+      success: true,
+      count: products.length,
+      data: products,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: failureMessage,
+      error: error.message,
+    });
+  }
+};
+
+// Products in the same category or with shared tags at a similar price
+export const getRelatedProducts = sendRecommendations(
+  'related',
+  'Failed to fetch related products'
+);
+
+// Products most often ordered together with this one
+export const getBoughtTogether = sendRecommendations(
+  'boughtTogether',
+  'Failed to fetch frequently bought together products'
+);
+
+// Manually adjust stock by a delta or set a counted level (Admin only)
+export const adjustInventory = async (req, res) => {
+  try {
+    const { quantity, stock, variantId, warehouseId, reason } = req.body;
+
+    if ((quantity === undefined) === (stock === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either quantity (a change) or stock (a new level)',
+      });
+    }
+
+    if (
+      (quantity !== undefined && (!Number.isInteger(quantity) || !quantity)) ||
+      (stock !== undefined && (!Number.isInteger(stock) || stock < 0))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'Quantity must be a non-zero integer and stock a non-negative integer',
+      });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for stock adjustments',
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID format',
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select(
+      'sku stock warehouseStock variants'
+    );
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const variant = product.hasVariants ? product.getVariant(variantId) : null;
+    if (product.hasVariants && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose the variant whose stock to adjust',
+      });
+    }
+
+    if (
+      warehouseId !== undefined &&
+      !mongoose.Types.ObjectId.isValid(warehouseId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid warehouse ID format',
+      });
+    }
+    assertWarehouseTarget(variant || product, warehouseId);
+
+    const details = {
+      product: product._id,
+      variant: variant?._id,
+      warehouse: warehouseId,
+      type: 'adjustment',
+      user: req.user._id,
+      reason: reason.trim(),
+    };
+    const result =
+      stock !== undefined
+        ? await setStock({ ...details, stock })
+        : await adjustStock({ ...details, quantity });
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'Adjustment would take stock below zero',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: {
+        movement: result.movement,
+        stock: result.product.stock,
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to adjust stock',
+      error: error.message,
+    });
+  }
+};
+
+// Ask to be emailed when an out-of-stock product is available again
+export const subscribeBackInStock = async (req, res) => {
+  try {
+    const email = req.user?.email || req.body.email;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Log in or provide an email address',
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select(
+      'title status stock variants'
+    );
+    if (!product || !['active', 'out-of-stock'].includes(product.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const variant = product.hasVariants
+      ? product.getVariant(req.body.variantId)
+      : null;
+    if (product.hasVariants && (!variant || !variant.isActive)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose the variant you are waiting for',
+      });
+    }
+
+    if ((variant || product).stock > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Product is in stock',
+      });
+    }
+
+    const { subscription, created } = await subscribeToRestock({
+      product: product._id,
+      variant: variant?._id,
+      user: req.user?._id,
+      email,
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: `We will email ${subscription.email} when it is back in stock`,
+      data: {
+        product: product._id,
+        variant: variant?._id,
+        email: subscription.email,
+        createdAt: subscription.createdAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save back in stock alert',
+      error: error.message,
+    });
+  }
+};
+
+// Stop back in stock alerts using the link from an alert email
+export const unsubscribeBackInStock = async (req, res) => {
+  try {
+    const cancelled = await unsubscribeFromRestock(req.params.token);
+    if (cancelled === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unsubscribe link is invalid',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You will no longer receive back in stock alerts',
+      data: { cancelled },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe',
+      error: error.message,
+    });
+  }
+};
+
 // GET product by ID
 export const getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    // Shoppers only reach published products; admins can preview any
+    const isAdmin = Boolean(req.user?.isAdmin);
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...(isAdmin ? {} : Product.publishedFilter(LISTED_STATUSES)),
+    });
     if (product) {
+      // Not awaited; a failed view count never holds up the page. Admin
+      // previews are not counted.
+      if (!isAdmin) recordProductView(product._id, viewerOf(req));
+
       res.json({
         success: true,
         data: product,
@@ -153,18 +735,54 @@ export const getProductById = async (req, res) => {
 
 // UPDATE product by ID
 export const updateProduct = async (req, res) => {
-  const { title, description, price, image } = req.body;
+  const {
+    title,
+    description,
+    price,
+    image,
+    options,
+    variants,
+    warehouseStock,
+    status,
+    publishAt,
+    unpublishAt,
+    sale,
+    attributes,
+  } = req.body;
 
   try {
     const product = await Product.findById(req.params.id);
 
     if (product) {
+      const stockBefore = stockLevels(product);
       product.title = title || product.title;
       product.description = description || product.description;
       product.image = image || product.image;
       product.price = price || product.price;
-
-      const updatedProduct = await product.save();
+      if (options !== undefined) product.options = options;
+      // Existing variants keep their IDs
+      if (variants !== undefined) product.setVariants(variants);
+      if (warehouseStock !== undefined) product.warehouseStock = warehouseStock;
+      if (status !== undefined) product.status = status;
+      // null clears a scheduled time
+      if (publishAt !== undefined) product.publishAt = publishAt;
+      if (unpublishAt !== undefined) product.unpublishAt = unpublishAt;
+      // null ends the sale
+      if (sale !== undefined) product.sale = sale;
+      // Checked against the category's attribute schema on save
+      if (attributes !== undefined) product.attributes = attributes;
+
+      // Replacing variants or warehouse stock changes stock, which the
+      // ledger records
+      const updatedProduct = await saveProductStock(product, stockBefore, {
+        type: 'adjustment',
+        user: req.user._id,
+        reason: 'Product edited',
+      });
+      await recordCatalogPrice(updatedProduct, {
+        change: 'edit',
+        user: req.user._id,
+      });
       res.json(updatedProduct);
     } else {
       res.status(404).json({ message: 'Product not found' });
@@ -0,0 +1,170 @@
+import mongoose from "mongoose";
+import { SaleCampaign } from "../models/SaleCampaignSchema.mjs";
+import { asyncHandler } from "../utils/errorHandler.mjs";
+import { clearSaleCampaignCache } from "../utils/salePricing.mjs";
+import { recordCategoryPriceChanges } from "../utils/priceHistory.mjs";
+import { resolveCategoryIds } from "../utils/productSearch.mjs";
+import logger from "../utils/logger.mjs";
+
+// Fields admins may set
+const EDITABLE_FIELDS = [
+  "name",
+  "categories",
+  "percentOff",
+  "startsAt",
+  "endsAt",
+  "isActive",
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    Object.entries(body || {}).filter(([key]) => EDITABLE_FIELDS.includes(key))
+  );
+
+const findCampaign = async (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? SaleCampaign.findById(id) : null;
+
+// New prices apply at once; products in the affected categories get their
+// price history brought up to date in the background
+const repriceCategories = async (categories, userId) => {
+  clearSaleCampaignCache();
+
+  try {
+    const categoryIds = await resolveCategoryIds(categories.map(String));
+    const recorded = await recordCategoryPriceChanges(categoryIds, {
+      change: "campaign",
+      user: userId,
+    });
+    logger.logBusiness("Campaign prices recorded", { recorded });
+  } catch (error) {
+    logger.error("Failed to record campaign prices", { error: error.message });
+  }
+};
+
+// @desc    Get all sale campaigns
+// @route   GET /api/campaigns
+// @access  Private/Admin
+export const getCampaigns = asyncHandler(async (req, res) => {
+  const filter = {};
+  const now = new Date();
+
+  if (req.query.state === "live") {
+    Object.assign(filter, {
+      isActive: true,
+      startsAt: { $lte: now },
+      endsAt: { $gt: now },
+    });
+  } else if (req.query.state === "upcoming") {
+    Object.assign(filter, { isActive: true, startsAt: { $gt: now } });
+  } else if (req.query.state === "ended") {
+    filter.endsAt = { $lte: now };
+  }
+
+  const campaigns = await SaleCampaign.find(filter)
+    .populate("categories", "name slug")
+    .sort({ startsAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: campaigns.length,
+    data: campaigns,
+  });
+});
+
+// @desc    Get single sale campaign
+// @route   GET /api/campaigns/:id
+// @access  Private/Admin
+export const getCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({
+      success: false,
+      message: "Campaign not found",
+    });
+  }
+
+  await campaign.populate("categories", "name slug");
+
+  res.status(200).json({
+    success: true,
+    data: campaign,
+  });
+});
+
+// @desc    Create sale campaign
+// @route   POST /api/campaigns
+// @access  Private/Admin
+export const createCampaign = asyncHandler(async (req, res) => {
+  const campaign = await SaleCampaign.create({
+    ...pickEditable(req.body),
+    createdBy: req.user._id,
+  });
+
+  repriceCategories(campaign.categories, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: campaign,
+  });
+});
+
+// @desc    Update sale campaign
+// @route   PUT /api/campaigns/:id
+// @access  Private/Admin
+export const updateCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({
+      success: false,
+      message: "Campaign not found",
+    });
+  }
+
+  // Categories dropped from the campaign go back to their regular prices
+  const previousCategories = [...campaign.categories];
+  campaign.set(pickEditable(req.body));
+  await campaign.save();
+
+  repriceCategories(
+    [...previousCategories, ...campaign.categories],
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: campaign,
+  });
+});
+
+// @desc    Delete sale campaign
+// @route   DELETE /api/campaigns/:id
+// @access  Private/Admin
+export const deleteCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({
+      success: false,
+      message: "Campaign not found",
+    });
+  }
+
+  // Campaigns that priced orders stay on record; end them early instead
+  if (campaign.startsAt <= new Date()) {
+    return res.status(409).json({
+      success: false,
+      message:
+        "Cannot delete a campaign that has started; deactivate it or move its end date instead.",
+    });
+  }
+
+  await campaign.deleteOne();
+  clearSaleCampaignCache();
+
+  res.status(200).json({
+    success: true,
+    message: "Campaign deleted successfully",
+  });
+});
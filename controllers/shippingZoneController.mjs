@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+import { ShippingZone } from "../models/ShippingZoneSchema.mjs";
+import { asyncHandler } from "../utils/errorHandler.mjs";
+import { clearShippingZoneCache } from "../utils/shippingEngine.mjs";
+
+// Fields admins may set
+const EDITABLE_FIELDS = [
+  "name",
+  "countries",
+  "states",
+  "zipPrefixes",
+  "priority",
+  "methods",
+  "isActive",
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    Object.entries(body || {}).filter(([key]) => EDITABLE_FIELDS.includes(key))
+  );
+
+const findZone = async (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? ShippingZone.findById(id) : null;
+
+// @desc    Get all shipping zones
+// @route   GET /api/shipping-zones
+// @access  Private/Admin
+export const getShippingZones = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === "true";
+  }
+
+  const zones = await ShippingZone.find(filter).sort({ priority: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: zones.length,
+    data: zones,
+  });
+});
+
+// @desc    Get single shipping zone
+// @route   GET /api/shipping-zones/:id
+// @access  Private/Admin
+export const getShippingZone = asyncHandler(async (req, res) => {
+  const zone = await findZone(req.params.id);
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: "Shipping zone not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: zone,
+  });
+});
+
+// @desc    Create shipping zone
+// @route   POST /api/shipping-zones
+// @access  Private/Admin
+export const createShippingZone = asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.create(pickEditable(req.body));
+  clearShippingZoneCache();
+
+  res.status(201).json({
+    success: true,
+    data: zone,
+  });
+});
+
+// @desc    Update shipping zone
+// @route   PUT /api/shipping-zones/:id
+// @access  Private/Admin
+export const updateShippingZone = asyncHandler(async (req, res) => {
+  const zone = await findZone(req.params.id);
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: "Shipping zone not found",
+    });
+  }
+
+  zone.set(pickEditable(req.body));
+  await zone.save();
+  clearShippingZoneCache();
+
+  res.status(200).json({
+    success: true,
+    data: zone,
+  });
+});
+
+// @desc    Delete shipping zone
+// @route   DELETE /api/shipping-zones/:id
+// @access  Private/Admin
+export const deleteShippingZone = asyncHandler(async (req, res) => {
+  const zone = await findZone(req.params.id);
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: "Shipping zone not found",
+    });
+  }
+
+  // Orders keep the method and zone name they were placed with
+  await zone.deleteOne();
+  clearShippingZoneCache();
+
+  res.status(200).json({
+    success: true,
+    message: "Shipping zone deleted successfully",
+  });
+});
@@ -0,0 +1,181 @@
+import mongoose from "mongoose";
+import { TaxRate } from "../models/TaxRateSchema.mjs";
+import { asyncHandler } from "../utils/errorHandler.mjs";
+import { clearTaxRateCache } from "../utils/taxEngine.mjs";
+import { taxReport, taxReportCsv } from "../utils/taxReport.mjs";
+
+// Fields admins may set
+const EDITABLE_FIELDS = [
+  "name",
+  "country",
+  "state",
+  "category",
+  "rate",
+  "isActive",
+];
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    Object.entries(body || {}).filter(([key]) => EDITABLE_FIELDS.includes(key))
+  );
+
+const findTaxRate = async (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? TaxRate.findById(id) : null;
+
+// First moment of a "YYYY-MM" month (UTC), `offset` months later
+const monthStart = (month, offset = 0) => {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, monthIndex - 1 + offset, 1));
+};
+
+// @desc    Get all tax rates
+// @route   GET /api/tax-rates
+// @access  Private/Admin
+export const getTaxRates = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === "true";
+  }
+  if (req.query.country) {
+    filter.country = req.query.country;
+  }
+
+  const rates = await TaxRate.find(filter)
+    .populate("category", "name slug")
+    .sort({ country: 1, state: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: rates.length,
+    data: rates,
+  });
+});
+
+// @desc    Tax collected and refunded per month and jurisdiction
+// @route   GET /api/tax-rates/report
+// @access  Private/Admin
+export const getTaxReport = asyncHandler(async (req, res) => {
+  const { from, to, format = "json" } = req.query;
+
+  if ((from && !MONTH_PATTERN.test(from)) || (to && !MONTH_PATTERN.test(to))) {
+    return res.status(400).json({
+      success: false,
+      message: "from and to must be months as YYYY-MM",
+    });
+  }
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: "Format must be json or csv",
+    });
+  }
+
+  // Both months are included
+  const rows = await taxReport({
+    from: from && monthStart(from),
+    to: to && monthStart(to, 1),
+  });
+
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="tax-report${from ? `-${from}` : ""}${
+        to ? `-to-${to}` : ""
+      }.csv"`
+    );
+    return res.status(200).send(taxReportCsv(rows));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: rows.length,
+    data: rows,
+  });
+});
+
+// @desc    Get single tax rate
+// @route   GET /api/tax-rates/:id
+// @access  Private/Admin
+export const getTaxRate = asyncHandler(async (req, res) => {
+  const rate = await findTaxRate(req.params.id);
+
+  if (!rate) {
+    return res.status(404).json({
+      success: false,
+      message: "Tax rate not found",
+    });
+  }
+
+  await rate.populate("category", "name slug");
+
+  res.status(200).json({
+    success: true,
+    data: rate,
+  });
+});
+
+// @desc    Create tax rate
+// @route   POST /api/tax-rates
+// @access  Private/Admin
+export const createTaxRate = asyncHandler(async (req, res) => {
+  const rate = await TaxRate.create({
+    ...pickEditable(req.body),
+    createdBy: req.user._id,
+  });
+  clearTaxRateCache();
+
+  res.status(201).json({
+    success: true,
+    data: rate,
+  });
+});
+
+// @desc    Update tax rate
+// @route   PUT /api/tax-rates/:id
+// @access  Private/Admin
+export const updateTaxRate = asyncHandler(async (req, res) => {
+  const rate = await findTaxRate(req.params.id);
+
+  if (!rate) {
+    return res.status(404).json({
+      success: false,
+      message: "Tax rate not found",
+    });
+  }
+
+  rate.set(pickEditable(req.body));
+  await rate.save();
+  clearTaxRateCache();
+
+  res.status(200).json({
+    success: true,
+    data: rate,
+  });
+});
+
+// @desc    Delete tax rate
+// @route   DELETE /api/tax-rates/:id
+// @access  Private/Admin
+export const deleteTaxRate = asyncHandler(async (req, res) => {
+  const rate = await findTaxRate(req.params.id);
+
+  if (!rate) {
+    return res.status(404).json({
+      success: false,
+      message: "Tax rate not found",
+    });
+  }
+
+  // Orders keep their own tax lines, so past reports are unaffected
+  await rate.deleteOne();
+  clearTaxRateCache();
+
+  res.status(200).json({
+    success: true,
+    message: "Tax rate deleted successfully",
+  });
+});
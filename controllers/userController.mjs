@@ -1,4 +1,9 @@
 import { User } from '../models/UserSchema.mjs';
+import {
+  MAX_RECENTLY_VIEWED,
+  getRecentlyViewed as findRecentlyViewed,
+  viewerOf,
+} from '../utils/recentlyViewed.mjs';
 
 // Get all users
 export const getUsers = async (req, res) => {
@@ -179,3 +184,35 @@ export const updateProfile = async (req, res) => {
     });
   }
 };
+
+// Recently viewed products of the signed-in user, or of a guest by the
+// X-Session-Id header
+export const getRecentlyViewed = async (req, res) => {
+  try {
+    const viewer = viewerOf(req);
+    if (!viewer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign in or send an X-Session-Id header',
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || MAX_RECENTLY_VIEWED, 1),
+      MAX_RECENTLY_VIEWED
+    );
+    const items = await findRecentlyViewed(viewer, limit);
+
+    res.json({
+      success: true,
+      count: items.length,
+      data: items,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get recently viewed products',
+      error: error.message,
+    });
+  }
+};
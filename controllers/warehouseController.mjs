@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import { Warehouse } from "../models/WarehouseSchema.mjs";
+import { Product } from "../models/ProductSchema.mjs";
+import { asyncHandler } from "../utils/errorHandler.mjs";
+
+// Fields admins may set
+const EDITABLE_FIELDS = ["name", "code", "address", "priority", "isActive"];
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    Object.entries(body || {}).filter(([key]) => EDITABLE_FIELDS.includes(key))
+  );
+
+const findWarehouse = async (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? Warehouse.findById(id) : null;
+
+// Units held in a warehouse across all products and variants
+const unitsHeld = async (warehouseId) => {
+  const [result] = await Product.aggregate([
+    {
+      $match: {
+        $or: [
+          { "warehouseStock.warehouse": warehouseId },
+          { "variants.warehouseStock.warehouse": warehouseId },
+        ],
+      },
+    },
+    {
+      $project: {
+        levels: {
+          $concatArrays: [
+            { $ifNull: ["$warehouseStock", []] },
+            {
+              $reduce: {
+                input: { $ifNull: ["$variants.warehouseStock", []] },
+                initialValue: [],
+                in: { $concatArrays: ["$$value", "$$this"] },
+              },
+            },
+          ],
+        },
+      },
+    },
+    { $unwind: "$levels" },
+    { $match: { "levels.warehouse": warehouseId } },
+    {
+      $group: {
+        _id: null,
+        products: { $addToSet: "$_id" },
+        units: { $sum: "$levels.stock" },
+      },
+    },
+  ]);
+
+  return {
+    products: result?.products.length || 0,
+    units: result?.units || 0,
+  };
+};
+
+// @desc    Get all warehouses
+// @route   GET /api/warehouses
+// @access  Private/Admin
+export const getWarehouses = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === "true";
+  }
+
+  const warehouses = await Warehouse.find(filter).sort({
+    priority: 1,
+    code: 1,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: warehouses.length,
+    data: warehouses,
+  });
+});
+
+// @desc    Get single warehouse with the stock it holds
+// @route   GET /api/warehouses/:id
+// @access  Private/Admin
+export const getWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await findWarehouse(req.params.id);
+
+  if (!warehouse) {
+    return res.status(404).json({
+      success: false,
+      message: "Warehouse not found",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { ...warehouse.toJSON(), stock: await unitsHeld(warehouse._id) },
+  });
+});
+
+// @desc    Create new warehouse
+// @route   POST /api/warehouses
+// @access  Private/Admin
+export const createWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await Warehouse.create(pickEditable(req.body));
+
+  res.status(201).json({
+    success: true,
+    data: warehouse,
+  });
+});
+
+// @desc    Update warehouse
+// @route   PUT /api/warehouses/:id
+// @access  Private/Admin
+export const updateWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await findWarehouse(req.params.id);
+
+  if (!warehouse) {
+    return res.status(404).json({
+      success: false,
+      message: "Warehouse not found",
+    });
+  }
+
+  warehouse.set(pickEditable(req.body));
+  await warehouse.save();
+
+  res.status(200).json({
+    success: true,
+    data: warehouse,
+  });
+});
+
+// @desc    Delete warehouse
+// @route   DELETE /api/warehouses/:id
+// @access  Private/Admin
+export const deleteWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await findWarehouse(req.params.id);
+
+  if (!warehouse) {
+    return res.status(404).json({
+      success: false,
+      message: "Warehouse not found",
+    });
+  }
+
+  // Products still list their stock there; move it or deactivate instead
+  const { products } = await unitsHeld(warehouse._id);
+  if (products > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `Cannot delete warehouse. ${products} products keep stock there; deactivate it instead.`,
+    });
+  }
+
+  await warehouse.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Warehouse deleted successfully",
+  });
+});
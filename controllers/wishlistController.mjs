@@ -10,7 +10,8 @@ export const getWishlist = async (req, res) => {
     })
       .populate({
         path: "products.product",
-        select: "title image price brand category inventory rating",
+        select:
+          "title image price brand category stock rating options variants",
       })
       .sort({ "products.addedAt": -1 });
 
@@ -46,7 +47,7 @@ export const getWishlist = async (req, res) => {
 // Add item to wishlist
 export const addToWishlist = async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
 
     if (!productId) {
       return res.status(400).json({
@@ -74,6 +75,15 @@ export const addToWishlist = async (req, res) => {
       });
     }
 
+    // A specific variant may be saved, e.g. the size the shopper wants
+    const variant = variantId ? product.getVariant(variantId) : null;
+    if (variantId && !variant) {
+      return res.status(404).json({
+        success: false,
+        message: "Product variant not found",
+      });
+    }
+
     // Validate user ID format
     if (!req.user.id || !req.user.id.toString().match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
@@ -93,17 +103,14 @@ export const addToWishlist = async (req, res) => {
         products: [
           {
             product: new mongoose.Types.ObjectId(productId),
+            variant: variant?._id,
             addedAt: new Date(),
           },
         ],
       });
     } else {
       // Check if item already exists in wishlist
-      const existingItem = wishlist.products.find(
-        (item) => item.product.toString() === productId
-      );
-
-      if (existingItem) {
+      if (wishlist.findItemIndex(productId, variant?._id) > -1) {
         return res.status(400).json({
           success: false,
           message: "Product already in wishlist",
@@ -113,6 +120,7 @@ export const addToWishlist = async (req, res) => {
       // Add new item to wishlist
       wishlist.products.push({
         product: productId,
+        variant: variant?._id,
         addedAt: new Date(),
       });
     }
@@ -123,7 +131,7 @@ export const addToWishlist = async (req, res) => {
     // Populate the newly added item
     await wishlist.populate({
       path: "products.product",
-      select: "title image price brand category inventory rating",
+      select: "title image price brand category stock rating options variants",
     });
 
     res.status(201).json({
@@ -149,6 +157,7 @@ export const addToWishlist = async (req, res) => {
 export const removeFromWishlist = async (req, res) => {
   try {
     const { productId } = req.params;
+    const { variantId } = req.query;
 
     const wishlist = await Wishlist.findOne({
       user: new mongoose.Types.ObjectId(req.user.id),
@@ -161,9 +170,7 @@ export const removeFromWishlist = async (req, res) => {
       });
     }
 
-    const itemIndex = wishlist.items.findIndex(
-      (item) => item.product.toString() === productId
-    );
+    const itemIndex = wishlist.findItemIndex(productId, variantId);
 
     if (itemIndex === -1) {
       return res.status(404).json({
@@ -172,7 +179,7 @@ export const removeFromWishlist = async (req, res) => {
       });
     }
 
-    wishlist.items.splice(itemIndex, 1);
+    wishlist.products.splice(itemIndex, 1);
     wishlist.updatedAt = new Date();
 
     await wishlist.save();
@@ -181,7 +188,7 @@ export const removeFromWishlist = async (req, res) => {
       success: true,
       message: "Product removed from wishlist successfully",
       data: {
-        totalItems: wishlist.items.length,
+        totalItems: wishlist.products.length,
       },
     });
   } catch (error) {
@@ -207,7 +214,7 @@ export const clearWishlist = async (req, res) => {
       });
     }
 
-    wishlist.items = [];
+    wishlist.products = [];
     wishlist.updatedAt = new Date();
     await wishlist.save();
 
@@ -230,7 +237,7 @@ export const clearWishlist = async (req, res) => {
 // Move wishlist item to cart
 export const moveToCart = async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1 } = req.body;
 
     const wishlist = await Wishlist.findOne({
       user: new mongoose.Types.ObjectId(req.user.id),
@@ -251,9 +258,7 @@ export const moveToCart = async (req, res) => {
       });
     }
 
-    const itemIndex = wishlist.items.findIndex(
-      (item) => item.product.toString() === productId
-    );
+    const itemIndex = wishlist.findItemIndex(productId, variantId);
 
     if (itemIndex === -1) {
       return res.status(404).json({
@@ -273,7 +278,8 @@ export const moveToCart = async (req, res) => {
       });
     }
 
-    if (!product.inventory.inStock || product.inventory.quantity < quantity) {
+    const variant = variantId ? product.getVariant(variantId) : null;
+    if ((variant || product).stock < quantity) {
       return res.status(400).json({
         success: false,
         message: "Product is out of stock",
@@ -282,7 +288,7 @@ export const moveToCart = async (req, res) => {
 
     // Here you would typically call your cart service to add the item
     // For now, just remove from wishlist
-    wishlist.items.splice(itemIndex, 1);
+    wishlist.products.splice(itemIndex, 1);
     wishlist.updatedAt = new Date();
     await wishlist.save();
 
@@ -290,8 +296,9 @@ export const moveToCart = async (req, res) => {
       success: true,
       message: "Product moved to cart successfully",
       data: {
-        totalItems: wishlist.items.length,
+        totalItems: wishlist.products.length,
         movedProductId: productId,
+        movedVariantId: variant?._id,
       },
     });
   } catch (error) {
@@ -308,9 +315,9 @@ export const getWishlistStats = async (req, res) => {
   try {
     const wishlist = await Wishlist.findOne({
       user: new mongoose.Types.ObjectId(req.user.id),
-    }).populate("items.product", "price category");
+    }).populate("products.product", "price category variants");
 
-    if (!wishlist || wishlist.items.length === 0) {
+    if (!wishlist || wishlist.products.length === 0) {
       return res.json({
         success: true,
         data: {
@@ -323,32 +330,35 @@ export const getWishlistStats = async (req, res) => {
     }
 
     // Calculate total value
-    const totalValue = wishlist.items.reduce((sum, item) => {
-      return sum + (item.product?.price || 0);
+    const totalValue = wishlist.products.reduce((sum, item) => {
+      const variant = item.variant && item.product?.getVariant(item.variant);
+      return sum + ((variant || item.product)?.price || 0);
     }, 0);
 
     // Get categories
     const categories = [
       ...new Set(
-        wishlist.items
+        wishlist.products
           .filter((item) => item.product?.category)
           .map((item) => item.product.category)
       ),
     ];
 
     // Get recently added items (last 5)
-    const recentlyAdded = wishlist.items
+    const recentlyAdded = wishlist.products
+      .filter((item) => item.product)
       .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt))
       .slice(0, 5)
       .map((item) => ({
         productId: item.product._id,
+        variantId: item.variant,
         addedAt: item.addedAt,
       }));
 
     res.json({
       success: true,
       data: {
-        totalItems: wishlist.items.length,
+        totalItems: wishlist.products.length,
         totalValue: Math.round(totalValue * 100) / 100,
         categories,
         recentlyAdded,
@@ -367,10 +377,16 @@ export const getWishlistStats = async (req, res) => {
 export const isInWishlist = async (req, res) => {
   try {
     const { productId } = req.params;
+    const { variantId } = req.query;
 
     const wishlist = await Wishlist.findOne({
       user: new mongoose.Types.ObjectId(req.user.id),
-      "items.product": new mongoose.Types.ObjectId(productId),
+      products: {
+        $elemMatch: {
+          product: new mongoose.Types.ObjectId(productId),
+          ...(variantId && { variant: new mongoose.Types.ObjectId(variantId) }),
+        },
+      },
     });
 
     res.json({
@@ -414,7 +430,7 @@ export const checkMultipleProducts = async (req, res) => {
       });
     }
 
-    const wishlistProductIds = wishlist.items.map((item) =>
+    const wishlistProductIds = wishlist.products.map((item) =>
       item.product.toString()
     );
 
@@ -29,6 +29,22 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, otherwise continue as a guest
+export const optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Bearer')) {
+    try {
+      const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+      req.user = await User.findById(decoded.id).select('-password');
+    } catch (_error) {
+      req.user = undefined;
+    }
+  }
+
+  next();
+};
+
 // Check if user is an admin
 export const isAdmin = (req, res, next) => {
   try {
@@ -48,6 +48,13 @@ export const generalRateLimit = createRateLimit(
   'Too many requests from this IP'
 );
 
+// Guests can subscribe any address, so each IP may only ask for a few alerts
+export const stockAlertRateLimit = createRateLimit(
+  60 * 60 * 1000, // 1 hour
+  10, // 10 alerts
+  'Too many back in stock alerts requested, please try again later'
+);
+
 export const apiRateLimit = createRateLimit(
   15 * 60 * 1000, // 15 minutes
   1000, // 1000 requests for API
@@ -317,3 +317,23 @@ export const validateUpdateProfile = [
 
   handleValidationErrors,
 ];
+
+// Back in stock subscription validation rules
+export const validateStockSubscription = [
+  param('id').isMongoId().withMessage('Invalid product ID format'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .isLength({ max: 100 })
+    .withMessage('Email must not exceed 100 characters'),
+
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID format'),
+
+  handleValidationErrors,
+];
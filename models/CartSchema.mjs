@@ -15,6 +15,10 @@ const cartSchema = mongoose.Schema(
           ref: "Product",
           required: [true, "Product is required"],
         },
+        // Chosen variant for products sold in variants
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
         quantity: {
           type: Number,
           required: [true, "Quantity is required"],
@@ -75,15 +79,23 @@ cartSchema.virtual("subtotal").get(function () {
   );
 });
 
+// Method to find the line for a product and optional variant
+cartSchema.methods.findItemIndex = function (productId, variantId = null) {
+  return this.products.findIndex(
+    (item) =>
+      (item.product._id || item.product).toString() === productId.toString() &&
+      (item.variant?.toString() || null) === (variantId?.toString() || null)
+  );
+};
+
 // Method to add product to cart
 cartSchema.methods.addProduct = async function (
   productId,
   quantity,
-  currentPrice
+  currentPrice,
+  variantId = null
 ) {
-  const existingProductIndex = this.products.findIndex(
-    (item) => item.product.toString() === productId.toString()
-  );
+  const existingProductIndex = this.findItemIndex(productId, variantId);
 
   if (existingProductIndex > -1) {
     // Update quantity if product already exists
@@ -95,6 +107,7 @@ cartSchema.methods.addProduct = async function (
     // Add new product
     this.products.push({
       product: productId,
+      variant: variantId || undefined,
       quantity,
       priceAtAdd: currentPrice,
     });
@@ -105,10 +118,12 @@ cartSchema.methods.addProduct = async function (
 };
 
 // Method to update product quantity
-cartSchema.methods.updateProductQuantity = function (productId, quantity) {
-  const productIndex = this.products.findIndex(
-    (item) => item.product.toString() === productId.toString()
-  );
+cartSchema.methods.updateProductQuantity = function (
+  productId,
+  quantity,
+  variantId = null
+) {
+  const productIndex = this.findItemIndex(productId, variantId);
 
   if (productIndex > -1) {
     if (quantity <= 0) {
@@ -123,10 +138,11 @@ cartSchema.methods.updateProductQuantity = function (productId, quantity) {
 };
 
 // Method to remove product from cart
-cartSchema.methods.removeProduct = function (productId) {
-  this.products = this.products.filter(
-    (item) => item.product.toString() !== productId.toString()
-  );
+cartSchema.methods.removeProduct = function (productId, variantId = null) {
+  const productIndex = this.findItemIndex(productId, variantId);
+  if (productIndex > -1) {
+    this.products.splice(productIndex, 1);
+  }
 
   this.calculateTotal();
   return this.save();
@@ -1,5 +1,61 @@
 import mongoose from "mongoose";
 
+export const ATTRIBUTE_TYPES = ["enum", "number", "boolean", "text"];
+
+// A typed product attribute, e.g. RAM (number, GB) for laptops or Size
+// (enum) for t-shirts. Subcategories inherit their ancestors' attributes.
+const attributeSchema = mongoose.Schema(
+  {
+    // Name used in product.attributes and in filters, e.g. "screen_size"
+    key: {
+      type: String,
+      required: [true, "Attribute key is required"],
+      trim: true,
+      match: [
+        /^[a-z][a-z0-9_]{0,29}$/,
+        "Attribute keys are lowercase letters, digits and underscores",
+      ],
+    },
+    label: {
+      type: String,
+      required: [true, "Attribute label is required"],
+      trim: true,
+      maxlength: [50, "Attribute label cannot exceed 50 characters"],
+    },
+    type: {
+      type: String,
+      required: [true, "Attribute type is required"],
+      enum: {
+        values: ATTRIBUTE_TYPES,
+        message: "Attribute type must be one of: enum, number, boolean, text",
+      },
+    },
+    // Allowed values of enum attributes
+    options: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Unit of number attributes, e.g. "GB" or "inch"
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: [20, "Unit cannot exceed 20 characters"],
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    // Offered as a filter and facet on category product listings
+    filterable: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
 // Define the category schema for dynamic categories
 const categorySchema = mongoose.Schema(
   {
@@ -83,6 +139,24 @@ const categorySchema = mongoose.Schema(
         lowercase: true,
       },
     ],
+    // Attributes products filed here must follow, on top of inherited ones
+    attributes: {
+      type: [attributeSchema],
+      validate: {
+        validator: function (attributes) {
+          const keys = attributes.map((attribute) => attribute.key);
+          return (
+            new Set(keys).size === keys.length &&
+            attributes.every(
+              (attribute) =>
+                attribute.type !== "enum" || attribute.options?.length > 0
+            )
+          );
+        },
+        message:
+          "Attribute keys must be unique and enum attributes need options",
+      },
+    },
   },
   {
     timestamps: true,
@@ -149,6 +223,96 @@ categorySchema.pre("save", async function (next) {
   next();
 });
 
+/**
+ * Attribute definitions that apply to products in a category: its own and
+ * those inherited from its ancestors. A subcategory may redefine an
+ * inherited key. Ancestors' attributes come first.
+ */
+categorySchema.statics.getAttributeDefinitions = async function (categoryId) {
+  const chain = [];
+  const seen = new Set();
+  let nextId = categoryId;
+
+  while (nextId && !seen.has(String(nextId))) {
+    seen.add(String(nextId));
+    const category = await this.findById(nextId)
+      .select("parentCategory attributes")
+      .lean();
+    if (!category) break;
+    chain.unshift(category);
+    nextId = category.parentCategory;
+  }
+
+  const definitions = new Map();
+  for (const category of chain) {
+    for (const attribute of category.attributes || []) {
+      definitions.delete(attribute.key);
+      definitions.set(attribute.key, attribute);
+    }
+  }
+
+  return [...definitions.values()];
+};
+
+// Cast one attribute value to its defined type: { value } or { error }
+const castAttribute = (definition, value) => {
+  const { type, label, options } = definition;
+
+  if (type === "number") {
+    const number = typeof value === "number" ? value : Number(value);
+    return typeof value !== "boolean" && Number.isFinite(number)
+      ? { value: number }
+      : { error: `${label} must be a number` };
+  }
+  if (type === "boolean") {
+    if (value === true || value === "true") return { value: true };
+    if (value === false || value === "false") return { value: false };
+    return { error: `${label} must be true or false` };
+  }
+  if (type === "enum") {
+    return options.includes(String(value))
+      ? { value: String(value) }
+      : { error: `${label} must be one of: ${options.join(", ")}` };
+  }
+  return typeof value === "object"
+    ? { error: `${label} must be text` }
+    : { value: String(value).trim() };
+};
+
+// Cast attribute values (a Map) to their defined types. Returns the cast
+// values and a message for each value that does not fit, unknown keys and
+// missing required attributes included.
+categorySchema.statics.checkAttributeValues = function (definitions, values) {
+  const byKey = new Map(definitions.map((item) => [item.key, item]));
+  const cast = new Map();
+  const errors = [];
+
+  for (const [key, value] of values) {
+    const definition = byKey.get(key);
+    if (!definition) {
+      errors.push(`Unknown attribute ${key}`);
+      continue;
+    }
+    if (value === null || value === undefined || value === "") continue;
+
+    const result = castAttribute(definition, value);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      cast.set(key, result.value);
+    }
+  }
+
+  for (const definition of definitions) {
+    const value = values.get(definition.key);
+    if (definition.required && [null, undefined, ""].includes(value)) {
+      errors.push(`${definition.label} is required`);
+    }
+  }
+
+  return { values: cast, errors };
+};
+
 // Static method to get category tree
 categorySchema.statics.getCategoryTree = async function () {
   try {
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// One record per paid order that used a coupon
+const couponRedemptionSchema = mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: [true, "Coupon is required"],
+    },
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      uppercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order is required"],
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Discount amount cannot be negative"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// An order redeems its coupon at most once, even if payment is reported twice
+couponRedemptionSchema.index({ order: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+
+export const CouponRedemption = mongoose.model(
+  "CouponRedemption",
+  couponRedemptionSchema
+);
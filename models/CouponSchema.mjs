@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+
+// Define the coupon schema for cart promotions
+const couponSchema = mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[A-Z0-9_-]{3,30}$/,
+        "Coupon code must be 3-30 letters, numbers, dashes or underscores",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    type: {
+      type: String,
+      required: [true, "Coupon type is required"],
+      enum: {
+        values: ["percentage", "fixed", "free-shipping"],
+        message: "Type must be one of: percentage, fixed, free-shipping",
+      },
+    },
+    // Percent off for percentage coupons, amount off for fixed coupons
+    value: {
+      type: Number,
+      min: [0, "Value cannot be negative"],
+      default: 0,
+      validate: {
+        validator: function (v) {
+          if (this.type === "percentage") return v > 0 && v <= 100;
+          if (this.type === "fixed") return v > 0;
+          return true;
+        },
+        message:
+          "Percentage coupons need a value between 0 and 100, fixed coupons a positive amount",
+      },
+    },
+    // Upper bound on what a percentage coupon can take off
+    maxDiscount: {
+      type: Number,
+      min: [0, "Maximum discount cannot be negative"],
+    },
+    minSubtotal: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum subtotal cannot be negative"],
+    },
+    // Leave both empty to apply the coupon to the whole cart
+    appliesTo: {
+      categories: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+        },
+      ],
+      products: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+        },
+      ],
+    },
+    startsAt: Date,
+    endsAt: {
+      type: Date,
+      validate: {
+        validator: function (v) {
+          return !v || !this.startsAt || v > this.startsAt;
+        },
+        message: "End date must be after the start date",
+      },
+    },
+    // Total redemptions allowed across all users; empty means unlimited
+    usageLimit: {
+      type: Number,
+      min: [1, "Usage limit must be at least 1"],
+    },
+    // Redemptions allowed per user; empty means unlimited
+    perUserLimit: {
+      type: Number,
+      min: [1, "Per-user limit must be at least 1"],
+    },
+    // Incremented when an order using the coupon is paid
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+// Virtual for remaining global redemptions
+couponSchema.virtual("remainingUses").get(function () {
+  return this.usageLimit ? Math.max(this.usageLimit - this.usedCount, 0) : null;
+});
+
+export const Coupon = mongoose.model("Coupon", couponSchema);
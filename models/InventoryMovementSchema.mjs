@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+// Why stock moved; the ledger is append-only
+export const MOVEMENT_TYPES = [
+  "initial",
+  "sale",
+  "cancellation",
+  "return",
+  "adjustment",
+  "import",
+];
+
+// One stock change of a product or one of its variants
+const inventoryMovementSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product is required"],
+    },
+    // Set when the change applies to a variant's stock
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    type: {
+      type: String,
+      required: [true, "Movement type is required"],
+      enum: {
+        values: MOVEMENT_TYPES,
+        message: `Movement type must be one of: ${MOVEMENT_TYPES.join(", ")}`,
+      },
+    },
+    // Signed change, negative when units leave stock
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+    },
+    // Total stock of the product (or variant) right after the change
+    stockAfter: {
+      type: Number,
+      required: [true, "Resulting stock is required"],
+    },
+    // Set when the stock moved in or out of a specific warehouse
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+    },
+    warehouseStockAfter: {
+      type: Number,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+export const InventoryMovement = mongoose.model(
+  "InventoryMovement",
+  inventoryMovementSchema
+);
@@ -1,5 +1,64 @@
 import mongoose from "mongoose";
 
+export const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "processing",
+  "partially-shipped",
+  "shipped",
+  "delivered",
+  "cancelled",
+  "returned",
+];
+
+// Steps of a return: requested by the customer, then approved or rejected
+// by an admin; approved returns are received and then refunded
+export const RETURN_STATUSES = [
+  "requested",
+  "approved",
+  "rejected",
+  "received",
+  "refunded",
+];
+
+export const RETURN_REASONS = [
+  "damaged",
+  "defective",
+  "wrong-item",
+  "not-as-described",
+  "no-longer-needed",
+  "other",
+];
+
+// Tax charged on an order line, or on the whole order summed per tax and
+// rate; `taxableAmount` excludes the tax
+const taxLineSchema = mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    country: String,
+    state: String,
+    rate: { type: Number, required: true, min: 0 },
+    taxableAmount: { type: Number, required: true },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Statuses an order may move to from each status. Orders can be cancelled
+// until they ship and returned once they have shipped; cancelled and
+// returned orders are final. Orders sent in several boxes are
+// partially-shipped until the last one leaves.
+export const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled"],
+  processing: ["partially-shipped", "shipped", "cancelled"],
+  "partially-shipped": ["shipped"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+};
+
 const orderSchema = mongoose.Schema(
   {
     user: {
@@ -19,6 +78,10 @@ const orderSchema = mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        // Variant of the product that was ordered, if it has variants
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
         quantity: {
           type: Number,
           required: [true, "Quantity is required"],
@@ -34,7 +97,35 @@ const orderSchema = mongoose.Schema(
           title: String,
           image: String,
           sku: String,
+          variantLabel: String,
+          optionValues: {
+            type: Map,
+            of: String,
+          },
+        },
+        // Warehouses the units are picked from
+        allocations: [
+          {
+            _id: false,
+            warehouse: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Warehouse",
+              required: true,
+            },
+            code: String,
+            quantity: {
+              type: Number,
+              required: true,
+              min: [1, "Allocated quantity must be at least 1"],
+            },
+          },
+        ],
+        refundedQuantity: {
+          type: Number,
+          default: 0,
+          min: [0, "Refunded quantity cannot be negative"],
         },
+        taxLines: [taxLineSchema],
       },
     ],
     shippingAddress: {
@@ -62,6 +153,8 @@ const orderSchema = mongoose.Schema(
         required: true,
       },
       transactionId: String,
+      // Provider checkout session the customer is paying through
+      sessionId: String,
       paidAt: Date,
       status: {
         type: String,
@@ -78,6 +171,11 @@ const orderSchema = mongoose.Schema(
         },
         default: "pending",
       },
+      refundedAmount: {
+        type: Number,
+        default: 0,
+        min: [0, "Refunded amount cannot be negative"],
+      },
     },
     pricing: {
       itemsPrice: {
@@ -95,6 +193,12 @@ const orderSchema = mongoose.Schema(
         default: 0,
         min: [0, "Tax price cannot be negative"],
       },
+      taxLines: [taxLineSchema],
+      // Whether item prices already include taxPrice
+      pricesIncludeTax: {
+        type: Boolean,
+        default: false,
+      },
       discountAmount: {
         type: Number,
         default: 0,
@@ -109,20 +213,15 @@ const orderSchema = mongoose.Schema(
     orderStatus: {
       type: String,
       enum: {
-        values: [
-          "pending",
-          "confirmed",
-          "processing",
-          "shipped",
-          "delivered",
-          "cancelled",
-          "returned",
-        ],
+        values: ORDER_STATUSES,
         message: "Order status must be valid",
       },
       default: "pending",
     },
     shippingInfo: {
+      // Shipping method and zone chosen at checkout
+      method: String,
+      zone: String,
       carrier: String,
       trackingNumber: String,
       shippedAt: Date,
@@ -138,6 +237,175 @@ const orderSchema = mongoose.Schema(
       uppercase: true,
       trim: true,
     },
+    // Refunds issued against the order, newest last
+    refunds: [
+      {
+        amount: {
+          type: Number,
+          required: [true, "Refund amount is required"],
+          min: [0.01, "Refund amount must be positive"],
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [500, "Refund reason cannot exceed 500 characters"],
+        },
+        items: [
+          {
+            item: { type: mongoose.Schema.Types.ObjectId, required: true },
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            variant: mongoose.Schema.Types.ObjectId,
+            quantity: {
+              type: Number,
+              required: true,
+              min: [1, "Quantity must be at least 1"],
+            },
+          },
+        ],
+        // "stripe" for card refunds, "ledger" for cash-on-delivery book entries
+        provider: {
+          type: String,
+          required: true,
+        },
+        providerRefundId: String,
+        // "processing" until the provider has answered; its _id is the
+        // idempotency key sent to the provider
+        status: {
+          type: String,
+          enum: {
+            values: ["processing", "pending", "succeeded", "failed"],
+            message:
+              "Refund status must be one of: processing, pending, succeeded, failed",
+          },
+          default: "pending",
+        },
+        // Whether the units were asked to go back in stock, and whether they did
+        restock: Boolean,
+        restocked: {
+          type: Boolean,
+          default: false,
+        },
+        // The return whose items this refund pays for, if any
+        returnRequest: mongoose.Schema.Types.ObjectId,
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Boxes sent for the order, each with its own tracking, oldest first
+    shipments: [
+      {
+        items: [
+          {
+            _id: false,
+            item: { type: mongoose.Schema.Types.ObjectId, required: true },
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            variant: mongoose.Schema.Types.ObjectId,
+            quantity: {
+              type: Number,
+              required: true,
+              min: [1, "Quantity must be at least 1"],
+            },
+          },
+        ],
+        carrier: String,
+        trackingNumber: String,
+        status: {
+          type: String,
+          enum: ["shipped", "delivered"],
+          default: "shipped",
+        },
+        shippedAt: { type: Date, default: Date.now },
+        estimatedDelivery: Date,
+        deliveredAt: Date,
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+    // Return requests (RMAs), newest last
+    returns: [
+      {
+        rmaNumber: {
+          type: String,
+          required: true,
+        },
+        items: [
+          {
+            _id: false,
+            item: { type: mongoose.Schema.Types.ObjectId, required: true },
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            variant: mongoose.Schema.Types.ObjectId,
+            quantity: {
+              type: Number,
+              required: true,
+              min: [1, "Quantity must be at least 1"],
+            },
+            reason: {
+              type: String,
+              enum: {
+                values: RETURN_REASONS,
+                message: `Return reason must be one of: ${RETURN_REASONS.join(
+                  ", "
+                )}`,
+              },
+              required: [true, "Return reason is required"],
+            },
+            comment: {
+              type: String,
+              trim: true,
+              maxlength: [500, "Return comment cannot exceed 500 characters"],
+            },
+          },
+        ],
+        status: {
+          type: String,
+          enum: RETURN_STATUSES,
+          default: "requested",
+        },
+        customerNotes: {
+          type: String,
+          trim: true,
+          maxlength: [1000, "Return notes cannot exceed 1000 characters"],
+        },
+        // Shown to the customer, e.g. why a return was rejected
+        adminNotes: {
+          type: String,
+          trim: true,
+          maxlength: [1000, "Return notes cannot exceed 1000 characters"],
+        },
+        restocked: {
+          type: Boolean,
+          default: false,
+        },
+        // Refund issued for the returned items
+        refund: mongoose.Schema.Types.ObjectId,
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        requestedAt: { type: Date, default: Date.now },
+        reviewedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        reviewedAt: Date,
+        receivedAt: Date,
+        refundedAt: Date,
+      },
+    ],
     // Order timeline for tracking status changes
     statusHistory: [
       {
@@ -190,10 +458,14 @@ orderSchema.pre("save", async function (next) {
 // Add status change to history
 orderSchema.pre("save", function (next) {
   if (this.isModified("orderStatus")) {
+    const { updatedBy, notes } = this.$locals.statusChange || {};
     this.statusHistory.push({
       status: this.orderStatus,
       updatedAt: new Date(),
+      updatedBy,
+      notes,
     });
+    this.$locals.statusChange = undefined;
   }
   next();
 });
@@ -203,7 +475,10 @@ orderSchema.index({ user: 1, createdAt: -1 });
 // Note: orderNumber already has unique: true, so no need for separate index
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ "paymentInfo.status": 1 });
+orderSchema.index({ "paymentInfo.transactionId": 1 }, { sparse: true });
+orderSchema.index({ "paymentInfo.sessionId": 1 }, { sparse: true });
 orderSchema.index({ totalAmount: -1 });
+orderSchema.index({ "returns.status": 1 }, { sparse: true });
 
 // Virtual for checking if order is paid
 orderSchema.virtual("isPaid").get(function () {
@@ -220,4 +495,48 @@ orderSchema.virtual("totalAmount").get(function () {
   return this.pricing ? this.pricing.totalPrice : 0;
 });
 
+// Method to change order status, recording who made the change and why
+orderSchema.methods.setStatus = function (status, { updatedBy, notes } = {}) {
+  this.orderStatus = status;
+  this.$locals.statusChange = { updatedBy, notes };
+  return this;
+};
+
+// Method to check whether the order may move to a status
+orderSchema.methods.canTransitionTo = function (status) {
+  return ORDER_TRANSITIONS[this.orderStatus]?.includes(status) ?? false;
+};
+
+// Method to list the units of each item not yet shipped (or refunded)
+orderSchema.methods.unshippedItems = function () {
+  const shipped = new Map();
+  for (const line of this.shipments.flatMap((shipment) => shipment.items)) {
+    const key = line.item.toString();
+    shipped.set(key, (shipped.get(key) || 0) + line.quantity);
+  }
+
+  return this.items
+    .map((item) => ({
+      item: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity:
+        item.quantity -
+        (item.refundedQuantity || 0) -
+        (shipped.get(item._id.toString()) || 0),
+    }))
+    .filter((line) => line.quantity > 0);
+};
+
+// Method to add a timeline note without changing the order status
+orderSchema.methods.addHistoryNote = function (notes, updatedBy) {
+  this.statusHistory.push({
+    status: this.orderStatus,
+    updatedAt: new Date(),
+    updatedBy,
+    notes,
+  });
+  return this;
+};
+
 export const Order = mongoose.model("Order", orderSchema);
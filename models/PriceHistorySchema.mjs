@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Why the effective price of a product or variant changed
+export const PRICE_CHANGES = ["initial", "edit", "import", "sale", "campaign"];
+
+// One entry per change of the price shoppers pay, so "was/now" claims can be
+// checked against what was actually charged and when
+const priceHistorySchema = mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Set for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  sku: {
+    type: String,
+  },
+  // What shoppers pay from effectiveAt on
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Catalog price without any sale or campaign
+  regularPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  source: {
+    type: String,
+    enum: ["regular", "sale", "campaign"],
+    required: true,
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SaleCampaign",
+  },
+  change: {
+    type: String,
+    enum: PRICE_CHANGES,
+    required: true,
+  },
+  effectiveAt: {
+    type: Date,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+priceHistorySchema.index({ product: 1, variant: 1, effectiveAt: -1 });
+
+export const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
@@ -1,5 +1,103 @@
 import mongoose from "mongoose";
 
+const imageUrlPattern = /^https?:\/\/.+\.(jpg|jpeg|png|webp|gif)$/i;
+
+// Units of a product or variant held in one warehouse
+const warehouseStockSchema = mongoose.Schema(
+  {
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: [true, "Warehouse is required"],
+    },
+    stock: {
+      type: Number,
+      required: [true, "Warehouse stock is required"],
+      min: [0, "Stock cannot be negative"],
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// A sale price for a window of time; open-ended on either side when the
+// start or end is left out
+const saleSchema = mongoose.Schema(
+  {
+    price: {
+      type: Number,
+      required: [true, "Sale price is required"],
+      min: [0, "Sale price cannot be negative"],
+    },
+    startsAt: Date,
+    endsAt: Date,
+  },
+  { _id: false }
+);
+
+// A purchasable variant of a product, e.g. size M in red
+const variantSchema = mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required"],
+    trim: true,
+    uppercase: true,
+  },
+  // Option name to value, e.g. { Size: "M", Colour: "Red" }
+  optionValues: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  price: {
+    type: Number,
+    required: [true, "Variant price is required"],
+    min: [0, "Price cannot be negative"],
+  },
+  comparePrice: {
+    type: Number,
+    min: [0, "Compare price cannot be negative"],
+    validate: {
+      validator: function (v) {
+        return !v || v >= this.price;
+      },
+      message: "Compare price should be greater than or equal to price",
+    },
+  },
+  stock: {
+    type: Number,
+    required: [true, "Variant stock is required"],
+    min: [0, "Stock cannot be negative"],
+    default: 0,
+  },
+  images: [
+    {
+      type: String,
+      validate: {
+        validator: function (v) {
+          return imageUrlPattern.test(v);
+        },
+        message: "Please provide valid image URLs",
+      },
+    },
+  ],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // When present, stock above is the sum of these
+  warehouseStock: [warehouseStockSchema],
+  sale: saleSchema,
+});
+
+// Variant label for carts, orders and emails, e.g. "M / Red"
+variantSchema.virtual("label").get(function () {
+  return [...(this.optionValues?.values() || [])].join(" / ");
+});
+
+variantSchema.set("toJSON", { virtuals: true });
+variantSchema.set("toObject", { virtuals: true });
+
 // Define the enhanced product schema for e-commerce
 const productSchema = mongoose.Schema(
   {
@@ -9,6 +107,12 @@ const productSchema = mongoose.Schema(
       trim: true,
       maxlength: [100, "Title cannot exceed 100 characters"],
     },
+    // The lowercased title from each word onwards, so type-ahead can match
+    // the start of any word with an indexed prefix; derived on save
+    titleWords: {
+      type: [String],
+      select: false,
+    },
     description: {
       type: String,
       required: [true, "Product description is required"],
@@ -74,6 +178,10 @@ const productSchema = mongoose.Schema(
       min: [0, "Stock cannot be negative"],
       default: 0,
     },
+    // Per-warehouse stock of a simple product; stock is then their sum
+    warehouseStock: [warehouseStockSchema],
+    // Scheduled sale of a simple product; variants carry their own
+    sale: saleSchema,
     lowStockThreshold: {
       type: Number,
       default: 5,
@@ -82,12 +190,20 @@ const productSchema = mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ["active", "inactive", "discontinued", "out-of-stock"],
+        values: ["draft", "active", "inactive", "discontinued", "out-of-stock"],
         message:
-          "Status must be one of: active, inactive, discontinued, out-of-stock",
+          "Status must be one of: draft, active, inactive, discontinued, out-of-stock",
       },
       default: "active",
     },
+    // Launch window: drafts go live at publishAt and live products are
+    // taken down at unpublishAt. Listings hide products outside the window.
+    publishAt: {
+      type: Date,
+    },
+    unpublishAt: {
+      type: Date,
+    },
     weight: {
       type: Number,
       min: [0, "Weight cannot be negative"],
@@ -108,6 +224,18 @@ const productSchema = mongoose.Schema(
       average: { type: Number, default: 0, min: 0, max: 5 },
       count: { type: Number, default: 0, min: 0 },
     },
+    // Units sold, used to rank search suggestions
+    salesCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Product page views, for popularity sorting
+    viewCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     isFeatured: {
       type: Boolean,
       default: false,
@@ -122,6 +250,32 @@ const productSchema = mongoose.Schema(
       trim: true,
       maxlength: [160, "SEO description cannot exceed 160 characters"],
     },
+    // Values of the attributes defined by the category, e.g. { ram: 16 }
+    attributes: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Option definitions, e.g. [{ name: "Size", values: ["S", "M", "L"] }]
+    options: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: [true, "Option name is required"],
+          trim: true,
+          maxlength: [30, "Option name cannot exceed 30 characters"],
+        },
+        values: [
+          {
+            type: String,
+            trim: true,
+          },
+        ],
+      },
+    ],
+    // When present, price and stock above are derived from the variants
+    variants: [variantSchema],
   },
   {
     timestamps: true,
@@ -140,13 +294,269 @@ productSchema.virtual("isLowStock").get(function () {
   return this.stock <= this.lowStockThreshold;
 });
 
+// Virtual for checking if the product is sold in variants
+productSchema.virtual("hasVariants").get(function () {
+  return (this.variants?.length || 0) > 0;
+});
+
 // Index for better search performance
 productSchema.index({ title: "text", description: "text", tags: "text" });
 productSchema.index({ category: 1, status: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ "rating.average": -1 });
+productSchema.index({ salesCount: -1, "rating.count": -1 });
+productSchema.index({ viewCount: -1, salesCount: -1 });
 productSchema.index({ isFeatured: -1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ status: 1, unpublishAt: 1 });
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+productSchema.index({ "attributes.$**": 1 });
+productSchema.index({ titleWords: 1 });
+
+// "iPhone Pho Case" -> ["iphone pho case", "pho case", "case"]
+export const titleWordSuffixes = (title = "") => {
+  const words = title.toLowerCase().split(/\s+/).filter(Boolean);
+  return words.map((_, index) => words.slice(index).join(" "));
+};
+
+productSchema.pre("validate", function (next) {
+  if (this.isNew || this.isModified("title")) {
+    this.titleWords = titleWordSuffixes(this.title);
+  }
+  next();
+});
+
+// Stock held in warehouses adds up to the storefront stock. Runs before
+// the variant hook below so variant totals are current when it sums them.
+productSchema.pre("validate", function (next) {
+  const holders = [this, ...(this.variants || [])];
+
+  for (const holder of holders) {
+    if (!holder.warehouseStock?.length) continue;
+
+    const warehouses = holder.warehouseStock.map((level) =>
+      level.warehouse?.toString()
+    );
+    if (new Set(warehouses).size !== warehouses.length) {
+      this.invalidate(
+        "warehouseStock",
+        `${holder.sku || this.title} lists a warehouse more than once`
+      );
+    }
+
+    holder.stock = holder.warehouseStock.reduce(
+      (total, level) => total + level.stock,
+      0
+    );
+  }
+
+  next();
+});
+
+// Attributes must follow the schema of the product's category, inherited
+// attributes included; values are cast to their defined types
+productSchema.pre("validate", async function () {
+  if (
+    !this.isNew &&
+    !this.isModified("attributes") &&
+    !this.isModified("category")
+  ) {
+    return;
+  }
+
+  const Category = mongoose.model("Category");
+  const definitions = await Category.getAttributeDefinitions(this.category);
+  const { values, errors } = Category.checkAttributeValues(
+    definitions,
+    this.attributes || new Map()
+  );
+
+  if (errors.length > 0) {
+    this.invalidate("attributes", errors.join("; "));
+  } else {
+    this.attributes = values;
+  }
+});
+
+// A sale must undercut the price it replaces and end after it starts
+productSchema.pre("validate", function (next) {
+  for (const holder of [this, ...(this.variants || [])]) {
+    const { sale } = holder;
+    if (!sale) continue;
+
+    if (holder === this && this.variants?.length > 0) {
+      this.invalidate("sale", "Products with variants put variants on sale");
+      continue;
+    }
+
+    const name = holder === this ? this.title : holder.sku;
+    if (sale.price >= holder.price) {
+      this.invalidate(
+        "sale",
+        `Sale price of ${name} must be below its price of ${holder.price}`
+      );
+    }
+    if (sale.startsAt && sale.endsAt && sale.endsAt <= sale.startsAt) {
+      this.invalidate("sale", `Sale of ${name} must end after it starts`);
+    }
+  }
+
+  next();
+});
+
+// Check variants against the option definitions and each other
+productSchema.pre("validate", function (next) {
+  if (!this.variants || this.variants.length === 0) {
+    return next();
+  }
+
+  const optionValues = new Map(
+    (this.options || []).map((option) => [option.name, option.values])
+  );
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of this.variants) {
+    if (skus.has(variant.sku)) {
+      this.invalidate("variants", `Duplicate variant SKU: ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+
+    const values = variant.optionValues || new Map();
+    for (const [name, allowed] of optionValues) {
+      const value = values.get(name);
+      if (!value || !allowed.includes(value)) {
+        this.invalidate(
+          "variants",
+          `Variant ${variant.sku} needs one of ${allowed.join(
+            ", "
+          )} for ${name}`
+        );
+      }
+    }
+    for (const name of values.keys()) {
+      if (!optionValues.has(name)) {
+        this.invalidate(
+          "variants",
+          `Variant ${variant.sku} uses unknown option ${name}`
+        );
+      }
+    }
+
+    const combination = [...optionValues.keys()]
+      .map((name) => values.get(name))
+      .join("|");
+    if (combinations.has(combination)) {
+      this.invalidate(
+        "variants",
+        `More than one variant has the options of ${variant.sku}`
+      );
+    }
+    combinations.add(combination);
+  }
+
+  // Keep listing price and total stock in line with the variants
+  const sellable = this.variants.filter((variant) => variant.isActive);
+  if (sellable.length > 0) {
+    this.price = Math.min(...sellable.map((variant) => variant.price));
+  }
+  this.stock = sellable.reduce((total, variant) => total + variant.stock, 0);
+
+  next();
+});
+
+// Sellable products flip to out-of-stock when stock runs out and back to
+// active when it returns; inactive and discontinued products are left alone
+productSchema.methods.syncStockStatus = function () {
+  if (this.status === "active" && this.stock <= 0) {
+    this.status = "out-of-stock";
+  } else if (this.status === "out-of-stock" && this.stock > 0) {
+    this.status = "active";
+  }
+  return this.status;
+};
+
+// Runs after the variant hook above, which derives the total stock
+productSchema.pre("validate", function (next) {
+  this.syncStockStatus();
+  next();
+});
+
+// Statuses the public product list has always shown; only drafts are hidden.
+// Shoppers can view and buy these while they are inside their publish window.
+export const LISTED_STATUSES = [
+  "active",
+  "inactive",
+  "discontinued",
+  "out-of-stock",
+];
+
+// Conditions for products shoppers can see: one of `statuses`, inside the
+// publishAt/unpublishAt window. Checking the window here hides a product on
+// time even if the scheduler has not flipped its status yet.
+productSchema.statics.publishedFilter = function (
+  statuses = ["active", "out-of-stock"],
+  now = new Date()
+) {
+  return {
+    status: { $in: statuses },
+    publishAt: { $not: { $gt: now } },
+    unpublishAt: { $not: { $lte: now } },
+  };
+};
+
+productSchema.pre("validate", function (next) {
+  if (
+    this.publishAt &&
+    this.unpublishAt &&
+    this.unpublishAt <= this.publishAt
+  ) {
+    this.invalidate(
+      "unpublishAt",
+      "Unpublish time must be after the publish time"
+    );
+  }
+  next();
+});
+
+// Find a variant by its ID, or null
+productSchema.methods.getVariant = function (variantId) {
+  if (!variantId || !mongoose.Types.ObjectId.isValid(variantId)) {
+    return null;
+  }
+  return this.variants.id(variantId);
+};
+
+// Replace the variants with `variants`. Ones already on the product, matched
+// by _id or else by SKU, are updated in place and keep their _id, which
+// carts, orders, stock alerts, the inventory ledger and price history point at.
+productSchema.methods.setVariants = function (variants) {
+  if (!Array.isArray(variants)) {
+    this.variants = variants;
+    return;
+  }
+
+  const byId = new Map(
+    this.variants.map((variant) => [String(variant._id), variant])
+  );
+  const bySku = new Map(this.variants.map((variant) => [variant.sku, variant]));
+
+  this.variants = variants.map((incoming) => {
+    const { _id, ...fields } = incoming || {};
+    const existing =
+      (_id && byId.get(String(_id))) ||
+      bySku.get(
+        String(fields.sku ?? "")
+          .trim()
+          .toUpperCase()
+      );
+    if (!existing) return fields;
+
+    existing.set(fields);
+    return existing;
+  });
+};
 
 // Pre-save middleware to generate SKU if not provided
 productSchema.pre("save", function (next) {
@@ -159,7 +569,24 @@ productSchema.pre("save", function (next) {
   next();
 });
 
-// Static method to get products by category
+// Static method to build the category condition of a category listing
+productSchema.statics.categoryFilter = async function (
+  categoryId,
+  includeSubcategories = false
+) {
+  if (!includeSubcategories) {
+    return { category: categoryId };
+  }
+
+  // Get all subcategories if needed
+  const Category = mongoose.model("Category");
+  const subcategories = await Category.find({ parentCategory: categoryId });
+  const categoryIds = [categoryId, ...subcategories.map((cat) => cat._id)];
+  return { category: { $in: categoryIds } };
+};
+
+// Static method to get products by category. `filter` adds conditions,
+// e.g. on attributes.
 productSchema.statics.getByCategory = async function (
   categoryId,
   options = {}
@@ -170,21 +597,13 @@ productSchema.statics.getByCategory = async function (
     sortBy = "createdAt",
     sortOrder = -1,
     includeSubcategories = false,
+    filter = {},
   } = options;
 
-  let categoryFilter = { category: categoryId };
-
-  if (includeSubcategories) {
-    // Get all subcategories if needed
-    const Category = mongoose.model("Category");
-    const subcategories = await Category.find({ parentCategory: categoryId });
-    const categoryIds = [categoryId, ...subcategories.map((cat) => cat._id)];
-    categoryFilter = { category: { $in: categoryIds } };
-  }
-
   return await this.find({
-    ...categoryFilter,
-    status: "active",
+    ...(await this.categoryFilter(categoryId, includeSubcategories)),
+    ...this.publishedFilter(["active"]),
+    ...filter,
   })
     .populate("category", "name slug icon")
     .sort({ [sortBy]: sortOrder })
@@ -201,7 +620,7 @@ productSchema.statics.getFeaturedByCategory = async function (
   return await this.find({
     category: categoryId,
     isFeatured: true,
-    status: "active",
+    ...this.publishedFilter(["active"]),
     stock: { $gt: 0 },
   })
     .populate("category", "name slug icon")
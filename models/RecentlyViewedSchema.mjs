@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Guest lists are dropped after this long without a view
+const GUEST_LIST_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Products a shopper looked at last, newest first. Signed-in customers are
+// tracked by account and guests by the X-Session-Id their client sends.
+const recentlyViewedSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  sessionId: {
+    type: String,
+  },
+  items: [
+    {
+      _id: false,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+      },
+      viewedAt: {
+        type: Date,
+        required: true,
+      },
+    },
+  ],
+  updatedAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+recentlyViewedSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } } }
+);
+recentlyViewedSchema.index(
+  { sessionId: 1 },
+  { unique: true, partialFilterExpression: { sessionId: { $exists: true } } }
+);
+recentlyViewedSchema.index(
+  { updatedAt: 1 },
+  {
+    expireAfterSeconds: GUEST_LIST_TTL_SECONDS,
+    partialFilterExpression: { sessionId: { $exists: true } },
+  }
+);
+
+export const RecentlyViewed = mongoose.model(
+  "RecentlyViewed",
+  recentlyViewedSchema
+);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const recommendedProductSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Higher is a better match; only comparable within one list
+    score: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Precomputed cross-sell lists for one product, rebuilt by the
+// recommendations job so product pages only read a single document
+const recommendationSchema = mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+    unique: true,
+  },
+  // Same category, shared tags and a similar price
+  related: [recommendedProductSchema],
+  // Other products most often in the same orders; score is the order count
+  boughtTogether: [recommendedProductSchema],
+  computedAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+export const Recommendation = mongoose.model(
+  "Recommendation",
+  recommendationSchema
+);
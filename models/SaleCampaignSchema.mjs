@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// A percentage off everything in some categories (and their subcategories)
+// for a window of time, e.g. "20% off outerwear this weekend"
+const saleCampaignSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Campaign name is required"],
+      trim: true,
+      maxlength: [100, "Campaign name cannot exceed 100 characters"],
+    },
+    categories: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+        },
+      ],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: "A campaign needs at least one category",
+      },
+    },
+    percentOff: {
+      type: Number,
+      required: [true, "Percent off is required"],
+      min: [1, "Percent off must be at least 1"],
+      max: [90, "Percent off cannot exceed 90"],
+    },
+    startsAt: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, "End date is required"],
+      validate: {
+        validator: function (v) {
+          return !this.startsAt || v > this.startsAt;
+        },
+        message: "End date must be after the start date",
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+saleCampaignSchema.index({ isActive: 1, endsAt: 1 });
+
+export const SaleCampaign = mongoose.model("SaleCampaign", saleCampaignSchema);
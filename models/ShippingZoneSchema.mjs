@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+
+export const SHIPPING_METHODS = ["standard", "express", "pickup"];
+
+// What a method's rate table is looked up by: the parcel's weight in kg, the
+// greater of its weight and volumetric weight, or the order value
+export const RATE_BASES = ["weight", "volumetric", "order-value"];
+
+// One row of a rate table: the price for parcels up to `upTo`. The row
+// without `upTo` covers everything above the others.
+const rateSchema = mongoose.Schema(
+  {
+    upTo: {
+      type: Number,
+      min: [0, "Rate limit cannot be negative"],
+    },
+    price: {
+      type: Number,
+      required: [true, "Rate price is required"],
+      min: [0, "Rate price cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+const methodSchema = mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, "Shipping method is required"],
+    enum: {
+      values: SHIPPING_METHODS,
+      message: `Shipping method must be one of: ${SHIPPING_METHODS.join(", ")}`,
+    },
+  },
+  // Shown to shoppers, e.g. "Next day delivery"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Shipping method label cannot exceed 100 characters"],
+  },
+  rateBasis: {
+    type: String,
+    enum: {
+      values: RATE_BASES,
+      message: `Rate basis must be one of: ${RATE_BASES.join(", ")}`,
+    },
+    default: "weight",
+  },
+  rates: {
+    type: [rateSchema],
+    validate: {
+      validator: function (rates) {
+        return (
+          rates.length > 0 &&
+          rates.filter((rate) => rate.upTo === undefined).length <= 1
+        );
+      },
+      message:
+        "A shipping method needs at least one rate and at most one rate without a limit",
+    },
+  },
+  // Orders worth this much after discounts ship free with this method
+  freeShippingThreshold: {
+    type: Number,
+    min: [0, "Free shipping threshold cannot be negative"],
+  },
+  // Cubic centimetres per volumetric kilogram, for the volumetric basis
+  volumetricDivisor: {
+    type: Number,
+    default: 5000,
+    min: [1, "Volumetric divisor must be positive"],
+  },
+  estimatedDays: {
+    min: { type: Number, min: 0 },
+    max: { type: Number, min: 0 },
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Where a set of shipping methods applies. A zone covers addresses in its
+// countries, narrowed to its states and zip code prefixes when it lists any;
+// "*" as a country covers the rest of the world.
+const shippingZoneSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [100, "Zone name cannot exceed 100 characters"],
+    },
+    countries: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (countries) => countries.length > 0,
+        message: "A shipping zone needs at least one country",
+      },
+    },
+    states: [{ type: String, trim: true }],
+    zipPrefixes: [{ type: String, trim: true, uppercase: true }],
+    // Breaks ties between equally specific zones; lower goes first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    methods: {
+      type: [methodSchema],
+      validate: {
+        validator: function (methods) {
+          const codes = methods.map((method) => method.code);
+          return new Set(codes).size === codes.length;
+        },
+        message: "A shipping zone can offer each method only once",
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shippingZoneSchema.index({ isActive: 1, priority: 1 });
+
+// Keep rate tables in ascending order, the open-ended row last
+shippingZoneSchema.pre("validate", function (next) {
+  for (const method of this.methods || []) {
+    method.rates.sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  }
+  next();
+});
+
+export const ShippingZone = mongoose.model("ShippingZone", shippingZoneSchema);
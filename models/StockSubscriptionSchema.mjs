@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// A customer waiting to hear when a product (or variant) is back in stock
+const stockSubscriptionSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Product is required"],
+    },
+    // Set when the customer is waiting for one variant
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Empty for guests, who only leave an email address
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      trim: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(v);
+        },
+        message: "Please provide a valid email address",
+      },
+    },
+    // Sent in the unsubscribe link, so never returned by default
+    unsubscribeToken: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["active", "notified", "unsubscribed"],
+        message: "Status must be one of: active, notified, unsubscribed",
+      },
+      default: "active",
+    },
+    notifiedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One waiting subscription per product, variant and address
+stockSubscriptionSchema.index(
+  { product: 1, variant: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+stockSubscriptionSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+export const StockSubscription = mongoose.model(
+  "StockSubscription",
+  stockSubscriptionSchema
+);
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// A tax charged on orders shipped to a country, or to one of its states.
+// A rate with a category replaces the general rate for products filed there
+// (subcategories included), e.g. a reduced rate for books.
+const taxRateSchema = mongoose.Schema(
+  {
+    // Shown on orders and in the tax report, e.g. "NY sales tax"
+    name: {
+      type: String,
+      required: [true, "Tax name is required"],
+      trim: true,
+      maxlength: [100, "Tax name cannot exceed 100 characters"],
+    },
+    country: {
+      type: String,
+      required: [true, "Country is required"],
+      trim: true,
+    },
+    // Leave empty for a rate covering the whole country
+    state: {
+      type: String,
+      trim: true,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    // Percentage of the taxable amount, e.g. 8.875
+    rate: {
+      type: Number,
+      required: [true, "Tax rate is required"],
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taxRateSchema.index({ isActive: 1, country: 1, state: 1 });
+
+export const TaxRate = mongoose.model("TaxRate", taxRateSchema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// A location stock is held in and orders are picked from
+const warehouseSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Warehouse name is required"],
+      trim: true,
+      maxlength: [100, "Warehouse name cannot exceed 100 characters"],
+    },
+    // Short code used by the picking team and in imports, e.g. "KHI-1"
+    code: {
+      type: String,
+      required: [true, "Warehouse code is required"],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [20, "Warehouse code cannot exceed 20 characters"],
+    },
+    address: {
+      street: { type: String, trim: true },
+      city: { type: String, trim: true },
+      state: {
+        type: String,
+        required: [true, "State is required"],
+        trim: true,
+      },
+      zipCode: { type: String, trim: true },
+      country: {
+        type: String,
+        required: [true, "Country is required"],
+        trim: true,
+      },
+    },
+    // Breaks ties between equally close warehouses; lower goes first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+warehouseSchema.index({ isActive: 1, priority: 1 });
+
+export const Warehouse = mongoose.model("Warehouse", warehouseSchema);
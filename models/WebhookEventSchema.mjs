@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Record of payment provider webhook events, used to ignore replayed deliveries
+const webhookEventSchema = mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, "Webhook provider is required"],
+      trim: true,
+      lowercase: true,
+    },
+    eventId: {
+      type: String,
+      required: [true, "Webhook event ID is required"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: [true, "Webhook event type is required"],
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ["processing", "processed", "ignored"],
+        message: "Status must be one of: processing, processed, ignored",
+      },
+      default: "processing",
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One record per provider event, so a replayed delivery fails on insert
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ order: 1, createdAt: -1 });
+
+export const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
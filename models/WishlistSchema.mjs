@@ -15,6 +15,10 @@ const wishlistSchema = mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        // Saved variant, when the shopper picked one
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
         addedAt: {
           type: Date,
           default: Date.now,
@@ -39,32 +43,39 @@ wishlistSchema.virtual("itemCount").get(function () {
   return this.products.length;
 });
 
-// Method to add product to wishlist
-wishlistSchema.methods.addProduct = function (productId) {
-  const existingProduct = this.products.find(
-    (item) => item.product.toString() === productId.toString()
+// Method to find the entry for a product and optional variant
+wishlistSchema.methods.findItemIndex = function (productId, variantId = null) {
+  return this.products.findIndex(
+    (item) =>
+      (item.product._id || item.product).toString() === productId.toString() &&
+      (item.variant?.toString() || null) === (variantId?.toString() || null)
   );
+};
 
-  if (!existingProduct) {
-    this.products.push({ product: productId });
+// Method to add product to wishlist
+wishlistSchema.methods.addProduct = function (productId, variantId = null) {
+  if (this.findItemIndex(productId, variantId) === -1) {
+    this.products.push({ product: productId, variant: variantId || undefined });
   }
 
   return this.save();
 };
 
 // Method to remove product from wishlist
-wishlistSchema.methods.removeProduct = function (productId) {
-  this.products = this.products.filter(
-    (item) => item.product.toString() !== productId.toString()
-  );
+wishlistSchema.methods.removeProduct = function (productId, variantId = null) {
+  const itemIndex = this.findItemIndex(productId, variantId);
+  if (itemIndex > -1) {
+    this.products.splice(itemIndex, 1);
+  }
 
   return this.save();
 };
 
-// Method to check if product is in wishlist
+// Method to check if product (in any variant) is in wishlist
 wishlistSchema.methods.hasProduct = function (productId) {
   return this.products.some(
-    (item) => item.product.toString() === productId.toString()
+    (item) =>
+      (item.product._id || item.product).toString() === productId.toString()
   );
 };
 
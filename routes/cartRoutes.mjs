@@ -5,6 +5,9 @@ import {
   updateCart,
   removeFromCart,
   clearCart,
+  applyCartCoupon,
+  removeCartCoupon,
+  getShippingOptions,
 } from "../controllers/cartController.mjs";
 import { protect } from "../middleware/authMiddleware.mjs";
 
@@ -16,5 +19,8 @@ routes.get("/", protect, getCart);
 routes.put("/", protect, updateCart);
 routes.delete("/remove/:productId", protect, removeFromCart);
 routes.delete("/clear", protect, clearCart);
+routes.post("/coupon", protect, applyCartCoupon);
+routes.delete("/coupon", protect, removeCartCoupon);
+routes.post("/shipping-options", protect, getShippingOptions);
 
 export default routes;
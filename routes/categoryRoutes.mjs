@@ -9,6 +9,7 @@ import {
   updateCategory,
   deleteCategory,
   getProductsByCategory,
+  getCategoryAttributes,
 } from "../controllers/categoryController.mjs";
 import { protect, isAdmin } from "../middleware/authMiddleware.mjs";
 
@@ -21,6 +22,7 @@ router.get("/menu", getMenuCategories);
 router.get("/slug/:slug", getCategoryBySlug);
 router.get("/:id", getCategory);
 router.get("/:id/products", getProductsByCategory);
+router.get("/:id/attributes", getCategoryAttributes);
 
 // Protected routes (Admin only)
 router.post("/", protect, isAdmin, createCategory);
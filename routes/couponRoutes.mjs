@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../controllers/couponController.mjs";
+import { protect, isAdmin } from "../middleware/authMiddleware.mjs";
+
+const router = express.Router();
+
+// All coupon management is admin only
+router.use(protect, isAdmin);
+
+router.get("/", getCoupons);
+router.post("/", createCoupon);
+router.get("/:id", getCoupon);
+router.put("/:id", updateCoupon);
+router.delete("/:id", deleteCoupon);
+
+export default router;
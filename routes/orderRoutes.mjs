@@ -7,6 +7,13 @@ import {
   updateOrderStatus,
   cancelOrder,
   getOrderStats,
+  refundOrder,
+  createReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturnedItems,
+  addShipment,
+  markShipmentDelivered,
 } from "../controllers/orderController.mjs";
 import { protect, isAdmin } from "../middleware/authMiddleware.mjs";
 
@@ -41,4 +48,27 @@ router.put("/:id/status", protect, isAdmin, updateOrderStatus);
 // Cancel order (Protected - users can cancel their own orders)
 router.put("/:id/cancel", protect, cancelOrder);
 
+// Refund a whole order or selected items (Admin only)
+router.post("/:id/refunds", protect, isAdmin, refundOrder);
+
+// Shipments: an order can leave in several boxes (Admin only)
+router.post("/:id/shipments", protect, isAdmin, addShipment);
+router.put(
+  "/:id/shipments/:shipmentId/delivered",
+  protect,
+  isAdmin,
+  markShipmentDelivered
+);
+
+// Returns: customers request, admins approve or reject, then receive
+router.post("/:id/returns", protect, createReturn);
+router.put("/:id/returns/:returnId/approve", protect, isAdmin, approveReturn);
+router.put("/:id/returns/:returnId/reject", protect, isAdmin, rejectReturn);
+router.put(
+  "/:id/returns/:returnId/receive",
+  protect,
+  isAdmin,
+  receiveReturnedItems
+);
+
 export default router;
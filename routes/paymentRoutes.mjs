@@ -1,7 +1,24 @@
 import express from "express";
-import { payment } from "../controllers/paymentController.mjs";
+import {
+  createCheckoutSession,
+  capturePayment,
+  collectCashPayment,
+  paymentWebhook,
+} from "../controllers/paymentController.mjs";
+import { protect, isAdmin } from "../middleware/authMiddleware.mjs";
 const routes = express.Router();
 
-routes.post("/", payment);
+// Start payment for an existing order with its payment method (Protected)
+routes.post("/checkout/:orderId", protect, createCheckoutSession);
+
+// Capture an approved online payment, e.g. after PayPal approval (Protected)
+routes.post("/capture/:orderId", protect, capturePayment);
+
+// Record cash collected on delivery (Admin only)
+routes.post("/collect/:orderId", protect, isAdmin, collectCashPayment);
+
+// Provider webhooks (raw body is parsed in server.mjs before express.json)
+routes.post("/webhook", paymentWebhook); // Stripe
+routes.post("/webhook/:provider", paymentWebhook);
 
 export default routes;
@@ -1,7 +1,20 @@
 import express from "express";
+import multer from "multer";
 import {
   createProduct,
   getProducts,
+  searchProducts,
+  suggestProducts,
+  importProducts,
+  exportProducts,
+  getInventoryHistory,
+  getProductPriceHistory,
+  getRelatedProducts,
+  getBoughtTogether,
+  getLowStockProducts,
+  subscribeBackInStock,
+  unsubscribeBackInStock,
+  adjustInventory,
   getProductById,
   updateProduct,
   deleteProduct,
@@ -9,24 +22,93 @@ import {
   addProductImage,
   removeProductImage,
 } from "../controllers/productController.mjs";
-import { isAdmin, protect } from "../middleware/authMiddleware.mjs";
+import {
+  isAdmin,
+  optionalAuth,
+  protect,
+} from "../middleware/authMiddleware.mjs";
+import { validateStockSubscription } from "../middleware/validation.mjs";
+import { stockAlertRateLimit } from "../middleware/securityMiddleware.mjs";
+import { AppError } from "../utils/errorHandler.mjs";
 
 const router = express.Router();
 
+// Import files are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json|ndjson)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(
+        new AppError(
+          "Only CSV, JSON and NDJSON files can be imported",
+          400,
+          true,
+          "INVALID_FILE_TYPE"
+        ),
+        false
+      );
+    }
+  },
+});
+
 // CREATE product
 router.post("/", protect, isAdmin, createProduct);
 
 // GET all products
 router.get("/", getProducts);
 
-// GET single product by ID
-router.get("/:id", getProductById);
+// SEARCH products with facets
+router.get("/search", searchProducts);
+
+// Search box type-ahead suggestions
+router.get("/suggest", suggestProducts);
+
+// Bulk import (supports ?dryRun=true) and streaming export
+router.post(
+  "/import",
+  protect,
+  isAdmin,
+  importUpload.single("file"),
+  importProducts
+);
+router.get("/export", protect, isAdmin, exportProducts);
+
+// Low and out-of-stock SKUs
+router.get("/low-stock", protect, isAdmin, getLowStockProducts);
+
+// Back in stock alerts for signed-in customers and guests
+router.get("/notify-me/unsubscribe/:token", unsubscribeBackInStock);
+router.post(
+  "/:id/notify-me",
+  stockAlertRateLimit,
+  optionalAuth,
+  validateStockSubscription,
+  subscribeBackInStock
+);
+
+// GET single product by ID; views are tracked for the signed-in user or
+// the guest's X-Session-Id
+router.get("/:id", optionalAuth, getProductById);
 
 // UPDATE product by ID
-router.put("/:id", protect, updateProduct);
+router.put("/:id", protect, isAdmin, updateProduct);
 
 // DELETE product by ID
-router.delete("/:id", protect, deleteProduct);
+router.delete("/:id", protect, isAdmin, deleteProduct);
+
+// Price history backs up "was/now" prices shown to shoppers
+router.get("/:id/price-history", optionalAuth, getProductPriceHistory);
+
+// Cross-sell lists, precomputed nightly
+router.get("/:id/related", getRelatedProducts);
+router.get("/:id/bought-together", getBoughtTogether);
+
+// Inventory ledger and manual stock adjustments
+router.get("/:id/inventory/history", protect, isAdmin, getInventoryHistory);
+router.post("/:id/inventory/adjustments", protect, isAdmin, adjustInventory);
 
 // Image management routes
 router.put("/:id/images", protect, isAdmin, updateProductImages);
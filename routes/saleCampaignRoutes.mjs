@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+} from "../controllers/saleCampaignController.mjs";
+import { protect, isAdmin } from "../middleware/authMiddleware.mjs";
+
+const router = express.Router();
+
+// All campaign management is admin only
+router.use(protect, isAdmin);
+
+router.get("/", getCampaigns);
+router.post("/", createCampaign);
+router.get("/:id", getCampaign);
+router.put("/:id", updateCampaign);
+router.delete("/:id", deleteCampaign);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+} from "../controllers/shippingZoneController.mjs";
+import { protect, isAdmin } from "../middleware/authMiddleware.mjs";
+
+const router = express.Router();
+
+// All shipping zone management is admin only
+router.use(protect, isAdmin);
+
+router.get("/", getShippingZones);
+router.post("/", createShippingZone);
+router.get("/:id", getShippingZone);
+router.put("/:id", updateShippingZone);
+router.delete("/:id", deleteShippingZone);
+
+export default router;
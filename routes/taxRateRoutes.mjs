@@ -0,0 +1,24 @@
+import express from "express";
+import {
+  getTaxRates,
+  getTaxReport,
+  getTaxRate,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+} from "../controllers/taxRateController.mjs";
+import { protect, isAdmin } from "../middleware/authMiddleware.mjs";
+
+const router = express.Router();
+
+// All tax management is admin only
+router.use(protect, isAdmin);
+
+router.get("/", getTaxRates);
+router.post("/", createTaxRate);
+router.get("/report", getTaxReport);
+router.get("/:id", getTaxRate);
+router.put("/:id", updateTaxRate);
+router.delete("/:id", deleteTaxRate);
+
+export default router;
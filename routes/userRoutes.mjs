@@ -7,14 +7,21 @@ import {
   updateUserAvatar,
   getProfile,
   updateProfile,
+  getRecentlyViewed,
 } from "../controllers/userController.mjs";
-import { protect, isAdmin } from "../middleware/authMiddleware.mjs";
+import {
+  protect,
+  isAdmin,
+  optionalAuth,
+} from "../middleware/authMiddleware.mjs";
 
 const router = express.Router();
 
 // User profile routes (must come before parametric routes)
 router.get("/profile/me", protect, getProfile);
 router.put("/profile", protect, updateProfile);
+// Guests are identified by their X-Session-Id header
+router.get("/profile/recently-viewed", optionalAuth, getRecentlyViewed);
 
 // Protected route to get all users (Only accessible by admin)
 router.get("/", protect, isAdmin, getUsers);
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getWarehouses,
+  getWarehouse,
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+} from "../controllers/warehouseController.mjs";
+import { protect, isAdmin } from "../middleware/authMiddleware.mjs";
+
+const router = express.Router();
+
+// All warehouse management is admin only
+router.use(protect, isAdmin);
+
+router.get("/", getWarehouses);
+router.post("/", createWarehouse);
+router.get("/:id", getWarehouse);
+router.put("/:id", updateWarehouse);
+router.delete("/:id", deleteWarehouse);
+
+export default router;
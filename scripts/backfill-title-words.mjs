@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Fill in Product.titleWords, which type-ahead suggestions match against,
+ * for products saved before the field existed. Safe to run more than once.
+ */
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { Product, titleWordSuffixes } from "../models/ProductSchema.mjs";
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const backfillTitleWords = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const cursor = Product.find({ titleWords: { $exists: false } })
+      .select("title")
+      .lean()
+      .cursor();
+
+    let batch = [];
+    let updated = 0;
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await Product.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const product of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: product._id },
+          update: { $set: { titleWords: titleWordSuffixes(product.title) } },
+        },
+      });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`✅ Updated title words for ${updated} products`);
+  } catch (error) {
+    console.error("❌ Error backfilling title words:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+backfillTitleWords();
@@ -17,6 +17,11 @@ import imageRoutes from "./routes/imageRoutes.mjs";
 import orderRoutes from "./routes/orderRoutes.mjs";
 import reviewRoutes from "./routes/reviewRoutes.mjs";
 import wishlistRoutes from "./routes/wishlistRoutes.mjs";
+import couponRoutes from "./routes/couponRoutes.mjs";
+import warehouseRoutes from "./routes/warehouseRoutes.mjs";
+import saleCampaignRoutes from "./routes/saleCampaignRoutes.mjs";
+import shippingZoneRoutes from "./routes/shippingZoneRoutes.mjs";
+import taxRateRoutes from "./routes/taxRateRoutes.mjs";
 import { errorHandler } from "./middleware/errorMiddleware.mjs";
 import cartRoutes from "./routes/cartRoutes.mjs";
 import paymentRoute from "./routes/paymentRoutes.mjs";
@@ -27,6 +32,19 @@ import {
   authRateLimit,
   dataSanitization,
 } from "./middleware/securityMiddleware.mjs";
+import {
+  scheduleDailyJob,
+  scheduleIntervalJob,
+  startScheduler,
+  parseTimeOfDay,
+} from "./utils/scheduler.mjs";
+import { sendLowStockDigest } from "./utils/stockAlerts.mjs";
+import { applyProductSchedule } from "./utils/productSchedule.mjs";
+import { recordScheduledPriceChanges } from "./utils/priceHistory.mjs";
+import {
+  refreshRecommendations,
+  seedRecommendations,
+} from "./utils/recommendations.mjs";
 import {
   healthCheck,
   apiDocs,
@@ -57,10 +75,18 @@ app.use(
     origin: config.cors.origins,
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS", "PATCH"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Requested-With",
+      "X-Session-Id",
+    ],
   })
 );
 
+// Stripe webhooks are verified against the exact raw body, so keep it as a Buffer
+app.use("/api/payment/webhook", express.raw({ type: "application/json" }));
+
 // Middleware to parse JSON with size limit
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
@@ -119,10 +145,42 @@ app.use("/api/images", imageRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/reviews", reviewRoutes);
 app.use("/api/wishlist", wishlistRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/warehouses", warehouseRoutes);
+app.use("/api/campaigns", saleCampaignRoutes);
+app.use("/api/shipping-zones", shippingZoneRoutes);
+app.use("/api/tax-rates", taxRateRoutes);
 // Error handling middleware
 app.use(errorHandler);
 
+// Background jobs
+scheduleDailyJob(
+  "low-stock-digest",
+  parseTimeOfDay(config.jobs.lowStockDigestAt, "08:00"),
+  sendLowStockDigest
+);
+scheduleIntervalJob(
+  "product-schedule",
+  config.jobs.productScheduleInterval * 1000,
+  () => applyProductSchedule()
+);
+scheduleIntervalJob(
+  "price-history",
+  config.jobs.productScheduleInterval * 1000,
+  () => recordScheduledPriceChanges()
+);
+scheduleDailyJob(
+  "recommendations",
+  parseTimeOfDay(config.jobs.recommendationsAt, "03:00"),
+  () => refreshRecommendations()
+);
+
 app.listen(PORT, () => {
+  if (config.jobs.enabled) {
+    startScheduler();
+    seedRecommendations();
+  }
+
   logger.info(`🛒 E-Dukaan Server running on http://localhost:${PORT}`);
   logger.info(`🚀 E-Commerce Backend API is ready!`);
   logger.info(`🌍 Environment: ${config.nodeEnv}`);
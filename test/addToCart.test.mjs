@@ -0,0 +1,53 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { addToCart } = await import("../controllers/cartController.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+const { Cart } = await import("../models/CartSchema.mjs");
+
+describe("addToCart", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("only adds products shoppers can see", async () => {
+    mock.method(Product, "findOne", async () => null);
+    mock.method(Cart, "findOne", async () => {
+      throw new Error("the cart should not be touched");
+    });
+
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    await addToCart(
+      {
+        body: {
+          productId: new mongoose.Types.ObjectId().toString(),
+          quantity: 1,
+        },
+        user: { _id: new mongoose.Types.ObjectId() },
+      },
+      res
+    );
+
+    const filter = Product.findOne.mock.calls[0].arguments[0];
+    assert.deepEqual(filter.status.$in, [
+      "active",
+      "inactive",
+      "discontinued",
+      "out-of-stock",
+    ]);
+    assert.ok(filter.publishAt);
+    assert.ok(filter.unpublishAt);
+    assert.equal(res.statusCode, 404);
+    assert.equal(Cart.findOne.mock.callCount(), 0);
+  });
+});
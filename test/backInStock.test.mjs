@@ -0,0 +1,81 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+delete process.env.BACKEND_URL;
+delete process.env.PORT;
+
+const { notifyBackInStock } = await import("../utils/backInStock.mjs");
+const { stockAlertRateLimit } = await import(
+  "../middleware/securityMiddleware.mjs"
+);
+const { default: emailService } = await import("../utils/emailService.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+const { StockSubscription } = await import(
+  "../models/StockSubscriptionSchema.mjs"
+);
+
+describe("back in stock alerts", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("links to the API on its default port to unsubscribe", async () => {
+    const product = new Product({ title: "Lamp", status: "active", stock: 3 });
+    mock.method(Product, "findById", () => ({ select: async () => product }));
+    const waiting = [
+      { _id: "s1", email: "a@example.com", unsubscribeToken: "t" },
+    ];
+    mock.method(StockSubscription, "findOneAndUpdate", () => ({
+      select: async () => waiting.shift() || null,
+    }));
+    mock.method(emailService, "sendBackInStockEmail", async () => ({
+      success: true,
+    }));
+
+    const sent = await notifyBackInStock(product._id);
+
+    assert.equal(sent, 1);
+    const [, { unsubscribeUrl }] =
+      emailService.sendBackInStockEmail.mock.calls[0].arguments;
+    assert.equal(
+      unsubscribeUrl,
+      "http://localhost:5000/api/products/notify-me/unsubscribe/t"
+    );
+  });
+
+  it("limits how many alerts one IP can ask for", async () => {
+    process.env.NODE_ENV = "development";
+    try {
+      const statuses = [];
+      for (let i = 0; i < 11; i++) {
+        const res = {
+          statusCode: 200,
+          headers: {},
+          setHeader(name, value) {
+            this.headers[name] = value;
+          },
+          status(code) {
+            this.statusCode = code;
+            return this;
+          },
+          send() {
+            return this;
+          },
+          json() {
+            return this;
+          },
+        };
+        await stockAlertRateLimit(
+          { ip: "203.0.113.9", app: { get: () => false }, headers: {} },
+          res,
+          () => {}
+        );
+        statuses.push(res.statusCode);
+      }
+
+      assert.deepEqual(statuses.slice(0, 10), Array(10).fill(200));
+      assert.equal(statuses[10], 429);
+    } finally {
+      process.env.NODE_ENV = "test";
+    }
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { Category } = await import("../models/CategorySchema.mjs");
+const { buildAttributeFilter } = await import("../utils/attributeFilters.mjs");
+
+const computers = new mongoose.Types.ObjectId();
+const laptops = new mongoose.Types.ObjectId();
+
+// Computers define RAM and refurbished; laptops add a screen size and a colour,
+// and make RAM required
+const categories = new Map([
+  [
+    String(computers),
+    {
+      _id: computers,
+      attributes: [
+        {
+          key: "ram",
+          label: "RAM",
+          type: "number",
+          unit: "GB",
+          filterable: true,
+        },
+        { key: "refurbished", label: "Refurbished", type: "boolean" },
+      ],
+    },
+  ],
+  [
+    String(laptops),
+    {
+      _id: laptops,
+      parentCategory: computers,
+      attributes: [
+        { key: "screen", label: "Screen", type: "number", unit: "inch" },
+        {
+          key: "color",
+          label: "Colour",
+          type: "enum",
+          options: ["silver", "black"],
+          filterable: true,
+        },
+        {
+          key: "ram",
+          label: "RAM",
+          type: "number",
+          unit: "GB",
+          required: true,
+          filterable: true,
+        },
+      ],
+    },
+  ],
+]);
+
+describe("category attributes", () => {
+  afterEach(() => mock.restoreAll());
+
+  const mockCategories = () =>
+    mock.method(Category, "findById", (id) => ({
+      select: () => ({ lean: async () => categories.get(String(id)) }),
+    }));
+
+  it("inherits ancestors' attributes, letting subcategories redefine them", async () => {
+    mockCategories();
+
+    const definitions = await Category.getAttributeDefinitions(laptops);
+
+    assert.deepEqual(
+      definitions.map((definition) => definition.key),
+      ["refurbished", "screen", "color", "ram"]
+    );
+    assert.equal(definitions.at(-1).required, true);
+  });
+
+  it("casts values to their types and reports the ones that do not fit", async () => {
+    mockCategories();
+    const definitions = await Category.getAttributeDefinitions(laptops);
+
+    const valid = Category.checkAttributeValues(
+      definitions,
+      new Map([
+        ["ram", "16"],
+        ["refurbished", "false"],
+        ["color", "silver"],
+        ["screen", ""],
+      ])
+    );
+    assert.deepEqual(valid.errors, []);
+    assert.deepEqual(
+      [...valid.values],
+      [
+        ["ram", 16],
+        ["refurbished", false],
+        ["color", "silver"],
+      ]
+    );
+
+    const invalid = Category.checkAttributeValues(
+      definitions,
+      new Map([
+        ["color", "gold"],
+        ["screen", "big"],
+        ["gpu", "yes"],
+      ])
+    );
+    assert.deepEqual(invalid.errors, [
+      "Colour must be one of: silver, black",
+      "Screen must be a number",
+      "Unknown attribute gpu",
+      "RAM is required",
+    ]);
+  });
+
+  it("filters only on filterable attributes", () => {
+    const definitions = [...categories.get(String(laptops)).attributes];
+
+    assert.deepEqual(
+      buildAttributeFilter(definitions, {
+        ram: { min: "8", max: "32" },
+        color: "silver,black",
+      }),
+      {
+        "attributes.ram": { $gte: 8, $lte: 32 },
+        "attributes.color": { $in: ["silver", "black"] },
+      }
+    );
+    assert.throws(() => buildAttributeFilter(definitions, { screen: "13" }), {
+      errorCode: "INVALID_ATTRIBUTE_FILTER",
+      message: "Cannot filter on attribute screen",
+    });
+    assert.throws(
+      () => buildAttributeFilter(definitions, { ram: { min: "lots" } }),
+      { message: "RAM filter must be a number" }
+    );
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { evaluateCoupon, validateCoupon, redeemCoupon } = await import(
+  "../utils/couponService.mjs"
+);
+const { Coupon } = await import("../models/CouponSchema.mjs");
+const { CouponRedemption } = await import(
+  "../models/CouponRedemptionSchema.mjs"
+);
+
+const shirts = new mongoose.Types.ObjectId();
+const line = (unitPrice, quantity = 1, category = shirts) => ({
+  product: { _id: new mongoose.Types.ObjectId(), category },
+  quantity,
+  unitPrice,
+});
+
+const coupon = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  code: "SAVE",
+  isActive: true,
+  usedCount: 0,
+  ...fields,
+});
+
+describe("coupons", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("takes a capped percentage off the lines in scope only", () => {
+    const discount = evaluateCoupon(
+      coupon({
+        type: "percentage",
+        value: 50,
+        maxDiscount: 15,
+        appliesTo: { categories: [shirts] },
+      }),
+      [line(20, 2), line(100, 1, new mongoose.Types.ObjectId())]
+    );
+
+    assert.deepEqual(discount, {
+      code: "SAVE",
+      amount: 15,
+      freeShipping: false,
+    });
+  });
+
+  it("never takes a fixed amount past the eligible subtotal", () => {
+    const discount = evaluateCoupon(coupon({ type: "fixed", value: 30 }), [
+      line(12),
+    ]);
+
+    assert.equal(discount.amount, 12);
+  });
+
+  it("explains why a coupon cannot be used", () => {
+    const lines = [line(10)];
+
+    assert.throws(
+      () =>
+        evaluateCoupon(
+          coupon({ type: "fixed", value: 5, endsAt: new Date(Date.now() - 1) }),
+          lines
+        ),
+      { message: "This coupon has expired", errorCode: "COUPON_INVALID" }
+    );
+    assert.throws(
+      () =>
+        evaluateCoupon(
+          coupon({ type: "fixed", value: 5, minSubtotal: 25 }),
+          lines
+        ),
+      { message: "Spend at least 25.00 to use this coupon" }
+    );
+    assert.throws(
+      () =>
+        evaluateCoupon(
+          coupon({ type: "fixed", value: 5, usageLimit: 3, usedCount: 3 }),
+          lines
+        ),
+      { message: "This coupon has reached its usage limit" }
+    );
+  });
+
+  it("looks codes up case-insensitively and enforces the per-user limit", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const findOne = mock.method(Coupon, "findOne", async () =>
+      coupon({ type: "free-shipping", perUserLimit: 1 })
+    );
+    mock.method(CouponRedemption, "countDocuments", async () => 1);
+
+    await assert.rejects(validateCoupon(" save ", [line(10)], userId), {
+      message: "You have already used this coupon the maximum number of times",
+    });
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { code: "SAVE" });
+  });
+
+  it("counts a redemption once per order", async () => {
+    const order = {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      couponCode: "SAVE",
+      pricing: { discountAmount: 5 },
+    };
+    mock.method(Coupon, "findOne", async () => coupon({ type: "fixed" }));
+    const duplicate = Object.assign(new Error("duplicate key"), {
+      code: 11000,
+    });
+    const create = mock.method(CouponRedemption, "create", async (doc) => doc);
+    const updateOne = mock.method(Coupon, "updateOne", async () => ({}));
+
+    assert.ok(await redeemCoupon(order));
+    create.mock.mockImplementation(async () => {
+      throw duplicate;
+    });
+    assert.equal(await redeemCoupon(order), null);
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1], {
+      $inc: { usedCount: 1 },
+    });
+  });
+});
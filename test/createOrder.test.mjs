@@ -0,0 +1,124 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+process.env.STRIPE_SECRET_KEY ||= "sk_test_orders";
+
+const { createOrder } = await import("../controllers/orderController.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+const { Cart } = await import("../models/CartSchema.mjs");
+const { ShippingZone } = await import("../models/ShippingZoneSchema.mjs");
+const { SaleCampaign } = await import("../models/SaleCampaignSchema.mjs");
+
+// No shipping zones or sales configured
+const mockCatalogSetup = () => {
+  mock.method(ShippingZone, "find", () => ({
+    sort: () => ({ lean: async () => [] }),
+  }));
+  mock.method(SaleCampaign, "find", () => ({
+    select: () => ({ lean: async () => [] }),
+  }));
+};
+
+const assertPublishedFilter = (filter) => {
+  assert.deepEqual(filter.status.$in, [
+    "active",
+    "inactive",
+    "discontinued",
+    "out-of-stock",
+  ]);
+  assert.ok(filter.publishAt);
+  assert.ok(filter.unpublishAt);
+};
+
+const placeOrder = async (items) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await createOrder(
+    {
+      body: {
+        items,
+        shippingAddress: {
+          street: "1 Main St",
+          city: "Springfield",
+          state: "IL",
+          zipCode: "62701",
+          country: "US",
+        },
+        shippingMethod: "standard",
+        paymentMethod: "stripe",
+      },
+      user: { id: new mongoose.Types.ObjectId().toString() },
+    },
+    res
+  );
+  return res;
+};
+
+describe("createOrder", () => {
+  afterEach(() => mock.restoreAll());
+
+  for (const quantity of [0, -2, 1.5, "3", null]) {
+    const label = JSON.stringify(quantity);
+
+    it(`rejects item quantity ${label} before pricing`, async () => {
+      mock.method(Product, "findById", async () => {
+        throw new Error("products should not be loaded");
+      });
+
+      const res = await placeOrder([
+        { product: new mongoose.Types.ObjectId().toString(), quantity },
+      ]);
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.message, /positive whole number/);
+      assert.equal(Product.findById.mock.callCount(), 0);
+    });
+  }
+
+  it("rejects items that are not an array", async () => {
+    const res = await placeOrder({ product: "abc", quantity: 1 });
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("does not sell a product that is not published", async () => {
+    mockCatalogSetup();
+    mock.method(Product, "findOne", async () => null);
+
+    const res = await placeOrder([
+      { product: new mongoose.Types.ObjectId().toString(), quantity: 1 },
+    ]);
+
+    assert.equal(res.statusCode, 404);
+    assertPublishedFilter(Product.findOne.mock.calls[0].arguments[0]);
+  });
+
+  it("rejects cart lines whose product is no longer published", async () => {
+    mockCatalogSetup();
+    let populated;
+    mock.method(Cart, "findOne", () => ({
+      populate: async (options) => {
+        populated = options;
+        // Populate leaves lines that fail the match empty
+        return { products: [{ product: null, quantity: 1 }] };
+      },
+    }));
+
+    const res = await placeOrder(undefined);
+
+    assert.equal(res.statusCode, 404);
+    assert.match(res.body.message, /no longer available/);
+    assert.equal(populated.path, "products.product");
+    assertPublishedFilter(populated.match);
+  });
+});
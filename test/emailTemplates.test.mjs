@@ -0,0 +1,62 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+
+const { default: emailService } = await import("../utils/emailService.mjs");
+
+const hostile = `"><script>alert('x')</script>`;
+
+describe("email templates", () => {
+  it("escape every value in the back in stock email", () => {
+    const html = emailService.getBackInStockEmailTemplate({
+      title: hostile,
+      image: `https://cdn.example.com/a.png${hostile}`,
+      price: 12.5,
+      productUrl: `https://shop.example.com/p/1?a=1&b=${hostile}`,
+      unsubscribeUrl: `https://shop.example.com/u/${hostile}`,
+    });
+
+    assert.doesNotMatch(html, /<script>/);
+    assert.doesNotMatch(html, /"><script/);
+    assert.match(html, /\?a=1&amp;b=/);
+    assert.match(html, /&lt;script&gt;alert\(&#39;x&#39;\)/);
+  });
+
+  it("escape every value in the order status email", () => {
+    const html = emailService.getOrderStatusEmailTemplate({
+      userName: hostile,
+      orderNumber: hostile,
+      heading: hostile,
+      message: hostile,
+      tracking: hostile,
+      notes: hostile,
+      orderUrl: `https://shop.example.com/orders/${hostile}`,
+    });
+
+    assert.doesNotMatch(html, /<script>/);
+    assert.doesNotMatch(html, /"><script/);
+  });
+
+  it("escape names and links in account emails", () => {
+    const templates = [
+      emailService.getVerificationEmailTemplate(
+        hostile,
+        `https://x/${hostile}`
+      ),
+      emailService.getWelcomeEmailTemplate(hostile),
+      emailService.getPasswordResetEmailTemplate(
+        hostile,
+        `https://x/${hostile}`
+      ),
+      emailService.getLowStockDigestTemplate(
+        [{ sku: hostile, title: hostile, stock: 0, lowStockThreshold: 5 }],
+        []
+      ),
+    ];
+
+    for (const html of templates) {
+      assert.doesNotMatch(html, /<script>/);
+    }
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+process.env.STRIPE_SECRET_KEY ||= "sk_test_products";
+
+const { getProductById, getProductPriceHistory } = await import(
+  "../controllers/productController.mjs"
+);
+const { Product } = await import("../models/ProductSchema.mjs");
+
+const fetchProduct = async (user, handler = getProductById) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await handler(
+    {
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      query: {},
+      user,
+      headers: {},
+    },
+    res
+  );
+  return res;
+};
+
+describe("getProductById", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("only looks up published products for shoppers", async () => {
+    mock.method(Product, "findOne", async () => null);
+    mock.method(Product, "updateOne", async () => ({}));
+
+    const res = await fetchProduct(undefined);
+
+    const filter = Product.findOne.mock.calls[0].arguments[0];
+    assert.deepEqual(filter.status.$in, [
+      "active",
+      "inactive",
+      "discontinued",
+      "out-of-stock",
+    ]);
+    assert.ok(filter.publishAt);
+    assert.ok(filter.unpublishAt);
+    assert.equal(res.statusCode, 404);
+    assert.equal(Product.updateOne.mock.callCount(), 0);
+  });
+
+  it("lets admins preview drafts without counting a view", async () => {
+    const draft = { _id: new mongoose.Types.ObjectId(), status: "draft" };
+    mock.method(Product, "findOne", async () => draft);
+    mock.method(Product, "updateOne", async () => ({}));
+
+    const res = await fetchProduct({ _id: "admin", isAdmin: true });
+
+    const filter = Product.findOne.mock.calls[0].arguments[0];
+    assert.equal(filter.status, undefined);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data, draft);
+    assert.equal(Product.updateOne.mock.callCount(), 0);
+  });
+
+  it("hides the price history of unpublished products from shoppers", async () => {
+    mock.method(Product, "findOne", () => ({ select: async () => null }));
+
+    const res = await fetchProduct(undefined, getProductPriceHistory);
+
+    const filter = Product.findOne.mock.calls[0].arguments[0];
+    assert.deepEqual(filter.status.$in, [
+      "active",
+      "inactive",
+      "discontinued",
+      "out-of-stock",
+    ]);
+    assert.ok(filter.publishAt);
+    assert.equal(res.statusCode, 404);
+
+    await fetchProduct({ _id: "admin", isAdmin: true }, getProductPriceHistory);
+
+    assert.equal(Product.findOne.mock.calls[1].arguments[0].status, undefined);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { adjustStock, setStock, saveProductStock, stockLevels } = await import(
+  "../utils/inventoryService.mjs"
+);
+const { Product } = await import("../models/ProductSchema.mjs");
+const { InventoryMovement } = await import(
+  "../models/InventoryMovementSchema.mjs"
+);
+
+// A stored mug with `stock` units in the shared pool
+const buildProduct = (stock = 5) =>
+  Product.hydrate(
+    new Product({
+      sku: "MUG",
+      title: "Mug",
+      description: "Stoneware",
+      image: "https://cdn.example.com/mug.png",
+      price: 8,
+      stock,
+      category: new mongoose.Types.ObjectId(),
+    }).toObject()
+  );
+
+describe("inventory ledger", () => {
+  afterEach(() => mock.restoreAll());
+
+  const mockMovements = () =>
+    mock.method(InventoryMovement, "insertMany", async (docs) => docs);
+
+  it("moves stock only while enough is left and records the sale", async () => {
+    const product = buildProduct(3);
+    const order = new mongoose.Types.ObjectId();
+    const findOneAndUpdate = mock.method(Product, "findOneAndUpdate", () => ({
+      select: async () => product,
+    }));
+    const insertMany = mockMovements();
+
+    const { movement } = await adjustStock({
+      product: product._id,
+      quantity: -2,
+      type: "sale",
+      order,
+    });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter.stock, { $gte: 2 });
+    assert.deepEqual(filter["warehouseStock.0"], { $exists: false });
+    assert.deepEqual(update.$inc, { stock: -2, salesCount: 2 });
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.equal(movement.sku, "MUG");
+    assert.equal(movement.quantity, -2);
+    assert.equal(movement.stockAfter, 3);
+    assert.equal(movement.order, order);
+  });
+
+  it("records nothing when the stock is not there", async () => {
+    mock.method(Product, "findOneAndUpdate", () => ({
+      select: async () => null,
+    }));
+    const insertMany = mockMovements();
+
+    const result = await adjustStock({
+      product: new mongoose.Types.ObjectId(),
+      quantity: -4,
+      type: "sale",
+    });
+
+    assert.equal(result, null);
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it("sets an absolute count only if stock has not moved since it was read", async () => {
+    const product = buildProduct(5);
+    mock.method(Product, "findById", () => ({ select: async () => product }));
+    const findOneAndUpdate = mock.method(Product, "findOneAndUpdate", () => ({
+      select: async () => null,
+    }));
+
+    await assert.rejects(
+      setStock({
+        product: product._id,
+        stock: 9,
+        type: "adjustment",
+        reason: "Stocktake",
+      }),
+      { statusCode: 409, errorCode: "STOCK_CHANGED" }
+    );
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.stock, 5);
+    assert.deepEqual(update.$inc, { stock: 4 });
+  });
+
+  it("records the difference a product save makes to its stock", async () => {
+    const product = buildProduct(5);
+    const before = stockLevels(product);
+    product.stock = 2;
+    mock.method(mongoose.connection, "transaction", async (fn) =>
+      fn("session")
+    );
+    const save = mock.method(product, "save", async function () {
+      return this;
+    });
+    const insertMany = mockMovements();
+
+    await saveProductStock(product, before, {
+      type: "adjustment",
+      reason: "Edited",
+    });
+
+    assert.deepEqual(save.mock.calls[0].arguments[0], { session: "session" });
+    const [[movement], options] = insertMany.mock.calls[0].arguments;
+    assert.equal(options.session, "session");
+    assert.equal(movement.quantity, -3);
+    assert.equal(movement.stockAfter, 2);
+    assert.equal(movement.type, "adjustment");
+    assert.equal(movement.reason, "Edited");
+  });
+});
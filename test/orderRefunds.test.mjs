@@ -0,0 +1,306 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+process.env.STRIPE_SECRET_KEY ||= "sk_test_refunds";
+
+const { issueRefund } = await import("../utils/orderRefunds.mjs");
+const { refundOrder } = await import("../controllers/orderController.mjs");
+const { default: stripeProvider } = await import(
+  "../utils/payments/stripeProvider.mjs"
+);
+const { Order } = await import("../models/OrderSchema.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+const { User } = await import("../models/UserSchema.mjs");
+
+const address = {
+  street: "1 Main St",
+  city: "Springfield",
+  state: "IL",
+  zipCode: "62701",
+  country: "US",
+};
+
+// A paid order for two units at 10 and one at 5, as loaded from the database
+const buildOrder = (overrides = {}) =>
+  Order.hydrate(
+    new Order({
+      user: new mongoose.Types.ObjectId(),
+      orderNumber: "ORD-REFUND-1",
+      items: [
+        { product: new mongoose.Types.ObjectId(), quantity: 2, price: 10 },
+        { product: new mongoose.Types.ObjectId(), quantity: 1, price: 5 },
+      ],
+      shippingAddress: address,
+      billingAddress: address,
+      paymentInfo: {
+        method: "stripe",
+        status: "paid",
+        transactionId: "pi_test_1",
+      },
+      pricing: { itemsPrice: 25, totalPrice: 25 },
+      orderStatus: "confirmed",
+      ...overrides,
+    }).toObject()
+  );
+
+describe("issueRefund", () => {
+  let persisted;
+  let providerRefunds;
+  let failNextSave;
+
+  beforeEach(() => {
+    persisted = null;
+    providerRefunds = new Map();
+    failNextSave = null;
+
+    // Keep what was last saved, so a reload sees only saved state
+    mock.method(Order.prototype, "save", async function () {
+      if (failNextSave) {
+        const error = failNextSave(this);
+        failNextSave = null;
+        throw error;
+      }
+      await this.validate();
+      persisted = this.toObject();
+      return this;
+    });
+    mock.method(
+      stripeProvider,
+      "refundPayment",
+      async (order, amount, options) => {
+        if (!providerRefunds.has(options.idempotencyKey)) {
+          providerRefunds.set(options.idempotencyKey, amount);
+        }
+        return {
+          provider: "stripe",
+          providerRefundId: `re_${providerRefunds.size}`,
+          status: "succeeded",
+        };
+      }
+    );
+    mock.method(Product, "findOneAndUpdate", () => ({
+      select: async () => null,
+    }));
+    mock.method(User, "findById", () => ({ select: async () => null }));
+    mock.method(mongoose.connection, "transaction", async (fn) => fn(null));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("refunds selected items and restocks them", async () => {
+    const order = buildOrder();
+
+    const refund = await issueRefund(order, {
+      items: [{ itemId: order.items[0]._id, quantity: 1 }],
+      restock: true,
+    });
+
+    assert.equal(refund.amount, 10);
+    assert.equal(refund.status, "succeeded");
+    assert.equal(refund.restocked, true);
+    assert.equal(order.items[0].refundedQuantity, 1);
+    assert.equal(order.paymentInfo.status, "partially-refunded");
+    assert.equal(order.orderStatus, "confirmed");
+    assert.equal(Product.findOneAndUpdate.mock.callCount(), 1);
+    assert.equal(persisted.refunds[0].status, "succeeded");
+  });
+
+  it("does not restock a cancelled order again", async () => {
+    const order = buildOrder({ orderStatus: "cancelled" });
+
+    const refund = await issueRefund(order, { restock: true });
+
+    assert.equal(refund.amount, 25);
+    assert.equal(refund.restocked, false);
+    assert.equal(order.paymentInfo.status, "refunded");
+    assert.equal(Product.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("cancels an unshipped order through the state machine once fully refunded", async () => {
+    const order = buildOrder();
+
+    await issueRefund(order, { restock: false, reason: "Changed mind" });
+
+    assert.equal(order.orderStatus, "cancelled");
+    assert.equal(order.paymentInfo.status, "refunded");
+    // The refund's own transaction, then the cancellation's
+    assert.equal(mongoose.connection.transaction.mock.callCount(), 2);
+    // Every unit counts as refunded, so cancelling restocks nothing
+    assert.equal(Product.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("saves the refund as processing before calling the provider", async () => {
+    const order = buildOrder();
+    stripeProvider.refundPayment.mock.mockImplementationOnce(async () => {
+      assert.equal(persisted.refunds[0].status, "processing");
+      assert.equal(persisted.paymentInfo.refundedAmount, 25);
+      return {
+        provider: "stripe",
+        providerRefundId: "re_1",
+        status: "pending",
+      };
+    });
+
+    const refund = await issueRefund(order, {});
+
+    assert.equal(refund.status, "pending");
+  });
+
+  it("refuses a refund that races another one on the same order", async () => {
+    const order = buildOrder();
+    failNextSave = (doc) => new mongoose.Error.VersionError(doc, 0, []);
+
+    await assert.rejects(issueRefund(order, {}), {
+      errorCode: "REFUND_CONFLICT",
+    });
+    assert.equal(stripeProvider.refundPayment.mock.callCount(), 0);
+  });
+
+  it("resumes a refund whose result was never saved without refunding twice", async () => {
+    const order = buildOrder();
+    const items = [{ itemId: order.items[1]._id, quantity: 1 }];
+
+    // The provider refunds, then saving the outcome fails
+    const originalSave = Order.prototype.save;
+    let saves = 0;
+    mock.method(Order.prototype, "save", async function (...args) {
+      saves += 1;
+      if (saves === 2) throw new Error("connection lost");
+      return originalSave.apply(this, args);
+    });
+    await assert.rejects(issueRefund(order, { items }), /connection lost/);
+
+    const reloaded = Order.hydrate(persisted);
+    assert.equal(reloaded.refunds[0].status, "processing");
+
+    const refund = await issueRefund(reloaded, { items });
+
+    assert.equal(refund.status, "succeeded");
+    assert.equal(reloaded.refunds.length, 1);
+    assert.equal(reloaded.paymentInfo.refundedAmount, 5);
+    assert.equal(reloaded.items[1].refundedQuantity, 1);
+    assert.equal(stripeProvider.refundPayment.mock.callCount(), 2);
+    assert.equal(providerRefunds.size, 1);
+  });
+
+  it("releases the claimed units when the provider declines", async () => {
+    const order = buildOrder();
+    stripeProvider.refundPayment.mock.mockImplementationOnce(async () => {
+      throw Object.assign(new Error("charge already refunded"), {
+        declined: true,
+      });
+    });
+
+    await assert.rejects(issueRefund(order, {}), /already refunded/);
+
+    assert.equal(persisted.refunds[0].status, "failed");
+    assert.equal(persisted.paymentInfo.refundedAmount, 0);
+    assert.equal(persisted.items[0].refundedQuantity, 0);
+    assert.equal(persisted.paymentInfo.status, "paid");
+  });
+
+  it("keeps a timed out refund processing and resumes it with the same key", async () => {
+    const order = buildOrder();
+    const items = [{ itemId: order.items[0]._id, quantity: 1 }];
+    // The refund goes through but the answer never arrives
+    stripeProvider.refundPayment.mock.mockImplementationOnce(
+      async (_order, amount, options) => {
+        providerRefunds.set(options.idempotencyKey, amount);
+        throw Object.assign(new Error("Request timed out"), {
+          type: "StripeConnectionError",
+        });
+      }
+    );
+
+    await assert.rejects(issueRefund(order, { items }), /timed out/);
+
+    const reloaded = Order.hydrate(persisted);
+    assert.equal(reloaded.refunds[0].status, "processing");
+    assert.equal(reloaded.paymentInfo.refundedAmount, 10);
+
+    const refund = await issueRefund(reloaded, { items });
+
+    assert.equal(refund.status, "succeeded");
+    assert.equal(reloaded.refunds.length, 1);
+    assert.equal(reloaded.paymentInfo.refundedAmount, 10);
+    assert.equal(providerRefunds.size, 1);
+    const keys = stripeProvider.refundPayment.mock.calls.map(
+      (call) => call.arguments[2].idempotencyKey
+    );
+    assert.deepEqual(keys, [keys[0], keys[0]]);
+  });
+
+  it("refuses a different refund while one is still processing", async () => {
+    const order = buildOrder();
+    stripeProvider.refundPayment.mock.mockImplementationOnce(async () => {
+      throw new Error("socket hang up");
+    });
+    await assert.rejects(
+      issueRefund(order, {
+        items: [{ itemId: order.items[0]._id, quantity: 1 }],
+      }),
+      /socket hang up/
+    );
+
+    for (const request of [
+      { items: [{ itemId: order.items[1]._id, quantity: 1 }] },
+      { items: [{ itemId: order.items[0]._id, quantity: 1 }], reason: "Late" },
+      { items: [{ itemId: order.items[0]._id, quantity: 1 }], restock: false },
+      {},
+    ]) {
+      await assert.rejects(issueRefund(order, request), {
+        errorCode: "REFUND_IN_PROGRESS",
+      });
+    }
+    assert.equal(stripeProvider.refundPayment.mock.callCount(), 1);
+  });
+});
+
+describe("refundOrder", () => {
+  afterEach(() => mock.restoreAll());
+
+  it('treats restock "false" from a form as false', async () => {
+    const order = buildOrder();
+    mock.method(Order, "findById", async () => order);
+    mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(stripeProvider, "refundPayment", async () => ({
+      provider: "stripe",
+      providerRefundId: "re_1",
+      status: "succeeded",
+    }));
+    mock.method(Product, "findOneAndUpdate", () => ({
+      select: async () => null,
+    }));
+    mock.method(mongoose.connection, "transaction", async (fn) => fn(null));
+
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    await refundOrder(
+      {
+        params: { id: order.id },
+        body: {
+          items: [{ itemId: order.items[0]._id, quantity: 1 }],
+          restock: "false",
+        },
+        user: { _id: new mongoose.Types.ObjectId() },
+      },
+      res
+    );
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.data.refund.restocked, false);
+    assert.equal(Product.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+process.env.STRIPE_SECRET_KEY ||= "sk_test_returns";
+
+const { receiveReturn } = await import("../utils/orderReturns.mjs");
+const { default: stripeProvider } = await import(
+  "../utils/payments/stripeProvider.mjs"
+);
+const { Order } = await import("../models/OrderSchema.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+const { User } = await import("../models/UserSchema.mjs");
+
+const address = {
+  street: "1 Main St",
+  city: "Springfield",
+  state: "IL",
+  zipCode: "62701",
+  country: "US",
+};
+
+// A delivered order with an approved return of one of its two units
+const buildOrder = () => {
+  const itemId = new mongoose.Types.ObjectId();
+  const product = new mongoose.Types.ObjectId();
+
+  return Order.hydrate(
+    new Order({
+      user: new mongoose.Types.ObjectId(),
+      orderNumber: "ORD-RETURN-1",
+      items: [{ _id: itemId, product, quantity: 2, price: 10 }],
+      shippingAddress: address,
+      billingAddress: address,
+      paymentInfo: {
+        method: "stripe",
+        status: "paid",
+        transactionId: "pi_test_1",
+      },
+      pricing: { itemsPrice: 20, totalPrice: 20 },
+      orderStatus: "delivered",
+      returns: [
+        {
+          rmaNumber: "RMA-1",
+          items: [{ item: itemId, product, quantity: 1, reason: "damaged" }],
+          status: "approved",
+        },
+      ],
+    }).toObject()
+  );
+};
+
+describe("receiveReturn", () => {
+  let persisted;
+  let saves;
+  let failOnSave;
+
+  beforeEach(() => {
+    persisted = null;
+    saves = 0;
+    failOnSave = null;
+
+    // Keep what was last saved, so a reload sees only saved state
+    mock.method(Order.prototype, "save", async function () {
+      saves += 1;
+      if (saves === failOnSave) throw new Error("connection lost");
+      await this.validate();
+      persisted = this.toObject();
+      return this;
+    });
+    mock.method(stripeProvider, "refundPayment", async () => ({
+      provider: "stripe",
+      providerRefundId: "re_1",
+      status: "succeeded",
+    }));
+    mock.method(Product, "findOneAndUpdate", () => ({
+      select: async () => null,
+    }));
+    mock.method(User, "findById", () => ({ select: async () => null }));
+    mock.method(mongoose.connection, "transaction", async (fn) => fn(null));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("refunds and restocks the returned units", async () => {
+    const order = buildOrder();
+
+    const entry = await receiveReturn(order, order.returns[0]._id, {
+      restock: true,
+    });
+
+    assert.equal(entry.status, "refunded");
+    assert.equal(entry.restocked, true);
+    assert.equal(order.refunds[0].amount, 10);
+    assert.equal(String(order.refunds[0].returnRequest), String(entry._id));
+    assert.equal(Product.findOneAndUpdate.mock.callCount(), 1);
+  });
+
+  it("reuses the refund when the return could not be saved afterwards", async () => {
+    const order = buildOrder();
+    // Receipt, refund claim and refund result save; marking it refunded fails
+    failOnSave = 4;
+
+    await assert.rejects(
+      receiveReturn(order, order.returns[0]._id, { restock: true }),
+      /connection lost/
+    );
+
+    const reloaded = Order.hydrate(persisted);
+    assert.equal(reloaded.returns[0].status, "received");
+    assert.equal(reloaded.refunds[0].status, "succeeded");
+
+    const entry = await receiveReturn(reloaded, reloaded.returns[0]._id, {
+      restock: true,
+    });
+
+    assert.equal(entry.status, "refunded");
+    assert.equal(String(entry.refund), String(reloaded.refunds[0]._id));
+    assert.equal(reloaded.refunds.length, 1);
+    assert.equal(reloaded.paymentInfo.refundedAmount, 10);
+    assert.equal(stripeProvider.refundPayment.mock.callCount(), 1);
+    assert.equal(Product.findOneAndUpdate.mock.callCount(), 1);
+  });
+
+  it("does not close the return on another refund still processing", async () => {
+    const order = buildOrder();
+    order.refunds.push({
+      amount: 20,
+      items: [{ item: order.items[0]._id, quantity: 2 }],
+      provider: "stripe",
+      status: "processing",
+      restock: true,
+    });
+    order.items[0].refundedQuantity = 2;
+    order.paymentInfo.refundedAmount = 20;
+
+    await assert.rejects(
+      receiveReturn(order, order.returns[0]._id, { restock: true }),
+      { errorCode: "REFUND_IN_PROGRESS" }
+    );
+
+    assert.equal(order.returns[0].status, "received");
+    assert.equal(order.returns[0].refund, undefined);
+    assert.equal(stripeProvider.refundPayment.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { createShipment, deliverShipment } = await import(
+  "../utils/orderShipments.mjs"
+);
+const { Order } = await import("../models/OrderSchema.mjs");
+const { User } = await import("../models/UserSchema.mjs");
+const { default: emailService } = await import("../utils/emailService.mjs");
+
+const address = {
+  street: "1 Main St",
+  city: "Springfield",
+  state: "IL",
+  zipCode: "62701",
+  country: "US",
+};
+
+// A paid order of 3 mugs and 1 kettle waiting to ship
+const buildOrder = () =>
+  Order.hydrate(
+    new Order({
+      user: new mongoose.Types.ObjectId(),
+      orderNumber: "ORD-SHIP-1",
+      items: [
+        {
+          product: new mongoose.Types.ObjectId(),
+          productSnapshot: { title: "Mug" },
+          quantity: 3,
+          price: 8,
+        },
+        {
+          product: new mongoose.Types.ObjectId(),
+          productSnapshot: { title: "Kettle" },
+          quantity: 1,
+          price: 40,
+        },
+      ],
+      shippingAddress: address,
+      billingAddress: address,
+      paymentInfo: { method: "stripe", status: "paid" },
+      pricing: { itemsPrice: 64, totalPrice: 64 },
+      orderStatus: "processing",
+    }).toObject()
+  );
+
+describe("order shipments", () => {
+  let sendShipmentEmail;
+
+  beforeEach(() => {
+    mock.method(mongoose.connection, "transaction", async (fn) =>
+      fn("session")
+    );
+    mock.method(Order.prototype, "save", async function () {
+      await this.validate();
+      return this;
+    });
+    mock.method(User, "findById", () => ({
+      select: async () => ({ name: "Sam", email: "sam@example.com" }),
+    }));
+    sendShipmentEmail = mock.method(
+      emailService,
+      "sendShipmentEmail",
+      async () => ({ success: true })
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("partially ships an order while units are still waiting", async () => {
+    const order = buildOrder();
+    const [mugs] = order.items;
+
+    const shipment = await createShipment(order, {
+      items: [{ itemId: mugs._id, quantity: 2 }],
+      carrier: "UPS",
+      trackingNumber: "1Z1",
+    });
+
+    assert.equal(order.orderStatus, "partially-shipped");
+    assert.equal(shipment.items[0].quantity, 2);
+    assert.equal(shipment.carrier, "UPS");
+    assert.equal(order.shippingInfo.trackingNumber, "1Z1");
+    assert.deepEqual(
+      order.unshippedItems().map((line) => line.quantity),
+      [1, 1]
+    );
+    await new Promise(setImmediate);
+    assert.equal(sendShipmentEmail.mock.calls[0].arguments[2], shipment);
+  });
+
+  it("ships the order once the last units leave", async () => {
+    const order = buildOrder();
+    await createShipment(order, {
+      items: [{ itemId: order.items[0]._id, quantity: 3 }],
+    });
+
+    await createShipment(order, { carrier: "DHL" });
+
+    assert.equal(order.orderStatus, "shipped");
+    assert.equal(order.shipments.length, 2);
+    assert.deepEqual(order.unshippedItems(), []);
+    await assert.rejects(createShipment(order, {}), {
+      statusCode: 409,
+      errorCode: "SHIPMENT_NOT_ALLOWED",
+    });
+  });
+
+  it("refuses quantities beyond what is still waiting", async () => {
+    const order = buildOrder();
+    const [mugs, kettle] = order.items;
+
+    await assert.rejects(
+      createShipment(order, { items: [{ itemId: mugs._id, quantity: 4 }] }),
+      {
+        errorCode: "INVALID_SHIPMENT_QUANTITY",
+        message: "Shipment quantity for Mug must be between 1 and 3",
+      }
+    );
+    await createShipment(order, {
+      items: [{ itemId: kettle._id, quantity: 1 }],
+    });
+    await assert.rejects(
+      createShipment(order, { items: [{ itemId: kettle._id, quantity: 1 }] }),
+      { message: "Kettle has already been shipped" }
+    );
+  });
+
+  it("delivers the order once every shipment has arrived", async () => {
+    const order = buildOrder();
+    const first = await createShipment(order, {
+      items: [{ itemId: order.items[0]._id, quantity: 3 }],
+    });
+    const second = await createShipment(order, {});
+
+    await deliverShipment(order, first._id, {});
+    assert.equal(order.orderStatus, "shipped");
+    assert.equal(order.statusHistory.at(-1).notes, "Package 1 delivered");
+
+    await deliverShipment(order, second._id, { notes: "Left with neighbour" });
+    assert.equal(order.orderStatus, "delivered");
+    assert.ok(order.shippingInfo.deliveredAt);
+    await assert.rejects(deliverShipment(order, second._id, {}), {
+      errorCode: "SHIPMENT_DELIVERED",
+    });
+  });
+});
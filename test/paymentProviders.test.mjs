@@ -0,0 +1,376 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+process.env.PAYMENT_PROVIDER = "fake";
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = "fake_secret_for_tests";
+process.env.STRIPE_SECRET_KEY ||= "sk_test_providers";
+
+const { createCheckoutSession, capturePayment, paymentWebhook } = await import(
+  "../controllers/paymentController.mjs"
+);
+const { getPaymentProvider, markOrderPaid } = await import(
+  "../utils/payments/index.mjs"
+);
+const {
+  default: fakeProvider,
+  signFakeWebhook,
+  getFakePayments,
+  resetFakeProvider,
+} = await import("../utils/payments/fakeProvider.mjs");
+const { default: paypalProvider } = await import(
+  "../utils/payments/paypalProvider.mjs"
+);
+const { validateEnvironment } = await import("../config/environment.mjs");
+const { Order } = await import("../models/OrderSchema.mjs");
+const { WebhookEvent } = await import("../models/WebhookEventSchema.mjs");
+
+const address = {
+  street: "1 Main St",
+  city: "Springfield",
+  state: "IL",
+  zipCode: "62701",
+  country: "US",
+};
+
+const buildOrder = (overrides = {}) => {
+  const order = new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderNumber: "ORD-FAKE-1",
+    items: [],
+    shippingAddress: address,
+    billingAddress: address,
+    paymentInfo: { method: "stripe" },
+    pricing: { itemsPrice: 20, totalPrice: 20 },
+    orderStatus: "pending",
+    ...overrides,
+  });
+  order.save = async function () {
+    await this.validate();
+    return this;
+  };
+  return order;
+};
+
+const response = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Run a handler against `order` as its owner
+const callAs = async (handler, order, body = {}) => {
+  const res = response();
+  await handler(
+    { params: { orderId: order.id }, body, user: { _id: order.user } },
+    res
+  );
+  return res;
+};
+
+const deliverFake = async (event, signature) => {
+  const signed = signFakeWebhook(event);
+  const res = response();
+  await paymentWebhook(
+    {
+      params: { provider: "fake" },
+      body: Buffer.from(signed.body),
+      headers: { "x-fake-signature": signature ?? signed.signature },
+    },
+    res
+  );
+  return res;
+};
+
+// Set environment variables for one test; undefined removes them
+const withEnv = async (values, fn) => {
+  const saved = Object.fromEntries(
+    Object.keys(values).map((key) => [key, process.env[key]])
+  );
+  const apply = (entries) => {
+    for (const [key, value] of Object.entries(entries)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  };
+
+  apply(values);
+  try {
+    return await fn();
+  } finally {
+    apply(saved);
+  }
+};
+
+describe("fake payment provider", () => {
+  let order;
+
+  beforeEach(() => {
+    resetFakeProvider();
+    order = buildOrder();
+    mock.method(Order, "findOne", async () => order);
+    mock.method(Order, "findById", async () => order);
+    mock.method(WebhookEvent, "create", async () => ({}));
+    mock.method(WebhookEvent, "updateOne", async () => ({}));
+    mock.method(WebhookEvent, "deleteOne", async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("stands in for online methods when PAYMENT_PROVIDER is fake", () => {
+    assert.equal(getPaymentProvider("stripe"), fakeProvider);
+    assert.equal(getPaymentProvider("paypal"), fakeProvider);
+    assert.notEqual(getPaymentProvider("cash-on-delivery"), fakeProvider);
+  });
+
+  it("does not exist outside tests unless chosen", async () => {
+    await withEnv(
+      { NODE_ENV: "production", PAYMENT_PROVIDER: undefined },
+      () => {
+        assert.throws(() => getPaymentProvider("fake"), {
+          errorCode: "UNSUPPORTED_PAYMENT_METHOD",
+        });
+        assert.notEqual(getPaymentProvider("stripe"), fakeProvider);
+      }
+    );
+  });
+
+  it("is refused in production", async () => {
+    await withEnv({ NODE_ENV: "production" }, () => {
+      for (const method of ["stripe", "fake"]) {
+        assert.throws(() => getPaymentProvider(method), {
+          errorCode: "CONFIGURATION_ERROR",
+        });
+      }
+    });
+  });
+
+  it("stops the server from starting in production", async () => {
+    mock.method(process, "exit", (code) => {
+      throw new Error(`exit ${code}`);
+    });
+    mock.method(console, "error", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "log", () => {});
+
+    await withEnv(
+      {
+        NODE_ENV: "production",
+        MONGO_URI: "mongodb://localhost/test",
+        JWT_SECRET: "x".repeat(32),
+        EMAIL_HOST: "smtp.example.com",
+        EMAIL_PORT: "587",
+        EMAIL_USER: "shop@example.com",
+        EMAIL_PASS: "secret",
+      },
+      () => {
+        assert.throws(() => validateEnvironment(), /exit 1/);
+        assert.match(
+          console.error.mock.calls.map((call) => call.arguments[0]).join("\n"),
+          /PAYMENT_PROVIDER=fake/
+        );
+      }
+    );
+  });
+
+  it("takes a payment from checkout to capture", async () => {
+    const checkout = await callAs(createCheckoutSession, order);
+
+    assert.equal(checkout.statusCode, 201);
+    assert.match(order.paymentInfo.sessionId, /^fake_session_/);
+
+    const capture = await callAs(capturePayment, order);
+
+    assert.equal(capture.statusCode, 200);
+    assert.equal(order.paymentInfo.status, "paid");
+    assert.equal(order.orderStatus, "confirmed");
+    assert.equal(getFakePayments().payments[0].status, "paid");
+  });
+
+  it("refuses to capture a cancelled order", async () => {
+    await callAs(createCheckoutSession, order);
+    order.orderStatus = "cancelled";
+
+    const capture = await callAs(capturePayment, order);
+
+    assert.equal(capture.statusCode, 409);
+    assert.equal(order.paymentInfo.status, "pending");
+    assert.equal(getFakePayments().payments[0].status, "pending");
+  });
+
+  it("never marks a cancelled order paid", async () => {
+    order.orderStatus = "cancelled";
+
+    await assert.rejects(markOrderPaid(order, { transactionId: "txn_1" }), {
+      errorCode: "ORDER_CANCELLED",
+    });
+    assert.equal(order.paymentInfo.status, "pending");
+  });
+
+  it("applies a signed webhook event", async () => {
+    const res = await deliverFake({
+      id: "evt_fake_1",
+      type: "payment.succeeded",
+      orderId: order.id,
+      transactionId: "fake_txn_1",
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(order.paymentInfo.status, "paid");
+    assert.equal(order.paymentInfo.transactionId, "fake_txn_1");
+  });
+
+  it("rejects a webhook with a bad signature", async () => {
+    const res = await deliverFake(
+      { id: "evt_fake_2", type: "payment.succeeded", orderId: order.id },
+      "0".repeat(64)
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(order.paymentInfo.status, "pending");
+  });
+
+  it("rejects webhooks while no secret is configured", async () => {
+    const signed = signFakeWebhook({
+      id: "evt_fake_3",
+      type: "payment.succeeded",
+      orderId: order.id,
+    });
+
+    await withEnv({ FAKE_PAYMENT_WEBHOOK_SECRET: undefined }, async () => {
+      const res = response();
+      await paymentWebhook(
+        {
+          params: { provider: "fake" },
+          body: Buffer.from(signed.body),
+          headers: { "x-fake-signature": signed.signature },
+        },
+        res
+      );
+
+      assert.equal(res.statusCode, 500);
+    });
+    assert.equal(order.paymentInfo.status, "pending");
+  });
+
+  it("ignores events for orders paid with another provider", async () => {
+    order = buildOrder({ paymentInfo: { method: "cash-on-delivery" } });
+
+    const res = await deliverFake({
+      id: "evt_fake_4",
+      type: "payment.succeeded",
+      orderId: order.id,
+      transactionId: "fake_txn_4",
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(order.paymentInfo.status, "pending");
+    assert.equal(order.orderStatus, "pending");
+  });
+
+  it("only notes a payment received for a cancelled order", async () => {
+    order.orderStatus = "cancelled";
+
+    await deliverFake({
+      id: "evt_fake_5",
+      type: "payment.succeeded",
+      orderId: order.id,
+      transactionId: "fake_txn_5",
+    });
+
+    assert.equal(order.paymentInfo.status, "pending");
+    assert.match(order.statusHistory.at(-1).notes, /fake_txn_5/);
+  });
+});
+
+describe("PayPal checkout", () => {
+  let paypalOrders;
+  let requestIds;
+
+  beforeEach(() => {
+    paypalOrders = new Map();
+    requestIds = [];
+    mock.method(globalThis, "fetch", async (url, { method, headers }) => {
+      const reply = (body) => ({ ok: true, json: async () => body });
+      if (url.endsWith("/v1/oauth2/token")) {
+        return reply({ access_token: "token", expires_in: 3600 });
+      }
+      if (method === "POST") {
+        const requestId = headers["PayPal-Request-Id"];
+        requestIds.push(requestId);
+        // PayPal answers a repeated request id with the order it created
+        if (!paypalOrders.has(requestId)) {
+          paypalOrders.set(requestId, {
+            id: `PP-${paypalOrders.size + 1}`,
+            status: "PAYER_ACTION_REQUIRED",
+            links: [{ rel: "payer-action", href: "https://paypal.test/pay" }],
+          });
+        }
+        return reply(paypalOrders.get(requestId));
+      }
+      const id = decodeURIComponent(url.split("/").at(-1));
+      return reply(
+        [...paypalOrders.values()].find((order) => order.id === id) || {}
+      );
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const paypalOrder = () =>
+    buildOrder({
+      items: [
+        { product: new mongoose.Types.ObjectId(), quantity: 2, price: 10 },
+      ],
+      paymentInfo: { method: "paypal" },
+    });
+
+  it("reuses an order the buyer can still approve", async () => {
+    const order = paypalOrder();
+    await withEnv(
+      { PAYPAL_CLIENT_ID: "id", PAYPAL_CLIENT_SECRET: "secret" },
+      async () => {
+        const first = await paypalProvider.createPayment(order);
+        order.paymentInfo.sessionId = first.sessionId;
+
+        const again = await paypalProvider.createPayment(order);
+
+        assert.equal(again.sessionId, first.sessionId);
+        assert.equal(again.reused, true);
+        assert.equal(again.url, "https://paypal.test/pay");
+        assert.equal(paypalOrders.size, 1);
+      }
+    );
+  });
+
+  it("sends the same request id when a checkout is retried", async () => {
+    const order = paypalOrder();
+    await withEnv(
+      { PAYPAL_CLIENT_ID: "id", PAYPAL_CLIENT_SECRET: "secret" },
+      async () => {
+        await paypalProvider.createPayment(order);
+        await paypalProvider.createPayment(order);
+
+        assert.equal(requestIds.length, 2);
+        assert.equal(requestIds[0], requestIds[1]);
+        assert.equal(paypalOrders.size, 1);
+
+        // Once the order can no longer be approved a new one is created
+        const first = [...paypalOrders.values()][0];
+        first.status = "VOIDED";
+        order.paymentInfo.sessionId = first.id;
+        const next = await paypalProvider.createPayment(order);
+
+        assert.notEqual(next.sessionId, first.id);
+        assert.equal(paypalOrders.size, 2);
+      }
+    );
+  });
+});
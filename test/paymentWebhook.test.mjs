@@ -0,0 +1,220 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Stripe from "stripe";
+
+process.env.NODE_ENV = "test";
+process.env.STRIPE_SECRET_KEY ||= "sk_test_webhooks";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_webhooks";
+
+const { paymentWebhook } = await import("../controllers/paymentController.mjs");
+const { Order } = await import("../models/OrderSchema.mjs");
+const { User } = await import("../models/UserSchema.mjs");
+const { WebhookEvent } = await import("../models/WebhookEventSchema.mjs");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+const address = {
+  street: "1 Main St",
+  city: "Springfield",
+  state: "IL",
+  zipCode: "62701",
+  country: "US",
+};
+
+const buildOrder = () => {
+  const order = new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderNumber: "ORD-TEST-1",
+    items: [],
+    shippingAddress: address,
+    billingAddress: address,
+    paymentInfo: { method: "stripe" },
+    pricing: { itemsPrice: 10, totalPrice: 10 },
+    orderStatus: "pending",
+  });
+  order.save = async function () {
+    await this.validate();
+    return this;
+  };
+  return order;
+};
+
+// Call the handler the way Express would, with a signed raw body
+const deliver = async (event, { signature } = {}) => {
+  const payload = JSON.stringify(event);
+  const req = {
+    params: {},
+    body: Buffer.from(payload),
+    headers: {
+      "stripe-signature":
+        signature ??
+        stripe.webhooks.generateTestHeaderString({
+          payload,
+          secret: process.env.STRIPE_WEBHOOK_SECRET,
+        }),
+    },
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  await paymentWebhook(req, res);
+  return res;
+};
+
+const stripeEvent = (id, type, object) => ({
+  id,
+  object: "event",
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object },
+});
+
+describe("Stripe payment webhook", () => {
+  let order;
+  let claimed;
+
+  beforeEach(() => {
+    order = buildOrder();
+    claimed = new Set();
+
+    mock.method(Order, "findById", async () => order);
+    mock.method(Order, "findOne", async () => order);
+    mock.method(User, "findById", () => ({ select: async () => null }));
+    mock.method(mongoose.connection, "transaction", async (fn) => fn(null));
+
+    // Mirrors the unique (provider, eventId) index
+    mock.method(WebhookEvent, "create", async ({ provider, eventId }) => {
+      const key = `${provider}:${eventId}`;
+      if (claimed.has(key)) {
+        throw Object.assign(new Error("E11000 duplicate key"), {
+          code: 11000,
+        });
+      }
+      claimed.add(key);
+    });
+    mock.method(WebhookEvent, "updateOne", async () => ({}));
+    mock.method(WebhookEvent, "deleteOne", async ({ provider, eventId }) => {
+      claimed.delete(`${provider}:${eventId}`);
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("rejects a payload with a bad signature", async () => {
+    const res = await deliver(
+      stripeEvent("evt_bad", "checkout.session.completed", {}),
+      { signature: "t=1,v1=deadbeef" }
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(WebhookEvent.create.mock.callCount(), 0);
+    assert.equal(order.paymentInfo.status, "pending");
+  });
+
+  it("marks the order paid when checkout completes", async () => {
+    const res = await deliver(
+      stripeEvent("evt_paid", "checkout.session.completed", {
+        id: "cs_test_1",
+        payment_status: "paid",
+        payment_intent: "pi_test_1",
+        metadata: { orderId: order.id },
+      })
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(order.paymentInfo.status, "paid");
+    assert.equal(order.paymentInfo.transactionId, "pi_test_1");
+    assert.equal(order.orderStatus, "confirmed");
+    assert.equal(
+      WebhookEvent.updateOne.mock.calls[0].arguments[1].status,
+      "processed"
+    );
+  });
+
+  it("marks the order failed when the payment fails", async () => {
+    const res = await deliver(
+      stripeEvent("evt_failed", "payment_intent.payment_failed", {
+        id: "pi_test_2",
+        metadata: { orderId: order.id },
+        last_payment_error: { message: "Your card was declined." },
+      })
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(order.paymentInfo.status, "failed");
+    assert.equal(order.orderStatus, "pending");
+  });
+
+  it("cancels an unshipped order refunded in full", async () => {
+    order.paymentInfo.status = "paid";
+    order.orderStatus = "confirmed";
+
+    const res = await deliver(
+      stripeEvent("evt_refund", "charge.refunded", {
+        id: "ch_test_1",
+        amount: 1000,
+        amount_refunded: 1000,
+        refunded: true,
+        currency: "usd",
+        payment_intent: "pi_test_1",
+        metadata: { orderId: order.id },
+      })
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(order.paymentInfo.status, "refunded");
+    assert.equal(order.paymentInfo.refundedAmount, 10);
+    assert.equal(order.orderStatus, "cancelled");
+    assert.equal(mongoose.connection.transaction.mock.callCount(), 1);
+  });
+
+  it("records a partial refund without changing the order status", async () => {
+    order.paymentInfo.status = "paid";
+    order.orderStatus = "confirmed";
+
+    await deliver(
+      stripeEvent("evt_partial", "charge.refunded", {
+        id: "ch_test_2",
+        amount: 1000,
+        amount_refunded: 400,
+        refunded: false,
+        currency: "usd",
+        payment_intent: "pi_test_1",
+        metadata: { orderId: order.id },
+      })
+    );
+
+    assert.equal(order.paymentInfo.status, "partially-refunded");
+    assert.equal(order.paymentInfo.refundedAmount, 4);
+    assert.equal(order.orderStatus, "confirmed");
+  });
+
+  it("acknowledges a replayed event without applying it again", async () => {
+    const event = stripeEvent("evt_replay", "checkout.session.completed", {
+      id: "cs_test_3",
+      payment_status: "paid",
+      payment_intent: "pi_test_3",
+      metadata: { orderId: order.id },
+    });
+
+    await deliver(event);
+    const historyLength = order.statusHistory.length;
+    const res = await deliver(event);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.duplicate, true);
+    assert.equal(order.statusHistory.length, historyLength);
+    assert.equal(Order.findById.mock.callCount(), 1);
+  });
+});
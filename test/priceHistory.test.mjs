@@ -0,0 +1,155 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { recordPriceChanges, recordScheduledPriceChanges } = await import(
+  "../utils/priceHistory.mjs"
+);
+const { loadSaleCampaigns } = await import("../utils/salePricing.mjs");
+const { resolvePrice } = await import("../utils/pricingEngine.mjs");
+const { PriceHistory } = await import("../models/PriceHistorySchema.mjs");
+const { SaleCampaign } = await import("../models/SaleCampaignSchema.mjs");
+const { Category } = await import("../models/CategorySchema.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+
+const kitchen = new mongoose.Types.ObjectId();
+const now = new Date("2026-06-10T12:00:00Z");
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+// A 40.00 kettle, optionally with its own sale
+const kettle = (sale) => ({
+  _id: new mongoose.Types.ObjectId(),
+  sku: "KETTLE",
+  category: kitchen,
+  price: 40,
+  sale,
+});
+
+// 25% off the kitchen category, started two hours ago
+const summerSale = {
+  _id: new mongoose.Types.ObjectId(),
+  percentOff: 25,
+  startsAt: hoursAgo(2),
+  endsAt: new Date("2026-06-20T00:00:00Z"),
+  categories: [kitchen],
+  categoryIds: new Set([String(kitchen)]),
+};
+
+// Stand-in for a query chain that resolves or streams `result`
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    lean: async () => result,
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* result;
+      },
+      close: async () => {},
+    }),
+  };
+  return query;
+};
+
+describe("sale pricing and price history", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("only applies sales and campaigns inside their window", () => {
+    const endedSale = { price: 30, endsAt: hoursAgo(1) };
+
+    assert.deepEqual(resolvePrice(kettle(endedSale), null, [], now), {
+      price: 40,
+      regularPrice: 40,
+      source: "regular",
+    });
+    assert.equal(
+      resolvePrice(
+        kettle(),
+        null,
+        [{ ...summerSale, startsAt: now }],
+        hoursAgo(1)
+      ).source,
+      "regular"
+    );
+    assert.deepEqual(resolvePrice(kettle(endedSale), null, [summerSale], now), {
+      price: 30,
+      regularPrice: 40,
+      source: "campaign",
+      campaign: summerSale._id,
+    });
+  });
+
+  it("resolves campaign categories to include subcategories", async () => {
+    const kettles = new mongoose.Types.ObjectId();
+    mock.method(SaleCampaign, "find", () => chain([{ ...summerSale }]));
+    mock.method(Category, "find", (filter) =>
+      chain(
+        filter.parentCategory
+          ? filter.parentCategory.$in.some(
+              (id) => String(id) === String(kitchen)
+            )
+            ? [{ _id: kettles }]
+            : []
+          : [{ _id: kitchen }]
+      )
+    );
+
+    const [campaign] = await loadSaleCampaigns();
+
+    assert.deepEqual(
+      [...campaign.categoryIds],
+      [String(kitchen), String(kettles)]
+    );
+  });
+
+  it("records a price only when it differs from the last entry", async () => {
+    const latest = mock.method(PriceHistory, "aggregate", async () => [
+      { _id: null, entry: { price: 40, regularPrice: 40 } },
+    ]);
+    const insertMany = mock.method(
+      PriceHistory,
+      "insertMany",
+      async (docs) => docs
+    );
+    const details = { change: "edit", campaigns: [], now };
+
+    assert.deepEqual(await recordPriceChanges(kettle(), details), []);
+    assert.equal(insertMany.mock.callCount(), 0);
+
+    latest.mock.mockImplementation(async () => [
+      { _id: null, entry: { price: 45, regularPrice: 45 } },
+    ]);
+    const [entry] = await recordPriceChanges(kettle(), details);
+
+    assert.equal(entry.price, 40);
+    assert.equal(entry.change, "edit");
+    assert.equal(entry.effectiveAt, now);
+  });
+
+  it("dates a campaign's price change to when it started", async () => {
+    mock.method(SaleCampaign, "find", () => chain([{ ...summerSale }]));
+    mock.method(Category, "find", (filter) =>
+      chain(filter.parentCategory ? [] : [{ _id: kitchen }])
+    );
+    const find = mock.method(Product, "find", () => chain([kettle()]));
+    mock.method(PriceHistory, "aggregate", async () => [
+      { _id: null, entry: { price: 40, regularPrice: 40, source: "regular" } },
+    ]);
+    const insertMany = mock.method(
+      PriceHistory,
+      "insertMany",
+      async (docs) => docs
+    );
+
+    assert.equal(await recordScheduledPriceChanges(now), 1);
+
+    const { $or } = find.mock.calls[0].arguments[0];
+    assert.deepEqual($or.at(-1).category.$in, [String(kitchen)]);
+    const [[entry]] = insertMany.mock.calls[0].arguments;
+    assert.equal(entry.price, 30);
+    assert.equal(entry.source, "campaign");
+    assert.equal(entry.change, "campaign");
+    assert.deepEqual(entry.effectiveAt, summerSale.startsAt);
+  });
+});
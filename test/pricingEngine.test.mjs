@@ -0,0 +1,115 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { calculatePricing, priceCart, assertExpectedPricing, resolvePrice } =
+  await import("../utils/pricingEngine.mjs");
+
+const category = new mongoose.Types.ObjectId();
+const product = (price) => ({
+  _id: new mongoose.Types.ObjectId(),
+  category,
+  price,
+});
+
+// 8% tax, 5 flat shipping, free from 50
+const rules = {
+  taxRate: 0.08,
+  shippingFlatRate: 5,
+  freeShippingThreshold: 50,
+  pricesIncludeTax: false,
+};
+
+describe("pricing engine", () => {
+  it("adds flat shipping and tax on top of the items", () => {
+    const pricing = calculatePricing(
+      [{ product: product(10), quantity: 2, unitPrice: 10 }],
+      { rules }
+    );
+
+    assert.equal(pricing.itemsPrice, 20);
+    assert.equal(pricing.shippingPrice, 5);
+    assert.equal(pricing.taxPrice, 1.6);
+    assert.equal(pricing.totalPrice, 26.6);
+    assert.deepEqual(pricing.taxLines, [
+      { name: "Tax", rate: 8, taxableAmount: 20, amount: 1.6 },
+    ]);
+  });
+
+  it("ships free over the threshold after discounts and spreads them by value", () => {
+    const pricing = calculatePricing(
+      [
+        { product: product(40), quantity: 1, unitPrice: 40 },
+        { product: product(20), quantity: 1, unitPrice: 20 },
+      ],
+      { rules, discounts: [{ amount: 6 }] }
+    );
+
+    assert.equal(pricing.discountAmount, 6);
+    assert.equal(pricing.shippingPrice, 0);
+    assert.deepEqual(
+      pricing.items.map((item) => item.taxLines[0].taxableAmount),
+      [36, 18]
+    );
+    assert.equal(pricing.taxPrice, 4.32);
+    assert.equal(pricing.totalPrice, 58.32);
+  });
+
+  it("works tax out of prices that already include it", () => {
+    const pricing = calculatePricing(
+      [{ product: product(108), quantity: 1, unitPrice: 108 }],
+      { rules: { ...rules, pricesIncludeTax: true } }
+    );
+
+    assert.equal(pricing.taxPrice, 8);
+    assert.equal(pricing.taxLines[0].taxableAmount, 100);
+    assert.equal(pricing.totalPrice, 108);
+  });
+
+  it("prices a cart at current catalog prices, not the price when added", () => {
+    const item = { ...product(15), getVariant: () => null };
+    const pricing = priceCart(
+      { products: [{ product: item, quantity: 2, priceAtAdd: 12 }] },
+      { rules }
+    );
+
+    assert.equal(pricing.itemsPrice, 30);
+    assert.equal(pricing.items[0].priceAtAdd, 12);
+  });
+
+  it("takes the lowest of the price, a live sale and a campaign", () => {
+    const now = new Date("2026-05-01T00:00:00Z");
+    const item = {
+      ...product(100),
+      sale: { price: 85, startsAt: new Date("2026-04-01T00:00:00Z") },
+    };
+    const campaign = {
+      _id: "spring",
+      percentOff: 20,
+      categoryIds: new Set([String(category)]),
+    };
+
+    assert.deepEqual(resolvePrice(item, null, [], now), {
+      price: 85,
+      regularPrice: 100,
+      source: "sale",
+    });
+    assert.equal(resolvePrice(item, null, [campaign], now).price, 80);
+  });
+
+  it("reports amounts that changed since the client showed them", () => {
+    const pricing = calculatePricing(
+      [{ product: product(10), quantity: 1, unitPrice: 10 }],
+      { rules }
+    );
+
+    assert.doesNotThrow(() =>
+      assertExpectedPricing(pricing, { totalPrice: 15.8 })
+    );
+    assert.throws(() => assertExpectedPricing(pricing, { totalPrice: 15 }), {
+      errorCode: "PRICE_CHANGED",
+    });
+  });
+});
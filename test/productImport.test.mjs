@@ -0,0 +1,159 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { Product } = await import("../models/ProductSchema.mjs");
+const { Category } = await import("../models/CategorySchema.mjs");
+const { Warehouse } = await import("../models/WarehouseSchema.mjs");
+const {
+  PRODUCT_COLUMNS,
+  importProductRows,
+  readImportRows,
+  streamProductExport,
+} = await import("../utils/productTransfer.mjs");
+const { toCsvLine } = await import("../utils/csv.mjs");
+
+const warehouse = { _id: new mongoose.Types.ObjectId(), code: "EU1" };
+
+// A stored lamp with 4 units in warehouse EU1
+const buildProduct = () =>
+  Product.hydrate(
+    new Product({
+      sku: "LAMP",
+      title: "Desk lamp",
+      description: "Brass",
+      image: "https://cdn.example.com/lamp.png",
+      price: 30,
+      stock: 4,
+      category: new mongoose.Types.ObjectId(),
+      warehouseStock: [{ warehouse: warehouse._id, stock: 4 }],
+    }).toObject()
+  );
+
+// Stand-in for a query chain that resolves to `result`
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    populate: () => query,
+    lean: () => query,
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* result;
+      },
+      close: async () => {},
+    }),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+// Upload `rows` as a CSV file with the export's columns
+const csvFile = (rows) => ({
+  originalname: "products.csv",
+  mimetype: "text/csv",
+  buffer: Buffer.from(
+    [
+      toCsvLine(PRODUCT_COLUMNS),
+      ...rows.map((row) =>
+        toCsvLine(PRODUCT_COLUMNS.map((column) => row[column]))
+      ),
+    ].join("")
+  ),
+});
+
+describe("product import", () => {
+  afterEach(() => mock.restoreAll());
+
+  const mockLookups = (product) => {
+    mock.method(Product, "find", (filter) =>
+      chain(filter.sku ? [product] : [])
+    );
+    mock.method(Category, "find", () => chain([]));
+    mock.method(Warehouse, "find", () => chain([warehouse]));
+  };
+
+  it("reads formula-like cells back as they were exported", () => {
+    const [row] = readImportRows(
+      csvFile([{ sku: "=SKU-1", title: "+1 cable", brand: "@home" }])
+    );
+
+    assert.equal(row.sku, "=SKU-1");
+    assert.equal(row.title, "+1 cable");
+    assert.equal(row.brand, "@home");
+  });
+
+  it("rejects stock for a product stocked per warehouse", async () => {
+    const product = buildProduct();
+    mockLookups(product);
+
+    const result = await importProductRows(
+      readImportRows(csvFile([{ sku: "LAMP", stock: 10 }])),
+      { dryRun: true }
+    );
+
+    assert.equal(result.rows[0].status, "invalid");
+    assert.match(result.rows[0].errors[0], /sum of warehouseStock/);
+  });
+
+  it("accepts the warehouse total an export carries", async () => {
+    const product = buildProduct();
+    mockLookups(product);
+
+    const result = await importProductRows(
+      readImportRows(
+        csvFile([
+          {
+            sku: "LAMP",
+            stock: 6,
+            warehouseStock: JSON.stringify([{ warehouse: "EU1", stock: 6 }]),
+          },
+        ])
+      ),
+      { dryRun: true }
+    );
+
+    assert.equal(result.rows[0].status, "valid", result.rows[0].errors[0]);
+    assert.equal(product.stock, 6);
+  });
+
+  it("streams a CSV export the importer reads back", async () => {
+    const product = buildProduct().toObject({ flattenMaps: true });
+    product.title = "=1+1 lamp";
+    product.category = { slug: "lighting" };
+    product.warehouseStock[0].warehouse = warehouse;
+    mock.method(Product, "find", () => chain([product]));
+
+    // Full after the header line until it drains
+    const chunks = [];
+    const output = Object.assign(new EventEmitter(), {
+      destroyed: false,
+      write(chunk) {
+        chunks.push(chunk);
+        if (chunks.length > 1) return true;
+        setImmediate(() => this.emit("drain"));
+        return false;
+      },
+    });
+
+    const count = await streamProductExport({}, "csv", output);
+
+    assert.equal(count, 1);
+    assert.equal(chunks.length, 2);
+    assert.match(chunks[1], /^LAMP,'=1\+1 lamp,/);
+
+    const [row] = readImportRows({
+      originalname: "products.csv",
+      mimetype: "text/csv",
+      buffer: Buffer.from(chunks.join("")),
+    });
+    assert.equal(row.title, "=1+1 lamp");
+    assert.equal(row.category, "lighting");
+    assert.deepEqual(JSON.parse(row.warehouseStock), [
+      { warehouse: "EU1", stock: 4 },
+    ]);
+  });
+});
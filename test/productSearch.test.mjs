@@ -0,0 +1,120 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { buildProductFilter, searchCatalog } = await import(
+  "../utils/productSearch.mjs"
+);
+const { resetSearchVocabulary } = await import("../utils/searchVocabulary.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+const { Category } = await import("../models/CategorySchema.mjs");
+
+// Stand-in for a query chain that resolves `result`
+const chain = (result) => ({
+  select: () => ({ lean: async () => result }),
+});
+
+// What the aggregation answers with one matching product
+const searchResult = (products = [{ _id: "p1", title: "Desk lamp" }]) => [
+  {
+    results: products,
+    total: [{ count: products.length }],
+    brands: [],
+    categories: [],
+    priceRanges: [],
+    ratings: [],
+  },
+];
+
+describe("product search", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    resetSearchVocabulary();
+  });
+
+  it("builds filters from the query string, subcategories included", async () => {
+    const lighting = new mongoose.Types.ObjectId();
+    const lamps = new mongoose.Types.ObjectId();
+    mock.method(Category, "find", (filter) =>
+      chain(
+        filter.parentCategory
+          ? filter.parentCategory.$in.includes(lighting)
+            ? [{ _id: lamps }]
+            : []
+          : [{ _id: lighting }]
+      )
+    );
+
+    const filter = await buildProductFilter({
+      category: "Lighting",
+      brand: "Acme, Lux.Co",
+      minPrice: "10",
+      maxPrice: "oops",
+      rating: "4",
+      tags: ["Desk", "LED"],
+      inStock: "true",
+    });
+
+    const [, { slug }] = Category.find.mock.calls[0].arguments[0].$or;
+    assert.deepEqual(slug.$in, ["lighting"]);
+    assert.deepEqual(filter.category.$in, [lighting, lamps]);
+    assert.deepEqual(filter.brand.$in, [/^Acme$/i, /^Lux\.Co$/i]);
+    assert.deepEqual(filter.price, { $gte: 10 });
+    assert.deepEqual(filter["rating.average"], { $gte: 4 });
+    assert.deepEqual(filter.tags, { $in: ["desk", "led"] });
+    assert.deepEqual(filter.stock, { $gt: 0 });
+  });
+
+  it("retries a search with no results using corrected words", async () => {
+    mock.method(Product, "find", () =>
+      chain([
+        { title: "Desk lamp", brand: "Acme", tags: ["lighting"] },
+        { title: "Floor lamp", tags: [] },
+      ])
+    );
+    mock.method(Category, "find", () => chain([{ name: "Lighting" }]));
+    mock.method(Product, "aggregate", async (pipeline) =>
+      pipeline[0].$match.$text.$search === "desk lamp"
+        ? searchResult()
+        : searchResult([])
+    );
+
+    const result = await searchCatalog({ q: "desc lamps" });
+
+    assert.equal(result.correctedQuery, "desk lamp");
+    assert.equal(result.query, "desc lamps");
+    assert.equal(result.total, 1);
+    assert.equal(Product.aggregate.mock.callCount(), 2);
+  });
+
+  it("does not correct words the catalog already knows", async () => {
+    mock.method(Product, "find", () => chain([{ title: "Desk lamp" }]));
+    mock.method(Category, "find", () => chain([]));
+    mock.method(Product, "aggregate", async () => searchResult([]));
+
+    const result = await searchCatalog({ q: "desk lamp" });
+
+    assert.equal(result.correctedQuery, null);
+    assert.equal(Product.aggregate.mock.callCount(), 1);
+  });
+
+  it("leaves hidden and admin-only fields out of results", async () => {
+    mock.method(Product, "aggregate", async () => searchResult());
+
+    await searchCatalog({});
+
+    const [pipeline] = Product.aggregate.mock.calls[0].arguments;
+    const { results } = pipeline.at(-1).$facet;
+    const projection = results.at(-1).$project;
+    for (const field of [
+      "titleWords",
+      "warehouseStock",
+      "variants.warehouseStock",
+    ]) {
+      assert.equal(projection[field], 0, field);
+    }
+    assert.equal(projection.title, undefined);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+
+const { getSuggestions, clearSuggestionCache } = await import(
+  "../utils/productSuggest.mjs"
+);
+const { Product, titleWordSuffixes } = await import(
+  "../models/ProductSchema.mjs"
+);
+const { Category } = await import("../models/CategorySchema.mjs");
+const { resetSearchVocabulary } = await import("../utils/searchVocabulary.mjs");
+
+// Stand-in for a query chain that resolves to `result`
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: async () => result,
+  };
+  return query;
+};
+
+describe("product suggestions", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    clearSuggestionCache();
+    resetSearchVocabulary();
+  });
+
+  it("keeps the title from each word onwards", () => {
+    assert.deepEqual(titleWordSuffixes("iPhone  Pho Case"), [
+      "iphone pho case",
+      "pho case",
+      "case",
+    ]);
+  });
+
+  it("derives title words when a product is validated", async () => {
+    const product = new Product({ title: "Wireless Mouse" });
+    await product.validate().catch(() => {});
+
+    assert.deepEqual([...product.titleWords], ["wireless mouse", "mouse"]);
+  });
+
+  it("matches titles with an anchored prefix on titleWords", async () => {
+    mock.method(Product, "find", () =>
+      chain([{ _id: "p1", title: "iPhone Pho Case", price: 10 }])
+    );
+    mock.method(Product, "aggregate", async () => []);
+    mock.method(Category, "find", () => chain([]));
+
+    const result = await getSuggestions("  Pho   C ");
+
+    const filter = Product.find.mock.calls[0].arguments[0];
+    assert.equal(filter.title, undefined);
+    assert.equal(filter.titleWords.source, "^pho c");
+    assert.equal(filter.titleWords.flags, "");
+    assert.equal(result.products[0].title, "iPhone Pho Case");
+  });
+
+  it("ranks categories by the popularity of their products", async () => {
+    const categories = [
+      { _id: "c1", name: "Phone cases", slug: "phone-cases" },
+      { _id: "c2", name: "Phones", slug: "phones" },
+    ];
+    mock.method(Product, "find", () => chain([]));
+    mock.method(Category, "find", () => chain(categories));
+    mock.method(Product, "aggregate", async (pipeline) =>
+      pipeline[1].$group._id === "$category"
+        ? [
+            { _id: "c1", salesCount: 3, ratingCount: 9, productCount: 4 },
+            { _id: "c2", salesCount: 40, ratingCount: 2, productCount: 12 },
+          ]
+        : [{ name: "Phonix", productCount: 2 }]
+    );
+
+    const result = await getSuggestions("pho");
+
+    assert.deepEqual(
+      result.categories.map((category) => [
+        category.slug,
+        category.productCount,
+      ]),
+      [
+        ["phones", 12],
+        ["phone-cases", 4],
+      ]
+    );
+    assert.deepEqual(result.brands, [{ name: "Phonix", productCount: 2 }]);
+    assert.equal(result.didYouMean, null);
+  });
+
+  it("offers a correction when nothing matches and caches the answer", async () => {
+    mock.method(Product, "find", (filter) =>
+      chain(filter.titleWords ? [] : [{ title: "Wireless mouse" }])
+    );
+    mock.method(Product, "aggregate", async () => []);
+    mock.method(Category, "find", () => chain([]));
+
+    const result = await getSuggestions("mousr");
+    const again = await getSuggestions("MOUSR");
+
+    assert.equal(result.didYouMean, "mouse");
+    assert.equal(again, result);
+    assert.equal(Product.aggregate.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { Product } = await import("../models/ProductSchema.mjs");
+const { Category } = await import("../models/CategorySchema.mjs");
+const { Warehouse } = await import("../models/WarehouseSchema.mjs");
+const { importProductRows, streamProductExport } = await import(
+  "../utils/productTransfer.mjs"
+);
+
+// A stored T-shirt sold in sizes S and M
+const buildProduct = () =>
+  Product.hydrate(
+    new Product({
+      sku: "TEE",
+      title: "T-shirt",
+      description: "Cotton",
+      image: "https://cdn.example.com/tee.png",
+      price: 10,
+      stock: 5,
+      category: new mongoose.Types.ObjectId(),
+      options: [{ name: "Size", values: ["S", "M"] }],
+      variants: [
+        { sku: "TEE-S", optionValues: { Size: "S" }, price: 10, stock: 2 },
+        { sku: "TEE-M", optionValues: { Size: "M" }, price: 12, stock: 3 },
+      ],
+    }).toObject()
+  );
+
+// Stand-in for a query chain that resolves or streams `result`
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    populate: () => query,
+    lean: () => query,
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* result;
+      },
+      close: async () => {},
+    }),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+describe("product variants", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("keeps the IDs of variants matched by _id or SKU", () => {
+    const product = buildProduct();
+    const [small, medium] = product.variants.map((variant) => variant._id);
+
+    product.setVariants([
+      { _id: small, sku: "TEE-S", optionValues: { Size: "S" }, price: 9 },
+      { sku: "tee-m", optionValues: { Size: "M" }, price: 12, stock: 1 },
+      { sku: "TEE-L", optionValues: { Size: "L" }, price: 14, stock: 4 },
+    ]);
+
+    assert.equal(String(product.variants[0]._id), String(small));
+    assert.equal(product.variants[0].price, 9);
+    // Fields left out are kept
+    assert.equal(product.variants[0].stock, 2);
+    assert.equal(String(product.variants[1]._id), String(medium));
+    assert.equal(product.variants[1].stock, 1);
+    assert.ok(product.variants[2]._id);
+    assert.notEqual(String(product.variants[2]._id), String(small));
+  });
+
+  it("drops variants left out and IDs the product does not have", () => {
+    const product = buildProduct();
+    const foreign = new mongoose.Types.ObjectId();
+
+    product.setVariants([
+      { _id: foreign, sku: "TEE-XL", optionValues: { Size: "M" }, price: 1 },
+    ]);
+
+    assert.equal(product.variants.length, 1);
+    assert.notEqual(String(product.variants[0]._id), String(foreign));
+  });
+
+  it("derives the listing price and stock from active variants", async () => {
+    const product = buildProduct();
+    product.variants[0].isActive = false;
+
+    await product.validate();
+
+    assert.equal(product.price, 12);
+    assert.equal(product.stock, 3);
+  });
+
+  it("rejects variants that break the option definitions", async () => {
+    const variantError = async (variants) => {
+      const product = buildProduct();
+      product.setVariants(variants);
+      const error = await product.validate().catch((error) => error);
+      return error.errors.variants.message;
+    };
+    const variant = (sku, optionValues) => ({
+      sku,
+      optionValues,
+      price: 10,
+      stock: 1,
+    });
+
+    assert.equal(
+      await variantError([variant("TEE-X", { Size: "XL" })]),
+      "Variant TEE-X needs one of S, M for Size"
+    );
+    assert.equal(
+      await variantError([variant("TEE-R", { Size: "M", Color: "Red" })]),
+      "Variant TEE-R uses unknown option Color"
+    );
+    assert.equal(
+      await variantError([
+        variant("TEE-S", { Size: "S" }),
+        variant("TEE-S2", { Size: "S" }),
+      ]),
+      "More than one variant has the options of TEE-S2"
+    );
+  });
+
+  it("keeps variant IDs through an export and import", async () => {
+    const product = buildProduct();
+    const ids = product.variants.map((variant) => String(variant._id));
+
+    // Lean documents hold maps as plain objects
+    mock.method(Product, "find", () =>
+      chain([product.toObject({ flattenMaps: true })])
+    );
+    const lines = [];
+    await streamProductExport({}, "ndjson", {
+      destroyed: false,
+      write: (chunk) => lines.push(chunk) && true,
+    });
+
+    mock.restoreAll();
+    const rows = lines.map((line) => JSON.parse(line));
+    assert.deepEqual(
+      rows[0].variants.map((variant) => variant._id),
+      ids
+    );
+    delete rows[0].category;
+    rows[0].variants[0].price = 11;
+
+    mock.method(Product, "find", (filter) =>
+      chain(filter.sku ? [product] : [])
+    );
+    mock.method(Category, "find", () => chain([]));
+    mock.method(Category, "getAttributeDefinitions", async () => []);
+    mock.method(Warehouse, "find", () => chain([]));
+
+    const result = await importProductRows(rows, { dryRun: true });
+
+    assert.equal(result.summary.invalid, 0, JSON.stringify(result.rows));
+    assert.deepEqual(
+      product.variants.map((variant) => String(variant._id)),
+      ids
+    );
+    assert.equal(product.variants[0].price, 11);
+  });
+});
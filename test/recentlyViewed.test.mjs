@@ -0,0 +1,118 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { viewerOf, recordProductView } = await import(
+  "../utils/recentlyViewed.mjs"
+);
+const { getRecentlyViewed } = await import("../controllers/userController.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+const { RecentlyViewed } = await import("../models/RecentlyViewedSchema.mjs");
+
+// Request with an optional signed-in user and X-Session-Id header
+const request = ({ user, sessionId, query = {} } = {}) => ({
+  user,
+  query,
+  get: (name) => (name === "X-Session-Id" ? sessionId : undefined),
+});
+
+const response = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe("recently viewed", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("keys the list by user, or by a well-formed guest session", () => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+
+    assert.deepEqual(viewerOf(request({ user, sessionId: "guest-123456" })), {
+      user: user._id,
+    });
+    assert.deepEqual(viewerOf(request({ sessionId: "guest-123456" })), {
+      sessionId: "guest-123456",
+    });
+    assert.equal(viewerOf(request({ sessionId: "short" })), null);
+    assert.equal(viewerOf(request({ sessionId: "guest 123456" })), null);
+  });
+
+  it("counts the view and moves the product to the front of the list", async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const now = new Date("2026-09-01T10:00:00Z");
+    const countView = mock.method(Product, "updateOne", async () => ({}));
+    const saveList = mock.method(RecentlyViewed, "updateOne", async () => ({}));
+
+    await recordProductView(
+      String(productId),
+      { sessionId: "guest-123456" },
+      now
+    );
+
+    assert.deepEqual(countView.mock.calls[0].arguments[1], {
+      $inc: { viewCount: 1 },
+    });
+    const [viewer, [{ $set }], options] = saveList.mock.calls[0].arguments;
+    assert.deepEqual(viewer, { sessionId: "guest-123456" });
+    assert.deepEqual(options, { upsert: true });
+    const [items, max] = $set.items.$slice;
+    const [[entry], others] = items.$concatArrays;
+    assert.equal(max, 20);
+    assert.equal(String(entry.product), String(productId));
+    assert.equal(entry.viewedAt, now);
+    assert.equal(String(others.$filter.cond.$ne[1]), String(productId));
+  });
+
+  it("never fails the product page when a view cannot be recorded", async () => {
+    mock.method(Product, "updateOne", async () => {
+      throw new Error("connection lost");
+    });
+
+    await recordProductView(new mongoose.Types.ObjectId(), null);
+  });
+
+  it("lists live products newest first for the viewer", async () => {
+    const findOne = mock.method(RecentlyViewed, "findOne", () => ({
+      populate: () => ({
+        lean: async () => ({
+          items: [
+            { product: { title: "Kettle" } },
+            { product: null },
+            { product: { title: "Toaster" } },
+            { product: { title: "Mug" } },
+          ],
+        }),
+      }),
+    }));
+    const res = response();
+
+    await getRecentlyViewed(
+      request({ sessionId: "guest-123456", query: { limit: "2" } }),
+      res
+    );
+
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      sessionId: "guest-123456",
+    });
+    assert.deepEqual(
+      res.body.data.map((item) => item.product.title),
+      ["Kettle", "Toaster"]
+    );
+  });
+
+  it("asks anonymous visitors to sign in or send a session", async () => {
+    const res = response();
+
+    await getRecentlyViewed(request(), res);
+
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { refreshRecommendations, seedRecommendations, getRecommendations } =
+  await import("../utils/recommendations.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+const { Order } = await import("../models/OrderSchema.mjs");
+const { Recommendation } = await import("../models/RecommendationSchema.mjs");
+
+const tent = new mongoose.Types.ObjectId();
+const stove = new mongoose.Types.ObjectId();
+const lantern = new mongoose.Types.ObjectId();
+const camping = new mongoose.Types.ObjectId();
+
+// Stand-in for a query chain that resolves or streams `result`
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    lean: () => query,
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* result;
+      },
+      close: async () => {},
+    }),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return query;
+};
+
+describe("recommendations", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("stores related and bought together lists for every live product", async () => {
+    const now = new Date("2026-08-01T00:00:00Z");
+    const orders = mock.method(Order, "aggregate", () => ({
+      allowDiskUse: async () => [
+        { _id: tent, products: [{ product: stove, score: 4 }] },
+      ],
+    }));
+    mock.method(Product, "find", () =>
+      chain([
+        { _id: tent, category: camping, tags: ["outdoor"], price: 200 },
+        { _id: stove, category: camping, tags: [], price: 50 },
+      ])
+    );
+    const related = mock.method(Product, "aggregate", async () => [
+      { _id: lantern, score: 4.6666 },
+    ]);
+    const bulkWrite = mock.method(
+      Recommendation,
+      "bulkWrite",
+      async () => ({})
+    );
+    const deleteMany = mock.method(Recommendation, "deleteMany", async () => ({
+      deletedCount: 1,
+    }));
+
+    assert.equal(await refreshRecommendations(now), 2);
+
+    const [{ $match }] = orders.mock.calls[0].arguments[0];
+    assert.deepEqual($match.orderStatus, { $ne: "cancelled" });
+    assert.deepEqual($match.createdAt.$gte, new Date("2025-08-01T00:00:00Z"));
+
+    const [{ $match: candidates }] = related.mock.calls[0].arguments[0];
+    assert.equal(candidates._id.$ne, tent);
+    assert.deepEqual(candidates.$or, [
+      { category: camping },
+      { tags: { $in: ["outdoor"] } },
+    ]);
+
+    const [operations] = bulkWrite.mock.calls[0].arguments;
+    const [forTent, forStove] = operations.map(
+      (operation) => operation.updateOne
+    );
+    assert.equal(forTent.upsert, true);
+    assert.deepEqual(forTent.update.$set, {
+      related: [{ product: lantern, score: 4.667 }],
+      boughtTogether: [{ product: stove, score: 4 }],
+      computedAt: now,
+    });
+    assert.deepEqual(forStove.update.$set.boughtTogether, []);
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], {
+      computedAt: { $lt: now },
+    });
+  });
+
+  it("only seeds when nothing has been stored yet", async () => {
+    mock.method(Recommendation, "estimatedDocumentCount", async () => 3);
+    const aggregate = mock.method(Order, "aggregate");
+
+    await seedRecommendations();
+
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+
+  it("leaves out products taken down since the last refresh", async () => {
+    const findOne = mock.method(Recommendation, "findOne", () =>
+      chain({
+        related: [
+          { product: { _id: stove, title: "Stove" }, score: 5 },
+          { product: null, score: 4 },
+          { product: { _id: lantern, title: "Lantern" }, score: 3 },
+        ],
+      })
+    );
+
+    const products = await getRecommendations(tent, "related", 2);
+
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { product: tent });
+    assert.deepEqual(
+      products.map((product) => product.title),
+      ["Stove", "Lantern"]
+    );
+  });
+});
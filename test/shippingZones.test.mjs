@@ -0,0 +1,145 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+
+const {
+  findShippingZone,
+  getShippingMethods,
+  resolveShippingMethod,
+  parcelOf,
+  shippingRate,
+  clearShippingZoneCache,
+} = await import("../utils/shippingEngine.mjs");
+const { ShippingZone } = await import("../models/ShippingZoneSchema.mjs");
+
+// Zones in priority order, from the whole world down to downtown Chicago
+const world = { name: "World", countries: ["*"], methods: [] };
+const usa = { name: "USA", countries: ["US"], methods: [] };
+const illinois = {
+  name: "Illinois",
+  countries: ["US"],
+  states: ["IL"],
+  methods: [],
+};
+const chicago = {
+  name: "Chicago",
+  countries: ["US"],
+  states: ["IL"],
+  zipPrefixes: ["606"],
+  methods: [
+    {
+      code: "pickup",
+      rateBasis: "order-value",
+      rates: [{ price: 0 }],
+    },
+    {
+      code: "express",
+      label: "Same day",
+      rateBasis: "weight",
+      rates: [{ price: 15 }],
+      isActive: false,
+    },
+    {
+      code: "standard",
+      rateBasis: "weight",
+      rates: [
+        { upTo: 1, price: 4 },
+        { upTo: 5, price: 9 },
+      ],
+      freeShippingThreshold: 75,
+    },
+  ],
+};
+const zones = [world, usa, illinois, chicago];
+
+const address = (country, state, zipCode) => ({ country, state, zipCode });
+
+describe("shipping zones", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    clearShippingZoneCache();
+  });
+
+  it("serves an address from the most specific zone covering it", () => {
+    assert.equal(
+      findShippingZone(address("us", "il", "60601"), zones),
+      chicago
+    );
+    assert.equal(
+      findShippingZone(address("US", "IL", "62701"), zones),
+      illinois
+    );
+    assert.equal(findShippingZone(address("US", "TX", "75001"), zones), usa);
+    assert.equal(findShippingZone(address("FR", "", "75001"), zones), world);
+    assert.equal(findShippingZone(address("FR"), [usa, illinois]), null);
+  });
+
+  it("lists a zone's active methods in method order", async () => {
+    mock.method(ShippingZone, "find", () => ({
+      sort: () => ({ lean: async () => zones }),
+    }));
+
+    const methods = await getShippingMethods(address("US", "IL", "606 01"));
+
+    assert.deepEqual(
+      methods.map(({ code, label, zone }) => [code, label, zone]),
+      [
+        ["standard", "Standard shipping", "Chicago"],
+        ["pickup", "Store pickup", "Chicago"],
+      ]
+    );
+    await assert.rejects(
+      resolveShippingMethod(address("US", "IL", "60601"), "express"),
+      {
+        errorCode: "SHIPPING_UNAVAILABLE",
+        message: "Express shipping is not available for this address",
+        details: { available: ["standard", "pickup"] },
+      }
+    );
+  });
+
+  it("offers flat standard shipping until zones are set up", async () => {
+    mock.method(ShippingZone, "find", () => ({
+      sort: () => ({ lean: async () => [] }),
+    }));
+
+    const [method, ...others] = await getShippingMethods(address("FR"));
+
+    assert.equal(method.code, "standard");
+    assert.equal(method.zone, "Default");
+    assert.deepEqual(others, []);
+  });
+
+  it("prices parcels by weight, volume or order value", () => {
+    const [, , standard] = chicago.methods;
+    const parcel = parcelOf([
+      {
+        product: {
+          weight: 0.4,
+          dimensions: { length: 30, width: 20, height: 10 },
+        },
+        quantity: 2,
+      },
+      { product: {}, quantity: 1 },
+    ]);
+
+    assert.deepEqual(parcel, { weight: 0.8, volume: 12000 });
+    assert.equal(shippingRate(standard, { parcel, orderValue: 40 }), 4);
+    assert.equal(
+      shippingRate(
+        { ...standard, rateBasis: "volumetric" },
+        { parcel, orderValue: 40 }
+      ),
+      9
+    );
+    assert.equal(shippingRate(standard, { parcel, orderValue: 80 }), 0);
+    assert.equal(
+      shippingRate(standard, {
+        parcel: { weight: 6, volume: 0 },
+        orderValue: 40,
+      }),
+      null
+    );
+  });
+});
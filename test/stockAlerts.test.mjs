@@ -0,0 +1,131 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { getLowStockItems, sendLowStockDigest } = await import(
+  "../utils/stockAlerts.mjs"
+);
+const { adjustStock } = await import("../utils/inventoryService.mjs");
+const { Product } = await import("../models/ProductSchema.mjs");
+const { InventoryMovement } = await import(
+  "../models/InventoryMovementSchema.mjs"
+);
+const { default: emailService } = await import("../utils/emailService.mjs");
+
+// A stored mug with `stock` units and the given status
+const buildProduct = (stock, status = "active") =>
+  Product.hydrate(
+    new Product({
+      sku: "MUG",
+      title: "Mug",
+      description: "Stoneware",
+      image: "https://cdn.example.com/mug.png",
+      price: 8,
+      stock,
+      status,
+      category: new mongoose.Types.ObjectId(),
+    }).toObject()
+  );
+
+// What the low stock aggregation answers: a tee size and a simple mug
+const lowStockRows = () => [
+  {
+    _id: "p1",
+    title: "T-shirt",
+    status: "active",
+    lowStockThreshold: 5,
+    items: {
+      variant: "v1",
+      sku: "TEE-M",
+      stock: 0,
+      optionValues: { Size: "M", Color: "Red" },
+    },
+  },
+  {
+    _id: "p2",
+    title: "Mug",
+    status: "active",
+    lowStockThreshold: 5,
+    items: { sku: "MUG", stock: 3 },
+  },
+];
+
+describe("stock alerts", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.LOW_STOCK_DIGEST_RECIPIENTS;
+  });
+
+  it("flips sellable products between active and out-of-stock", () => {
+    const product = buildProduct(0);
+    assert.equal(product.syncStockStatus(), "out-of-stock");
+
+    product.stock = 2;
+    assert.equal(product.syncStockStatus(), "active");
+
+    const inactive = buildProduct(0, "inactive");
+    assert.equal(inactive.syncStockStatus(), "inactive");
+  });
+
+  it("saves the flip when a sale takes the last units", async () => {
+    const product = buildProduct(0);
+    mock.method(Product, "findOneAndUpdate", () => ({
+      select: async () => product,
+    }));
+    const updateOne = mock.method(Product, "updateOne", async () => ({}));
+    mock.method(InventoryMovement, "insertMany", async (docs) => docs);
+
+    await adjustStock({ product: product._id, quantity: -1, type: "sale" });
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter.status, "active");
+    assert.deepEqual(filter.stock, { $lte: 0 });
+    assert.deepEqual(update, { $set: { status: "out-of-stock" } });
+  });
+
+  it("lists low and out of stock SKUs with their variant labels", async () => {
+    const aggregate = mock.method(Product, "aggregate", async () =>
+      lowStockRows()
+    );
+
+    const items = await getLowStockItems();
+    const outOfStock = await getLowStockItems({ level: "out-of-stock" });
+
+    const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual($match.status, { $ne: "discontinued" });
+    assert.deepEqual(
+      items.map((item) => [item.sku, item.variantLabel, item.level]),
+      [
+        ["TEE-M", "M / Red", "out-of-stock"],
+        ["MUG", undefined, "low"],
+      ]
+    );
+    assert.deepEqual(
+      outOfStock.map((item) => item.sku),
+      ["TEE-M"]
+    );
+  });
+
+  it("emails the digest to the configured recipients only when needed", async () => {
+    process.env.LOW_STOCK_DIGEST_RECIPIENTS =
+      "ops@example.com, buyer@example.com";
+    const aggregate = mock.method(Product, "aggregate", async () =>
+      lowStockRows()
+    );
+    const send = mock.method(emailService, "sendLowStockDigest", async () => ({
+      success: true,
+    }));
+
+    assert.deepEqual(await sendLowStockDigest(), { sent: true, items: 2 });
+    assert.deepEqual(send.mock.calls[0].arguments[0], [
+      "ops@example.com",
+      "buyer@example.com",
+    ]);
+
+    aggregate.mock.mockImplementation(async () => []);
+    assert.deepEqual(await sendLowStockDigest(), { sent: false, items: 0 });
+    assert.equal(send.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+process.env.STRIPE_SECRET_KEY ||= "sk_test_checkout";
+delete process.env.PAYMENT_PROVIDER;
+
+const { createCheckoutSession } = await import(
+  "../controllers/paymentController.mjs"
+);
+const { default: stripe } = await import("../config/stripe.mjs");
+const { Order } = await import("../models/OrderSchema.mjs");
+
+const address = {
+  street: "1 Main St",
+  city: "Springfield",
+  state: "IL",
+  zipCode: "62701",
+  country: "US",
+};
+
+// Two mugs at 12.50 with 5 shipping, 2.40 tax and 3 off
+const buildOrder = (pricing = {}) => {
+  const order = new Order({
+    user: new mongoose.Types.ObjectId(),
+    orderNumber: "ORD-CHECKOUT-1",
+    items: [
+      {
+        product: new mongoose.Types.ObjectId(),
+        quantity: 2,
+        price: 12.5,
+        productSnapshot: { title: "Mug", image: "https://cdn.test/mug.png" },
+      },
+    ],
+    shippingAddress: address,
+    billingAddress: address,
+    paymentInfo: { method: "stripe" },
+    pricing: {
+      itemsPrice: 25,
+      shippingPrice: 5,
+      taxPrice: 2.4,
+      discountAmount: 3,
+      totalPrice: 29.4,
+      ...pricing,
+    },
+  });
+  order.save = async function () {
+    return this;
+  };
+  return order;
+};
+
+const startCheckout = async (order, body = {}) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  await createCheckoutSession(
+    {
+      params: { orderId: order.id },
+      body,
+      user: { _id: order.user, email: "buyer@example.com" },
+    },
+    res
+  );
+  return res;
+};
+
+describe("Stripe checkout", () => {
+  beforeEach(() => {
+    mock.method(stripe.checkout.sessions, "create", async () => ({
+      id: "cs_test_1",
+      url: "https://checkout.stripe.test/cs_test_1",
+    }));
+    mock.method(stripe.coupons, "create", async () => ({ id: "coupon_1" }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("builds the session from the stored order only", async () => {
+    const order = buildOrder();
+    mock.method(Order, "findOne", async () => order);
+
+    const res = await startCheckout(order, {
+      amount: 1,
+      line_items: [{ price_data: { unit_amount: 1 }, quantity: 1 }],
+    });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(order.paymentInfo.sessionId, "cs_test_1");
+
+    const [params] = stripe.checkout.sessions.create.mock.calls[0].arguments;
+    assert.deepEqual(
+      params.line_items.map((line) => [
+        line.price_data.product_data.name,
+        line.price_data.unit_amount,
+        line.quantity,
+      ]),
+      [
+        ["Mug", 1250, 2],
+        ["Tax", 240, 1],
+      ]
+    );
+    assert.equal(
+      params.shipping_options[0].shipping_rate_data.fixed_amount.amount,
+      500
+    );
+    assert.deepEqual(params.discounts, [{ coupon: "coupon_1" }]);
+    assert.equal(
+      stripe.coupons.create.mock.calls[0].arguments[0].amount_off,
+      300
+    );
+    assert.equal(params.client_reference_id, order.id);
+    assert.equal(params.customer_email, "buyer@example.com");
+  });
+
+  it("refuses an order whose total does not match its items", async () => {
+    const order = buildOrder({ totalPrice: 1 });
+    mock.method(Order, "findOne", async () => order);
+
+    const res = await startCheckout(order);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(stripe.checkout.sessions.create.mock.callCount(), 0);
+  });
+
+  it("refuses orders that are already paid", async () => {
+    const order = buildOrder();
+    order.paymentInfo.status = "paid";
+    mock.method(Order, "findOne", async () => order);
+
+    const res = await startCheckout(order);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(stripe.checkout.sessions.create.mock.callCount(), 0);
+  });
+});
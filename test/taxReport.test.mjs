@@ -0,0 +1,150 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { taxReport, taxReportCsv } = await import("../utils/taxReport.mjs");
+const { Order } = await import("../models/OrderSchema.mjs");
+
+const vat = { name: "VAT", country: "DE", rate: 19 };
+
+// An order for two units at 100 plus 19% VAT, paid in January
+const buildOrder = (refunds = [], paymentStatus = "paid") => {
+  const itemId = new mongoose.Types.ObjectId();
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date("2026-01-10T09:00:00Z"),
+    items: [
+      {
+        _id: itemId,
+        quantity: 2,
+        taxLines: [{ ...vat, taxableAmount: 200, amount: 38 }],
+      },
+    ],
+    pricing: {
+      totalPrice: 238,
+      taxLines: [{ ...vat, taxableAmount: 200, amount: 38 }],
+    },
+    paymentInfo: {
+      status: paymentStatus,
+      paidAt: new Date("2026-01-10T09:05:00Z"),
+    },
+    refunds: refunds.map((refund) => ({
+      items: [{ item: itemId, quantity: refund.quantity }],
+      ...refund,
+    })),
+  };
+};
+
+// Stand-in for a query chain that streams `orders`
+const chain = (orders) => {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* orders;
+      },
+      close: async () => {},
+    }),
+  };
+  return query;
+};
+
+describe("tax report", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("takes refunded tax off in the month of the refund", async () => {
+    mock.method(Order, "find", () =>
+      chain([
+        buildOrder(
+          [
+            {
+              amount: 119,
+              quantity: 1,
+              status: "succeeded",
+              createdAt: new Date("2026-02-03T12:00:00Z"),
+            },
+            {
+              amount: 119,
+              quantity: 1,
+              status: "failed",
+              createdAt: new Date("2026-02-04T12:00:00Z"),
+            },
+          ],
+          "partially-refunded"
+        ),
+      ])
+    );
+
+    const rows = await taxReport();
+
+    assert.equal(rows.length, 2);
+    assert.deepEqual(
+      rows.map(
+        ({ month, orders, taxAmount, refundedTaxAmount, netTaxAmount }) => ({
+          month,
+          orders,
+          taxAmount,
+          refundedTaxAmount,
+          netTaxAmount,
+        })
+      ),
+      [
+        {
+          month: "2026-01",
+          orders: 1,
+          taxAmount: 38,
+          refundedTaxAmount: 0,
+          netTaxAmount: 38,
+        },
+        {
+          month: "2026-02",
+          orders: 0,
+          taxAmount: 0,
+          refundedTaxAmount: 19,
+          netTaxAmount: -19,
+        },
+      ]
+    );
+    assert.equal(rows[1].netTaxableAmount, -100);
+  });
+
+  it("keeps a fully refunded order in the month it was paid", async () => {
+    mock.method(Order, "find", () =>
+      chain([
+        buildOrder(
+          [
+            {
+              amount: 238,
+              quantity: 2,
+              status: "succeeded",
+              createdAt: new Date("2026-02-03T12:00:00Z"),
+            },
+          ],
+          "refunded"
+        ),
+      ])
+    );
+
+    const rows = await taxReport({
+      from: new Date("2026-01-01T00:00:00Z"),
+      to: new Date("2026-02-01T00:00:00Z"),
+    });
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].month, "2026-01");
+    assert.equal(rows[0].taxAmount, 38);
+    assert.equal(rows[0].netTaxAmount, 38);
+  });
+
+  it("writes the refund columns to CSV", async () => {
+    mock.method(Order, "find", () => chain([buildOrder()]));
+
+    const [header, line] = taxReportCsv(await taxReport()).split(/\r?\n/);
+
+    assert.match(header, /refundedTaxAmount,netTaxableAmount,netTaxAmount$/);
+    assert.match(line, /^2026-01,DE,,VAT,19,1,200,38,0,0,200,38$/);
+  });
+});
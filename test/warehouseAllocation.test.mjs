@@ -0,0 +1,106 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.NODE_ENV = "test";
+
+const { allocateStock, getAllocationWarehouses } = await import(
+  "../utils/warehouseAllocation.mjs"
+);
+const { Warehouse } = await import("../models/WarehouseSchema.mjs");
+
+const warehouse = (code, country, state, priority = 0) => ({
+  _id: new mongoose.Types.ObjectId(),
+  code,
+  address: { country, state },
+  priority,
+});
+
+const texas = warehouse("TX", "US", "TX");
+const ohio = warehouse("OH", "US", "OH", 2);
+const nevada = warehouse("NV", "US", "NV", 1);
+const berlin = warehouse("DE", "DE", "BE");
+const warehouses = [texas, ohio, nevada, berlin];
+
+const stocked = (...levels) => ({
+  warehouseStock: levels.map(([held, stock]) => ({
+    warehouse: held._id,
+    stock,
+  })),
+});
+
+const dallas = { country: "us", state: " tx " };
+
+describe("warehouse allocation", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("picks from the warehouse in the shipping state first", () => {
+    const { allocations } = allocateStock(
+      stocked([berlin, 50], [ohio, 20], [texas, 3]),
+      2,
+      dallas,
+      warehouses
+    );
+
+    assert.deepEqual(allocations, [
+      { warehouse: texas._id, code: "TX", quantity: 2 },
+    ]);
+  });
+
+  it("prefers one warehouse that covers the line over splitting it", () => {
+    const { allocations } = allocateStock(
+      stocked([texas, 1], [ohio, 5], [nevada, 5], [berlin, 50]),
+      5,
+      { country: "US", state: "CA" },
+      warehouses
+    );
+
+    // Ohio and Nevada tie on distance and stock; lower priority goes first
+    assert.deepEqual(allocations, [
+      { warehouse: nevada._id, code: "NV", quantity: 5 },
+    ]);
+  });
+
+  it("splits a line across warehouses when none can cover it", () => {
+    const { allocations, available } = allocateStock(
+      stocked([texas, 2], [ohio, 3], [berlin, 4]),
+      8,
+      dallas,
+      warehouses
+    );
+
+    assert.equal(available, 9);
+    assert.deepEqual(
+      allocations.map(({ code, quantity }) => [code, quantity]),
+      [
+        ["TX", 2],
+        ["OH", 3],
+        ["DE", 3],
+      ]
+    );
+  });
+
+  it("ignores inactive warehouses and reports a shortfall", () => {
+    const result = allocateStock(stocked([texas, 2], [berlin, 10]), 3, dallas, [
+      texas,
+    ]);
+
+    assert.deepEqual(result, { allocations: null, available: 2 });
+  });
+
+  it("leaves pooled stock alone and only loads warehouses when needed", async () => {
+    const find = mock.method(Warehouse, "find", () => ({
+      lean: async () => warehouses,
+    }));
+
+    assert.deepEqual(allocateStock({ stock: 4 }, 2, dallas, []), {
+      allocations: [],
+      available: 4,
+    });
+    assert.deepEqual(await getAllocationWarehouses([{ stock: 4 }]), []);
+    assert.equal(find.mock.callCount(), 0);
+
+    await getAllocationWarehouses([{ stock: 4 }, stocked([texas, 1])]);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { isActive: true });
+  });
+});
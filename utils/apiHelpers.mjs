@@ -90,14 +90,28 @@ export const apiDocs = (req, res) => {
       users: {
         profile: "GET /api/users/profile",
         updateProfile: "PUT /api/users/profile",
+        recentlyViewed: "GET /api/users/profile/recently-viewed",
         deleteAccount: "DELETE /api/users/profile",
       },
       products: {
         getAll: "GET /api/products",
+        search: "GET /api/products/search?q=",
+        suggest: "GET /api/products/suggest?q=",
         getById: "GET /api/products/:id",
         create: "POST /api/products (Admin only)",
         update: "PUT /api/products/:id (Admin only)",
         delete: "DELETE /api/products/:id (Admin only)",
+        import: "POST /api/products/import?dryRun=true (Admin only)",
+        export: "GET /api/products/export?format=csv|ndjson (Admin only)",
+        lowStock: "GET /api/products/low-stock (Admin only)",
+        notifyMe: "POST /api/products/:id/notify-me",
+        related: "GET /api/products/:id/related",
+        boughtTogether: "GET /api/products/:id/bought-together",
+        priceHistory: "GET /api/products/:id/price-history",
+        inventoryHistory:
+          "GET /api/products/:id/inventory/history (Admin only)",
+        adjustInventory:
+          "POST /api/products/:id/inventory/adjustments (Admin only)",
       },
       cart: {
         getCart: "GET /api/cart",
@@ -105,12 +119,62 @@ export const apiDocs = (req, res) => {
         updateItem: "PUT /api/cart/:itemId",
         removeItem: "DELETE /api/cart/:itemId",
         clearCart: "DELETE /api/cart",
+        applyCoupon: "POST /api/cart/coupon",
+        removeCoupon: "DELETE /api/cart/coupon",
+        shippingOptions: "POST /api/cart/shipping-options",
+      },
+      coupons: {
+        getCoupons: "GET /api/coupons (Admin only)",
+        getById: "GET /api/coupons/:id (Admin only)",
+        create: "POST /api/coupons (Admin only)",
+        update: "PUT /api/coupons/:id (Admin only)",
+        delete: "DELETE /api/coupons/:id (Admin only)",
+      },
+      campaigns: {
+        getCampaigns: "GET /api/campaigns (Admin only)",
+        getById: "GET /api/campaigns/:id (Admin only)",
+        create: "POST /api/campaigns (Admin only)",
+        update: "PUT /api/campaigns/:id (Admin only)",
+        delete: "DELETE /api/campaigns/:id (Admin only)",
+      },
+      warehouses: {
+        getWarehouses: "GET /api/warehouses (Admin only)",
+        getById: "GET /api/warehouses/:id (Admin only)",
+        create: "POST /api/warehouses (Admin only)",
+        update: "PUT /api/warehouses/:id (Admin only)",
+        delete: "DELETE /api/warehouses/:id (Admin only)",
+      },
+      shippingZones: {
+        getShippingZones: "GET /api/shipping-zones (Admin only)",
+        getById: "GET /api/shipping-zones/:id (Admin only)",
+        create: "POST /api/shipping-zones (Admin only)",
+        update: "PUT /api/shipping-zones/:id (Admin only)",
+        delete: "DELETE /api/shipping-zones/:id (Admin only)",
+      },
+      taxRates: {
+        getTaxRates: "GET /api/tax-rates (Admin only)",
+        report: "GET /api/tax-rates/report (Admin only)",
+        getById: "GET /api/tax-rates/:id (Admin only)",
+        create: "POST /api/tax-rates (Admin only)",
+        update: "PUT /api/tax-rates/:id (Admin only)",
+        delete: "DELETE /api/tax-rates/:id (Admin only)",
       },
       orders: {
         getOrders: "GET /api/orders",
         getById: "GET /api/orders/:id",
         create: "POST /api/orders",
         updateStatus: "PUT /api/orders/:id/status (Admin only)",
+        refund: "POST /api/orders/:id/refunds (Admin only)",
+        addShipment: "POST /api/orders/:id/shipments (Admin only)",
+        deliverShipment:
+          "PUT /api/orders/:id/shipments/:shipmentId/delivered (Admin only)",
+        requestReturn: "POST /api/orders/:id/returns",
+        approveReturn:
+          "PUT /api/orders/:id/returns/:returnId/approve (Admin only)",
+        rejectReturn:
+          "PUT /api/orders/:id/returns/:returnId/reject (Admin only)",
+        receiveReturn:
+          "PUT /api/orders/:id/returns/:returnId/receive (Admin only)",
       },
       reviews: {
         getReviews: "GET /api/reviews",
@@ -124,7 +188,11 @@ export const apiDocs = (req, res) => {
         removeItem: "DELETE /api/wishlist/:productId",
       },
       payment: {
-        createSession: "POST /api/payment",
+        createSession: "POST /api/payment/checkout/:orderId",
+        capture: "POST /api/payment/capture/:orderId",
+        collectCash: "POST /api/payment/collect/:orderId (Admin)",
+        webhook: "POST /api/payment/webhook (Stripe, signed)",
+        providerWebhook: "POST /api/payment/webhook/:provider",
       },
     },
     responseFormat: {
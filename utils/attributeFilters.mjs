@@ -0,0 +1,127 @@
+import { Product } from "../models/ProductSchema.mjs";
+import { AppError } from "./errorHandler.mjs";
+
+// Distinct values listed per facet
+const MAX_FACET_VALUES = 50;
+
+const invalidFilter = (message) =>
+  new AppError(message, 400, true, "INVALID_ATTRIBUTE_FILTER");
+
+// Accept "a,b" or repeated query params and return trimmed values
+const listParam = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const toNumber = (definition, value) => {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number)) {
+    throw invalidFilter(`${definition.label} filter must be a number`);
+  }
+  return number;
+};
+
+// Condition on one attribute from its query value
+const attributeCondition = (definition, value) => {
+  if (definition.type === "number") {
+    // attributes[ram][min]=8&attributes[ram][max]=32, or exact values
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      const range = {};
+      if (value.min !== undefined) range.$gte = toNumber(definition, value.min);
+      if (value.max !== undefined) range.$lte = toNumber(definition, value.max);
+      return range;
+    }
+    return { $in: listParam(value).map((item) => toNumber(definition, item)) };
+  }
+
+  if (typeof value === "object" && !Array.isArray(value)) {
+    throw invalidFilter(`${definition.label} filter takes values, not a range`);
+  }
+
+  if (definition.type === "boolean") {
+    const flag = String(value);
+    if (!["true", "false"].includes(flag)) {
+      throw invalidFilter(`${definition.label} filter must be true or false`);
+    }
+    return flag === "true";
+  }
+
+  return { $in: listParam(value) };
+};
+
+/**
+ * MongoDB conditions for attribute filters such as
+ * `?attributes[color]=red,blue&attributes[ram][min]=16`. Only filterable
+ * attributes of the category can be used.
+ */
+export const buildAttributeFilter = (definitions, query = {}) => {
+  if (!query || typeof query !== "object" || Array.isArray(query)) {
+    throw invalidFilter("Attribute filters look like attributes[key]=value");
+  }
+
+  const filterable = new Map(
+    definitions
+      .filter((definition) => definition.filterable)
+      .map((definition) => [definition.key, definition])
+  );
+  const filter = {};
+
+  for (const [key, value] of Object.entries(query)) {
+    const definition = filterable.get(key);
+    if (!definition) {
+      throw invalidFilter(`Cannot filter on attribute ${key}`);
+    }
+    filter[`attributes.${key}`] = attributeCondition(definition, value);
+  }
+
+  return filter;
+};
+
+/**
+ * Facets of the filterable attributes over the products matching `match`:
+ * value counts for enum, boolean and text attributes, plus the range for
+ * number attributes.
+ */
+export const getAttributeFacets = async (definitions, match) => {
+  const filterable = definitions.filter((definition) => definition.filterable);
+  if (filterable.length === 0) return [];
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    {
+      $facet: Object.fromEntries(
+        filterable.map(({ key }) => [
+          key,
+          [
+            { $match: { [`attributes.${key}`]: { $exists: true, $ne: null } } },
+            { $group: { _id: `$attributes.${key}`, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+        ])
+      ),
+    },
+  ]);
+
+  return filterable.map(({ key, label, type, unit }) => {
+    const buckets = result?.[key] || [];
+    const facet = {
+      key,
+      label,
+      type,
+      ...(unit && { unit }),
+      values: buckets
+        .slice(0, MAX_FACET_VALUES)
+        .map((bucket) => ({ value: bucket._id, count: bucket.count })),
+    };
+
+    if (type === "number" && buckets.length > 0) {
+      const numbers = buckets.map((bucket) => bucket._id);
+      facet.min = Math.min(...numbers);
+      facet.max = Math.max(...numbers);
+    }
+
+    return facet;
+  });
+};
+
+export default { buildAttributeFilter, getAttributeFacets };
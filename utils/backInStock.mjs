@@ -0,0 +1,124 @@
+import crypto from "crypto";
+import { Product } from "../models/ProductSchema.mjs";
+import { StockSubscription } from "../models/StockSubscriptionSchema.mjs";
+import emailService from "./emailService.mjs";
+import logger from "./logger.mjs";
+
+const unsubscribeUrl = (token) =>
+  `${
+    process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`
+  }/api/products/notify-me/unsubscribe/${token}`;
+
+/**
+ * Subscribe an email address to a back-in-stock alert. Subscribing twice
+ * returns the waiting subscription instead of creating another one.
+ */
+export const subscribeToRestock = async ({ product, variant, user, email }) => {
+  const filter = {
+    product,
+    variant: variant || null,
+    email: email.toLowerCase(),
+    status: "active",
+  };
+
+  const existing = await StockSubscription.findOne(filter);
+  if (existing) return { subscription: existing, created: false };
+
+  try {
+    const subscription = await StockSubscription.create({
+      ...filter,
+      user,
+      unsubscribeToken: crypto.randomBytes(32).toString("hex"),
+    });
+    return { subscription, created: true };
+  } catch (error) {
+    // Lost a race with an identical request
+    if (error.code === 11000) {
+      return {
+        subscription: await StockSubscription.findOne(filter),
+        created: false,
+      };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Email everyone waiting for a product or variant that has stock again, and
+ * retire their subscriptions. Stock is re-read first, so calling this for a
+ * change that was rolled back sends nothing. Each subscription is claimed
+ * atomically, so overlapping calls never email anyone twice.
+ */
+export const notifyBackInStock = async (productId, variantId) => {
+  const product = await Product.findById(productId).select(
+    "title image price status stock variants"
+  );
+  const variant = variantId ? product?.getVariant(variantId) : null;
+  const target = variantId ? variant : product;
+
+  if (!target || target.stock <= 0 || product.status !== "active") {
+    return 0;
+  }
+  if (variant && !variant.isActive) return 0;
+
+  let sent = 0;
+  for (;;) {
+    const subscription = await StockSubscription.findOneAndUpdate(
+      { product: product._id, variant: variant?._id || null, status: "active" },
+      { $set: { status: "notified", notifiedAt: new Date() } },
+      { new: true }
+    ).select("+unsubscribeToken");
+    if (!subscription) break;
+
+    const result = await emailService.sendBackInStockEmail(subscription.email, {
+      product,
+      variant,
+      unsubscribeUrl: unsubscribeUrl(subscription.unsubscribeToken),
+    });
+
+    if (result.success) {
+      sent += 1;
+    } else {
+      // Keep waiting for the next restock rather than losing the customer
+      await StockSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { status: "active" }, $unset: { notifiedAt: 1 } }
+      );
+      break;
+    }
+  }
+
+  if (sent > 0) {
+    logger.logBusiness("Back in stock alerts sent", {
+      productId: product._id.toString(),
+      variantId: variant?._id.toString(),
+      sent,
+    });
+  }
+
+  return sent;
+};
+
+/**
+ * Stop back-in-stock alerts to the address a token was sent to: every
+ * subscription of that email still waiting is cancelled. Returns the number
+ * cancelled, or null when the token is unknown.
+ */
+export const unsubscribeFromRestock = async (token) => {
+  const subscription = await StockSubscription.findOne({
+    unsubscribeToken: String(token),
+  });
+  if (!subscription) return null;
+
+  const result = await StockSubscription.updateMany(
+    { email: subscription.email, status: "active" },
+    { $set: { status: "unsubscribed" } }
+  );
+  return result.modifiedCount;
+};
+
+export default {
+  subscribeToRestock,
+  notifyBackInStock,
+  unsubscribeFromRestock,
+};
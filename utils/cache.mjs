@@ -0,0 +1,49 @@
+// Small in-process cache with per-entry expiry.
+// Each server instance keeps its own copy, so keep TTLs short.
+export class TtlCache {
+  constructor({ ttlMs = 60 * 1000, maxEntries = 500 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    // Evict the oldest entry once full; Map keeps insertion order
+    if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  }
+
+  // Return the cached value, computing and storing it on a miss
+  async wrap(key, compute, ttlMs) {
+    const cached = this.get(key);
+    if (cached !== undefined) return cached;
+
+    return this.set(key, await compute(), ttlMs);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default TtlCache;
@@ -0,0 +1,195 @@
+import { Coupon } from "../models/CouponSchema.mjs";
+import { CouponRedemption } from "../models/CouponRedemptionSchema.mjs";
+import { AppError } from "./errorHandler.mjs";
+import logger from "./logger.mjs";
+import { cartLines, roundMoney } from "./pricingEngine.mjs";
+
+const couponError = (message, statusCode = 400, errorCode = "COUPON_INVALID") =>
+  new AppError(message, statusCode, true, errorCode);
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Look up a coupon by the code a shopper typed
+export const findCouponByCode = async (code) => {
+  if (typeof code !== "string" || !code.trim()) {
+    throw couponError("Coupon code is required");
+  }
+
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+  if (!coupon) {
+    throw couponError("Coupon code not found", 404, "COUPON_NOT_FOUND");
+  }
+
+  return coupon;
+};
+
+// Lines covered by the coupon's product and category scope
+const eligibleLines = (coupon, lines) => {
+  const productIds = (coupon.appliesTo?.products || []).map(idOf);
+  const categoryIds = (coupon.appliesTo?.categories || []).map(idOf);
+
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return lines;
+  }
+
+  return lines.filter(
+    (line) =>
+      productIds.includes(idOf(line.product)) ||
+      categoryIds.includes(idOf(line.product.category))
+  );
+};
+
+const linesSubtotal = (lines) =>
+  roundMoney(
+    lines.reduce((total, line) => total + line.unitPrice * line.quantity, 0)
+  );
+
+/**
+ * Work out what a coupon takes off the given priced lines.
+ * Returns a pricing engine discount or throws the reason it cannot be used.
+ */
+export const evaluateCoupon = (coupon, lines, now = new Date()) => {
+  if (!coupon.isActive) {
+    throw couponError("This coupon is no longer active");
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw couponError("This coupon is not active yet");
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    throw couponError("This coupon has expired");
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError("This coupon has reached its usage limit");
+  }
+
+  const subtotal = linesSubtotal(lines);
+  if (subtotal < (coupon.minSubtotal || 0)) {
+    throw couponError(
+      `Spend at least ${coupon.minSubtotal.toFixed(2)} to use this coupon`
+    );
+  }
+
+  const eligible = eligibleLines(coupon, lines);
+  if (eligible.length === 0) {
+    throw couponError("This coupon does not apply to any items in your cart");
+  }
+  const eligibleSubtotal = linesSubtotal(eligible);
+
+  let amount = 0;
+  if (coupon.type === "percentage") {
+    amount = (eligibleSubtotal * coupon.value) / 100;
+    if (coupon.maxDiscount) {
+      amount = Math.min(amount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === "fixed") {
+    amount = Math.min(coupon.value, eligibleSubtotal);
+  }
+
+  return {
+    code: coupon.code,
+    amount: roundMoney(amount),
+    freeShipping: coupon.type === "free-shipping",
+  };
+};
+
+// Enforce the per-user limit against coupons already redeemed on paid orders
+export const assertCouponAvailableToUser = async (coupon, userId) => {
+  if (!coupon.perUserLimit || !userId) return;
+
+  const used = await CouponRedemption.countDocuments({
+    coupon: coupon._id,
+    user: userId,
+  });
+  if (used >= coupon.perUserLimit) {
+    throw couponError(
+      "You have already used this coupon the maximum number of times"
+    );
+  }
+};
+
+/**
+ * Validate a coupon code for a user against priced lines.
+ * Returns { coupon, discount } or throws an operational AppError.
+ */
+export const validateCoupon = async (code, lines, userId) => {
+  const coupon = await findCouponByCode(code);
+  const discount = evaluateCoupon(coupon, lines);
+  await assertCouponAvailableToUser(coupon, userId);
+  return { coupon, discount };
+};
+
+/**
+ * Re-check the coupon stored on a populated cart after it changes, against
+ * lines priced with the given sale campaigns. A coupon that no longer
+ * applies is removed from the cart and reported.
+ */
+export const refreshCartCoupon = async (cart, userId, campaigns) => {
+  let discount = null;
+  let couponRemoved = null;
+
+  if (cart.couponCode) {
+    try {
+      ({ discount } = await validateCoupon(
+        cart.couponCode,
+        cartLines(cart, campaigns),
+        userId
+      ));
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      couponRemoved = { code: cart.couponCode, reason: error.message };
+      cart.couponCode = undefined;
+    }
+  }
+
+  const discountAmount = discount ? discount.amount : 0;
+  if (couponRemoved || cart.discountAmount !== discountAmount) {
+    cart.discountAmount = discountAmount;
+    await cart.save();
+  }
+
+  return { discounts: discount ? [discount] : [], couponRemoved };
+};
+
+/**
+ * Count a coupon as used once its order is paid.
+ * Safe to call again for the same order; only the first call counts.
+ */
+export const redeemCoupon = async (order) => {
+  if (!order.couponCode) return null;
+
+  const coupon = await Coupon.findOne({ code: order.couponCode });
+  if (!coupon) return null;
+
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      coupon: coupon._id,
+      code: coupon.code,
+      user: order.user,
+      order: order._id,
+      discountAmount: order.pricing.discountAmount,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: 1 } });
+
+  logger.logBusiness("Coupon redeemed", {
+    code: coupon.code,
+    orderId: order._id.toString(),
+    userId: order.user.toString(),
+    discountAmount: order.pricing.discountAmount,
+  });
+
+  return redemption;
+};
+
+export default {
+  findCouponByCode,
+  evaluateCoupon,
+  validateCoupon,
+  refreshCartCoupon,
+  redeemCoupon,
+};
@@ -0,0 +1,94 @@
+// Minimal RFC 4180 CSV reading and writing
+
+/**
+ * Parse CSV text into rows of strings.
+ * Handles quoted fields with commas, doubled quotes and line breaks.
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter((values) => values.some((value) => value.trim() !== ""));
+};
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Undo the quote toCsvLine puts in front of formula-like cells
+const unescapeCell = (value) =>
+  value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name.
+ * Cells written by toCsvLine read back as they were.
+ */
+export const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((values) =>
+    Object.fromEntries(
+      columns.map((column, index) => [
+        column,
+        unescapeCell((values[index] ?? "").trim()),
+      ])
+    )
+  );
+};
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one CSV line, including the trailing line break
+export const toCsvLine = (values) => `${values.map(escapeCell).join(",")}\r\n`;
+
+export default { parseCsv, parseCsvRows, toCsvLine };
@@ -2,6 +2,47 @@ import nodemailer from "nodemailer";
 import crypto from "crypto";
 import emailConfig from "../config/emailConfig.mjs";
 
+// What customers are told when their order reaches each status
+const ORDER_STATUS_MESSAGES = {
+  confirmed: {
+    heading: "Confirmed",
+    message: "We have received your order and will start on it shortly.",
+  },
+  processing: {
+    heading: "Being Prepared",
+    message: "Your order is being packed.",
+  },
+  shipped: {
+    heading: "Shipped",
+    message: "Your order is on its way.",
+  },
+  delivered: {
+    heading: "Delivered",
+    message: "Your order has been delivered. We hope you enjoy it!",
+  },
+  cancelled: {
+    heading: "Cancelled",
+    message: "Your order has been cancelled.",
+  },
+  returned: {
+    heading: "Returned",
+    message: "We have received your return.",
+  },
+};
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Escape a value for HTML text or a quoted attribute; every value put into a
+// template goes through this
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -32,7 +73,8 @@ class EmailService {
   async sendVerificationEmail(user, token) {
     try {
       const verificationUrl = `${
-        process.env.BACKEND_URL || "http://localhost:5001"
+        process.env.BACKEND_URL ||
+        `http://localhost:${process.env.PORT || 5000}`
       }/api/auth/verify-email/${token}`;
 
       const mailOptions = {
@@ -178,8 +220,249 @@ class EmailService {
     }
   }
 
+  // Tell a customer that a product they were waiting for is back in stock
+  async sendBackInStockEmail(email, { product, variant, unsubscribeUrl }) {
+    try {
+      const title = variant?.label
+        ? `${product.title} (${variant.label})`
+        : product.title;
+      const productUrl = `${
+        process.env.FRONTEND_URL || "http://localhost:3000"
+      }/products/${product._id}`;
+
+      const mailOptions = {
+        from: {
+          name: "E-Dukaan",
+          address: emailConfig.EMAIL_FROM || emailConfig.EMAIL_USER,
+        },
+        to: email,
+        subject: `🔔 E-Dukaan - ${title} is back in stock`,
+        html: this.getBackInStockEmailTemplate({
+          title,
+          image: variant?.images?.[0] || product.image,
+          price: variant?.price ?? product.price,
+          productUrl,
+          unsubscribeUrl,
+        }),
+        text: `
+          Good news!
+
+          ${title} is back in stock. Grab it before it sells out again:
+          ${productUrl}
+
+          You asked us to let you know, so this is the only email you will get about it.
+          To stop all back in stock alerts, visit: ${unsubscribeUrl}
+
+          Best regards,
+          E-Dukaan Team
+        `,
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log("Back in stock email sent:", result.messageId);
+
+      return {
+        success: true,
+        messageId: result.messageId,
+      };
+    } catch (error) {
+      console.error("Error sending back in stock email:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Tell a customer their order has moved to a new status
+  async sendOrderStatusEmail(user, order, { notes } = {}) {
+    try {
+      const { heading, message } = ORDER_STATUS_MESSAGES[order.orderStatus];
+      const orderUrl = `${
+        process.env.FRONTEND_URL || "http://localhost:3000"
+      }/orders/${order._id}`;
+      const { carrier, trackingNumber } = order.shippingInfo || {};
+      const tracking =
+        order.orderStatus === "shipped" && trackingNumber
+          ? `${carrier ? `${carrier} ` : ""}tracking number: ${trackingNumber}`
+          : null;
+
+      const mailOptions = {
+        from: {
+          name: "E-Dukaan",
+          address: emailConfig.EMAIL_FROM || emailConfig.EMAIL_USER,
+        },
+        to: user.email,
+        subject: `📦 E-Dukaan - Order ${
+          order.orderNumber
+        } ${heading.toLowerCase()}`,
+        html: this.getOrderStatusEmailTemplate({
+          userName: user.name,
+          orderNumber: order.orderNumber,
+          heading: `Order ${heading}`,
+          message,
+          tracking,
+          notes,
+          orderUrl,
+        }),
+        text: [
+          `Hi ${user.name},`,
+          "",
+          `Your order ${order.orderNumber}: ${message}`,
+          tracking,
+          notes,
+          "",
+          `View your order: ${orderUrl}`,
+          "",
+          "Best regards,",
+          "E-Dukaan Team",
+        ]
+          .filter((line) => line !== null && line !== undefined)
+          .join("\n"),
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log("Order status email sent:", result.messageId);
+
+      return {
+        success: true,
+        messageId: result.messageId,
+      };
+    } catch (error) {
+      console.error("Error sending order status email:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Tell a customer one package of their order has shipped or arrived
+  async sendShipmentEmail(user, order, shipment) {
+    try {
+      const number = order.shipments.indexOf(shipment) + 1;
+      const delivered = shipment.status === "delivered";
+      const heading = `Package ${number} ${
+        delivered ? "Delivered" : "Shipped"
+      }`;
+      const contents = shipment.items
+        .map((line) => {
+          const item = order.items.id(line.item);
+          const title = item?.productSnapshot?.title || "Item";
+          const label = item?.productSnapshot?.variantLabel;
+          return `${line.quantity} × ${title}${label ? ` (${label})` : ""}`;
+        })
+        .join(", ");
+      const message = delivered
+        ? `A package from your order has been delivered: ${contents}.`
+        : `A package from your order is on its way: ${contents}.`;
+      const tracking =
+        !delivered && shipment.trackingNumber
+          ? `${
+              shipment.carrier ? `${shipment.carrier} ` : ""
+            }tracking number: ${shipment.trackingNumber}`
+          : null;
+      const orderUrl = `${
+        process.env.FRONTEND_URL || "http://localhost:3000"
+      }/orders/${order._id}`;
+
+      const mailOptions = {
+        from: {
+          name: "E-Dukaan",
+          address: emailConfig.EMAIL_FROM || emailConfig.EMAIL_USER,
+        },
+        to: user.email,
+        subject: `📦 E-Dukaan - Order ${
+          order.orderNumber
+        }: ${heading.toLowerCase()}`,
+        html: this.getOrderStatusEmailTemplate({
+          userName: user.name,
+          orderNumber: order.orderNumber,
+          heading,
+          message,
+          tracking,
+          orderUrl,
+        }),
+        text: [
+          `Hi ${user.name},`,
+          "",
+          `Your order ${order.orderNumber}: ${message}`,
+          tracking,
+          "",
+          `View your order: ${orderUrl}`,
+          "",
+          "Best regards,",
+          "E-Dukaan Team",
+        ]
+          .filter((line) => line !== null)
+          .join("\n"),
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log("Shipment email sent:", result.messageId);
+
+      return {
+        success: true,
+        messageId: result.messageId,
+      };
+    } catch (error) {
+      console.error("Error sending shipment email:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Send the daily low stock digest to admins
+  async sendLowStockDigest(recipients, items) {
+    try {
+      const outOfStock = items.filter((item) => item.level === "out-of-stock");
+      const lowStock = items.filter((item) => item.level === "low");
+      const describe = (item) =>
+        `${item.sku} - ${item.title}${
+          item.variantLabel ? ` (${item.variantLabel})` : ""
+        }: ${item.stock} left (threshold ${item.lowStockThreshold})`;
+
+      const mailOptions = {
+        from: {
+          name: "E-Dukaan",
+          address: emailConfig.EMAIL_FROM || emailConfig.EMAIL_USER,
+        },
+        to: recipients,
+        subject: `📦 E-Dukaan - ${outOfStock.length} out of stock, ${lowStock.length} running low`,
+        html: this.getLowStockDigestTemplate(outOfStock, lowStock),
+        text: [
+          "Daily stock report",
+          "",
+          `Out of stock (${outOfStock.length}):`,
+          ...outOfStock.map(describe),
+          "",
+          `Running low (${lowStock.length}):`,
+          ...lowStock.map(describe),
+        ].join("\n"),
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log("Low stock digest sent:", result.messageId);
+
+      return {
+        success: true,
+        messageId: result.messageId,
+      };
+    } catch (error) {
+      console.error("Error sending low stock digest:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   // Email template for verification
   getVerificationEmailTemplate(userName, verificationUrl) {
+    const url = escapeHtml(verificationUrl);
+
     return `
       <!DOCTYPE html>
       <html>
@@ -201,13 +484,13 @@ class EmailService {
           <p>Verify your E-Dukaan account</p>
         </div>
         <div class="content">
-          <h2>Hi ${userName}!</h2>
+          <h2>Hi ${escapeHtml(userName)}!</h2>
           <p>Welcome to E-Dukaan! Please verify your email address to complete your registration.</p>
           <div style="text-align: center;">
-            <a href="${verificationUrl}" class="button">Verify Email Address</a>
+            <a href="${url}" class="button">Verify Email Address</a>
           </div>
           <p>Or copy and paste this link in your browser:</p>
-          <p style="word-break: break-all; color: #007bff;">${verificationUrl}</p>
+          <p style="word-break: break-all; color: #007bff;">${url}</p>
           <p><strong>This verification link will expire in 24 hours.</strong></p>
         </div>
         <div class="footer">
@@ -240,7 +523,7 @@ class EmailService {
           <p>Your account is now verified and ready</p>
         </div>
         <div class="content">
-          <h2>Hi ${userName}!</h2>
+          <h2>Hi ${escapeHtml(userName)}!</h2>
           <p>Congratulations! Your email has been successfully verified and your E-Dukaan account is now active.</p>
           <p>You can now:</p>
           <ul>
@@ -261,6 +544,8 @@ class EmailService {
 
   // Email template for password reset
   getPasswordResetEmailTemplate(userName, resetUrl) {
+    const url = escapeHtml(resetUrl);
+
     return `
       <!DOCTYPE html>
       <html>
@@ -283,14 +568,14 @@ class EmailService {
           <p>Reset your E-Dukaan account password</p>
         </div>
         <div class="content">
-          <h2>Hi ${userName}!</h2>
+          <h2>Hi ${escapeHtml(userName)}!</h2>
           <p>You requested to reset your password for your E-Dukaan account.</p>
           <p>Click the button below to set a new password:</p>
           <div style="text-align: center;">
-            <a href="${resetUrl}" class="button">Reset Password</a>
+            <a href="${url}" class="button">Reset Password</a>
           </div>
           <p>Or copy and paste this link in your browser:</p>
-          <p style="word-break: break-all; color: #007bff;">${resetUrl}</p>
+          <p style="word-break: break-all; color: #007bff;">${url}</p>
           
           <div class="warning">
             <strong>⚠️ Important:</strong>
@@ -311,6 +596,159 @@ class EmailService {
     `;
   }
 
+  // Email template for back in stock alerts
+  getBackInStockEmailTemplate({
+    title,
+    image,
+    price,
+    productUrl,
+    unsubscribeUrl,
+  }) {
+    const safeTitle = escapeHtml(title);
+    const unsubscribe = escapeHtml(unsubscribeUrl);
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Back in Stock at E-Dukaan</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px 20px; border-radius: 10px 10px 0 0; }
+          .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; text-align: center; }
+          .product { max-width: 240px; border-radius: 10px; }
+          .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; margin: 20px 0; }
+          .footer { text-align: center; color: #666; font-size: 14px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>🔔 It's Back!</h1>
+          <p>An item you were waiting for is in stock again</p>
+        </div>
+        <div class="content">
+          <img src="${escapeHtml(image)}" alt="${safeTitle}" class="product">
+          <h2>${safeTitle}</h2>
+          <p><strong>$${escapeHtml(Number(price).toFixed(2))}</strong></p>
+          <a href="${escapeHtml(productUrl)}" class="button">Shop Now</a>
+          <p>Stock is limited, so it may sell out again soon.</p>
+        </div>
+        <div class="footer">
+          <p>You received this because you asked to be told when this item was back in stock.
+          <a href="${unsubscribe}">Stop all back in stock alerts</a></p>
+          <p>© 2024 E-Dukaan. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Email template for order status and shipment updates
+  getOrderStatusEmailTemplate({
+    userName,
+    orderNumber,
+    heading,
+    message,
+    tracking,
+    notes,
+    orderUrl,
+  }) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(heading)} - ${escapeHtml(orderNumber)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px 20px; border-radius: 10px 10px 0 0; }
+          .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 25px; font-weight: bold; margin: 20px 0; }
+          .footer { text-align: center; color: #666; font-size: 14px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>📦 ${escapeHtml(heading)}</h1>
+          <p>Order ${escapeHtml(orderNumber)}</p>
+        </div>
+        <div class="content">
+          <h2>Hi ${escapeHtml(userName)},</h2>
+          <p>${escapeHtml(message)}</p>
+          ${tracking ? `<p><strong>${escapeHtml(tracking)}</strong></p>` : ""}
+          ${notes ? `<p>${escapeHtml(notes)}</p>` : ""}
+          <a href="${escapeHtml(orderUrl)}" class="button">View Order</a>
+        </div>
+        <div class="footer">
+          <p>© 2024 E-Dukaan. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Email template for the low stock digest
+  getLowStockDigestTemplate(outOfStock, lowStock) {
+    const rows = (items) =>
+      items
+        .map(
+          (item) => `
+            <tr>
+              <td>${escapeHtml(item.sku)}</td>
+              <td>${escapeHtml(item.title)}${
+            item.variantLabel ? ` (${escapeHtml(item.variantLabel)})` : ""
+          }</td>
+              <td>${escapeHtml(item.stock)}</td>
+              <td>${escapeHtml(item.lowStockThreshold)}</td>
+            </tr>`
+        )
+        .join("");
+    const table = (title, items) =>
+      items.length === 0
+        ? ""
+        : `
+          <h2>${escapeHtml(title)} (${items.length})</h2>
+          <table>
+            <tr><th>SKU</th><th>Product</th><th>Stock</th><th>Threshold</th></tr>
+            ${rows(items)}
+          </table>`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>E-Dukaan Stock Report</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f7971e 0%, #ffd200 100%); color: white; text-align: center; padding: 30px 20px; border-radius: 10px 10px 0 0; }
+          .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+          table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+          th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+          .footer { text-align: center; color: #666; font-size: 14px; margin-top: 20px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>📦 Daily Stock Report</h1>
+          <p>SKUs at or below their low stock threshold</p>
+        </div>
+        <div class="content">
+          ${table("Out of stock", outOfStock)}
+          ${table("Running low", lowStock)}
+        </div>
+        <div class="footer">
+          <p>© 2024 E-Dukaan. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   async testConnection() {
     try {
       await this.transporter.verify();
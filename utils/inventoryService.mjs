@@ -0,0 +1,465 @@
+import mongoose from "mongoose";
+import { Product } from "../models/ProductSchema.mjs";
+import { InventoryMovement } from "../models/InventoryMovementSchema.mjs";
+import { AppError } from "./errorHandler.mjs";
+import { notifyBackInStock } from "./backInStock.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * Inventory service
+ *
+ * Every stock change goes through here so it lands in the InventoryMovement
+ * ledger with its reason. Counters are moved with conditional $inc updates;
+ * product saves that replace stock (create, edit, import) record the
+ * difference between the levels before and after. Either way the product's
+ * status follows its stock between active and out-of-stock.
+ */
+
+// Filter, update and options that move stock by `quantity`. Variant stock
+// lives on the variant and the product total follows it. Stock held in
+// warehouses moves in one warehouse, and the totals follow it; such stock
+// can never be moved without naming the warehouse. `condition` restricts
+// the stock the update applies to, e.g. { $gte: 2 } or an exact count.
+const stockChange = ({ product, variant, warehouse }, quantity, condition) => {
+  const guard = condition === undefined ? {} : { stock: condition };
+
+  if (warehouse) {
+    const level = { $elemMatch: { warehouse, ...guard } };
+
+    if (variant) {
+      return [
+        {
+          _id: product,
+          variants: { $elemMatch: { _id: variant, warehouseStock: level } },
+        },
+        {
+          $inc: {
+            "variants.$[v].warehouseStock.$[w].stock": quantity,
+            "variants.$[v].stock": quantity,
+            stock: quantity,
+          },
+        },
+        { arrayFilters: [{ "v._id": variant }, { "w.warehouse": warehouse }] },
+      ];
+    }
+
+    return [
+      { _id: product, warehouseStock: level },
+      { $inc: { "warehouseStock.$.stock": quantity, stock: quantity } },
+      {},
+    ];
+  }
+
+  const pooled = { "warehouseStock.0": { $exists: false } };
+
+  if (variant) {
+    return [
+      {
+        _id: product,
+        variants: { $elemMatch: { _id: variant, ...guard, ...pooled } },
+      },
+      { $inc: { "variants.$.stock": quantity, stock: quantity } },
+      {},
+    ];
+  }
+
+  return [
+    { _id: product, ...guard, ...pooled },
+    { $inc: { stock: quantity } },
+    {},
+  ];
+};
+
+// Persist an out-of-stock/active flip, only if stock and status are still
+// what this update saw
+const syncStockStatus = async (product, session) => {
+  const previousStatus = product.status;
+  const status = product.syncStockStatus();
+  if (status === previousStatus) return;
+
+  await Product.updateOne(
+    {
+      _id: product._id,
+      status: previousStatus,
+      stock: product.stock > 0 ? { $gt: 0 } : { $lte: 0 },
+    },
+    { $set: { status } },
+    { session }
+  );
+};
+
+// Alert back-in-stock subscribers for stock that went from zero to positive.
+// Inside a transaction this waits for the session to end; the alert re-reads
+// stock, so a rolled back change sends nothing.
+const announceRestock = (targets, session) => {
+  if (targets.length === 0) return;
+
+  const notify = () => {
+    for (const { product, variant } of targets) {
+      notifyBackInStock(product, variant).catch((error) =>
+        logger.error("Failed to send back in stock alerts", {
+          productId: product.toString(),
+          error: error.message,
+        })
+      );
+    }
+  };
+
+  if (session) {
+    session.once("ended", notify);
+  } else {
+    notify();
+  }
+};
+
+const warehouseLevel = (holder, warehouse) =>
+  holder.warehouseStock?.find(
+    (level) => level.warehouse.toString() === warehouse.toString()
+  );
+
+const recordMovements = (movements, session) =>
+  movements.length > 0
+    ? InventoryMovement.insertMany(movements, { session })
+    : Promise.resolve([]);
+
+/**
+ * Move the stock of a product, or one of its variants, by a signed quantity
+ * and record the movement. Decrements only apply while enough stock is left;
+ * pass `expectedStock` to apply only if stock still has that exact value.
+ * Returns { product, movement }, or null when the change did not apply.
+ */
+export const adjustStock = async ({
+  product,
+  variant,
+  warehouse,
+  quantity,
+  type,
+  order,
+  user,
+  reason,
+  expectedStock,
+  session,
+}) => {
+  const condition =
+    expectedStock !== undefined
+      ? expectedStock
+      : quantity < 0
+      ? { $gte: -quantity }
+      : undefined;
+  const [filter, update, options] = stockChange(
+    { product, variant, warehouse },
+    quantity,
+    condition
+  );
+
+  // Sales also feed the popularity ranking used by search suggestions
+  if (type === "sale") update.$inc.salesCount = -quantity;
+
+  const updated = await Product.findOneAndUpdate(filter, update, {
+    ...options,
+    new: true,
+    session,
+  }).select("sku stock status warehouseStock variants");
+
+  if (!updated) return null;
+  await syncStockStatus(updated, session);
+
+  const target = variant ? updated.variants.id(variant) : updated;
+  if (target.stock > 0 && target.stock - quantity <= 0) {
+    announceRestock([{ product, variant }], session);
+  }
+  const [movement] = await recordMovements(
+    [
+      {
+        product,
+        variant,
+        sku: target.sku,
+        type,
+        quantity,
+        stockAfter: target.stock,
+        warehouse,
+        warehouseStockAfter: warehouse
+          ? warehouseLevel(target, warehouse)?.stock
+          : undefined,
+        order,
+        user,
+        reason,
+      },
+    ],
+    session
+  );
+
+  return { product: updated, movement };
+};
+
+/**
+ * Put `quantity` units of an order item back into the warehouses they were
+ * picked from. `offset` skips units already put back by earlier returns.
+ * Returns the movements recorded.
+ */
+export const restockOrderItem = async (
+  item,
+  quantity,
+  { offset = 0, ...details } = {}
+) => {
+  const allocations = item.allocations?.length
+    ? item.allocations
+    : [{ quantity: offset + quantity }];
+  const movements = [];
+  let skip = offset;
+  let remaining = quantity;
+
+  for (const allocation of allocations) {
+    const available = allocation.quantity - Math.min(skip, allocation.quantity);
+    skip = Math.max(skip - allocation.quantity, 0);
+    const units = Math.min(available, remaining);
+    if (units <= 0) continue;
+
+    const result = await adjustStock({
+      ...details,
+      product: item.product,
+      variant: item.variant,
+      warehouse: allocation.warehouse,
+      quantity: units,
+    });
+
+    if (result) {
+      movements.push(result.movement);
+    } else {
+      logger.warn("Could not return stock for an order item", {
+        productId: item.product.toString(),
+        warehouseId: allocation.warehouse?.toString(),
+        quantity: units,
+      });
+    }
+    remaining -= units;
+  }
+
+  return movements;
+};
+
+/**
+ * Check that a warehouse is named exactly when a product or variant keeps
+ * its stock in warehouses, and that it holds stock there.
+ */
+export const assertWarehouseTarget = (holder, warehouse) => {
+  const stocked = holder.warehouseStock?.length > 0;
+
+  if (stocked && !warehouse) {
+    throw new AppError(
+      "Stock is held in warehouses; choose the warehouse to adjust",
+      400,
+      true,
+      "WAREHOUSE_REQUIRED"
+    );
+  }
+
+  if (warehouse && !warehouseLevel(holder, warehouse)) {
+    throw new AppError(
+      "The product is not stocked in that warehouse",
+      400,
+      true,
+      "WAREHOUSE_NOT_STOCKED"
+    );
+  }
+};
+
+/**
+ * Set the stock of a product or variant to an absolute count, e.g. after a
+ * stocktake. Fails with 409 if stock moved while the change was applied.
+ */
+export const setStock = async ({
+  product,
+  variant,
+  warehouse,
+  stock,
+  ...details
+}) => {
+  const current = await Product.findById(product).select(
+    "sku stock warehouseStock variants"
+  );
+  const target = variant ? current?.getVariant(variant) : current;
+
+  if (!target) {
+    throw new AppError(
+      variant ? "Variant not found" : "Product not found",
+      404,
+      true,
+      "NOT_FOUND"
+    );
+  }
+
+  if (!variant && current.hasVariants) {
+    throw new AppError(
+      "Stock of a product with variants is set per variant",
+      400,
+      true,
+      "VARIANT_REQUIRED"
+    );
+  }
+
+  assertWarehouseTarget(target, warehouse);
+  const level = warehouse ? warehouseLevel(target, warehouse) : target;
+
+  const result = await adjustStock({
+    ...details,
+    product,
+    variant,
+    warehouse,
+    quantity: stock - level.stock,
+    expectedStock: level.stock,
+  });
+
+  if (!result) {
+    throw new AppError(
+      "Stock changed while it was being updated, please try again",
+      409,
+      true,
+      "STOCK_CHANGED"
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Stock levels of a product keyed by variant SKU, or by "product" for
+ * simple products, and by warehouse where stock is held in warehouses.
+ * Take a snapshot before editing a product document.
+ */
+export const stockLevels = (product) => {
+  const levels = new Map();
+  const holders =
+    product.variants?.length > 0
+      ? product.variants.map((variant) => [variant.sku, variant])
+      : [["product", product]];
+
+  for (const [holderKey, holder] of holders) {
+    const base = {
+      holderKey,
+      variant: holder === product ? undefined : holder._id,
+      sku: holder.sku,
+    };
+
+    if (holder.warehouseStock?.length > 0) {
+      for (const level of holder.warehouseStock) {
+        levels.set(`${holderKey}@${level.warehouse}`, {
+          ...base,
+          warehouse: level.warehouse,
+          stock: level.stock,
+        });
+      }
+    } else {
+      levels.set(holderKey, { ...base, stock: holder.stock || 0 });
+    }
+  }
+
+  return levels;
+};
+
+// Total stock of each product or variant in a stockLevels() snapshot
+const holderTotals = (levels) => {
+  const totals = new Map();
+  for (const { holderKey, variant, stock } of levels.values()) {
+    const total = totals.get(holderKey)?.stock || 0;
+    totals.set(holderKey, { variant, stock: total + stock });
+  }
+  return totals;
+};
+
+// Movements that take a product from the `before` levels to its current ones
+const levelChanges = (before, after, product, details) => {
+  const totals = holderTotals(after);
+
+  const keys = new Set([...before.keys(), ...after.keys()]);
+  const movements = [];
+
+  for (const key of keys) {
+    const previous = before.get(key)?.stock || 0;
+    const level = after.get(key) || { ...before.get(key), stock: 0 };
+    const quantity = level.stock - previous;
+
+    if (quantity !== 0) {
+      movements.push({
+        ...details,
+        product: product._id,
+        variant: level.variant,
+        sku: level.sku || product.sku,
+        quantity,
+        stockAfter: totals.get(level.holderKey)?.stock || 0,
+        warehouse: level.warehouse,
+        warehouseStockAfter: level.warehouse ? level.stock : undefined,
+      });
+    }
+  }
+
+  return movements;
+};
+
+/**
+ * Save a product document whose stock may have changed and record the
+ * difference from the `before` snapshot, in one transaction.
+ */
+export const saveProductStock = async (product, before, details) => {
+  let savedProduct;
+  let after;
+
+  await mongoose.connection.transaction(async (session) => {
+    // Compared after saving, once stock totals have been derived
+    savedProduct = await product.save({ session });
+    after = stockLevels(savedProduct);
+    await recordMovements(
+      levelChanges(before, after, savedProduct, details),
+      session
+    );
+  });
+
+  // Alert subscribers for each product or variant that came back
+  const previousTotals = holderTotals(before);
+  announceRestock(
+    [...holderTotals(after)]
+      .filter(
+        ([key, { stock }]) =>
+          stock > 0 && (previousTotals.get(key)?.stock || 0) <= 0
+      )
+      .map(([, { variant }]) => ({ product: savedProduct._id, variant }))
+  );
+
+  return savedProduct;
+};
+
+/**
+ * Stock movements of a product, newest first.
+ */
+export const getStockHistory = async (
+  productId,
+  { variant, warehouse, type, page = 1, limit = 50 } = {}
+) => {
+  const filter = { product: productId };
+  if (variant) filter.variant = variant;
+  if (warehouse) filter.warehouse = warehouse;
+  if (type) filter.type = type;
+
+  const [movements, total] = await Promise.all([
+    InventoryMovement.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("user", "name email")
+      .populate("order", "orderNumber")
+      .populate("warehouse", "code name"),
+    InventoryMovement.countDocuments(filter),
+  ]);
+
+  return { movements, total };
+};
+
+export default {
+  adjustStock,
+  setStock,
+  restockOrderItem,
+  assertWarehouseTarget,
+  stockLevels,
+  saveProductStock,
+  getStockHistory,
+};
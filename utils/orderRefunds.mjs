@@ -0,0 +1,338 @@
+import mongoose from "mongoose";
+import { AppError } from "./errorHandler.mjs";
+import { restockOrderItem } from "./inventoryService.mjs";
+import { transitionOrder } from "./orderStateMachine.mjs";
+import { getPaymentProvider } from "./payments/index.mjs";
+import { exclusiveTax } from "./pricingEngine.mjs";
+import logger from "./logger.mjs";
+
+// Round a monetary amount to cents
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// The order item a requested refund line points at, by item or product ID
+const findOrderItem = (order, requested) => {
+  const itemId = requested.itemId || requested.item;
+  return itemId
+    ? order.items.find((item) => item._id.toString() === String(itemId))
+    : order.items.find(
+        (item) => item.product.toString() === String(requested.product)
+      );
+};
+
+// Work out which items and how much money a refund request covers
+export const calculateRefund = (order, requestedItems) => {
+  const refundableTotal = roundAmount(
+    order.pricing.totalPrice - (order.paymentInfo.refundedAmount || 0)
+  );
+
+  if (refundableTotal <= 0) {
+    throw new AppError(
+      "Order has already been fully refunded",
+      409,
+      true,
+      "ALREADY_REFUNDED"
+    );
+  }
+
+  // No items selected: refund everything that has not been refunded yet
+  if (!requestedItems || requestedItems.length === 0) {
+    const lines = order.items
+      .filter((item) => item.quantity > item.refundedQuantity)
+      .map((item) => ({
+        item: item._id,
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity - item.refundedQuantity,
+      }));
+
+    return { amount: refundableTotal, lines };
+  }
+
+  const lines = requestedItems.map((requested) => {
+    const itemId = requested.itemId || requested.item;
+    const orderItem = findOrderItem(order, requested);
+
+    if (!orderItem) {
+      throw new AppError(
+        `Item not found in order: ${itemId || requested.product}`,
+        400,
+        true,
+        "INVALID_REFUND_ITEM"
+      );
+    }
+
+    const quantity = Number(requested.quantity);
+    const remaining = orderItem.quantity - orderItem.refundedQuantity;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+      throw new AppError(
+        `Refund quantity for ${
+          orderItem.productSnapshot?.title || orderItem._id
+        } must be between 1 and ${remaining}`,
+        400,
+        true,
+        "INVALID_REFUND_QUANTITY"
+      );
+    }
+
+    return {
+      item: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      quantity,
+      orderItem,
+    };
+  });
+
+  // Once every unit is refunded, the remainder (shipping, rounding) goes too
+  const refundedUnits = new Map(
+    lines.map((line) => [line.item.toString(), line.quantity])
+  );
+  const completesOrder = order.items.every(
+    (item) =>
+      item.quantity - item.refundedQuantity ===
+      (refundedUnits.get(item._id.toString()) || 0)
+  );
+  if (completesOrder) {
+    return {
+      amount: refundableTotal,
+      lines: lines.map(({ orderItem: _orderItem, ...line }) => line),
+    };
+  }
+
+  // Otherwise refund the lines plus their share of tax and discount
+  const { itemsPrice, discountAmount = 0, taxLines = [] } = order.pricing;
+  const amount = lines.reduce((total, line) => {
+    const lineTotal = line.orderItem.price * line.quantity;
+    const share = itemsPrice > 0 ? lineTotal / itemsPrice : 0;
+
+    // Tax added on top of the item, from its own tax lines; orders placed
+    // before tax lines were kept share theirs by value
+    let tax = exclusiveTax(order.pricing) * share;
+    if (taxLines.length > 0) {
+      const itemTax = order.pricing.pricesIncludeTax
+        ? 0
+        : line.orderItem.taxLines.reduce(
+            (sum, taxLine) => sum + taxLine.amount,
+            0
+          );
+      tax = (itemTax * line.quantity) / line.orderItem.quantity;
+    }
+
+    return total + lineTotal - discountAmount * share + tax;
+  }, 0);
+
+  return {
+    amount: Math.min(roundAmount(amount), refundableTotal),
+    lines: lines.map(({ orderItem: _orderItem, ...line }) => line),
+  };
+};
+
+// Count a refund's units and amount on the order, or take them off again
+const applyToOrder = (order, entry, direction = 1) => {
+  for (const line of entry.items) {
+    order.items.id(line.item).refundedQuantity += direction * line.quantity;
+  }
+  order.paymentInfo.refundedAmount = roundAmount(
+    (order.paymentInfo.refundedAmount || 0) + direction * entry.amount
+  );
+};
+
+// Save with a version check, so a refund racing another one on the same
+// order fails instead of refunding the same units twice
+const saveVersioned = async (order, options) => {
+  order.increment();
+  try {
+    return await order.save(options);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new AppError(
+        "The order changed while it was being refunded; reload it and try again",
+        409,
+        true,
+        "REFUND_CONFLICT"
+      );
+    }
+    throw error;
+  }
+};
+
+// Whether a refund left processing is the one this call asks for again.
+// Without items only a refund of everything that was left is.
+const isSameRefund = (
+  order,
+  entry,
+  { items, reason, restock, returnRequest }
+) => {
+  const units = (lines) =>
+    lines
+      .map(({ item, quantity }) => `${item}:${Number(quantity)}`)
+      .sort()
+      .join();
+  const sameItems =
+    !items || items.length === 0
+      ? order.paymentInfo.refundedAmount >= order.pricing.totalPrice
+      : units(entry.items) ===
+        units(
+          items.map((requested) => ({
+            item: findOrderItem(order, requested)?._id,
+            quantity: requested.quantity,
+          }))
+        );
+
+  return (
+    sameItems &&
+    (entry.reason || "") === String(reason || "").trim() &&
+    Boolean(entry.restock) === Boolean(restock) &&
+    String(entry.returnRequest ?? "") === String(returnRequest ?? "")
+  );
+};
+
+// Whether a provider error means the refund certainly did not happen: the
+// provider refused it (declined) or it was rejected before the provider was
+// asked. Timeouts, network and server errors leave the outcome unknown.
+const isDeclined = (error) =>
+  error.declined === true ||
+  (error instanceof AppError && error.statusCode < 500);
+
+/**
+ * Refund a whole order (no `items`) or selected `items` ({ itemId, quantity })
+ * through the order's payment provider, optionally putting the units back in
+ * stock. Cancelled orders already had their stock put back, so they are
+ * never restocked again. Returns the refund entry.
+ *
+ * The refund is saved as "processing" before the provider is called, with its
+ * _id as the provider's idempotency key, and finished afterwards. Only a
+ * refund the provider declined is given up; one whose outcome is unknown
+ * (e.g. a timeout) stays processing and is resumed, with the same key, by
+ * the next call asking for the same refund, so retrying never pays out twice.
+ * Any other refund of the order fails with REFUND_IN_PROGRESS until then.
+ * Saves the order; fully refunded orders that have not shipped are cancelled.
+ */
+export const issueRefund = async (
+  order,
+  { items, reason, restock = true, user, returnRequest }
+) => {
+  let entry = order.refunds.find((refund) => refund.status === "processing");
+
+  if (
+    entry &&
+    !isSameRefund(order, entry, { items, reason, restock, returnRequest })
+  ) {
+    throw new AppError(
+      "Another refund of this order is still being processed; retry it first",
+      409,
+      true,
+      "REFUND_IN_PROGRESS"
+    );
+  }
+
+  if (!entry) {
+    if (!["paid", "partially-refunded"].includes(order.paymentInfo.status)) {
+      throw new AppError(
+        `Orders with payment status "${order.paymentInfo.status}" cannot be refunded`,
+        409,
+        true,
+        "NOT_REFUNDABLE"
+      );
+    }
+
+    const { amount, lines } = calculateRefund(order, items);
+    order.refunds.push({
+      amount,
+      reason,
+      items: lines,
+      provider: order.paymentInfo.method,
+      status: "processing",
+      restock: Boolean(restock),
+      returnRequest,
+      createdBy: user,
+    });
+    entry = order.refunds[order.refunds.length - 1];
+
+    // Units and amount are claimed up front so no other refund can take them
+    applyToOrder(order, entry);
+    await saveVersioned(order);
+  }
+
+  let providerResult;
+  try {
+    providerResult = await getPaymentProvider(
+      order.paymentInfo.method
+    ).refundPayment(order, entry.amount, {
+      reason: entry.reason,
+      idempotencyKey: `refund-${entry._id}`,
+    });
+  } catch (error) {
+    // The refund may have gone through; keep it processing so a retry
+    // resumes it under the same idempotency key
+    if (!isDeclined(error)) {
+      order.addHistoryNote(
+        `Refund of ${entry.amount.toFixed(2)} not confirmed: ${error.message}`,
+        user
+      );
+      await saveVersioned(order);
+      throw error;
+    }
+
+    entry.status = "failed";
+    applyToOrder(order, entry, -1);
+    order.addHistoryNote(
+      `Refund of ${entry.amount.toFixed(2)} failed: ${error.message}`,
+      user
+    );
+    await saveVersioned(order);
+    throw error;
+  }
+
+  const putBack = entry.restock && order.orderStatus !== "cancelled";
+  const fullyRefunded =
+    order.paymentInfo.refundedAmount >= order.pricing.totalPrice;
+  // Nothing is left to ship, so an unshipped order is cancelled
+  const cancels =
+    fullyRefunded &&
+    ["pending", "confirmed", "processing"].includes(order.orderStatus) &&
+    order.canTransitionTo("cancelled");
+  const notes = `Refunded ${entry.amount.toFixed(2)}${
+    entry.reason ? `: ${entry.reason}` : ""
+  }`;
+
+  await mongoose.connection.transaction(async (session) => {
+    // Put returned units back on the shelf, after those already returned
+    if (putBack) {
+      for (const line of entry.items) {
+        const orderItem = order.items.id(line.item);
+        await restockOrderItem(orderItem, line.quantity, {
+          offset: orderItem.refundedQuantity - line.quantity,
+          type: "return",
+          order: order._id,
+          user,
+          reason: entry.reason ? `Refunded: ${entry.reason}` : "Refunded",
+          session,
+        });
+      }
+    }
+
+    entry.set({ ...providerResult, restocked: putBack });
+    order.paymentInfo.status = fullyRefunded
+      ? "refunded"
+      : "partially-refunded";
+    if (!cancels) order.addHistoryNote(notes, user);
+
+    await saveVersioned(order, { session });
+  });
+
+  if (cancels) {
+    await transitionOrder(order, "cancelled", { updatedBy: user, notes });
+  }
+
+  logger.logBusiness("Order refunded", {
+    orderId: order._id,
+    amount: entry.amount,
+    provider: entry.provider,
+    adminId: user,
+  });
+
+  return entry;
+};
+
+export default { calculateRefund, issueRefund };
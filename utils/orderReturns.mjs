@@ -0,0 +1,271 @@
+import { getConfig } from "../config/environment.mjs";
+import { RETURN_REASONS } from "../models/OrderSchema.mjs";
+import { AppError } from "./errorHandler.mjs";
+import { issueRefund } from "./orderRefunds.mjs";
+import { transitionOrder } from "./orderStateMachine.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * Returns (RMAs)
+ *
+ * Customers ask to return delivered items within the return window. An admin
+ * approves or rejects the request; once the parcel arrives it is marked
+ * received, which restocks the items and refunds them through issueRefund.
+ * Every step is kept on the return and noted in the order's timeline, and an
+ * order whose every unit has been refunded becomes `returned`.
+ */
+
+// Returns still holding units that cannot be returned again
+const OPEN_RETURN_STATUSES = ["requested", "approved", "received"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const returnError = (message, statusCode, code) =>
+  new AppError(message, statusCode, true, code);
+
+// Units of an order item that could still be returned
+const returnableQuantity = (order, item) => {
+  const pending = order.returns
+    .filter((entry) => OPEN_RETURN_STATUSES.includes(entry.status))
+    .flatMap((entry) => entry.items)
+    .filter((line) => line.item.equals(item._id))
+    .reduce((total, line) => total + line.quantity, 0);
+
+  return item.quantity - (item.refundedQuantity || 0) - pending;
+};
+
+// When the return window of a delivered order closes
+export const returnDeadline = (order) => {
+  const deliveredAt = order.shippingInfo?.deliveredAt;
+  if (!deliveredAt) return null;
+
+  const { returnWindowDays } = getConfig().orders;
+  return new Date(deliveredAt.getTime() + returnWindowDays * DAY_MS);
+};
+
+const findReturn = (order, returnId) => {
+  const entry = order.returns.id(returnId);
+  if (!entry) {
+    throw returnError("Return not found", 404, "RETURN_NOT_FOUND");
+  }
+  return entry;
+};
+
+const assertReturnStatus = (entry, status) => {
+  if (entry.status !== status) {
+    throw returnError(
+      `Return ${entry.rmaNumber} is ${entry.status}, not ${status}`,
+      409,
+      "INVALID_RETURN_STATE"
+    );
+  }
+};
+
+/**
+ * Open a return request for `items` ({ itemId, quantity, reason, comment })
+ * of a delivered order. Leaves saving the order to the caller.
+ */
+export const requestReturn = (
+  order,
+  { items, notes, user, now = new Date() }
+) => {
+  if (order.orderStatus !== "delivered") {
+    throw returnError(
+      "Only delivered orders can be returned",
+      409,
+      "RETURN_NOT_ALLOWED"
+    );
+  }
+  if (!["paid", "partially-refunded"].includes(order.paymentInfo.status)) {
+    throw returnError(
+      "Only paid orders can be returned",
+      409,
+      "RETURN_NOT_ALLOWED"
+    );
+  }
+
+  const deadline = returnDeadline(order);
+  if (!deadline || now > deadline) {
+    throw returnError(
+      "The return window for this order has closed",
+      409,
+      "RETURN_WINDOW_CLOSED"
+    );
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw returnError(
+      "Select the items to return as { itemId, quantity, reason }",
+      400,
+      "INVALID_RETURN_ITEM"
+    );
+  }
+
+  const lines = items.map((requested) => {
+    const orderItem = order.items.id(requested.itemId || requested.item);
+    if (!orderItem) {
+      throw returnError(
+        `Item not found in order: ${requested.itemId || requested.item}`,
+        400,
+        "INVALID_RETURN_ITEM"
+      );
+    }
+
+    if (!RETURN_REASONS.includes(requested.reason)) {
+      throw returnError(
+        `Return reason must be one of: ${RETURN_REASONS.join(", ")}`,
+        400,
+        "INVALID_RETURN_REASON"
+      );
+    }
+
+    const quantity = Number(requested.quantity);
+    const returnable = returnableQuantity(order, orderItem);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+      throw returnError(
+        returnable > 0
+          ? `Return quantity for ${
+              orderItem.productSnapshot?.title || orderItem._id
+            } must be between 1 and ${returnable}`
+          : `${
+              orderItem.productSnapshot?.title || orderItem._id
+            } has no units left to return`,
+        400,
+        "INVALID_RETURN_QUANTITY"
+      );
+    }
+
+    return {
+      item: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      quantity,
+      reason: requested.reason,
+      comment: requested.comment,
+    };
+  });
+
+  const itemIds = lines.map((line) => line.item.toString());
+  if (new Set(itemIds).size !== itemIds.length) {
+    throw returnError("List each item once", 400, "INVALID_RETURN_ITEM");
+  }
+
+  const rmaNumber = `${order.orderNumber}-R${order.returns.length + 1}`;
+  order.returns.push({
+    rmaNumber,
+    items: lines,
+    customerNotes: notes,
+    requestedBy: user,
+    requestedAt: now,
+  });
+  order.addHistoryNote(`Return ${rmaNumber} requested`, user);
+
+  return order.returns[order.returns.length - 1];
+};
+
+/**
+ * Approve or reject a requested return. Leaves saving the order to the
+ * caller.
+ */
+export const reviewReturn = (
+  order,
+  returnId,
+  { approve, notes, user, now = new Date() }
+) => {
+  const entry = findReturn(order, returnId);
+  assertReturnStatus(entry, "requested");
+
+  entry.status = approve ? "approved" : "rejected";
+  entry.adminNotes = notes;
+  entry.reviewedBy = user;
+  entry.reviewedAt = now;
+
+  order.addHistoryNote(
+    `Return ${entry.rmaNumber} ${entry.status}${notes ? `: ${notes}` : ""}`,
+    user
+  );
+
+  return entry;
+};
+
+/**
+ * Mark an approved return as received and hand it to the refund process,
+ * which puts the items back in stock unless `restock` is false (e.g. they
+ * arrived damaged). The receipt is saved first, so when the refund fails the
+ * return stays received and calling this again retries it: a refund already
+ * made for the return is reused, and one left processing is resumed by
+ * issueRefund, so the items are never refunded twice. Saves the order,
+ * moving it to `returned` once every unit has been refunded.
+ */
+export const receiveReturn = async (
+  order,
+  returnId,
+  { restock = true, notes, user, now = new Date() }
+) => {
+  const entry = findReturn(order, returnId);
+  if (entry.status !== "received") {
+    assertReturnStatus(entry, "approved");
+
+    entry.status = "received";
+    entry.receivedAt = now;
+    if (notes) entry.adminNotes = notes;
+    order.addHistoryNote(`Return ${entry.rmaNumber} received`, user);
+    await order.save();
+  }
+
+  const previous = order.refunds.find(
+    (refund) =>
+      String(refund.returnRequest) === String(entry._id) &&
+      ["pending", "succeeded"].includes(refund.status)
+  );
+  const refund =
+    previous ||
+    (await issueRefund(order, {
+      items: entry.items.map(({ item, quantity }) => ({
+        itemId: item,
+        quantity,
+      })),
+      reason: `Return ${entry.rmaNumber}`,
+      restock,
+      user,
+      returnRequest: entry._id,
+    }));
+
+  // Never close the return on a refund made for something else
+  if (String(refund.returnRequest) !== String(entry._id)) {
+    throw new AppError(
+      `Return ${entry.rmaNumber} was not refunded; another refund is in progress`,
+      409,
+      true,
+      "REFUND_IN_PROGRESS"
+    );
+  }
+
+  entry.status = "refunded";
+  entry.refund = refund._id;
+  entry.refundedAt = now;
+  entry.restocked = refund.restocked;
+
+  const fullyReturned = order.items.every(
+    (item) => item.refundedQuantity >= item.quantity
+  );
+  if (fullyReturned && order.canTransitionTo("returned")) {
+    await transitionOrder(order, "returned", {
+      updatedBy: user,
+      notes: `All items returned (${entry.rmaNumber})`,
+    });
+  } else {
+    await order.save();
+  }
+
+  logger.logBusiness("Return received", {
+    orderId: order._id,
+    rmaNumber: entry.rmaNumber,
+    amount: refund.amount,
+    adminId: user,
+  });
+
+  return entry;
+};
+
+export default { returnDeadline, requestReturn, reviewReturn, receiveReturn };
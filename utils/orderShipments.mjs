@@ -0,0 +1,201 @@
+import { User } from "../models/UserSchema.mjs";
+import { AppError } from "./errorHandler.mjs";
+import { transitionOrder } from "./orderStateMachine.mjs";
+import emailService from "./emailService.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * Shipments
+ *
+ * An order can leave in several boxes, each a shipment with its own items,
+ * carrier and tracking number. The order status follows its shipments:
+ * partially-shipped while units are still waiting, shipped once everything
+ * has left and delivered once every shipment has arrived. The customer is
+ * emailed as each box ships and arrives.
+ */
+
+// Orders whose remaining units can be shipped
+const SHIPPABLE_STATUSES = ["processing", "partially-shipped"];
+
+const shipmentError = (message, statusCode, code) =>
+  new AppError(message, statusCode, true, code);
+
+const emailShipment = async (order, shipment) => {
+  try {
+    const user = await User.findById(order.user).select("name email");
+    if (!user) return;
+
+    const result = await emailService.sendShipmentEmail(user, order, shipment);
+    if (!result.success) {
+      logger.warn("Shipment email not sent", {
+        orderId: order._id.toString(),
+        error: result.error,
+      });
+    }
+  } catch (error) {
+    logger.error("Failed to email shipment", {
+      orderId: order._id.toString(),
+      error: error.message,
+    });
+  }
+};
+
+// Shipment lines for `items` ({ itemId, quantity }), or every unit still
+// waiting when no items are given
+const shipmentLines = (order, items) => {
+  const unshipped = order.unshippedItems();
+  if (items === undefined) return unshipped;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw shipmentError(
+      "Items must be an array of { itemId, quantity }",
+      400,
+      "INVALID_SHIPMENT_ITEM"
+    );
+  }
+
+  const lines = items.map((requested) => {
+    const itemId = String(requested.itemId || requested.item);
+    const orderItem = order.items.find(
+      (item) => item._id.toString() === itemId
+    );
+    if (!orderItem) {
+      throw shipmentError(
+        `Item not found in order: ${itemId}`,
+        400,
+        "INVALID_SHIPMENT_ITEM"
+      );
+    }
+
+    const waiting =
+      unshipped.find((line) => line.item.equals(orderItem._id))?.quantity || 0;
+    const quantity = Number(requested.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > waiting) {
+      throw shipmentError(
+        waiting > 0
+          ? `Shipment quantity for ${
+              orderItem.productSnapshot?.title || orderItem._id
+            } must be between 1 and ${waiting}`
+          : `${
+              orderItem.productSnapshot?.title || orderItem._id
+            } has already been shipped`,
+        400,
+        "INVALID_SHIPMENT_QUANTITY"
+      );
+    }
+
+    return {
+      item: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      quantity,
+    };
+  });
+
+  const itemIds = lines.map((line) => line.item.toString());
+  if (new Set(itemIds).size !== itemIds.length) {
+    throw shipmentError("List each item once", 400, "INVALID_SHIPMENT_ITEM");
+  }
+
+  return lines;
+};
+
+/**
+ * Record a box leaving with `items` ({ itemId, quantity }; everything still
+ * waiting when omitted), then move the order to partially-shipped or shipped
+ * and save it. Returns the shipment.
+ */
+export const createShipment = async (
+  order,
+  { items, carrier, trackingNumber, estimatedDelivery, notes, user }
+) => {
+  if (!SHIPPABLE_STATUSES.includes(order.orderStatus)) {
+    throw shipmentError(
+      `Cannot add a shipment to a ${order.orderStatus} order`,
+      409,
+      "SHIPMENT_NOT_ALLOWED"
+    );
+  }
+
+  const lines = shipmentLines(order, items);
+  if (lines.length === 0) {
+    throw shipmentError(
+      "Every item has already been shipped",
+      409,
+      "SHIPMENT_NOT_ALLOWED"
+    );
+  }
+
+  order.shipments.push({
+    items: lines,
+    carrier,
+    trackingNumber,
+    estimatedDelivery,
+    shippedAt: new Date(),
+    createdBy: user,
+  });
+  const shipment = order.shipments[order.shipments.length - 1];
+  const number = order.shipments.length;
+  const summary = `Package ${number} shipped${
+    carrier ? ` via ${carrier}` : ""
+  }${trackingNumber ? ` (${trackingNumber})` : ""}${notes ? `: ${notes}` : ""}`;
+
+  const status =
+    order.unshippedItems().length > 0 ? "partially-shipped" : "shipped";
+  if (status !== order.orderStatus) {
+    await transitionOrder(order, status, {
+      updatedBy: user,
+      notes: summary,
+      shipping: { carrier, trackingNumber, estimatedDelivery },
+      notify: false,
+    });
+  } else {
+    order.addHistoryNote(summary, user);
+    await order.save();
+  }
+
+  emailShipment(order, shipment);
+  return shipment;
+};
+
+/**
+ * Record a shipment as delivered, delivering the order once every shipment
+ * has arrived. Saves the order and returns the shipment.
+ */
+export const deliverShipment = async (order, shipmentId, { notes, user }) => {
+  const shipment = order.shipments.id(shipmentId);
+  if (!shipment) {
+    throw shipmentError("Shipment not found", 404, "SHIPMENT_NOT_FOUND");
+  }
+  if (shipment.status === "delivered") {
+    throw shipmentError(
+      "Shipment has already been delivered",
+      409,
+      "SHIPMENT_DELIVERED"
+    );
+  }
+
+  shipment.status = "delivered";
+  shipment.deliveredAt = new Date();
+  const number = order.shipments.indexOf(shipment) + 1;
+  const summary = `Package ${number} delivered${notes ? `: ${notes}` : ""}`;
+
+  const allDelivered = order.shipments.every(
+    (entry) => entry.status === "delivered"
+  );
+  if (allDelivered && order.canTransitionTo("delivered")) {
+    await transitionOrder(order, "delivered", {
+      updatedBy: user,
+      notes: summary,
+      notify: false,
+    });
+  } else {
+    order.addHistoryNote(summary, user);
+    await order.save();
+  }
+
+  emailShipment(order, shipment);
+  return shipment;
+};
+
+export default { createShipment, deliverShipment };
@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import { ORDER_TRANSITIONS } from "../models/OrderSchema.mjs";
+import { User } from "../models/UserSchema.mjs";
+import { AppError } from "./errorHandler.mjs";
+import { restockOrderItem } from "./inventoryService.mjs";
+import emailService from "./emailService.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * Order state machine
+ *
+ * Every status change an admin or customer asks for goes through
+ * transitionOrder, which refuses moves missing from ORDER_TRANSITIONS and
+ * applies what each status implies: cancelling puts stock back, shipping and
+ * delivering stamp shippingInfo and keep shipments in step, and the customer
+ * is emailed.
+ */
+
+// Statuses customers are emailed about
+const NOTIFIED_STATUSES = ["shipped", "delivered", "cancelled", "returned"];
+
+/**
+ * Throw a 409 when the order may not move to `status`.
+ */
+export const assertTransition = (order, status) => {
+  if (order.canTransitionTo(status)) return;
+
+  const allowed = ORDER_TRANSITIONS[order.orderStatus] || [];
+  const error = new AppError(
+    `Order cannot move from ${order.orderStatus} to ${status}`,
+    409,
+    true,
+    "INVALID_STATUS_TRANSITION"
+  );
+  error.details = { from: order.orderStatus, to: status, allowed };
+  throw error;
+};
+
+// Put back the units of each item that were not already returned by a refund
+const restockOrder = async (order, details) => {
+  for (const item of order.items) {
+    const quantity = item.quantity - (item.refundedQuantity || 0);
+    if (quantity <= 0) continue;
+
+    await restockOrderItem(item, quantity, {
+      ...details,
+      offset: item.refundedQuantity || 0,
+      type: "cancellation",
+      order: order._id,
+    });
+  }
+};
+
+const notifyCustomer = async (order, notes) => {
+  try {
+    const user = await User.findById(order.user).select("name email");
+    if (!user) return;
+
+    const result = await emailService.sendOrderStatusEmail(user, order, {
+      notes,
+    });
+    if (!result.success) {
+      logger.warn("Order status email not sent", {
+        orderId: order._id.toString(),
+        error: result.error,
+      });
+    }
+  } catch (error) {
+    logger.error("Failed to email order status", {
+      orderId: order._id.toString(),
+      error: error.message,
+    });
+  }
+};
+
+// shippingInfo shows when the order first left and the latest tracking
+const stampShipping = (order, shipping, now) => {
+  const { carrier, trackingNumber, estimatedDelivery } = shipping;
+  if (carrier !== undefined) order.shippingInfo.carrier = carrier;
+  if (trackingNumber !== undefined) {
+    order.shippingInfo.trackingNumber = trackingNumber;
+  }
+  if (estimatedDelivery !== undefined) {
+    order.shippingInfo.estimatedDelivery = estimatedDelivery;
+  }
+  order.shippingInfo.shippedAt = order.shippingInfo.shippedAt || now;
+};
+
+/**
+ * Move an order to `status`, recording `updatedBy` and `notes` in its
+ * statusHistory. `shipping` may carry a carrier, trackingNumber and
+ * estimatedDelivery when the order ships; units not in a shipment yet are
+ * put in one. Delivering an order delivers its open shipments. Stock changes
+ * and the status are saved in one transaction; the customer email goes out
+ * afterwards.
+ */
+export const transitionOrder = async (
+  order,
+  status,
+  { updatedBy, notes, shipping = {}, notify = true } = {}
+) => {
+  assertTransition(order, status);
+  const now = new Date();
+
+  await mongoose.connection.transaction(async (session) => {
+    if (status === "cancelled") {
+      await restockOrder(order, {
+        user: updatedBy,
+        reason: notes || "Order cancelled",
+        session,
+      });
+    }
+
+    if (status === "partially-shipped") {
+      stampShipping(order, shipping, now);
+    }
+
+    if (status === "shipped") {
+      const remaining = order.unshippedItems();
+      if (remaining.length > 0) {
+        order.shipments.push({
+          items: remaining,
+          carrier: shipping.carrier,
+          trackingNumber: shipping.trackingNumber,
+          estimatedDelivery: shipping.estimatedDelivery,
+          shippedAt: now,
+          createdBy: updatedBy,
+        });
+      }
+      stampShipping(order, shipping, now);
+    }
+
+    if (status === "delivered") {
+      for (const shipment of order.shipments) {
+        if (shipment.status !== "delivered") {
+          shipment.status = "delivered";
+          shipment.deliveredAt = now;
+        }
+      }
+      order.shippingInfo.deliveredAt = now;
+    }
+
+    order.setStatus(status, { updatedBy, notes });
+    await order.save({ session });
+  });
+
+  logger.logBusiness("Order status changed", {
+    orderId: order._id,
+    status,
+    userId: updatedBy,
+  });
+
+  if (notify && NOTIFIED_STATUSES.includes(status)) {
+    notifyCustomer(order, notes);
+  }
+
+  return order;
+};
+
+export default { assertTransition, transitionOrder };
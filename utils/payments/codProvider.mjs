@@ -0,0 +1,38 @@
+import { AppError } from "../errorHandler.mjs";
+
+// Cash on delivery: no external calls, money changes hands at the door
+const codProvider = {
+  name: "cash-on-delivery",
+  label: "Cash on delivery",
+  // Orders are confirmed straight away and paid when collected
+  confirmsWithoutPayment: true,
+
+  async createPayment() {
+    return { status: "confirmed" };
+  },
+
+  // Recorded by an admin once the courier has collected the cash
+  async capturePayment(order, { reference } = {}) {
+    return {
+      status: "paid",
+      transactionId: reference || `COD-${order.orderNumber}`,
+      paidAt: new Date(),
+    };
+  },
+
+  // Cash is handed back by staff; the refund entry itself is the ledger
+  async refundPayment() {
+    return { provider: "ledger", status: "succeeded" };
+  },
+
+  async verifyWebhook() {
+    throw new AppError(
+      "Cash on delivery does not send webhooks",
+      404,
+      true,
+      "WEBHOOK_NOT_SUPPORTED"
+    );
+  },
+};
+
+export default codProvider;
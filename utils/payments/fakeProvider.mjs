@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import { AppError } from "../errorHandler.mjs";
+
+// In-memory payment provider for tests and local development.
+// Enable it with PAYMENT_PROVIDER=fake; nothing leaves the process.
+
+const payments = new Map();
+const refunds = [];
+let sequence = 0;
+
+// There is no default: a known secret would let anyone forge payments
+const webhookSecret = () => {
+  const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new AppError(
+      "Fake payment webhook secret is not configured",
+      500,
+      false,
+      "CONFIGURATION_ERROR"
+    );
+  }
+  return secret;
+};
+
+// Sign a payload the same way verifyWebhook checks it
+export const signFakeWebhook = (payload) => {
+  const body = typeof payload === "string" ? payload : JSON.stringify(payload);
+  const signature = crypto
+    .createHmac("sha256", webhookSecret())
+    .update(body)
+    .digest("hex");
+  return { body, signature };
+};
+
+// Inspect or reset recorded state between tests
+export const getFakePayments = () => ({
+  payments: [...payments.values()],
+  refunds: [...refunds],
+});
+
+export const resetFakeProvider = () => {
+  payments.clear();
+  refunds.length = 0;
+  sequence = 0;
+};
+
+const fakeProvider = {
+  name: "fake",
+  label: "Fake provider",
+  confirmsWithoutPayment: false,
+
+  async createPayment(order) {
+    sequence += 1;
+    const sessionId = `fake_session_${sequence}`;
+    payments.set(sessionId, {
+      sessionId,
+      orderId: order._id.toString(),
+      amount: order.pricing.totalPrice,
+      status: "pending",
+    });
+
+    return {
+      status: "pending",
+      sessionId,
+      url: `https://payments.example.test/checkout/${sessionId}`,
+    };
+  },
+
+  async capturePayment(order) {
+    const payment = payments.get(order.paymentInfo.sessionId);
+    if (!payment) {
+      throw new AppError(
+        "Unknown fake payment session",
+        409,
+        true,
+        "NO_PAYMENT_SESSION"
+      );
+    }
+
+    sequence += 1;
+    payment.status = "paid";
+    payment.transactionId = payment.transactionId || `fake_txn_${sequence}`;
+
+    return {
+      status: "paid",
+      transactionId: payment.transactionId,
+      paidAt: new Date(),
+    };
+  },
+
+  async refundPayment(order, amount, { reason, idempotencyKey } = {}) {
+    // Like the real providers, a repeated idempotency key refunds only once
+    let refund =
+      idempotencyKey &&
+      refunds.find((entry) => entry.idempotencyKey === idempotencyKey);
+
+    if (!refund) {
+      sequence += 1;
+      refund = {
+        providerRefundId: `fake_refund_${sequence}`,
+        orderId: order._id.toString(),
+        amount,
+        reason,
+        idempotencyKey,
+      };
+      refunds.push(refund);
+    }
+
+    return {
+      provider: "fake",
+      providerRefundId: refund.providerRefundId,
+      status: "succeeded",
+    };
+  },
+
+  // Payloads are already provider-neutral events signed with an HMAC header
+  async verifyWebhook(rawBody, headers) {
+    const body = rawBody.toString("utf8");
+    const { signature } = signFakeWebhook(body);
+    const received = String(headers["x-fake-signature"] || "");
+
+    if (
+      received.length !== signature.length ||
+      !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(signature))
+    ) {
+      throw new AppError(
+        "Webhook signature verification failed",
+        400,
+        true,
+        "INVALID_WEBHOOK_SIGNATURE"
+      );
+    }
+
+    const event = JSON.parse(body);
+    return {
+      ...event,
+      provider: "fake",
+      paidAt: event.paidAt ? new Date(event.paidAt) : undefined,
+    };
+  },
+};
+
+export default fakeProvider;
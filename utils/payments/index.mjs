@@ -0,0 +1,74 @@
+import stripeProvider from "./stripeProvider.mjs";
+import paypalProvider from "./paypalProvider.mjs";
+import codProvider from "./codProvider.mjs";
+import fakeProvider from "./fakeProvider.mjs";
+import { AppError } from "../errorHandler.mjs";
+
+/**
+ * Payment provider contract
+ *
+ * Each provider is chosen by the order's `paymentInfo.method` and implements:
+ *   createPayment(order, { user })        -> { status, sessionId?, url? }
+ *   capturePayment(order, payload)        -> { status, transactionId, paidAt }
+ *   refundPayment(order, amount, options) -> { provider, providerRefundId?, status }
+ *     (options.idempotencyKey must make a repeated call refund only once;
+ *     errors carry `declined: true` when the provider refused the refund,
+ *     anything else may have refunded and is retried with the same key)
+ *   verifyWebhook(rawBody, headers)       -> provider-neutral event
+ *
+ * Webhook events are normalized to { id, provider, type, orderId, lookup, ... }
+ * where type is payment.succeeded, payment.failed, payment.refunded or
+ * payment.pending, and left undefined for events we do not act on.
+ */
+const providers = {
+  stripe: stripeProvider,
+  paypal: paypalProvider,
+  "cash-on-delivery": codProvider,
+};
+
+// Methods that move real money online; PAYMENT_PROVIDER=fake stubs them out
+const ONLINE_METHODS = ["stripe", "paypal"];
+
+// The fake provider takes no real payment, so it only exists in tests and
+// when explicitly chosen; anywhere else "fake" is an unknown method
+const fakeProviderEnabled = () =>
+  process.env.PAYMENT_PROVIDER === "fake" || process.env.NODE_ENV === "test";
+
+export const getPaymentProvider = (method) => {
+  if (process.env.PAYMENT_PROVIDER === "fake") {
+    // Orders would be marked paid without anyone being charged
+    if (process.env.NODE_ENV === "production") {
+      throw new AppError(
+        "The fake payment provider cannot be used in production",
+        500,
+        false,
+        "CONFIGURATION_ERROR"
+      );
+    }
+    if (ONLINE_METHODS.includes(method)) return fakeProvider;
+  }
+  if (method === "fake" && fakeProviderEnabled()) {
+    return fakeProvider;
+  }
+
+  const provider = Object.hasOwn(providers, method) ? providers[method] : null;
+  if (!provider) {
+    throw new AppError(
+      `Unsupported payment method: ${method}`,
+      400,
+      true,
+      "UNSUPPORTED_PAYMENT_METHOD"
+    );
+  }
+
+  return provider;
+};
+
+// Swap in a provider implementation, e.g. a test double
+export const registerPaymentProvider = (method, provider) => {
+  providers[method] = provider;
+};
+
+export { applyPaymentEvent, markOrderPaid } from "./reconcile.mjs";
+
+export default { getPaymentProvider, registerPaymentProvider };
@@ -0,0 +1,370 @@
+import { AppError } from "../errorHandler.mjs";
+import { exclusiveTax, verifyOrderPricing } from "../pricingEngine.mjs";
+
+const PAYPAL_CURRENCY = (process.env.PAYPAL_CURRENCY || "USD").toUpperCase();
+
+const apiBaseUrl = () =>
+  process.env.PAYPAL_MODE === "live"
+    ? "https://api-m.paypal.com"
+    : "https://api-m.sandbox.paypal.com";
+
+// PayPal expects amounts as strings with two decimals
+const formatAmount = (amount) =>
+  (Math.round((amount || 0) * 100) / 100).toFixed(2);
+
+const money = (amount) => ({
+  currency_code: PAYPAL_CURRENCY,
+  value: formatAmount(amount),
+});
+
+// Cached OAuth access token
+let accessToken = null;
+let accessTokenExpiresAt = 0;
+
+const getAccessToken = async () => {
+  if (accessToken && Date.now() < accessTokenExpiresAt) {
+    return accessToken;
+  }
+
+  const { PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET } = process.env;
+  if (!PAYPAL_CLIENT_ID || !PAYPAL_CLIENT_SECRET) {
+    throw new AppError(
+      "PayPal credentials are not configured",
+      500,
+      false,
+      "CONFIGURATION_ERROR"
+    );
+  }
+
+  const credentials = Buffer.from(
+    `${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`
+  ).toString("base64");
+
+  const response = await fetch(`${apiBaseUrl()}/v1/oauth2/token`, {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: "grant_type=client_credentials",
+  });
+
+  if (!response.ok) {
+    throw new AppError(
+      "PayPal authentication failed",
+      502,
+      false,
+      "EXTERNAL_SERVICE_ERROR"
+    );
+  }
+
+  const data = await response.json();
+  accessToken = data.access_token;
+  // Refresh a minute early to avoid using a token as it expires
+  accessTokenExpiresAt = Date.now() + (data.expires_in - 60) * 1000;
+  return accessToken;
+};
+
+// Call the PayPal REST API and surface its error message on failure
+const paypalRequest = async (path, { method = "GET", body, headers } = {}) => {
+  const token = await getAccessToken();
+  const response = await fetch(`${apiBaseUrl()}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new AppError(
+      `PayPal request failed: ${data.message || response.statusText}`,
+      502,
+      true,
+      "PAYMENT_PROVIDER_ERROR"
+    );
+    error.providerStatus = response.status;
+    throw error;
+  }
+
+  return data;
+};
+
+// Build the PayPal order body from the stored order
+const buildPaypalOrder = (order) => {
+  const pricing = verifyOrderPricing(order);
+
+  return {
+    intent: "CAPTURE",
+    purchase_units: [
+      {
+        reference_id: order._id.toString(),
+        custom_id: order._id.toString(),
+        invoice_id: order.orderNumber,
+        amount: {
+          ...money(pricing.totalPrice),
+          breakdown: {
+            item_total: money(pricing.itemsPrice),
+            shipping: money(pricing.shippingPrice),
+            // Tax already in the item prices is not charged again
+            tax_total: money(exclusiveTax(pricing)),
+            discount: money(pricing.discountAmount),
+          },
+        },
+        items: order.items.map((item, index) => ({
+          name: (item.productSnapshot?.title || `Item ${index + 1}`).slice(
+            0,
+            127
+          ),
+          sku: item.productSnapshot?.sku,
+          quantity: String(item.quantity),
+          unit_amount: money(item.price),
+        })),
+      },
+    ],
+    payment_source: {
+      paypal: {
+        experience_context: {
+          user_action: "PAY_NOW",
+          return_url:
+            process.env.FRONTEND_SUCCESS_URL || "http://localhost:5173/success",
+          cancel_url:
+            process.env.FRONTEND_CANCEL_URL || "http://localhost:5173/cancel",
+        },
+      },
+    },
+  };
+};
+
+// PayPal orders the buyer can still approve
+const APPROVABLE_STATUSES = ["CREATED", "PAYER_ACTION_REQUIRED"];
+
+// The link the buyer approves a PayPal order at
+const approveUrl = (paypalOrder) =>
+  (paypalOrder.links || []).find((link) =>
+    ["payer-action", "approve"].includes(link.rel)
+  )?.href;
+
+// The capture ID a refund belongs to is only exposed through its "up" link
+const captureIdFromLinks = (links = []) => {
+  const up = links.find((link) => link.rel === "up");
+  return up?.href.split("/captures/")[1]?.split("/")[0];
+};
+
+// Translate a verified PayPal event into the provider-neutral event shape
+const normalizeEvent = (event) => {
+  const resource = event.resource || {};
+  const normalized = {
+    id: event.id,
+    provider: "paypal",
+    rawType: event.event_type,
+    orderId: resource.custom_id,
+  };
+
+  switch (event.event_type) {
+    case "PAYMENT.CAPTURE.COMPLETED":
+      return {
+        ...normalized,
+        type: "payment.succeeded",
+        lookup: {
+          sessionId: resource.supplementary_data?.related_ids?.order_id,
+        },
+        transactionId: resource.id,
+        paidAt: new Date(resource.create_time || event.create_time),
+      };
+    case "PAYMENT.CAPTURE.DENIED":
+      return {
+        ...normalized,
+        type: "payment.failed",
+        lookup: {
+          sessionId: resource.supplementary_data?.related_ids?.order_id,
+        },
+        transactionId: resource.id,
+        failureReason: resource.status_details?.reason,
+      };
+    case "PAYMENT.CAPTURE.REFUNDED": {
+      const totalRefunded =
+        resource.seller_payable_breakdown?.total_refunded_amount?.value;
+      return {
+        ...normalized,
+        type: "payment.refunded",
+        lookup: { transactionId: captureIdFromLinks(resource.links) },
+        refundedAmount: Number(totalRefunded ?? resource.amount?.value ?? 0),
+        currency: resource.amount?.currency_code,
+      };
+    }
+    default:
+      return normalized;
+  }
+};
+
+const paypalProvider = {
+  name: "paypal",
+  label: "PayPal",
+  confirmsWithoutPayment: false,
+
+  // Create (or reuse) a PayPal order and return the link the buyer approves
+  // it at
+  async createPayment(order) {
+    const previousId = order.paymentInfo.sessionId;
+    if (previousId) {
+      const existing = await paypalRequest(
+        `/v2/checkout/orders/${encodeURIComponent(previousId)}`
+      );
+      if (APPROVABLE_STATUSES.includes(existing.status)) {
+        return {
+          status: "pending",
+          sessionId: existing.id,
+          url: approveUrl(existing),
+          reused: true,
+        };
+      }
+    }
+
+    // Retries of the same step send the same request id, so PayPal returns
+    // the order it already created instead of another one
+    const paypalOrder = await paypalRequest("/v2/checkout/orders", {
+      method: "POST",
+      body: buildPaypalOrder(order),
+      headers: {
+        "PayPal-Request-Id": `create-${order._id}-${previousId || "first"}`,
+      },
+    });
+
+    return {
+      status: "pending",
+      sessionId: paypalOrder.id,
+      url: approveUrl(paypalOrder),
+    };
+  },
+
+  // Capture the approved PayPal order
+  async capturePayment(order) {
+    if (!order.paymentInfo.sessionId) {
+      throw new AppError(
+        "Order has no PayPal order to capture",
+        409,
+        true,
+        "NO_PAYMENT_SESSION"
+      );
+    }
+
+    const result = await paypalRequest(
+      `/v2/checkout/orders/${encodeURIComponent(
+        order.paymentInfo.sessionId
+      )}/capture`,
+      {
+        method: "POST",
+        headers: { "PayPal-Request-Id": `capture-${order._id}` },
+      }
+    );
+
+    const capture = result.purchase_units?.[0]?.payments?.captures?.[0];
+    return {
+      status: capture?.status === "COMPLETED" ? "paid" : "pending",
+      transactionId: capture?.id,
+      paidAt: capture?.create_time ? new Date(capture.create_time) : undefined,
+    };
+  },
+
+  async refundPayment(order, amount, { reason, idempotencyKey } = {}) {
+    if (!order.paymentInfo.transactionId) {
+      throw new AppError(
+        "Order has no PayPal capture to refund",
+        409,
+        true,
+        "NO_TRANSACTION"
+      );
+    }
+
+    let refund;
+    try {
+      refund = await paypalRequest(
+        `/v2/payments/captures/${encodeURIComponent(
+          order.paymentInfo.transactionId
+        )}/refund`,
+        {
+          method: "POST",
+          body: {
+            amount: money(amount),
+            invoice_id: order.orderNumber,
+            ...(reason && { note_to_payer: reason.slice(0, 255) }),
+          },
+          // A retried refund returns the first one instead of refunding again
+          headers: idempotencyKey && { "PayPal-Request-Id": idempotencyKey },
+        }
+      );
+    } catch (error) {
+      // PayPal refused the refund; timeouts and server errors may still
+      // have refunded
+      const status = error.providerStatus;
+      if (status >= 400 && status < 500 && ![408, 409, 429].includes(status)) {
+        error.declined = true;
+      }
+      throw error;
+    }
+
+    return {
+      provider: "paypal",
+      providerRefundId: refund.id,
+      status: refund.status === "COMPLETED" ? "succeeded" : "pending",
+    };
+  },
+
+  // Ask PayPal to verify the transmission signature of a webhook delivery
+  async verifyWebhook(rawBody, headers) {
+    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+    if (!webhookId) {
+      throw new AppError(
+        "PayPal webhook ID is not configured",
+        500,
+        false,
+        "CONFIGURATION_ERROR"
+      );
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString("utf8"));
+    } catch (_error) {
+      throw new AppError(
+        "Webhook payload is not valid JSON",
+        400,
+        true,
+        "INVALID_WEBHOOK_PAYLOAD"
+      );
+    }
+
+    const verification = await paypalRequest(
+      "/v1/notifications/verify-webhook-signature",
+      {
+        method: "POST",
+        body: {
+          auth_algo: headers["paypal-auth-algo"],
+          cert_url: headers["paypal-cert-url"],
+          transmission_id: headers["paypal-transmission-id"],
+          transmission_sig: headers["paypal-transmission-sig"],
+          transmission_time: headers["paypal-transmission-time"],
+          webhook_id: webhookId,
+          webhook_event: event,
+        },
+      }
+    );
+
+    if (verification.verification_status !== "SUCCESS") {
+      throw new AppError(
+        "Webhook signature verification failed",
+        400,
+        true,
+        "INVALID_WEBHOOK_SIGNATURE"
+      );
+    }
+
+    return normalizeEvent(event);
+  },
+};
+
+export default paypalProvider;
@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+import { Order } from "../../models/OrderSchema.mjs";
+import { redeemCoupon } from "../couponService.mjs";
+import { AppError } from "../errorHandler.mjs";
+import { transitionOrder } from "../orderStateMachine.mjs";
+import logger from "../logger.mjs";
+import { getPaymentProvider } from "./index.mjs";
+
+// Find the order an event belongs to, by order ID first and then provider IDs
+const findOrderForEvent = async (event) => {
+  if (event.orderId && mongoose.Types.ObjectId.isValid(event.orderId)) {
+    const order = await Order.findById(
+      new mongoose.Types.ObjectId(event.orderId)
+    );
+    if (order) return order;
+  }
+
+  for (const [field, value] of Object.entries(event.lookup || {})) {
+    if (typeof value === "string" && value) {
+      const order = await Order.findOne({ [`paymentInfo.${field}`]: value });
+      if (order) return order;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Mark an order paid and confirm it if it was waiting on payment.
+ * Orders that are already settled are returned untouched; cancelled orders
+ * are refused with a 409.
+ */
+export const markOrderPaid = async (
+  order,
+  { transactionId, paidAt, notes, updatedBy } = {}
+) => {
+  if (!["pending", "failed"].includes(order.paymentInfo.status)) {
+    return order;
+  }
+  if (order.orderStatus === "cancelled") {
+    throw new AppError(
+      "Cancelled orders cannot be paid",
+      409,
+      true,
+      "ORDER_CANCELLED"
+    );
+  }
+
+  order.paymentInfo.status = "paid";
+  order.paymentInfo.transactionId =
+    transactionId || order.paymentInfo.transactionId;
+  order.paymentInfo.paidAt = paidAt || new Date();
+
+  const historyNotes =
+    notes || `Payment received (${order.paymentInfo.transactionId})`;
+  if (order.orderStatus === "pending") {
+    order.setStatus("confirmed", { updatedBy, notes: historyNotes });
+  } else {
+    order.addHistoryNote(historyNotes, updatedBy);
+  }
+
+  const savedOrder = await order.save();
+
+  // Coupons count as used only once the order is paid
+  try {
+    await redeemCoupon(savedOrder);
+  } catch (error) {
+    logger.error("Failed to record coupon redemption", {
+      orderId: savedOrder._id.toString(),
+      couponCode: savedOrder.couponCode,
+      error: error.message,
+    });
+  }
+
+  return savedOrder;
+};
+
+const markOrderFailed = async (order, event) => {
+  // Never downgrade an order that has already been paid
+  if (order.paymentInfo.status !== "pending") {
+    return order;
+  }
+
+  order.paymentInfo.status = "failed";
+  order.paymentInfo.transactionId =
+    event.transactionId || order.paymentInfo.transactionId;
+  order.addHistoryNote(
+    `Payment failed via ${event.provider}: ${
+      event.failureReason || "no reason provided"
+    }`
+  );
+
+  return order.save();
+};
+
+const markOrderRefunded = async (order, event) => {
+  // Refunded amounts are cumulative, so replaying an older event is harmless
+  const refundedAmount = Math.round(event.refundedAmount * 100) / 100;
+  if (refundedAmount <= (order.paymentInfo.refundedAmount || 0)) {
+    return order;
+  }
+
+  const fullyRefunded =
+    event.fullyRefunded ?? refundedAmount >= order.pricing.totalPrice;
+  order.paymentInfo.status = fullyRefunded ? "refunded" : "partially-refunded";
+  order.paymentInfo.refundedAmount = refundedAmount;
+
+  const notes = `Refund recorded via ${
+    event.provider
+  }: ${refundedAmount.toFixed(2)} of ${(
+    event.totalAmount ?? order.pricing.totalPrice
+  ).toFixed(2)}`;
+
+  // Orders refunded in full before they ship are cancelled, which also puts
+  // their unreturned units back in stock
+  if (
+    fullyRefunded &&
+    ["pending", "confirmed", "processing"].includes(order.orderStatus) &&
+    order.canTransitionTo("cancelled")
+  ) {
+    return transitionOrder(order, "cancelled", { notes });
+  }
+
+  order.addHistoryNote(notes);
+  return order.save();
+};
+
+/**
+ * Apply a verified, provider-neutral payment event to its order.
+ * Returns the order, or null when no order matches.
+ */
+export const applyPaymentEvent = async (event) => {
+  const order = await findOrderForEvent(event);
+  if (!order) return null;
+
+  // A provider may only settle orders paid through it
+  const expected = getPaymentProvider(order.paymentInfo.method).name;
+  if (event.provider !== expected) {
+    logger.warn("Payment event ignored: order is paid with another provider", {
+      orderId: order._id.toString(),
+      provider: event.provider,
+      expectedProvider: expected,
+      eventId: event.id,
+    });
+    return null;
+  }
+
+  switch (event.type) {
+    case "payment.succeeded":
+      // Money for a cancelled order is kept on record for an admin to refund
+      if (order.orderStatus === "cancelled") {
+        logger.warn("Payment received for a cancelled order", {
+          orderId: order._id.toString(),
+          provider: event.provider,
+          transactionId: event.transactionId,
+        });
+        order.addHistoryNote(
+          `Payment ${event.transactionId} received via ${event.provider} after cancellation; refund it with the provider`
+        );
+        return order.save();
+      }
+      return markOrderPaid(order, {
+        transactionId: event.transactionId,
+        paidAt: event.paidAt,
+        notes: `Payment received via ${event.provider} (${event.transactionId})`,
+      });
+    case "payment.failed":
+      return markOrderFailed(order, event);
+    case "payment.refunded":
+      return markOrderRefunded(order, event);
+    case "payment.pending":
+      order.addHistoryNote(
+        event.note || `Payment pending via ${event.provider}`
+      );
+      return order.save();
+    default:
+      return order;
+  }
+};
@@ -0,0 +1,275 @@
+import stripe, { STRIPE_CURRENCY, toMinorUnits } from "../../config/stripe.mjs";
+import { AppError } from "../errorHandler.mjs";
+import { exclusiveTax, verifyOrderPricing } from "../pricingEngine.mjs";
+
+// Append Stripe's session placeholder to a frontend redirect URL
+const withSessionId = (url) =>
+  `${url}${url.includes("?") ? "&" : "?"}session_id={CHECKOUT_SESSION_ID}`;
+
+// Stripe sends expandable fields either as an ID or as the expanded object
+const stripeId = (value) =>
+  value && typeof value === "object" ? value.id : value;
+
+// Build Checkout Session parameters purely from the stored order
+const buildCheckoutSessionParams = async (order, user) => {
+  // Refuse to charge an amount that differs from the order total
+  const pricing = verifyOrderPricing(order);
+
+  const lineItems = order.items.map((item, index) => ({
+    price_data: {
+      currency: STRIPE_CURRENCY,
+      product_data: {
+        name: item.productSnapshot?.title || `Item ${index + 1}`,
+        ...(item.productSnapshot?.image && {
+          images: [item.productSnapshot.image],
+        }),
+      },
+      unit_amount: toMinorUnits(item.price),
+    },
+    quantity: item.quantity,
+  }));
+
+  // Tax already in the item prices is not charged again
+  const tax = exclusiveTax(pricing);
+  if (tax > 0) {
+    lineItems.push({
+      price_data: {
+        currency: STRIPE_CURRENCY,
+        product_data: { name: "Tax" },
+        unit_amount: toMinorUnits(tax),
+      },
+      quantity: 1,
+    });
+  }
+
+  const params = {
+    mode: "payment",
+    line_items: lineItems,
+    client_reference_id: order._id.toString(),
+    customer_email: user?.email,
+    metadata: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+    },
+    payment_intent_data: {
+      metadata: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+      },
+    },
+    success_url: withSessionId(
+      process.env.FRONTEND_SUCCESS_URL || "http://localhost:5173/success"
+    ),
+    cancel_url:
+      process.env.FRONTEND_CANCEL_URL || "http://localhost:5173/cancel",
+  };
+
+  if (pricing.shippingPrice > 0) {
+    params.shipping_options = [
+      {
+        shipping_rate_data: {
+          type: "fixed_amount",
+          display_name: "Shipping",
+          fixed_amount: {
+            amount: toMinorUnits(pricing.shippingPrice),
+            currency: STRIPE_CURRENCY,
+          },
+        },
+      },
+    ];
+  }
+
+  // Stripe only applies discounts through coupons, so create a one-off coupon
+  if (pricing.discountAmount > 0) {
+    const coupon = await stripe.coupons.create({
+      amount_off: toMinorUnits(pricing.discountAmount),
+      currency: STRIPE_CURRENCY,
+      duration: "once",
+      max_redemptions: 1,
+      name: `Order ${order.orderNumber}`.slice(0, 40),
+    });
+    params.discounts = [{ coupon: coupon.id }];
+  }
+
+  return params;
+};
+
+// Errors for refunds Stripe refused outright (card and request errors)
+const DECLINED_REFUND_ERRORS = ["StripeCardError", "StripeInvalidRequestError"];
+
+// Translate a verified Stripe event into the provider-neutral event shape
+const normalizeEvent = (event) => {
+  const object = event.data.object;
+  const normalized = {
+    id: event.id,
+    provider: "stripe",
+    rawType: event.type,
+    orderId: object.metadata?.orderId || object.client_reference_id,
+  };
+
+  switch (event.type) {
+    case "checkout.session.completed": {
+      const paid = ["paid", "no_payment_required"].includes(
+        object.payment_status
+      );
+      return {
+        ...normalized,
+        type: paid ? "payment.succeeded" : "payment.pending",
+        lookup: { sessionId: object.id },
+        transactionId: stripeId(object.payment_intent) || object.id,
+        paidAt: new Date(event.created * 1000),
+        note: paid
+          ? undefined
+          : `Stripe checkout completed with payment status "${object.payment_status}"`,
+      };
+    }
+    case "payment_intent.payment_failed":
+      return {
+        ...normalized,
+        type: "payment.failed",
+        lookup: { transactionId: object.id },
+        transactionId: object.id,
+        failureReason: object.last_payment_error?.message,
+      };
+    case "charge.refunded":
+      return {
+        ...normalized,
+        type: "payment.refunded",
+        lookup: { transactionId: stripeId(object.payment_intent) },
+        // amount_refunded is cumulative across all refunds on the charge
+        refundedAmount: object.amount_refunded / 100,
+        fullyRefunded:
+          object.refunded || object.amount_refunded >= object.amount,
+        totalAmount: object.amount / 100,
+        currency: object.currency,
+      };
+    default:
+      return normalized;
+  }
+};
+
+const stripeProvider = {
+  name: "stripe",
+  label: "Stripe",
+  confirmsWithoutPayment: false,
+
+  // Create (or reuse) a Checkout Session the customer is redirected to
+  async createPayment(order, { user } = {}) {
+    if (order.paymentInfo.sessionId) {
+      const existingSession = await stripe.checkout.sessions.retrieve(
+        order.paymentInfo.sessionId
+      );
+      if (existingSession.status === "open") {
+        return {
+          status: "pending",
+          sessionId: existingSession.id,
+          url: existingSession.url,
+          reused: true,
+        };
+      }
+    }
+
+    const session = await stripe.checkout.sessions.create(
+      await buildCheckoutSessionParams(order, user)
+    );
+
+    return { status: "pending", sessionId: session.id, url: session.url };
+  },
+
+  // Checkout captures automatically; this confirms the session was paid
+  async capturePayment(order) {
+    if (!order.paymentInfo.sessionId) {
+      throw new AppError(
+        "Order has no Stripe checkout session",
+        409,
+        true,
+        "NO_PAYMENT_SESSION"
+      );
+    }
+
+    const session = await stripe.checkout.sessions.retrieve(
+      order.paymentInfo.sessionId
+    );
+    const paid = ["paid", "no_payment_required"].includes(
+      session.payment_status
+    );
+
+    return {
+      status: paid ? "paid" : "pending",
+      transactionId: stripeId(session.payment_intent) || session.id,
+      paidAt: paid ? new Date() : undefined,
+    };
+  },
+
+  async refundPayment(order, amount, { reason, idempotencyKey } = {}) {
+    if (!order.paymentInfo.transactionId) {
+      throw new AppError(
+        "Order has no Stripe payment to refund",
+        409,
+        true,
+        "NO_TRANSACTION"
+      );
+    }
+
+    let refund;
+    try {
+      refund = await stripe.refunds.create(
+        {
+          payment_intent: order.paymentInfo.transactionId,
+          amount: toMinorUnits(amount),
+          reason: "requested_by_customer",
+          metadata: {
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber,
+            ...(reason && { reason: reason.slice(0, 500) }),
+          },
+        },
+        // A retried refund returns the first one instead of refunding again
+        { idempotencyKey }
+      );
+    } catch (error) {
+      // Stripe refused the refund; anything else may still have refunded
+      if (DECLINED_REFUND_ERRORS.includes(error.type)) error.declined = true;
+      throw error;
+    }
+
+    return {
+      provider: "stripe",
+      providerRefundId: refund.id,
+      status: refund.status === "succeeded" ? "succeeded" : "pending",
+    };
+  },
+
+  // Verify the Stripe-Signature header against the raw body
+  async verifyWebhook(rawBody, headers) {
+    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      throw new AppError(
+        "Stripe webhook secret is not configured",
+        500,
+        false,
+        "CONFIGURATION_ERROR"
+      );
+    }
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        rawBody,
+        headers["stripe-signature"],
+        webhookSecret
+      );
+    } catch (error) {
+      throw new AppError(
+        `Webhook signature verification failed: ${error.message}`,
+        400,
+        true,
+        "INVALID_WEBHOOK_SIGNATURE"
+      );
+    }
+
+    return normalizeEvent(event);
+  },
+};
+
+export default stripeProvider;
@@ -0,0 +1,230 @@
+import mongoose from "mongoose";
+import { Product } from "../models/ProductSchema.mjs";
+import { PriceHistory } from "../models/PriceHistorySchema.mjs";
+import { resolvePrice } from "./pricingEngine.mjs";
+import { getSaleCampaigns, loadSaleCampaigns } from "./salePricing.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * Price history
+ *
+ * Records every change of the price shoppers pay. Catalog edits record right
+ * after saving; sales and campaigns starting or ending are picked up by a
+ * background job and dated to the moment they took effect. An entry is only
+ * written when the price differs from the last one recorded, so recording
+ * the same product twice is harmless.
+ */
+
+// How far back the first run after a restart looks for sales that started
+// or ended while the server was down
+const STARTUP_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+let lastScheduleCheck = null;
+
+// Products priced per variant record each variant; others the product
+const priceHolders = (product) =>
+  product.variants?.length > 0 ? product.variants : [null];
+
+const holderKey = (variantId) => (variantId ? String(variantId) : "product");
+
+// Latest recorded entry of each variant (or the product) of a product
+const latestEntries = async (productId) => {
+  const entries = await PriceHistory.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)) } },
+    { $sort: { effectiveAt: -1, _id: -1 } },
+    { $group: { _id: "$variant", entry: { $first: "$$ROOT" } } },
+  ]);
+  return new Map(entries.map(({ _id, entry }) => [holderKey(_id), entry]));
+};
+
+// Most recent sale or campaign start or end, up to `now`, that could have
+// moved the price of a product or variant
+const lastPriceBoundary = (product, variant, campaigns, now) => {
+  const sale = (variant || product).sale;
+  const category = String(product.category?._id || product.category);
+  const times = [
+    sale?.startsAt,
+    sale?.endsAt,
+    ...campaigns
+      .filter((campaign) => campaign.categoryIds.has(category))
+      .flatMap((campaign) => [campaign.startsAt, campaign.endsAt]),
+  ].filter((time) => time && time <= now);
+
+  return times.length > 0 ? new Date(Math.max(...times)) : now;
+};
+
+// A scheduled change into or out of campaign pricing is put down to the
+// campaign, anything else to the product's own sale
+const scheduledChange = (source, previousSource) =>
+  source === "campaign" || previousSource === "campaign" ? "campaign" : "sale";
+
+/**
+ * Record the current price of a product and its variants where it differs
+ * from the last recorded one. `change` says why (see PRICE_CHANGES). With
+ * `scheduled`, the change is put down to a sale or campaign and dated to
+ * when it started or ended rather than `now`.
+ */
+export const recordPriceChanges = async (
+  product,
+  { change, scheduled = false, user, campaigns, now = new Date() }
+) => {
+  const liveCampaigns = campaigns || (await getSaleCampaigns());
+  const latest = await latestEntries(product._id);
+
+  const entries = priceHolders(product).flatMap((variant) => {
+    const { price, regularPrice, source, campaign } = resolvePrice(
+      product,
+      variant,
+      liveCampaigns,
+      now
+    );
+    const last = latest.get(holderKey(variant?._id));
+    if (last && last.price === price && last.regularPrice === regularPrice) {
+      return [];
+    }
+
+    return [
+      {
+        product: product._id,
+        variant: variant?._id,
+        sku: (variant || product).sku,
+        price,
+        regularPrice,
+        source,
+        campaign,
+        change: scheduled ? scheduledChange(source, last?.source) : change,
+        effectiveAt: scheduled
+          ? lastPriceBoundary(product, variant, liveCampaigns, now)
+          : now,
+        user,
+      },
+    ];
+  });
+
+  return entries.length > 0 ? PriceHistory.insertMany(entries) : [];
+};
+
+/**
+ * Record catalog price changes after a product is saved. Failures are logged
+ * rather than thrown since the product itself has been saved.
+ */
+export const recordCatalogPrice = async (product, details) => {
+  try {
+    return await recordPriceChanges(product, details);
+  } catch (error) {
+    logger.error("Failed to record price history", {
+      productId: product._id.toString(),
+      error: error.message,
+    });
+    return [];
+  }
+};
+
+// Record price changes of every product in the given categories, e.g. when
+// a campaign covering them is created, edited or removed
+export const recordCategoryPriceChanges = async (
+  categoryIds,
+  { campaigns, ...details }
+) => {
+  const cursor = Product.find({ category: { $in: [...categoryIds] } })
+    .select("sku category price sale variants")
+    .cursor();
+  let recorded = 0;
+
+  try {
+    for await (const product of cursor) {
+      recorded += (await recordPriceChanges(product, { ...details, campaigns }))
+        .length;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return recorded;
+};
+
+/**
+ * Record prices moved by sales and campaigns that started or ended since the
+ * last run. Meant to run every minute or so from the scheduler.
+ */
+export const recordScheduledPriceChanges = async (now = new Date()) => {
+  const since =
+    lastScheduleCheck || new Date(now.getTime() - STARTUP_LOOKBACK_MS);
+  const window = { $gt: since, $lte: now };
+
+  // Campaigns still running after `since`, to price with and date changes by
+  const campaigns = await loadSaleCampaigns({ endsAt: { $gt: since } });
+  const movedCategories = new Set(
+    campaigns
+      .filter(
+        ({ startsAt, endsAt }) =>
+          (startsAt > since && startsAt <= now) ||
+          (endsAt > since && endsAt <= now)
+      )
+      .flatMap((campaign) => [...campaign.categoryIds])
+  );
+
+  const cursor = Product.find({
+    $or: [
+      { "sale.startsAt": window },
+      { "sale.endsAt": window },
+      { "variants.sale.startsAt": window },
+      { "variants.sale.endsAt": window },
+      { category: { $in: [...movedCategories] } },
+    ],
+  })
+    .select("sku category price sale variants")
+    .cursor();
+
+  let recorded = 0;
+  try {
+    for await (const product of cursor) {
+      const entries = await recordPriceChanges(product, {
+        scheduled: true,
+        campaigns,
+        now,
+      });
+      recorded += entries.length;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  lastScheduleCheck = now;
+  if (recorded > 0) {
+    logger.logBusiness("Scheduled price changes recorded", { recorded });
+  }
+
+  return recorded;
+};
+
+/**
+ * Recorded prices of a product, newest first.
+ */
+export const getPriceHistory = async (
+  productId,
+  { variant, page = 1, limit = 50 } = {}
+) => {
+  const filter = { product: productId };
+  if (variant) filter.variant = variant;
+
+  const [entries, total] = await Promise.all([
+    PriceHistory.find(filter)
+      .sort({ effectiveAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("campaign", "name percentOff")
+      .select("-user"),
+    PriceHistory.countDocuments(filter),
+  ]);
+
+  return { entries, total };
+};
+
+export default {
+  recordPriceChanges,
+  recordCatalogPrice,
+  recordCategoryPriceChanges,
+  recordScheduledPriceChanges,
+  getPriceHistory,
+};
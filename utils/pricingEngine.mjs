@@ -0,0 +1,387 @@
+import { getConfig } from "../config/environment.mjs";
+import { AppError } from "./errorHandler.mjs";
+import { parcelOf, shippingRate } from "./shippingEngine.mjs";
+import { defaultTaxRates, taxOn, taxRateFor } from "./taxEngine.mjs";
+
+/**
+ * Pricing engine
+ *
+ * The single place where cart, order and payment amounts are worked out.
+ * Unit prices come from the catalog, lowered by any live sale or campaign,
+ * and the remaining amounts from the configured rules, so the cart, the
+ * order and the payment session always agree. Shipping follows the method
+ * chosen at checkout (see shippingEngine), or the flat rate while none is,
+ * and tax the rates of the destination (see taxEngine). Amounts sent by
+ * clients are only compared against the result.
+ */
+
+// Amounts within half a cent are treated as equal
+const PRICE_TOLERANCE = 0.005;
+
+// Round a monetary amount to cents
+export const roundMoney = (amount) =>
+  Math.round(((amount || 0) + Number.EPSILON) * 100) / 100;
+
+// Configured shipping and tax rules
+export const getPricingRules = () => getConfig().pricing;
+
+// Tax charged on top of the prices; none when prices already include it
+export const exclusiveTax = ({ taxPrice = 0, pricesIncludeTax }) =>
+  pricesIncludeTax ? 0 : taxPrice;
+
+const isLive = ({ startsAt, endsAt }, now) =>
+  (!startsAt || startsAt <= now) && (!endsAt || endsAt > now);
+
+const categoryId = (product) =>
+  String(product.category?._id || product.category);
+
+/**
+ * Price of a catalog product, or one of its variants, at `now`: the lowest of
+ * its regular price, its own live sale and live campaigns (see
+ * getSaleCampaigns) covering its category. Returns { price, regularPrice,
+ * source, campaign }, source being "regular", "sale" or "campaign".
+ */
+export const resolvePrice = (
+  product,
+  variant,
+  campaigns = [],
+  now = new Date()
+) => {
+  const holder = variant || product;
+  let best = {
+    price: holder.price,
+    regularPrice: holder.price,
+    source: "regular",
+  };
+
+  if (
+    holder.sale &&
+    isLive(holder.sale, now) &&
+    holder.sale.price < best.price
+  ) {
+    best = { ...best, price: holder.sale.price, source: "sale" };
+  }
+
+  for (const campaign of campaigns) {
+    if (!campaign.categoryIds.has(categoryId(product))) continue;
+    if (!isLive(campaign, now)) continue;
+
+    const price = roundMoney(holder.price * (1 - campaign.percentOff / 100));
+    if (price < best.price) {
+      best = { ...best, price, source: "campaign", campaign: campaign._id };
+    }
+  }
+
+  return best;
+};
+
+// Current selling price of a catalog product, or of one of its variants
+export const resolveUnitPrice = (product, variant, campaigns, now) =>
+  resolvePrice(product, variant, campaigns, now).price;
+
+// Price of shipping `items` with a method, after any free shipping discount
+const shippingCost = (items, discountedSubtotal, discounts, method, rules) => {
+  if (items.length === 0) return 0;
+
+  const couponFreeShipping = discounts.some(
+    (discount) => discount.freeShipping
+  );
+
+  if (!method) {
+    return couponFreeShipping ||
+      (rules.freeShippingThreshold > 0 &&
+        discountedSubtotal >= rules.freeShippingThreshold)
+      ? 0
+      : roundMoney(rules.shippingFlatRate);
+  }
+
+  // A coupon waives the price, not the limits of the method's rate table
+  const price = shippingRate(method, {
+    parcel: parcelOf(items),
+    orderValue: discountedSubtotal,
+  });
+  if (price === null) {
+    throw new AppError(
+      `${method.label || method.code} is not available for this order`,
+      400,
+      true,
+      "SHIPPING_UNAVAILABLE"
+    );
+  }
+  return couponFreeShipping ? 0 : roundMoney(price);
+};
+
+// Share of the discount taken off each line, by value, so every line is
+// taxed on what is actually paid for it
+const discountShares = (items, discountAmount, itemsPrice) => {
+  let remaining = discountAmount;
+
+  return items.map((item, index) => {
+    const share =
+      index === items.length - 1
+        ? remaining
+        : roundMoney((discountAmount * item.lineTotal) / (itemsPrice || 1));
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+};
+
+// Tax line of an amount paid for a line, `taxableAmount` being net of tax
+const taxLine = (paid, rate, pricesIncludeTax) => {
+  const amount = roundMoney(taxOn(paid, rate.rate, pricesIncludeTax));
+
+  return {
+    name: rate.name,
+    ...(rate.country && { country: rate.country }),
+    ...(rate.state && { state: rate.state }),
+    rate: rate.rate,
+    taxableAmount: pricesIncludeTax ? roundMoney(paid - amount) : paid,
+    amount,
+  };
+};
+
+// Tax lines of all items added up per tax and rate
+const sumTaxLines = (items) => {
+  const totals = new Map();
+
+  for (const line of items.flatMap((item) => item.taxLines)) {
+    const key = [line.name, line.country, line.state, line.rate].join("|");
+    const total = totals.get(key);
+    totals.set(
+      key,
+      total
+        ? {
+            ...total,
+            taxableAmount: roundMoney(total.taxableAmount + line.taxableAmount),
+            amount: roundMoney(total.amount + line.amount),
+          }
+        : { ...line }
+    );
+  }
+
+  return [...totals.values()];
+};
+
+/**
+ * Price a list of lines of the shape { product, variant?, quantity, unitPrice }.
+ * Discounts are { amount, freeShipping } entries applied to the subtotal.
+ * `shippingMethod` is one of getShippingMethods' methods; without it the
+ * flat rate in `rules` is charged. `taxRates` are those of the destination
+ * (see getTaxRates); without them the flat TAX_RATE is charged.
+ */
+export const calculatePricing = (
+  lines,
+  {
+    discounts = [],
+    rules = getPricingRules(),
+    shippingMethod,
+    taxRates = defaultTaxRates(rules.taxRate),
+  } = {}
+) => {
+  const pricesIncludeTax = Boolean(rules.pricesIncludeTax);
+  const lineItems = lines.map((line) => ({
+    ...line,
+    lineTotal: roundMoney(line.unitPrice * line.quantity),
+  }));
+
+  const itemsPrice = roundMoney(
+    lineItems.reduce((total, item) => total + item.lineTotal, 0)
+  );
+  const discountAmount = roundMoney(
+    Math.min(
+      itemsPrice,
+      discounts.reduce((total, discount) => total + (discount.amount || 0), 0)
+    )
+  );
+  const discountedSubtotal = roundMoney(itemsPrice - discountAmount);
+
+  const shares = discountShares(lineItems, discountAmount, itemsPrice);
+  const items = lineItems.map((item, index) => {
+    const rate = taxRateFor(item.product, taxRates);
+    return {
+      ...item,
+      taxLines: rate
+        ? [
+            taxLine(
+              roundMoney(item.lineTotal - shares[index]),
+              rate,
+              pricesIncludeTax
+            ),
+          ]
+        : [],
+    };
+  });
+
+  const shippingPrice = shippingCost(
+    items,
+    discountedSubtotal,
+    discounts,
+    shippingMethod,
+    rules
+  );
+
+  const taxLines = sumTaxLines(items);
+  const taxPrice = roundMoney(
+    taxLines.reduce((total, line) => total + line.amount, 0)
+  );
+
+  return {
+    items,
+    itemsPrice,
+    discountAmount,
+    ...(shippingMethod && { shippingMethod: shippingMethod.code }),
+    shippingPrice,
+    taxPrice,
+    taxLines,
+    pricesIncludeTax,
+    totalPrice: roundMoney(
+      discountedSubtotal +
+        shippingPrice +
+        exclusiveTax({ taxPrice, pricesIncludeTax })
+    ),
+  };
+};
+
+/**
+ * Lines of a populated cart at current catalog prices, with live campaigns
+ * applied. Lines whose product or variant no longer exists are left out.
+ */
+export const cartLines = (cart, campaigns) =>
+  cart.products.flatMap((cartItem) => {
+    if (!cartItem.product) return [];
+
+    const variant = cartItem.variant
+      ? cartItem.product.getVariant(cartItem.variant)
+      : null;
+    if (cartItem.variant && !variant) return [];
+
+    return [
+      {
+        product: cartItem.product,
+        variant,
+        quantity: cartItem.quantity,
+        unitPrice: resolveUnitPrice(cartItem.product, variant, campaigns),
+        priceAtAdd: cartItem.priceAtAdd,
+      },
+    ];
+  });
+
+// Price a populated cart at current catalog prices
+export const priceCart = (cart, { campaigns, ...options } = {}) =>
+  calculatePricing(cartLines(cart, campaigns), options);
+
+/**
+ * Price `lines` once with each of `methods` (see getShippingMethods),
+ * leaving out methods whose rate table does not cover the order. Returns
+ * { method, pricing } pairs.
+ */
+export const priceShippingOptions = (lines, methods, options = {}) => {
+  const { items, itemsPrice, discountAmount } = calculatePricing(
+    lines,
+    options
+  );
+  const parcel = parcelOf(items);
+  const orderValue = roundMoney(itemsPrice - discountAmount);
+
+  return methods
+    .filter((method) => shippingRate(method, { parcel, orderValue }) !== null)
+    .map((method) => ({
+      method,
+      pricing: calculatePricing(lines, { ...options, shippingMethod: method }),
+    }));
+};
+
+// Client-facing summary of a pricing result
+export const summarizePricing = ({ items, ...totals }) => ({
+  ...totals,
+  items: items.map((item) => ({
+    product: item.product._id || item.product,
+    ...(item.variant && { variant: item.variant._id, sku: item.variant.sku }),
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    lineTotal: item.lineTotal,
+    taxAmount: roundMoney(
+      item.taxLines.reduce((total, line) => total + line.amount, 0)
+    ),
+    ...(item.priceAtAdd !== undefined && {
+      priceChanged:
+        Math.abs(item.priceAtAdd - item.unitPrice) > PRICE_TOLERANCE,
+    }),
+  })),
+});
+
+/**
+ * Optimistic check of amounts the client showed the shopper.
+ * Fields the client did not send are not checked.
+ */
+export const assertExpectedPricing = (pricing, expected = {}) => {
+  const changes = [
+    "itemsPrice",
+    "discountAmount",
+    "shippingPrice",
+    "taxPrice",
+    "totalPrice",
+  ]
+    .filter(
+      (field) =>
+        expected[field] !== undefined &&
+        expected[field] !== null &&
+        !(Math.abs(Number(expected[field]) - pricing[field]) <= PRICE_TOLERANCE)
+    )
+    .map((field) => ({
+      field,
+      expected: Number(expected[field]),
+      actual: pricing[field],
+    }));
+
+  if (changes.length > 0) {
+    const error = new AppError(
+      "Prices have changed since they were last shown. Please review your order.",
+      409,
+      true,
+      "PRICE_CHANGED"
+    );
+    error.details = changes;
+    throw error;
+  }
+};
+
+/**
+ * Check that a stored order's pricing adds up before it is charged.
+ * Payment providers charge exactly these amounts.
+ */
+export const verifyOrderPricing = (order) => {
+  const { pricing } = order;
+  const itemsPrice = roundMoney(
+    order.items.reduce((total, item) => total + item.price * item.quantity, 0)
+  );
+  const totalPrice = roundMoney(
+    itemsPrice -
+      (pricing.discountAmount || 0) +
+      (pricing.shippingPrice || 0) +
+      exclusiveTax(pricing)
+  );
+
+  if (
+    Math.abs(itemsPrice - pricing.itemsPrice) > PRICE_TOLERANCE ||
+    Math.abs(totalPrice - pricing.totalPrice) > PRICE_TOLERANCE
+  ) {
+    throw new AppError(
+      "Order total does not match its items, shipping, tax and discount",
+      409,
+      true,
+      "ORDER_TOTAL_MISMATCH"
+    );
+  }
+
+  return pricing;
+};
+
+export default {
+  calculatePricing,
+  priceCart,
+  priceShippingOptions,
+  summarizePricing,
+  assertExpectedPricing,
+  verifyOrderPricing,
+};
@@ -0,0 +1,49 @@
+import { Product } from "../models/ProductSchema.mjs";
+import { resetSearchVocabulary } from "./searchVocabulary.mjs";
+import { clearSuggestionCache } from "./productSuggest.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * Flip product statuses whose publishAt or unpublishAt has passed: drafts go
+ * live (out-of-stock when they have no stock) and live products become
+ * inactive. Each update is conditional, so a product edited meanwhile is
+ * picked up on the next run instead of being overwritten.
+ */
+export const applyProductSchedule = async (now = new Date()) => {
+  const due = { status: "draft", publishAt: { $lte: now } };
+
+  const [launched, launchedOutOfStock] = await Promise.all([
+    Product.updateMany(
+      { ...due, stock: { $gt: 0 } },
+      { $set: { status: "active" } }
+    ),
+    Product.updateMany(
+      { ...due, stock: { $lte: 0 } },
+      { $set: { status: "out-of-stock" } }
+    ),
+  ]);
+
+  // Runs after publishing so a window that has already closed ends inactive
+  const withdrawn = await Product.updateMany(
+    {
+      status: { $in: ["active", "out-of-stock"] },
+      unpublishAt: { $lte: now },
+    },
+    { $set: { status: "inactive" } }
+  );
+
+  const published = launched.modifiedCount + launchedOutOfStock.modifiedCount;
+  const unpublished = withdrawn.modifiedCount;
+
+  if (published > 0 || unpublished > 0) {
+    // Titles appear in or drop out of search right away
+    resetSearchVocabulary();
+    clearSuggestionCache();
+
+    logger.logBusiness("Product schedule applied", { published, unpublished });
+  }
+
+  return { published, unpublished };
+};
+
+export default { applyProductSchedule };
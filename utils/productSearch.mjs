@@ -0,0 +1,293 @@
+import mongoose from "mongoose";
+import { Product } from "../models/ProductSchema.mjs";
+import { Category } from "../models/CategorySchema.mjs";
+import { correctQuery } from "./searchVocabulary.mjs";
+
+// Upper bounds of the price facet buckets; anything above falls in the last
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+const MAX_QUERY_LENGTH = 100;
+
+// Statuses shoppers can see in search results
+const SEARCHABLE_STATUSES = ["active", "out-of-stock"];
+
+// Fields kept out of results: aggregation ignores `select: false`, and
+// per-warehouse stock, thresholds and sales figures are for admins only
+const HIDDEN_FIELDS = [
+  "titleWords",
+  "warehouseStock",
+  "variants.warehouseStock",
+  "lowStockThreshold",
+  "salesCount",
+  "viewCount",
+  "__v",
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Accept "a,b" or repeated query params and return trimmed values
+const listParam = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const numberParam = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * IDs of the given categories (by ID or slug) and all of their subcategories.
+ */
+export const resolveCategoryIds = async (categories) => {
+  const values = listParam(categories);
+  const ids = values.filter((value) => mongoose.Types.ObjectId.isValid(value));
+  const slugs = values.filter((value) => !ids.includes(value));
+
+  const roots = await Category.find({
+    $or: [
+      { _id: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) } },
+      { slug: { $in: slugs.map((slug) => slug.toLowerCase()) } },
+    ],
+  })
+    .select("_id")
+    .lean();
+
+  const resolved = new Map(
+    roots.map((category) => [String(category._id), category._id])
+  );
+  let frontier = [...resolved.values()];
+
+  // Walk down the tree; categories are at most a few levels deep
+  while (frontier.length > 0) {
+    const children = await Category.find({ parentCategory: { $in: frontier } })
+      .select("_id")
+      .lean();
+    frontier = children
+      .map((child) => child._id)
+      .filter((id) => !resolved.has(String(id)));
+    frontier.forEach((id) => resolved.set(String(id), id));
+  }
+
+  return [...resolved.values()];
+};
+
+/**
+ * Build a product filter from query string parameters:
+ * category, brand, minPrice, maxPrice, minRating, tags and inStock.
+ */
+export const buildProductFilter = async (query = {}) => {
+  const filter = {};
+
+  if (query.category) {
+    filter.category = { $in: await resolveCategoryIds(query.category) };
+  }
+
+  const brands = listParam(query.brand);
+  if (brands.length > 0) {
+    filter.brand = {
+      $in: brands.map((brand) => new RegExp(`^${escapeRegex(brand)}$`, "i")),
+    };
+  }
+
+  const minPrice = numberParam(query.minPrice);
+  const maxPrice = numberParam(query.maxPrice);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  const minRating = numberParam(query.minRating ?? query.rating);
+  if (minRating !== undefined) {
+    filter["rating.average"] = { $gte: minRating };
+  }
+
+  const tags = listParam(query.tags).map((tag) => tag.toLowerCase());
+  if (tags.length > 0) {
+    filter.tags = { $in: tags };
+  }
+
+  if (query.inStock === "true") filter.stock = { $gt: 0 };
+  if (query.inStock === "false") filter.stock = { $lte: 0 };
+
+  return filter;
+};
+
+const SORTS = {
+  relevance: { score: -1, "rating.average": -1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  rating: { "rating.average": -1, "rating.count": -1 },
+  newest: { createdAt: -1 },
+  popular: { viewCount: -1, salesCount: -1 },
+};
+
+// Facet counts computed over every matching product, not just the page
+const facetStages = {
+  brands: [
+    { $match: { brand: { $nin: [null, ""] } } },
+    { $group: { _id: "$brand", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 20 },
+    { $project: { _id: 0, value: "$_id", count: 1 } },
+  ],
+  categories: [
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+    {
+      $lookup: {
+        from: "categories",
+        localField: "_id",
+        foreignField: "_id",
+        as: "category",
+      },
+    },
+    { $unwind: "$category" },
+    { $sort: { count: -1 } },
+    {
+      $project: {
+        _id: 0,
+        id: "$_id",
+        name: "$category.name",
+        slug: "$category.slug",
+        count: 1,
+      },
+    },
+  ],
+  priceRanges: [
+    {
+      $bucket: {
+        groupBy: "$price",
+        boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+        default: "unknown",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+  ratings: [
+    {
+      $bucket: {
+        groupBy: { $floor: "$rating.average" },
+        boundaries: [0, 1, 2, 3, 4, 5, 6],
+        default: "unrated",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+};
+
+// Present bucket facets as { min, max, count } ranges
+const formatPriceRanges = (buckets) =>
+  buckets
+    .filter((bucket) => typeof bucket._id === "number")
+    .map((bucket) => {
+      const index = PRICE_BUCKETS.indexOf(bucket._id);
+      return {
+        min: bucket._id,
+        max: PRICE_BUCKETS[index + 1] ?? null,
+        count: bucket.count,
+      };
+    });
+
+// Ratings facet as "N stars and up" counts, highest first
+const formatRatings = (buckets) =>
+  [4, 3, 2, 1].map((min) => ({
+    min,
+    count: buckets
+      .filter((bucket) => typeof bucket._id === "number" && bucket._id >= min)
+      .reduce((total, bucket) => total + bucket.count, 0),
+  }));
+
+const runSearch = async (text, filter, { page, limit, sort }) => {
+  const match = {
+    ...filter,
+    ...Product.publishedFilter(SEARCHABLE_STATUSES),
+    ...(text && { $text: { $search: text } }),
+  };
+
+  // Relevance needs a text query; without one, newest products come first
+  let sortKey = text ? "relevance" : "newest";
+  if (Object.hasOwn(SORTS, sort) && (text || sort !== "relevance")) {
+    sortKey = sort;
+  }
+  const pipeline = [
+    { $match: match },
+    ...(text ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    {
+      $facet: {
+        results: [
+          { $sort: { ...SORTS[sortKey], _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: "categories",
+              localField: "category",
+              foreignField: "_id",
+              as: "category",
+            },
+          },
+          { $unwind: { path: "$category", preserveNullAndEmptyArrays: true } },
+          {
+            $addFields: {
+              category: {
+                _id: "$category._id",
+                name: "$category.name",
+                slug: "$category.slug",
+                icon: "$category.icon",
+              },
+            },
+          },
+          {
+            $project: Object.fromEntries(
+              HIDDEN_FIELDS.map((field) => [field, 0])
+            ),
+          },
+        ],
+        total: [{ $count: "count" }],
+        ...facetStages,
+      },
+    },
+  ];
+
+  const [result] = await Product.aggregate(pipeline);
+  return {
+    products: result.results,
+    total: result.total[0]?.count || 0,
+    facets: {
+      brands: result.brands,
+      categories: result.categories,
+      priceRanges: formatPriceRanges(result.priceRanges),
+      ratings: formatRatings(result.ratings),
+    },
+  };
+};
+
+/**
+ * Search the catalog by text with filters and facet counts.
+ * When nothing matches, misspelt words are corrected and the search retried.
+ */
+export const searchCatalog = async (query = {}) => {
+  const text =
+    typeof query.q === "string"
+      ? query.q.trim().slice(0, MAX_QUERY_LENGTH)
+      : "";
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  const options = { page, limit, sort: query.sort };
+
+  const filter = await buildProductFilter(query);
+  let outcome = await runSearch(text, filter, options);
+  let correctedQuery = null;
+
+  if (text && outcome.total === 0) {
+    correctedQuery = await correctQuery(text);
+    if (correctedQuery) {
+      outcome = await runSearch(correctedQuery, filter, options);
+    }
+  }
+
+  return { ...outcome, query: text, correctedQuery, page, limit };
+};
+
+export default { buildProductFilter, resolveCategoryIds, searchCatalog };
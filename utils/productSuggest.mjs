@@ -0,0 +1,152 @@
+import { Product } from "../models/ProductSchema.mjs";
+import { Category } from "../models/CategorySchema.mjs";
+import { TtlCache } from "./cache.mjs";
+import { correctQuery } from "./searchVocabulary.mjs";
+
+const MAX_QUERY_LENGTH = 50;
+const SUGGESTIONS_PER_GROUP = 5;
+const SUGGESTABLE_STATUSES = ["active", "out-of-stock"];
+
+// Type-ahead fires on every keystroke, so identical prefixes are served from memory
+const suggestionCache = new TtlCache({ ttlMs: 60 * 1000, maxEntries: 1000 });
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Matches the query at the start of any word, e.g. "pho" in "Phones & Tablets".
+// Unindexed, so only used on the small categories collection.
+const wordPrefix = (query) => new RegExp(`(^|\\s)${escapeRegex(query)}`, "i");
+
+const POPULARITY_SORT = { salesCount: -1, "rating.count": -1, _id: 1 };
+
+// titleWords holds the lowercased title from each word onwards, so an
+// anchored, case-sensitive prefix finds word starts through its index
+const suggestProductTitles = (query) =>
+  Product.find({
+    ...Product.publishedFilter(SUGGESTABLE_STATUSES),
+    titleWords: new RegExp(`^${escapeRegex(query.toLowerCase())}`),
+  })
+    .select("title image price")
+    .sort(POPULARITY_SORT)
+    .limit(SUGGESTIONS_PER_GROUP)
+    .lean();
+
+const suggestBrands = (query) =>
+  Product.aggregate([
+    {
+      $match: {
+        ...Product.publishedFilter(SUGGESTABLE_STATUSES),
+        brand: new RegExp(`^${escapeRegex(query)}`, "i"),
+      },
+    },
+    {
+      $group: {
+        _id: { $toLower: "$brand" },
+        brand: { $first: "$brand" },
+        salesCount: { $sum: "$salesCount" },
+        ratingCount: { $sum: "$rating.count" },
+        productCount: { $sum: 1 },
+      },
+    },
+    { $sort: { salesCount: -1, ratingCount: -1, productCount: -1 } },
+    { $limit: SUGGESTIONS_PER_GROUP },
+    { $project: { _id: 0, name: "$brand", productCount: 1 } },
+  ]);
+
+// Categories are ranked by the popularity of the products filed under them
+const suggestCategories = async (pattern) => {
+  const categories = await Category.find({ isActive: true, name: pattern })
+    .select("name slug icon")
+    .limit(SUGGESTIONS_PER_GROUP * 4)
+    .lean();
+  if (categories.length === 0) return [];
+
+  const popularity = await Product.aggregate([
+    {
+      $match: {
+        ...Product.publishedFilter(SUGGESTABLE_STATUSES),
+        category: { $in: categories.map((category) => category._id) },
+      },
+    },
+    {
+      $group: {
+        _id: "$category",
+        salesCount: { $sum: "$salesCount" },
+        ratingCount: { $sum: "$rating.count" },
+        productCount: { $sum: 1 },
+      },
+    },
+  ]);
+  const byCategory = new Map(
+    popularity.map((entry) => [String(entry._id), entry])
+  );
+  const score = (category) => byCategory.get(String(category._id)) || {};
+
+  return categories
+    .sort(
+      (a, b) =>
+        (score(b).salesCount || 0) - (score(a).salesCount || 0) ||
+        (score(b).ratingCount || 0) - (score(a).ratingCount || 0)
+    )
+    .slice(0, SUGGESTIONS_PER_GROUP)
+    .map((category) => ({
+      id: category._id,
+      name: category.name,
+      slug: category.slug,
+      icon: category.icon,
+      productCount: score(category).productCount || 0,
+    }));
+};
+
+const buildSuggestions = async (query) => {
+  const [products, brands, categories] = await Promise.all([
+    suggestProductTitles(query),
+    suggestBrands(query),
+    suggestCategories(wordPrefix(query)),
+  ]);
+
+  const hasResults =
+    products.length > 0 || brands.length > 0 || categories.length > 0;
+
+  return {
+    query,
+    products: products.map((product) => ({
+      id: product._id,
+      title: product.title,
+      image: product.image,
+      price: product.price,
+    })),
+    brands,
+    categories,
+    didYouMean: hasResults ? null : await correctQuery(query),
+  };
+};
+
+/**
+ * Type-ahead suggestions for a partial query: product titles, brands and
+ * categories whose words start with it, most popular first.
+ */
+export const getSuggestions = async (rawQuery) => {
+  const query =
+    typeof rawQuery === "string"
+      ? rawQuery.trim().replace(/\s+/g, " ").slice(0, MAX_QUERY_LENGTH)
+      : "";
+
+  if (!query) {
+    return {
+      query,
+      products: [],
+      brands: [],
+      categories: [],
+      didYouMean: null,
+    };
+  }
+
+  return suggestionCache.wrap(query.toLowerCase(), () =>
+    buildSuggestions(query)
+  );
+};
+
+// Drop cached suggestions, e.g. after catalog changes
+export const clearSuggestionCache = () => suggestionCache.clear();
+
+export default { getSuggestions, clearSuggestionCache };
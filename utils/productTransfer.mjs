@@ -0,0 +1,485 @@
+import { once } from "events";
+import { Product } from "../models/ProductSchema.mjs";
+import { Category } from "../models/CategorySchema.mjs";
+import { Warehouse } from "../models/WarehouseSchema.mjs";
+import { AppError } from "./errorHandler.mjs";
+import { parseCsv, toCsvLine } from "./csv.mjs";
+import { resetSearchVocabulary } from "./searchVocabulary.mjs";
+import { clearSuggestionCache } from "./productSuggest.mjs";
+import { saveProductStock, stockLevels } from "./inventoryService.mjs";
+import { recordCatalogPrice } from "./priceHistory.mjs";
+import logger from "./logger.mjs";
+
+// Largest file accepted in one import request
+export const MAX_IMPORT_ROWS = 1000;
+
+// Columns shared by CSV import and export. Lists are separated by "|";
+// options, variants, warehouseStock, sale and attributes hold JSON so
+// exported files import unchanged. Warehouses are named by code, e.g. [{"warehouse":"EU1","stock":4}].
+export const PRODUCT_COLUMNS = [
+  "sku",
+  "title",
+  "description",
+  "category",
+  "brand",
+  "price",
+  "comparePrice",
+  "sale",
+  "stock",
+  "warehouseStock",
+  "lowStockThreshold",
+  "status",
+  "publishAt",
+  "unpublishAt",
+  "image",
+  "images",
+  "tags",
+  "weight",
+  "isFeatured",
+  "seoTitle",
+  "seoDescription",
+  "attributes",
+  "options",
+  "variants",
+];
+
+const NUMBER_FIELDS = [
+  "price",
+  "comparePrice",
+  "stock",
+  "lowStockThreshold",
+  "weight",
+];
+const LIST_FIELDS = ["images", "tags"];
+const JSON_FIELDS = [
+  "options",
+  "variants",
+  "warehouseStock",
+  "sale",
+  "attributes",
+];
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// Per-warehouse stock lists of a row: the product's and each variant's
+const warehouseStockLists = (fields) =>
+  [
+    fields.warehouseStock,
+    ...(Array.isArray(fields.variants)
+      ? fields.variants.map((variant) => variant?.warehouseStock)
+      : []),
+  ].filter(Array.isArray);
+
+/**
+ * Read the uploaded file (or a JSON body) into a list of raw rows.
+ * JSON may be an array of products or { products: [...] }; NDJSON files
+ * from the export are accepted as well.
+ */
+export const readImportRows = (file, body = {}) => {
+  let rows;
+
+  if (file) {
+    const text = file.buffer.toString("utf8");
+    const isNdjson =
+      file.mimetype === "application/x-ndjson" ||
+      /\.ndjson$/i.test(file.originalname);
+    const isJson =
+      file.mimetype === "application/json" ||
+      /\.json$/i.test(file.originalname);
+
+    if (isJson || isNdjson) {
+      try {
+        if (isNdjson) {
+          rows = text
+            .split(/\r?\n/)
+            .filter((line) => line.trim())
+            .map((line) => JSON.parse(line));
+        } else {
+          const data = JSON.parse(text);
+          rows = Array.isArray(data) ? data : data.products;
+        }
+      } catch (_error) {
+        throw new AppError(
+          "Import file is not valid JSON",
+          400,
+          true,
+          "INVALID_IMPORT_FILE"
+        );
+      }
+    } else {
+      rows = parseCsv(text);
+    }
+  } else {
+    rows = body.products;
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new AppError(
+      "Upload a CSV or JSON file, or send a products array",
+      400,
+      true,
+      "NO_IMPORT_ROWS"
+    );
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(
+      `Imports are limited to ${MAX_IMPORT_ROWS} rows per file`,
+      400,
+      true,
+      "TOO_MANY_IMPORT_ROWS"
+    );
+  }
+
+  return rows;
+};
+
+// Turn a raw CSV or JSON row into product fields, collecting format errors.
+// Blank cells are left out so updates only touch the columns provided.
+const normalizeRow = (row) => {
+  const fields = {};
+  const errors = [];
+
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    return { fields, errors: ["Row must be an object"] };
+  }
+
+  for (const column of PRODUCT_COLUMNS) {
+    const value = row[column];
+    if (isBlank(value)) continue;
+
+    if (NUMBER_FIELDS.includes(column)) {
+      const number = Number(value);
+      if (Number.isFinite(number)) {
+        fields[column] = number;
+      } else {
+        errors.push(`${column} must be a number`);
+      }
+    } else if (LIST_FIELDS.includes(column)) {
+      fields[column] = Array.isArray(value)
+        ? value
+        : String(value)
+            .split("|")
+            .map((item) => item.trim())
+            .filter(Boolean);
+    } else if (JSON_FIELDS.includes(column)) {
+      if (typeof value !== "string") {
+        fields[column] = value;
+        continue;
+      }
+      try {
+        fields[column] = JSON.parse(value);
+      } catch (_error) {
+        errors.push(`${column} must be valid JSON`);
+      }
+    } else if (column === "isFeatured") {
+      fields.isFeatured =
+        value === true ||
+        ["true", "1", "yes"].includes(String(value).toLowerCase());
+    } else {
+      fields[column] = String(value).trim();
+    }
+  }
+
+  if (fields.sku) fields.sku = fields.sku.toUpperCase();
+  if (!fields.sku) errors.push("sku is required to import a product");
+
+  return { fields, errors };
+};
+
+// Flatten Mongoose validation errors into messages
+const validationMessages = (error) =>
+  error.errors
+    ? Object.values(error.errors).map((item) => item.message)
+    : [error.message];
+
+/**
+ * Validate and upsert product rows by SKU.
+ * With dryRun nothing is written; the report says what would happen.
+ */
+export const importProductRows = async (
+  rows,
+  { dryRun = false, userId } = {}
+) => {
+  const normalized = rows.map(normalizeRow);
+
+  const skus = normalized.map(({ fields }) => fields.sku).filter(Boolean);
+  const slugs = [
+    ...new Set(
+      normalized
+        .map(({ fields }) => fields.category?.toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+
+  const variantSkus = normalized.flatMap(({ fields }) =>
+    Array.isArray(fields.variants)
+      ? fields.variants.map((variant) => String(variant?.sku).toUpperCase())
+      : []
+  );
+
+  const warehouseCodes = [
+    ...new Set(
+      normalized.flatMap(({ fields }) =>
+        warehouseStockLists(fields).flatMap((levels) =>
+          levels.map((level) => String(level?.warehouse).toUpperCase())
+        )
+      )
+    ),
+  ];
+
+  const [existingProducts, categories, variantProducts, warehouses] =
+    await Promise.all([
+      Product.find({ sku: { $in: skus } }),
+      Category.find({ slug: { $in: slugs } })
+        .select("_id slug")
+        .lean(),
+      Product.find({ "variants.sku": { $in: variantSkus } })
+        .select("sku variants.sku")
+        .lean(),
+      Warehouse.find({ code: { $in: warehouseCodes } })
+        .select("_id code")
+        .lean(),
+    ]);
+
+  const productsBySku = new Map(
+    existingProducts.map((product) => [product.sku, product])
+  );
+  const categoryIds = new Map(
+    categories.map((category) => [category.slug, category._id])
+  );
+  const warehouseIds = new Map(
+    warehouses.map((warehouse) => [warehouse.code, warehouse._id])
+  );
+  // Variant SKUs are unique across the catalog, not just within a product
+  const variantOwners = new Map(
+    variantProducts.flatMap((product) =>
+      product.variants.map((variant) => [variant.sku, product.sku])
+    )
+  );
+
+  const seenSkus = new Set();
+  const report = [];
+
+  for (const [index, { fields, errors }] of normalized.entries()) {
+    const entry = {
+      row: index + 1,
+      sku: fields.sku,
+      action: productsBySku.has(fields.sku) ? "update" : "create",
+      status: "valid",
+      errors,
+    };
+    report.push(entry);
+
+    if (fields.sku && seenSkus.has(fields.sku)) {
+      errors.push(`Duplicate sku ${fields.sku} earlier in the file`);
+    }
+    if (fields.sku) seenSkus.add(fields.sku);
+
+    if (fields.category) {
+      const categoryId = categoryIds.get(fields.category.toLowerCase());
+      if (categoryId) {
+        fields.category = categoryId;
+      } else {
+        errors.push(`Unknown category slug: ${fields.category}`);
+        delete fields.category;
+      }
+    }
+
+    for (const variant of Array.isArray(fields.variants)
+      ? fields.variants
+      : []) {
+      const owner = variantOwners.get(String(variant?.sku).toUpperCase());
+      if (owner && owner !== fields.sku) {
+        errors.push(`Variant sku ${variant.sku} belongs to product ${owner}`);
+      }
+    }
+
+    for (const levels of warehouseStockLists(fields)) {
+      for (const level of levels) {
+        const code = String(level?.warehouse).toUpperCase();
+        if (warehouseIds.has(code)) {
+          level.warehouse = warehouseIds.get(code);
+        } else {
+          errors.push(`Unknown warehouse code: ${level?.warehouse}`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      entry.status = "invalid";
+      continue;
+    }
+
+    const product = productsBySku.get(fields.sku) || new Product();
+    const stockBefore = stockLevels(product);
+    const { variants, ...productFields } = fields;
+    product.set(productFields);
+    // Exported variants carry their _id, so re-importing keeps their IDs
+    if (variants !== undefined) product.setVariants(variants);
+
+    try {
+      await product.validate();
+    } catch (error) {
+      entry.status = "invalid";
+      errors.push(...validationMessages(error));
+      continue;
+    }
+
+    // Stock of these is derived on validate and would silently replace the
+    // column; exported files carry the derived total, which is accepted
+    const derivesStock =
+      product.warehouseStock.length > 0 || product.variants.length > 0;
+    if (
+      fields.stock !== undefined &&
+      derivesStock &&
+      product.stock !== fields.stock
+    ) {
+      entry.status = "invalid";
+      errors.push(
+        product.variants.length > 0
+          ? "stock of a product with variants is the sum of its variants; change the variants' stock instead"
+          : "stock of a product stocked per warehouse is the sum of warehouseStock; change warehouseStock instead"
+      );
+      continue;
+    }
+
+    if (dryRun) continue;
+
+    try {
+      await saveProductStock(product, stockBefore, {
+        type: "import",
+        user: userId,
+        reason: "Bulk import",
+      });
+      await recordCatalogPrice(product, { change: "import", user: userId });
+      entry.status = entry.action === "create" ? "created" : "updated";
+      entry.productId = product._id;
+    } catch (error) {
+      entry.status = "failed";
+      errors.push(
+        error.code === 11000
+          ? "sku or a variant sku is already used by another product"
+          : error.message
+      );
+    }
+  }
+
+  const count = (status) =>
+    report.filter((entry) => entry.status === status).length;
+  const summary = {
+    total: report.length,
+    valid: dryRun ? count("valid") : count("created") + count("updated"),
+    invalid: count("invalid"),
+    created: count("created"),
+    updated: count("updated"),
+    failed: count("failed"),
+  };
+
+  if (!dryRun && summary.valid > 0) {
+    // New titles and brands should show up in search right away
+    resetSearchVocabulary();
+    clearSuggestionCache();
+
+    logger.logBusiness("Products imported", {
+      userId: userId?.toString(),
+      ...summary,
+    });
+  }
+
+  return { dryRun, summary, rows: report };
+};
+
+// Per-warehouse stock with warehouses named by code
+const exportWarehouseStock = (levels = []) =>
+  levels.map((level) => ({
+    warehouse: level.warehouse?.code,
+    stock: level.stock,
+  }));
+
+// Exported fields of a product, keyed by PRODUCT_COLUMNS
+const exportRecord = (product) => ({
+  sku: product.sku,
+  title: product.title,
+  description: product.description,
+  category: product.category?.slug,
+  brand: product.brand,
+  price: product.price,
+  comparePrice: product.comparePrice,
+  sale: product.sale,
+  stock: product.stock,
+  warehouseStock: exportWarehouseStock(product.warehouseStock),
+  lowStockThreshold: product.lowStockThreshold,
+  status: product.status,
+  publishAt: product.publishAt?.toISOString(),
+  unpublishAt: product.unpublishAt?.toISOString(),
+  image: product.image,
+  images: product.images || [],
+  tags: product.tags || [],
+  weight: product.weight,
+  isFeatured: product.isFeatured,
+  seoTitle: product.seoTitle,
+  seoDescription: product.seoDescription,
+  attributes: product.attributes || {},
+  options: product.options || [],
+  variants: (product.variants || []).map((variant) => ({
+    ...variant,
+    warehouseStock: exportWarehouseStock(variant.warehouseStock),
+  })),
+});
+
+// Flatten a record into CSV cells the importer reads back
+const csvCells = (record) =>
+  PRODUCT_COLUMNS.map((column) => {
+    const value = record[column];
+    if (LIST_FIELDS.includes(column)) return value.join("|");
+    if (JSON_FIELDS.includes(column)) {
+      return !value || Object.keys(value).length === 0
+        ? ""
+        : JSON.stringify(value);
+    }
+    return value;
+  });
+
+/**
+ * Stream every product matching the filter to a writable response,
+ * one CSV line or NDJSON record at a time.
+ */
+export const streamProductExport = async (filter, format, output) => {
+  const cursor = Product.find(filter)
+    .sort({ _id: 1 })
+    .populate("category", "slug")
+    .populate("warehouseStock.warehouse", "code")
+    .populate("variants.warehouseStock.warehouse", "code")
+    .lean()
+    .cursor();
+
+  const write = async (chunk) => {
+    // Respect backpressure so large catalogs are not buffered in memory
+    if (!output.write(chunk)) await once(output, "drain");
+  };
+
+  let count = 0;
+  try {
+    if (format === "csv") await write(toCsvLine(PRODUCT_COLUMNS));
+
+    for await (const product of cursor) {
+      if (output.destroyed) break;
+
+      const record = exportRecord(product);
+      await write(
+        format === "csv"
+          ? toCsvLine(csvCells(record))
+          : `${JSON.stringify(record)}\n`
+      );
+      count += 1;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return count;
+};
+
+export default { readImportRows, importProductRows, streamProductExport };
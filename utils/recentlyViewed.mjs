@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import { Product } from "../models/ProductSchema.mjs";
+import { RecentlyViewed } from "../models/RecentlyViewedSchema.mjs";
+import logger from "./logger.mjs";
+
+// Products kept per shopper
+export const MAX_RECENTLY_VIEWED = 20;
+
+// Guest session IDs are generated by the client, e.g. a UUID
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// Fields of viewed products shown in the list
+const CARD_FIELDS =
+  "title image price comparePrice sale rating category status stock";
+
+/**
+ * Whose list a request belongs to: the signed-in user, or a guest by the
+ * X-Session-Id header. Null when neither is known.
+ */
+export const viewerOf = (req) => {
+  if (req.user) return { user: req.user._id };
+
+  const sessionId = req.get("X-Session-Id");
+  return sessionId && SESSION_ID_PATTERN.test(sessionId) ? { sessionId } : null;
+};
+
+/**
+ * Count a product page view and move the product to the front of the
+ * viewer's list, trimmed to MAX_RECENTLY_VIEWED. Failures are logged rather
+ * than thrown so they never break the product page.
+ */
+export const recordProductView = async (
+  productId,
+  viewer,
+  now = new Date()
+) => {
+  const product = new mongoose.Types.ObjectId(String(productId));
+
+  try {
+    await Promise.all([
+      Product.updateOne({ _id: product }, { $inc: { viewCount: 1 } }),
+      // One pipeline update so concurrent views cannot duplicate an entry
+      viewer &&
+        RecentlyViewed.updateOne(
+          viewer,
+          [
+            {
+              $set: {
+                items: {
+                  $slice: [
+                    {
+                      $concatArrays: [
+                        [{ product, viewedAt: now }],
+                        {
+                          $filter: {
+                            input: { $ifNull: ["$items", []] },
+                            cond: { $ne: ["$$this.product", product] },
+                          },
+                        },
+                      ],
+                    },
+                    MAX_RECENTLY_VIEWED,
+                  ],
+                },
+                updatedAt: now,
+              },
+            },
+          ],
+          { upsert: true }
+        ),
+    ]);
+  } catch (error) {
+    logger.error("Failed to record product view", {
+      productId: String(productId),
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * The viewer's recently viewed products, newest first. Products that are no
+ * longer live are left out.
+ */
+export const getRecentlyViewed = async (
+  viewer,
+  limit = MAX_RECENTLY_VIEWED
+) => {
+  const list = await RecentlyViewed.findOne(viewer)
+    .populate({
+      path: "items.product",
+      match: Product.publishedFilter(),
+      select: CARD_FIELDS,
+    })
+    .lean();
+
+  return (list?.items || []).filter((item) => item.product).slice(0, limit);
+};
+
+export default { viewerOf, recordProductView, getRecentlyViewed };
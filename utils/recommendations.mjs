@@ -0,0 +1,239 @@
+import { Product } from "../models/ProductSchema.mjs";
+import { Order } from "../models/OrderSchema.mjs";
+import { Recommendation } from "../models/RecommendationSchema.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * Product recommendations
+ *
+ * "Related" ranks other live products by category, shared tags and price;
+ * "bought together" ranks them by how many orders they shared with the
+ * product. Both are expensive, so a background job works them out for every
+ * live product and stores the lists in one Recommendation document each.
+ */
+
+// Products kept per list
+export const MAX_RECOMMENDATIONS = 12;
+
+// Weights of the related score; tags count 1 each
+const SAME_CATEGORY_WEIGHT = 3;
+const PRICE_WEIGHT = 2;
+
+// Orders placed this long ago or earlier no longer count
+const BOUGHT_TOGETHER_LOOKBACK_DAYS = 365;
+
+// Bulk orders say little about what goes together and would add
+// thousands of pairs each
+const MAX_ORDER_PRODUCTS = 50;
+
+const BULK_WRITE_SIZE = 500;
+
+// Fields of recommended products shown on product pages
+const CARD_FIELDS =
+  "title image price comparePrice sale rating category status stock";
+
+// Other live products scored by same category (3), shared tags (1 each) and
+// closeness of price (up to 2, falling to 0 at double or zero the price)
+const findRelated = async (product) => {
+  const tags = product.tags || [];
+  const candidates = [{ category: product.category }];
+  if (tags.length > 0) candidates.push({ tags: { $in: tags } });
+
+  const priceScore =
+    product.price > 0
+      ? {
+          $multiply: [
+            PRICE_WEIGHT,
+            {
+              $max: [
+                0,
+                {
+                  $subtract: [
+                    1,
+                    {
+                      $divide: [
+                        { $abs: { $subtract: ["$price", product.price] } },
+                        product.price,
+                      ],
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        }
+      : 0;
+
+  const related = await Product.aggregate([
+    {
+      $match: {
+        ...Product.publishedFilter(),
+        _id: { $ne: product._id },
+        $or: candidates,
+      },
+    },
+    {
+      $project: {
+        score: {
+          $add: [
+            {
+              $cond: [
+                { $eq: ["$category", product.category] },
+                SAME_CATEGORY_WEIGHT,
+                0,
+              ],
+            },
+            { $size: { $setIntersection: [{ $ifNull: ["$tags", []] }, tags] } },
+            priceScore,
+          ],
+        },
+      },
+    },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: MAX_RECOMMENDATIONS },
+  ]);
+
+  return related.map(({ _id, score }) => ({
+    product: _id,
+    score: Math.round(score * 1000) / 1000,
+  }));
+};
+
+// Products sharing the most orders with each product, keyed by product ID
+const findBoughtTogether = async (now) => {
+  const since = new Date(now);
+  since.setDate(since.getDate() - BOUGHT_TOGETHER_LOOKBACK_DAYS);
+
+  const pairs = await Order.aggregate([
+    {
+      $match: { orderStatus: { $ne: "cancelled" }, createdAt: { $gte: since } },
+    },
+    { $project: { products: { $setUnion: ["$items.product", []] } } },
+    {
+      $match: {
+        "products.1": { $exists: true },
+        [`products.${MAX_ORDER_PRODUCTS}`]: { $exists: false },
+      },
+    },
+    { $project: { product: "$products", other: "$products" } },
+    { $unwind: "$product" },
+    { $unwind: "$other" },
+    { $match: { $expr: { $ne: ["$product", "$other"] } } },
+    {
+      $group: {
+        _id: { product: "$product", other: "$other" },
+        orders: { $sum: 1 },
+      },
+    },
+    { $sort: { orders: -1, "_id.other": 1 } },
+    {
+      $group: {
+        _id: "$_id.product",
+        products: { $push: { product: "$_id.other", score: "$orders" } },
+      },
+    },
+    {
+      $project: { products: { $slice: ["$products", MAX_RECOMMENDATIONS] } },
+    },
+  ]).allowDiskUse(true);
+
+  return new Map(pairs.map(({ _id, products }) => [String(_id), products]));
+};
+
+/**
+ * Rebuild the recommendations of every live product. Lists of products that
+ * are no longer live are removed. Meant to run nightly from the scheduler.
+ */
+export const refreshRecommendations = async (now = new Date()) => {
+  const boughtTogether = await findBoughtTogether(now);
+  const cursor = Product.find(Product.publishedFilter())
+    .select("category tags price")
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let refreshed = 0;
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Recommendation.bulkWrite(operations, { ordered: false });
+    refreshed += operations.length;
+    operations = [];
+  };
+
+  try {
+    for await (const product of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { product: product._id },
+          update: {
+            $set: {
+              related: await findRelated(product),
+              boughtTogether: boughtTogether.get(String(product._id)) || [],
+              computedAt: now,
+            },
+          },
+          upsert: true,
+        },
+      });
+      if (operations.length >= BULK_WRITE_SIZE) await flush();
+    }
+    await flush();
+  } finally {
+    await cursor.close();
+  }
+
+  const { deletedCount } = await Recommendation.deleteMany({
+    computedAt: { $lt: now },
+  });
+
+  logger.logBusiness("Recommendations refreshed", {
+    products: refreshed,
+    removed: deletedCount,
+  });
+
+  return refreshed;
+};
+
+/**
+ * Build recommendations on first start so product pages do not wait for the
+ * nightly run. Does nothing once any have been stored.
+ */
+export const seedRecommendations = async () => {
+  try {
+    if ((await Recommendation.estimatedDocumentCount()) === 0) {
+      await refreshRecommendations();
+    }
+  } catch (error) {
+    logger.error("Failed to seed recommendations", { error: error.message });
+  }
+};
+
+/**
+ * Stored `related` or `boughtTogether` products of a product, best first.
+ * Products taken down since the last refresh are left out.
+ */
+export const getRecommendations = async (
+  productId,
+  list,
+  limit = MAX_RECOMMENDATIONS
+) => {
+  const recommendation = await Recommendation.findOne({ product: productId })
+    .select(list)
+    .populate({
+      path: `${list}.product`,
+      match: Product.publishedFilter(),
+      select: CARD_FIELDS,
+    })
+    .lean();
+
+  return (recommendation?.[list] || [])
+    .filter((entry) => entry.product)
+    .slice(0, limit)
+    .map((entry) => entry.product);
+};
+
+export default {
+  refreshRecommendations,
+  seedRecommendations,
+  getRecommendations,
+};
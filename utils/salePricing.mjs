@@ -0,0 +1,41 @@
+import { SaleCampaign } from "../models/SaleCampaignSchema.mjs";
+import { TtlCache } from "./cache.mjs";
+import { resolveCategoryIds } from "./productSearch.mjs";
+
+// Campaigns are read on every cart and order request, so the live and
+// upcoming ones are kept in memory briefly
+const campaignCache = new TtlCache({ ttlMs: 30 * 1000, maxEntries: 1 });
+
+/**
+ * Active campaigns matching `filter`, with the IDs of the categories they
+ * cover (subcategories included) as a Set of strings in `categoryIds`.
+ */
+export const loadSaleCampaigns = async (filter = {}) => {
+  const campaigns = await SaleCampaign.find({ isActive: true, ...filter })
+    .select("name categories percentOff startsAt endsAt")
+    .lean();
+
+  return Promise.all(
+    campaigns.map(async (campaign) => ({
+      ...campaign,
+      categoryIds: new Set(
+        (await resolveCategoryIds(campaign.categories.map(String))).map(String)
+      ),
+    }))
+  );
+};
+
+/**
+ * Campaigns that are live or still to come, for resolveUnitPrice. Whether
+ * one is live is decided at pricing time, so campaigns start and end on the
+ * second even though the list is cached.
+ */
+export const getSaleCampaigns = () =>
+  campaignCache.wrap("campaigns", () =>
+    loadSaleCampaigns({ endsAt: { $gt: new Date() } })
+  );
+
+// Call after campaigns change so new prices apply right away
+export const clearSaleCampaignCache = () => campaignCache.clear();
+
+export default { loadSaleCampaigns, getSaleCampaigns, clearSaleCampaignCache };
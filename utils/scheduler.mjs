@@ -0,0 +1,109 @@
+import logger from "./logger.mjs";
+
+// In-process scheduler for background jobs. Each job runs at a fixed time of
+// day (server local time) or at a fixed interval, and never overlaps with its
+// previous run. Run jobs on a single instance only; see SCHEDULED_JOBS in
+// .env.example.
+
+const jobs = new Map();
+
+// Parse "HH:MM" into { hour, minute }
+export const parseTimeOfDay = (value, fallback = "00:00") => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || fallback).trim());
+  const hour = Number(match?.[1]);
+  const minute = Number(match?.[2]);
+
+  if (!match || hour > 23 || minute > 59) {
+    return parseTimeOfDay(fallback);
+  }
+
+  return { hour, minute };
+};
+
+// Milliseconds from now until the next occurrence of hour:minute
+const delayUntil = ({ hour, minute }, now = new Date()) => {
+  const next = new Date(now);
+  next.setHours(hour, minute, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next - now;
+};
+
+/**
+ * Run a registered job now, unless it is already running.
+ */
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || job.running) return;
+
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    await job.task();
+    logger.logPerformance(`Job ${name}`, Date.now() - startedAt);
+  } catch (error) {
+    logger.error(`Scheduled job ${name} failed`, { error: error.message });
+  } finally {
+    job.running = false;
+  }
+};
+
+const scheduleNext = (job) => {
+  job.timer = setTimeout(async () => {
+    await runJob(job.name);
+    if (job.timer) scheduleNext(job);
+  }, job.nextDelay());
+  // Pending jobs should not keep the process alive on shutdown
+  job.timer.unref();
+};
+
+/**
+ * Register a job that runs every day at `at` ({ hour, minute }).
+ */
+export const scheduleDailyJob = (name, at, task) => {
+  jobs.set(name, {
+    name,
+    task,
+    nextDelay: () => delayUntil(at),
+    timer: null,
+    running: false,
+  });
+};
+
+/**
+ * Register a job that runs every `intervalMs` milliseconds, counted from the
+ * end of the previous run.
+ */
+export const scheduleIntervalJob = (name, intervalMs, task) => {
+  jobs.set(name, {
+    name,
+    task,
+    nextDelay: () => intervalMs,
+    timer: null,
+    running: false,
+  });
+};
+
+export const startScheduler = () => {
+  for (const job of jobs.values()) {
+    if (!job.timer) scheduleNext(job);
+  }
+
+  logger.info("Scheduler started", { jobs: [...jobs.keys()] });
+};
+
+export const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearTimeout(job.timer);
+    job.timer = null;
+  }
+};
+
+export default {
+  scheduleDailyJob,
+  scheduleIntervalJob,
+  startScheduler,
+  stopScheduler,
+  runJob,
+  parseTimeOfDay,
+};
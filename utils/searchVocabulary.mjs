@@ -0,0 +1,114 @@
+import { Product } from "../models/ProductSchema.mjs";
+import { Category } from "../models/CategorySchema.mjs";
+import { TtlCache } from "./cache.mjs";
+
+// Catalog words used to correct misspelt search terms
+const vocabularyCache = new TtlCache({ ttlMs: 10 * 60 * 1000, maxEntries: 1 });
+
+// Split text into lowercase search words
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/i)
+    .filter((word) => word.length > 1);
+
+/**
+ * Levenshtein distance between two words, giving up once it exceeds max.
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Longer words tolerate more typos
+const allowedDistance = (word) => (word.length <= 4 ? 1 : 2);
+
+// Word -> how often it appears in the catalog
+const loadVocabulary = async () => {
+  const [products, categories] = await Promise.all([
+    Product.find(Product.publishedFilter()).select("title brand tags").lean(),
+    Category.find({ isActive: true }).select("name").lean(),
+  ]);
+
+  const vocabulary = new Map();
+  const add = (text) => {
+    for (const word of tokenize(text)) {
+      vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+    }
+  };
+
+  for (const product of products) {
+    add(product.title);
+    add(product.brand);
+    (product.tags || []).forEach(add);
+  }
+  categories.forEach((category) => add(category.name));
+
+  return vocabulary;
+};
+
+export const getSearchVocabulary = () =>
+  vocabularyCache.wrap("vocabulary", loadVocabulary);
+
+// Forget the cached vocabulary, e.g. after a bulk import
+export const resetSearchVocabulary = () => vocabularyCache.clear();
+
+/**
+ * Closest catalog word to a search word, preferring common words on ties.
+ * Returns the word itself when it is already known or nothing is close.
+ */
+export const closestWord = (word, vocabulary) => {
+  if (vocabulary.has(word)) return word;
+
+  const max = allowedDistance(word);
+  let best = null;
+  let bestDistance = max + 1;
+
+  for (const [candidate, frequency] of vocabulary) {
+    const distance = editDistance(word, candidate, max);
+    if (
+      distance < bestDistance ||
+      (distance === bestDistance && best && frequency > vocabulary.get(best))
+    ) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= max ? best : word;
+};
+
+/**
+ * Suggest a corrected query, or null when every word is already known.
+ */
+export const correctQuery = async (query) => {
+  const words = tokenize(query);
+  if (words.length === 0) return null;
+
+  const vocabulary = await getSearchVocabulary();
+  const corrected = words.map((word) => closestWord(word, vocabulary));
+
+  return corrected.some((word, index) => word !== words[index])
+    ? corrected.join(" ")
+    : null;
+};
+
+export default { tokenize, editDistance, correctQuery, getSearchVocabulary };
@@ -0,0 +1,226 @@
+import { getConfig } from "../config/environment.mjs";
+import {
+  SHIPPING_METHODS,
+  ShippingZone,
+} from "../models/ShippingZoneSchema.mjs";
+import { AppError } from "./errorHandler.mjs";
+import { TtlCache } from "./cache.mjs";
+
+/**
+ * Shipping
+ *
+ * Admins split the world into zones by country, state and zip code prefix,
+ * each offering standard, express and pickup methods with their own rate
+ * tables. An address is served by the most specific zone covering it, and a
+ * method's price is looked up by the parcel's weight, its volumetric weight
+ * or the order value. Until any zone is set up, standard shipping at
+ * SHIPPING_FLAT_RATE (free above FREE_SHIPPING_THRESHOLD) is offered
+ * everywhere.
+ */
+
+const METHOD_LABELS = {
+  standard: "Standard shipping",
+  express: "Express shipping",
+  pickup: "Store pickup",
+};
+
+// Zones are read on every checkout, so active ones are kept in memory briefly
+const zoneCache = new TtlCache({ ttlMs: 60 * 1000, maxEntries: 1 });
+
+const normalizeText = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+const sameText = (a, b) => normalizeText(a) === normalizeText(b);
+
+const normalizeZip = (zipCode) =>
+  String(zipCode || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+// Active zones, lowest priority first
+export const getActiveShippingZones = () =>
+  zoneCache.wrap("zones", () =>
+    ShippingZone.find({ isActive: true }).sort({ priority: 1, name: 1 }).lean()
+  );
+
+// Call after zones change so new rates apply right away
+export const clearShippingZoneCache = () => zoneCache.clear();
+
+// Zone offered while no zones are configured
+export const defaultShippingZone = (
+  { shippingFlatRate, freeShippingThreshold } = getConfig().pricing
+) => ({
+  name: "Default",
+  countries: ["*"],
+  methods: [
+    {
+      code: "standard",
+      rateBasis: "order-value",
+      rates: [{ price: shippingFlatRate }],
+      ...(freeShippingThreshold > 0 && { freeShippingThreshold }),
+    },
+  ],
+});
+
+// How specifically a zone covers an address, or null when it does not
+const zoneSpecificity = (zone, address) => {
+  const inCountry = zone.countries.some((country) =>
+    sameText(country, address.country)
+  );
+  if (!inCountry && !zone.countries.includes("*")) return null;
+
+  if (
+    zone.states?.length > 0 &&
+    !zone.states.some((state) => sameText(state, address.state))
+  ) {
+    return null;
+  }
+
+  const zipCode = normalizeZip(address.zipCode);
+  if (
+    zone.zipPrefixes?.length > 0 &&
+    !zone.zipPrefixes.some((prefix) => zipCode.startsWith(normalizeZip(prefix)))
+  ) {
+    return null;
+  }
+
+  return (
+    (inCountry ? 1 : 0) +
+    (zone.states?.length > 0 ? 2 : 0) +
+    (zone.zipPrefixes?.length > 0 ? 4 : 0)
+  );
+};
+
+/**
+ * The zone serving `address`: the one naming its zip code prefix over one
+ * naming its state, over one naming only its country, over a "*" zone.
+ * `zones` are expected in priority order, which breaks ties.
+ */
+export const findShippingZone = (address, zones) => {
+  let best = null;
+  let bestSpecificity = -1;
+
+  for (const zone of zones) {
+    const specificity = zoneSpecificity(zone, address || {});
+    if (specificity !== null && specificity > bestSpecificity) {
+      best = zone;
+      bestSpecificity = specificity;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Active methods of the zone serving `address`, in SHIPPING_METHODS order,
+ * each with its `label` filled in and the `zone` name. Empty when no zone
+ * covers the address.
+ */
+export const getShippingMethods = async (address) => {
+  const zones = await getActiveShippingZones();
+  const zone =
+    zones.length > 0 ? findShippingZone(address, zones) : defaultShippingZone();
+  if (!zone) return [];
+
+  return zone.methods
+    .filter((method) => method.isActive !== false)
+    .sort(
+      (a, b) =>
+        SHIPPING_METHODS.indexOf(a.code) - SHIPPING_METHODS.indexOf(b.code)
+    )
+    .map((method) => ({
+      ...method,
+      label: method.label || METHOD_LABELS[method.code],
+      zone: zone.name,
+    }));
+};
+
+/**
+ * The method with `code` serving `address`. Throws a 400 when none was
+ * chosen or the address cannot be shipped to that way.
+ */
+export const resolveShippingMethod = async (address, code) => {
+  if (!code) {
+    throw new AppError(
+      "Please choose a shipping method",
+      400,
+      true,
+      "SHIPPING_METHOD_REQUIRED"
+    );
+  }
+
+  const methods = await getShippingMethods(address);
+  const method = methods.find((candidate) => candidate.code === code);
+  if (!method) {
+    const error = new AppError(
+      `${METHOD_LABELS[code] || code} is not available for this address`,
+      400,
+      true,
+      "SHIPPING_UNAVAILABLE"
+    );
+    error.details = { available: methods.map((candidate) => candidate.code) };
+    throw error;
+  }
+
+  return method;
+};
+
+/**
+ * Weight in kg and volume in cubic centimetres of lines of the shape
+ * { product, quantity }, from the catalog's weights and dimensions. Products
+ * without them count as weightless.
+ */
+export const parcelOf = (lines) =>
+  lines.reduce(
+    (parcel, { product, quantity }) => {
+      const { length = 0, width = 0, height = 0 } = product.dimensions || {};
+      return {
+        weight: parcel.weight + (product.weight || 0) * quantity,
+        volume: parcel.volume + length * width * height * quantity,
+      };
+    },
+    { weight: 0, volume: 0 }
+  );
+
+/**
+ * Price of shipping a `parcel` (see parcelOf) worth `orderValue` after
+ * discounts with `method`. Null when the order is beyond its rate table.
+ */
+export const shippingRate = (method, { parcel, orderValue }) => {
+  if (
+    method.freeShippingThreshold > 0 &&
+    orderValue >= method.freeShippingThreshold
+  ) {
+    return 0;
+  }
+
+  let measure = parcel.weight;
+  if (method.rateBasis === "order-value") {
+    measure = orderValue;
+  } else if (method.rateBasis === "volumetric") {
+    measure = Math.max(
+      parcel.weight,
+      parcel.volume / (method.volumetricDivisor || 5000)
+    );
+  }
+
+  const rate = method.rates.find(
+    (candidate) =>
+      candidate.upTo === undefined ||
+      candidate.upTo === null ||
+      measure <= candidate.upTo
+  );
+  return rate ? rate.price : null;
+};
+
+export default {
+  getActiveShippingZones,
+  clearShippingZoneCache,
+  findShippingZone,
+  getShippingMethods,
+  resolveShippingMethod,
+  parcelOf,
+  shippingRate,
+};
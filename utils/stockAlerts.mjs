@@ -0,0 +1,134 @@
+import { Product } from "../models/ProductSchema.mjs";
+import { User } from "../models/UserSchema.mjs";
+import { resolveCategoryIds } from "./productSearch.mjs";
+import emailService from "./emailService.mjs";
+import logger from "./logger.mjs";
+
+/**
+ * SKUs at or below their product's lowStockThreshold, lowest stock first.
+ * Products with variants are reported per active variant. Discontinued
+ * products are left out.
+ */
+export const getLowStockItems = async ({ category, level } = {}) => {
+  const match = {
+    status: { $ne: "discontinued" },
+    // Cheap pre-filter: simple products already low, or any variant product
+    $or: [
+      { $expr: { $lte: ["$stock", "$lowStockThreshold"] } },
+      { "variants.0": { $exists: true } },
+    ],
+  };
+
+  if (category) {
+    match.category = { $in: await resolveCategoryIds(category) };
+  }
+
+  const rows = await Product.aggregate([
+    { $match: match },
+    {
+      $project: {
+        title: 1,
+        status: 1,
+        category: 1,
+        lowStockThreshold: 1,
+        items: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+            {
+              $map: {
+                input: {
+                  $filter: {
+                    input: "$variants",
+                    as: "variant",
+                    cond: {
+                      $and: [
+                        "$$variant.isActive",
+                        { $lte: ["$$variant.stock", "$lowStockThreshold"] },
+                      ],
+                    },
+                  },
+                },
+                as: "variant",
+                in: {
+                  variant: "$$variant._id",
+                  sku: "$$variant.sku",
+                  stock: "$$variant.stock",
+                  optionValues: "$$variant.optionValues",
+                },
+              },
+            },
+            {
+              $cond: [
+                { $lte: ["$stock", "$lowStockThreshold"] },
+                [{ sku: "$sku", stock: "$stock" }],
+                [],
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $unwind: "$items" },
+    { $sort: { "items.stock": 1, title: 1 } },
+  ]);
+
+  const items = rows.map((row) => ({
+    product: row._id,
+    variant: row.items.variant,
+    title: row.title,
+    variantLabel: row.items.optionValues
+      ? Object.values(row.items.optionValues).join(" / ")
+      : undefined,
+    sku: row.items.sku,
+    stock: row.items.stock,
+    lowStockThreshold: row.lowStockThreshold,
+    status: row.status,
+    level: row.items.stock <= 0 ? "out-of-stock" : "low",
+  }));
+
+  return level ? items.filter((item) => item.level === level) : items;
+};
+
+// LOW_STOCK_DIGEST_RECIPIENTS overrides the list of active admins
+const digestRecipients = async () => {
+  const configured = (process.env.LOW_STOCK_DIGEST_RECIPIENTS || "")
+    .split(",")
+    .map((email) => email.trim())
+    .filter(Boolean);
+  if (configured.length > 0) return configured;
+
+  const admins = await User.find({ isAdmin: true, status: "active" })
+    .select("email")
+    .lean();
+  return admins.map((admin) => admin.email);
+};
+
+/**
+ * Email admins the SKUs that are low or out of stock. Nothing is sent
+ * when every SKU is above its threshold.
+ */
+export const sendLowStockDigest = async () => {
+  const items = await getLowStockItems();
+  if (items.length === 0) {
+    logger.info("Low stock digest skipped, no SKUs below threshold");
+    return { sent: false, items: 0 };
+  }
+
+  const recipients = await digestRecipients();
+  if (recipients.length === 0) {
+    logger.warn("Low stock digest has no recipients", { items: items.length });
+    return { sent: false, items: items.length };
+  }
+
+  const result = await emailService.sendLowStockDigest(recipients, items);
+  logger.logBusiness("Low stock digest sent", {
+    recipients: recipients.length,
+    lowStock: items.filter((item) => item.level === "low").length,
+    outOfStock: items.filter((item) => item.level === "out-of-stock").length,
+    success: result.success,
+  });
+
+  return { sent: result.success, items: items.length };
+};
+
+export default { getLowStockItems, sendLowStockDigest };
@@ -0,0 +1,115 @@
+import { getConfig } from "../config/environment.mjs";
+import { TaxRate } from "../models/TaxRateSchema.mjs";
+import { TtlCache } from "./cache.mjs";
+import { resolveCategoryIds } from "./productSearch.mjs";
+
+/**
+ * Tax
+ *
+ * Tax follows the shipping address. Admins set rates per country or state,
+ * and a rate tied to a category replaces the general one for products filed
+ * there. Each order line is taxed at the most specific rate covering it and
+ * keeps the result as a tax line. Until any rate is set up, TAX_RATE applies
+ * everywhere. With PRICES_INCLUDE_TAX catalog prices already contain the
+ * tax, which is then worked out of them instead of added on top.
+ */
+
+// Rates are read on every checkout, so active ones are kept in memory briefly
+const rateCache = new TtlCache({ ttlMs: 60 * 1000, maxEntries: 1 });
+
+const normalizeText = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+const sameText = (a, b) => normalizeText(a) === normalizeText(b);
+
+/**
+ * Active rates, with the IDs of the categories a category rate covers
+ * (subcategories included) as a Set of strings in `categoryIds`; null for
+ * general rates.
+ */
+export const getActiveTaxRates = () =>
+  rateCache.wrap("rates", async () => {
+    const rates = await TaxRate.find({ isActive: true })
+      .select("name country state category rate")
+      .lean();
+
+    return Promise.all(
+      rates.map(async (rate) => ({
+        ...rate,
+        categoryIds: rate.category
+          ? new Set(
+              (await resolveCategoryIds([String(rate.category)])).map(String)
+            )
+          : null,
+      }))
+    );
+  });
+
+// Call after rates change so they apply right away
+export const clearTaxRateCache = () => rateCache.clear();
+
+// Rates charged while none are configured: TAX_RATE (a fraction) everywhere
+export const defaultTaxRates = (taxRate = getConfig().pricing.taxRate) =>
+  taxRate > 0
+    ? [
+        {
+          name: "Tax",
+          rate: Math.round(taxRate * 100 * 10000) / 10000,
+          categoryIds: null,
+        },
+      ]
+    : [];
+
+/**
+ * Rates that apply to orders shipped to `address`, for calculatePricing's
+ * `taxRates`. Empty when nothing is taxed there.
+ */
+export const getTaxRates = async (address) => {
+  const rates = await getActiveTaxRates();
+  if (rates.length === 0) return defaultTaxRates();
+
+  return rates.filter(
+    (rate) =>
+      sameText(rate.country, address?.country) &&
+      (!rate.state || sameText(rate.state, address?.state))
+  );
+};
+
+/**
+ * The rate among `rates` (see getTaxRates) that taxes `product`: a rate for
+ * its category before a general one, then a state rate before a country-wide
+ * one. Null when none does.
+ */
+export const taxRateFor = (product, rates) => {
+  const category = String(product.category?._id || product.category);
+  let best = null;
+  let bestSpecificity = -1;
+
+  for (const rate of rates) {
+    if (rate.categoryIds && !rate.categoryIds.has(category)) continue;
+
+    const specificity = (rate.categoryIds ? 2 : 0) + (rate.state ? 1 : 0);
+    if (specificity > bestSpecificity) {
+      best = rate;
+      bestSpecificity = specificity;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Tax contained in, or due on top of, `amount` at `rate` percent. Unrounded.
+ */
+export const taxOn = (amount, rate, pricesIncludeTax) =>
+  pricesIncludeTax ? amount - amount / (1 + rate / 100) : (amount * rate) / 100;
+
+export default {
+  getActiveTaxRates,
+  clearTaxRateCache,
+  getTaxRates,
+  taxRateFor,
+  taxOn,
+};
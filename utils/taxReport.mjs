@@ -0,0 +1,183 @@
+import { Order } from "../models/OrderSchema.mjs";
+import { roundMoney } from "./pricingEngine.mjs";
+import { toCsvLine } from "./csv.mjs";
+
+// Payment statuses of orders whose tax was collected, refunded or not
+const COLLECTED_PAYMENT_STATUSES = ["paid", "partially-refunded", "refunded"];
+
+// Refunds that have given, or are giving, money back
+const REFUNDED_STATUSES = ["pending", "succeeded"];
+
+export const TAX_REPORT_COLUMNS = [
+  "month",
+  "country",
+  "state",
+  "name",
+  "rate",
+  "orders",
+  "taxableAmount",
+  "taxAmount",
+  "refundedTaxableAmount",
+  "refundedTaxAmount",
+  "netTaxableAmount",
+  "netTaxAmount",
+];
+
+const toMonth = (date) => date.toISOString().slice(0, 7);
+
+const inRange = (date, from, to) =>
+  Boolean(date) && (!from || date >= from) && (!to || date < to);
+
+// Tax lines handed back by a refund: the tax of the units it covers. Orders
+// placed before items kept their own tax lines give back the order's tax in
+// proportion to the amount instead.
+const refundedTaxLines = (order, refund) => {
+  if (order.items.some((item) => item.taxLines?.length)) {
+    return (refund.items || []).flatMap((line) => {
+      const item = order.items.find(
+        (orderItem) => String(orderItem._id) === String(line.item)
+      );
+      return (item?.taxLines || []).map((taxLine) => ({
+        ...taxLine,
+        taxableAmount: (taxLine.taxableAmount * line.quantity) / item.quantity,
+        amount: (taxLine.amount * line.quantity) / item.quantity,
+      }));
+    });
+  }
+
+  const share =
+    order.pricing.totalPrice > 0
+      ? Math.min(refund.amount / order.pricing.totalPrice, 1)
+      : 0;
+  return order.pricing.taxLines.map((taxLine) => ({
+    ...taxLine,
+    taxableAmount: taxLine.taxableAmount * share,
+    amount: taxLine.amount * share,
+  }));
+};
+
+/**
+ * Tax per month (UTC) and jurisdiction. Tax counts as collected in the month
+ * an order was paid and as refunded in the month of each refund, so months
+ * already reported never change. Amounts are net of tax in `taxableAmount`
+ * and `net*` columns take refunds off what was collected.
+ */
+export const taxReport = async ({ from, to } = {}) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lt = to;
+  const bounded = Boolean(from || to);
+
+  const cursor = Order.find({
+    "pricing.taxLines.0": { $exists: true },
+    $and: [
+      {
+        $or: [
+          { "paymentInfo.paidAt": { $exists: true } },
+          { "paymentInfo.status": { $in: COLLECTED_PAYMENT_STATUSES } },
+        ],
+      },
+      ...(bounded
+        ? [
+            {
+              $or: [
+                { "paymentInfo.paidAt": range },
+                { "paymentInfo.paidAt": null, createdAt: range },
+                { refunds: { $elemMatch: { createdAt: range } } },
+              ],
+            },
+          ]
+        : []),
+    ],
+  })
+    .select(
+      "items._id items.quantity items.taxLines pricing refunds paymentInfo createdAt"
+    )
+    .lean()
+    .cursor();
+
+  const rows = new Map();
+  const rowFor = (month, taxLine) => {
+    const key = JSON.stringify([
+      month,
+      taxLine.country || null,
+      taxLine.state || null,
+      taxLine.name,
+      taxLine.rate,
+    ]);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        month,
+        country: taxLine.country || null,
+        state: taxLine.state || null,
+        name: taxLine.name,
+        rate: taxLine.rate,
+        orders: 0,
+        taxableAmount: 0,
+        taxAmount: 0,
+        refundedTaxableAmount: 0,
+        refundedTaxAmount: 0,
+      });
+    }
+    return rows.get(key);
+  };
+
+  try {
+    for await (const order of cursor) {
+      const taxPoint = order.paymentInfo.paidAt || order.createdAt;
+      if (!bounded || inRange(taxPoint, from, to)) {
+        for (const taxLine of order.pricing.taxLines) {
+          const row = rowFor(toMonth(taxPoint), taxLine);
+          row.orders += 1;
+          row.taxableAmount += taxLine.taxableAmount;
+          row.taxAmount += taxLine.amount;
+        }
+      }
+
+      for (const refund of order.refunds || []) {
+        if (!REFUNDED_STATUSES.includes(refund.status)) continue;
+        if (bounded && !inRange(refund.createdAt, from, to)) continue;
+
+        for (const taxLine of refundedTaxLines(order, refund)) {
+          const row = rowFor(toMonth(refund.createdAt), taxLine);
+          row.refundedTaxableAmount += taxLine.taxableAmount;
+          row.refundedTaxAmount += taxLine.amount;
+        }
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return [...rows.values()]
+    .sort(
+      (a, b) =>
+        a.month.localeCompare(b.month) ||
+        String(a.country ?? "").localeCompare(String(b.country ?? "")) ||
+        String(a.state ?? "").localeCompare(String(b.state ?? "")) ||
+        a.name.localeCompare(b.name) ||
+        a.rate - b.rate
+    )
+    .map((row) => ({
+      ...row,
+      taxableAmount: roundMoney(row.taxableAmount),
+      taxAmount: roundMoney(row.taxAmount),
+      refundedTaxableAmount: roundMoney(row.refundedTaxableAmount),
+      refundedTaxAmount: roundMoney(row.refundedTaxAmount),
+      netTaxableAmount: roundMoney(
+        row.taxableAmount - row.refundedTaxableAmount
+      ),
+      netTaxAmount: roundMoney(row.taxAmount - row.refundedTaxAmount),
+    }));
+};
+
+// The report as CSV, one line per row
+export const taxReportCsv = (rows) =>
+  [
+    toCsvLine(TAX_REPORT_COLUMNS),
+    ...rows.map((row) =>
+      toCsvLine(TAX_REPORT_COLUMNS.map((column) => row[column]))
+    ),
+  ].join("");
+
+export default { taxReport, taxReportCsv };
@@ -0,0 +1,76 @@
+import { Warehouse } from "../models/WarehouseSchema.mjs";
+
+const sameText = (a, b) =>
+  String(a || "")
+    .trim()
+    .toLowerCase() ===
+  String(b || "")
+    .trim()
+    .toLowerCase();
+
+// 0 for the same state and country, 1 for the same country, 2 otherwise
+const distance = (warehouse, address = {}) => {
+  if (!sameText(warehouse.address?.country, address.country)) return 2;
+  return sameText(warehouse.address?.state, address.state) ? 0 : 1;
+};
+
+// Active warehouses, only loaded when some line is stocked in warehouses
+export const getAllocationWarehouses = async (holders) =>
+  holders.some((holder) => holder.warehouseStock?.length > 0)
+    ? Warehouse.find({ isActive: true }).lean()
+    : [];
+
+/**
+ * Choose the warehouses to pick `quantity` units of a product or variant
+ * from. Warehouses closest to the shipping address go first; among equally
+ * close ones, those that can ship every unit, then those with most stock,
+ * then by priority. Units are split only when one warehouse cannot cover
+ * the line.
+ *
+ * Returns { allocations, available }: allocations is [] for stock not held
+ * in warehouses and null when active warehouses hold too little.
+ */
+export const allocateStock = (holder, quantity, address, warehouses) => {
+  if (!holder.warehouseStock?.length) {
+    return { allocations: [], available: holder.stock };
+  }
+
+  const active = new Map(
+    warehouses.map((warehouse) => [warehouse._id.toString(), warehouse])
+  );
+  const candidates = holder.warehouseStock
+    .map((level) => ({
+      stock: level.stock,
+      warehouse: active.get(level.warehouse.toString()),
+    }))
+    .filter(({ stock, warehouse }) => warehouse && stock > 0)
+    .sort(
+      (a, b) =>
+        distance(a.warehouse, address) - distance(b.warehouse, address) ||
+        (b.stock >= quantity) - (a.stock >= quantity) ||
+        b.stock - a.stock ||
+        (a.warehouse.priority || 0) - (b.warehouse.priority || 0)
+    );
+
+  const available = candidates.reduce((total, { stock }) => total + stock, 0);
+  if (available < quantity) {
+    return { allocations: null, available };
+  }
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const { stock, warehouse } of candidates) {
+    if (remaining <= 0) break;
+    const units = Math.min(stock, remaining);
+    allocations.push({
+      warehouse: warehouse._id,
+      code: warehouse.code,
+      quantity: units,
+    });
+    remaining -= units;
+  }
+
+  return { allocations, available };
+};
+
+export default { getAllocationWarehouses, allocateStock };